@@ -2,8 +2,14 @@
 
 const express = require('express');
 const mongoose = require('mongoose');
-const cors = require('cors');
 const dotenv = require('dotenv');
+const Chat = require('./models/Chat');
+const { backfillBaselineRevisions } = require('./services/faqRevisions');
+const { backfillBotIds } = require('./services/bots');
+const { loadBot } = require('./middleware/bot');
+const { adminCors, botCors } = require('./middleware/cors');
+const { attachRealtime } = require('./services/realtime');
+const { handleSocketMessage } = require('./services/handoff');
 
 // Load environment variables from .env file
 dotenv.config();
@@ -12,8 +18,13 @@ const app = express();
 const port = process.env.PORT || 5000; // Define the port for your server
 
 // Middleware
-// Enable CORS for all origins (adjust for production)
-app.use(cors());
+// CORS is applied per route below: the admin app may call every route, and the websites a bot is embedded on
+// may call that bot's routes (see middleware/cors.js).
+// When running behind a reverse proxy, set TRUST_PROXY to the number of proxy hops so that
+// req.ip (used by the per-IP rate limit) is the real client address rather than the proxy's.
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || 1);
+}
 // Enable parsing of JSON request bodies
 app.use(express.json());
 
@@ -25,6 +36,16 @@ mongoose.connect(process.env.MONGO_URI, {
 })
 .then(() => {
   console.log('MongoDB Connected Successfully!');
+  // Drop indexes that are no longer declared in the schema (e.g. the old one-chat-per-user unique index)
+  return Chat.syncIndexes();
+})
+.then(() => {
+  // Assign data created before bots existed to the default bot, then give FAQs created before revision history
+  // existed a first revision. Not fatal if either fails.
+  backfillBotIds()
+    .catch(err => console.error('Error assigning existing data to the default bot:', err.message))
+    .then(() => backfillBaselineRevisions())
+    .catch(err => console.error('Error backfilling FAQ revisions:', err.message));
 })
 .catch(err => {
   console.error('MongoDB connection error:', err);
@@ -32,11 +53,58 @@ mongoose.connect(process.env.MONGO_URI, {
   process.exit(1);
 });
 
+// Import and mount the authentication routes (register, login, current user)
+const authRoutes = require('./routes/auth');
+app.use('/api/auth', adminCors, authRoutes);
+
 // Import your chat routes
 // This path is now correct: it means looking for 'chat.js' inside the 'routes' folder
 const chatRoutes = require('./routes/chat');
-// Mount the chat routes under the '/api/chat' endpoint
-app.use('/api/chat', chatRoutes);
+// Import the conversation routes (create, list, rename, archive, delete, history)
+const conversationRoutes = require('./routes/conversations');
+// Import the FAQ revision history routes (timeline, diff, restore) and FAQ management routes (list, search,
+// get, create, upload, update, delete). The revision routes go first so paths like /faqs/revisions aren't
+// taken for an FAQ id.
+const faqRevisionRoutes = require('./routes/faqRevisions');
+const faqRoutes = require('./routes/faqs');
+// Import the versioned chat settings routes (system instructions, generation and retrieval settings)
+const chatSettingsRoutes = require('./routes/chatSettings');
+// Import the routes of the chat widget embedded on other websites (bot info, guest sessions)
+const widgetRoutes = require('./routes/widget');
+
+// Chat, conversation, FAQ, chat settings and widget routes act on one bot: /api/bots/:botId/... (id or slug) names it,
+// while the unscoped /api/chat, /api/conversations, /api/faqs, /api/settings and /api/widget routes use the default bot.
+app.use('/api/bots/:botId/chat', loadBot, botCors, chatRoutes);
+app.use('/api/bots/:botId/conversations', loadBot, botCors, conversationRoutes);
+app.use('/api/bots/:botId/faqs', loadBot, botCors, faqRevisionRoutes, faqRoutes);
+app.use('/api/bots/:botId/settings', loadBot, adminCors, chatSettingsRoutes);
+app.use('/api/bots/:botId/widget', loadBot, botCors, widgetRoutes);
+app.use('/api/chat', loadBot, botCors, chatRoutes);
+app.use('/api/conversations', loadBot, botCors, conversationRoutes);
+app.use('/api/faqs', loadBot, botCors, faqRevisionRoutes, faqRoutes);
+app.use('/api/settings', loadBot, adminCors, chatSettingsRoutes);
+app.use('/api/widget', loadBot, botCors, widgetRoutes);
+
+// Import and mount the agent console routes (list, claim and close handoffs to human agents), for one bot or the default bot
+const handoffRoutes = require('./routes/handoffs');
+app.use('/api/bots/:botId/handoffs', loadBot, adminCors, handoffRoutes);
+app.use('/api/handoffs', loadBot, adminCors, handoffRoutes);
+
+// Import and mount the bot management routes (list, create, update, delete)
+const botRoutes = require('./routes/bots');
+app.use('/api/bots', adminCors, botRoutes);
+
+// Import and mount the feedback routes (rate AI replies, admin report)
+const feedbackRoutes = require('./routes/feedback');
+app.use('/api/feedback', adminCors, feedbackRoutes);
+
+// Import and mount the unanswered-question queue routes (list, dismiss, answer as FAQ)
+const unansweredRoutes = require('./routes/unanswered');
+app.use('/api/unanswered', adminCors, unansweredRoutes);
+
+// Import and mount the analytics routes (overview, daily volume, top questions, FAQ usage)
+const analyticsRoutes = require('./routes/analytics');
+app.use('/api/analytics', adminCors, analyticsRoutes);
 
 // Basic route for testing server status
 app.get('/', (req, res) => {
@@ -44,6 +112,9 @@ app.get('/', (req, res) => {
 });
 
 // Start the server
-app.listen(port, () => {
+const server = app.listen(port, () => {
   console.log(`Server running on http://localhost:${port}`);
 });
+
+// Live chat between users and support agents runs over WebSockets on the same server (see services/realtime.js)
+attachRealtime(server, handleSocketMessage);
@@ -0,0 +1,81 @@
+// backend/middleware/auth.js - Token authentication and role checks for Express routes
+//
+// Configuration (environment variables):
+//   JWT_SECRET     - Secret used to sign tokens (a random one is generated if unset, so tokens stop working on restart)
+//   JWT_EXPIRES_IN - Token lifetime, e.g. "7d" (default)
+const crypto = require("crypto");
+const dotenv = require("dotenv");
+const jwt = require("jsonwebtoken");
+
+dotenv.config();
+
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString("hex");
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "7d";
+
+if (!process.env.JWT_SECRET) {
+    console.warn("JWT_SECRET is not set. Using a random secret; users will be logged out whenever the server restarts.");
+}
+
+// Signs a token identifying the user. The role is included so admin checks don't need a database lookup.
+const signToken = (user) => jwt.sign(
+    { sub: user._id.toString(), email: user.email, role: user.role },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+);
+
+// Signs a token for an anonymous visitor of a website the chat widget is embedded on. Guests get a random id of
+// their own, so their conversations, rate limits and quotas are kept apart, but no account. The token names the
+// bot whose widget started the session and is only accepted on that bot's routes (see requireAuth).
+const signGuestToken = (bot) => jwt.sign(
+    { sub: crypto.randomBytes(12).toString("hex"), role: "guest", bot: bot._id.toString() },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+);
+
+// Verifies a token and returns the user it identifies, { id, email, role }, plus `botId` for guests. Throws if it
+// is invalid or expired.
+const verifyToken = (token) => {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return { id: payload.sub, email: payload.email, role: payload.role, ...(payload.bot && { botId: payload.bot }) };
+};
+
+// Whether the user may act on `bot`: guests only on the bot their session was started for, everyone else on all.
+const canUseBot = (user, bot) => user.role !== "guest" || Boolean(bot && user.botId === bot._id.toString());
+
+// Requires a valid "Authorization: Bearer <token>" header and sets req.user = { id, email, role }. Guest tokens
+// are refused outside the routes of their bot (`req.bot`, see middleware/bot.js) with a 401, so the widget starts
+// a new session.
+const requireAuth = (req, res, next) => {
+    const header = req.headers.authorization || "";
+    const token = header.startsWith("Bearer ") ? header.slice(7) : null;
+
+    if (!token) {
+        return res.status(401).json({ message: "Authentication required." });
+    }
+
+    let user;
+    try {
+        user = verifyToken(token);
+    } catch (error) {
+        console.log("Rejected invalid or expired token:", error.message);
+        return res.status(401).json({ message: "Your session has expired. Please log in again." });
+    }
+
+    if (!canUseBot(user, req.bot)) {
+        console.log("Rejected guest token of bot", user.botId || "(none)", "for", req.bot ? req.bot._id.toString() : req.originalUrl);
+        return res.status(401).json({ message: "Your chat session has ended. Please start a new chat." });
+    }
+    req.user = user;
+    next();
+};
+
+// Requires the authenticated user to have one of the given roles. Use after requireAuth.
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        console.log("Forbidden: user", req.user ? req.user.id : "(none)", "lacks role", roles.join(" or "));
+        return res.status(403).json({ message: "You do not have permission to perform this action." });
+    }
+    next();
+};
+
+module.exports = { signToken, signGuestToken, verifyToken, canUseBot, requireAuth, requireRole };
@@ -0,0 +1,37 @@
+// backend/middleware/bot.js - Resolves the bot a request is for and exposes it as `req.bot`
+const mongoose = require("mongoose");
+const { findBot, getDefaultBot, getDefaultBotId } = require("../services/bots");
+
+// Loads the bot named by the :botId route parameter (an id or slug). The unscoped routes, which have no
+// :botId, get the default bot.
+const loadBot = async (req, res, next) => {
+    try {
+        const bot = req.params.botId ? await findBot(req.params.botId) : await getDefaultBot();
+        if (!bot) {
+            console.log("Bot not found:", req.params.botId);
+            return res.status(404).json({ message: "Bot not found." });
+        }
+        req.bot = bot;
+        next();
+    } catch (error) {
+        console.error("Error loading bot:", error.message);
+        res.status(500).json({ message: "Failed to load bot.", error: error.message });
+    }
+};
+
+// For admin reports that aren't under a bot's routes: sets `req.botId` from the `botId` query param, or to the
+// default bot's id. The id is an ObjectId, so it can be used in aggregation pipelines as is.
+const botIdFromQuery = async (req, res, next) => {
+    if (req.query.botId && !mongoose.isValidObjectId(req.query.botId)) {
+        return res.status(400).json({ message: "Invalid bot ID." });
+    }
+    try {
+        req.botId = req.query.botId ? new mongoose.Types.ObjectId(String(req.query.botId)) : await getDefaultBotId();
+        next();
+    } catch (error) {
+        console.error("Error loading bot:", error.message);
+        res.status(500).json({ message: "Failed to load bot.", error: error.message });
+    }
+};
+
+module.exports = { loadBot, botIdFromQuery };
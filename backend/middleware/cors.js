@@ -0,0 +1,48 @@
+// backend/middleware/cors.js - Which websites may call the API from a browser
+//
+// The admin app may call every route. A bot's routes may also be called from the websites in the bot's
+// allowedOrigins (see models/Bot.js), where its chat widget is embedded; a bot without allowed origins can't be
+// embedded until some are added. Browser requests from any other website are refused. Requests without an Origin header
+// (servers, curl, same-origin GETs) are not affected.
+//
+// Configuration (environment variables):
+//   ADMIN_ORIGINS - Comma-separated origins the admin app is served from when that isn't the API's own origin
+//                   (default http://localhost:3000, the development server)
+const cors = require("cors");
+const dotenv = require("dotenv");
+const { normalizeOrigin } = require("../services/bots");
+
+dotenv.config();
+
+const ADMIN_ORIGINS = (process.env.ADMIN_ORIGINS || "http://localhost:3000")
+    .split(",")
+    .map(normalizeOrigin)
+    .filter(Boolean);
+
+// Preflight responses may be cached by the browser for this many seconds
+const PREFLIGHT_MAX_AGE = 600;
+
+// Whether `origin` is the admin app: one of ADMIN_ORIGINS, or the API's own origin when both are served together.
+const isAdminOrigin = (req, origin) => ADMIN_ORIGINS.includes(origin) || origin === `${req.protocol}://${req.host}`;
+
+// Creates a middleware that refuses requests from origins `isAllowed(req, origin)` rejects and answers the
+// others, including preflights, with CORS headers for their origin.
+const createCors = (isAllowed) => {
+    const allowOrigin = cors({ origin: true, maxAge: PREFLIGHT_MAX_AGE });
+    return (req, res, next) => {
+        const origin = req.headers.origin;
+        if (origin && !isAllowed(req, normalizeOrigin(origin))) {
+            console.log("Refused request from origin:", origin, req.method, req.originalUrl);
+            return res.status(403).json({ message: "Requests from this website are not allowed." });
+        }
+        allowOrigin(req, res, next);
+    };
+};
+
+// For routes only the admin app uses.
+const adminCors = createCors(isAdminOrigin);
+
+// For routes of `req.bot` (use after loadBot): the admin app and the websites the bot may be embedded on.
+const botCors = createCors((req, origin) => isAdminOrigin(req, origin) || req.bot.allowedOrigins.includes(origin));
+
+module.exports = { adminCors, botCors };
@@ -0,0 +1,134 @@
+// backend/middleware/rateLimit.js - Request rate limits and token quotas for the chat, login and widget session routes
+//
+// Configuration (environment variables):
+//   CHAT_RATE_LIMIT_WINDOW_MS          - Length of a rate limit window in milliseconds (default 60000)
+//   CHAT_RATE_LIMIT_PER_USER           - Chat requests each user may make per window (default 10, 0 disables)
+//   CHAT_RATE_LIMIT_PER_IP             - Chat requests each IP address may make per window (default 30, 0 disables)
+//   AUTH_RATE_LIMIT_WINDOW_MS          - Length of a login/registration rate limit window in milliseconds (default 900000)
+//   AUTH_RATE_LIMIT_PER_IP             - Login and registration attempts each IP address may make per window (default 10, 0 disables)
+//   GUEST_SESSION_RATE_LIMIT_WINDOW_MS - Length of a widget guest session rate limit window in milliseconds (default 3600000)
+//   GUEST_SESSION_RATE_LIMIT_PER_IP    - Widget guest sessions each IP address may start per window (default 20, 0 disables)
+//
+// Counters are kept in memory, so limits apply per server process and reset on restart.
+const dotenv = require("dotenv");
+const { DAILY_TOKEN_QUOTA, getTodayUsage, secondsUntilReset, usageKeysFor } = require("../services/usage");
+
+dotenv.config();
+
+const readLimit = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+const WINDOW_MS = readLimit("CHAT_RATE_LIMIT_WINDOW_MS", 60 * 1000);
+const PER_USER_LIMIT = readLimit("CHAT_RATE_LIMIT_PER_USER", 10);
+const PER_IP_LIMIT = readLimit("CHAT_RATE_LIMIT_PER_IP", 30);
+const AUTH_WINDOW_MS = readLimit("AUTH_RATE_LIMIT_WINDOW_MS", 15 * 60 * 1000);
+const AUTH_PER_IP_LIMIT = readLimit("AUTH_RATE_LIMIT_PER_IP", 10);
+const GUEST_SESSION_WINDOW_MS = readLimit("GUEST_SESSION_RATE_LIMIT_WINDOW_MS", 60 * 60 * 1000);
+const GUEST_SESSION_PER_IP_LIMIT = readLimit("GUEST_SESSION_RATE_LIMIT_PER_IP", 20);
+
+// Sends a 429 with a Retry-After header; `retryAfter` (seconds) lets the client show a countdown.
+const sendTooManyRequests = (res, message, retryAfter) => {
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({ message, retryAfter });
+};
+
+// Creates a fixed-window rate limiter. `keyFor(req)` picks what is counted (a user, an IP address...).
+// A `max` of 0 turns the limiter into a no-op.
+const createRateLimiter = ({ name, max, windowMs = WINDOW_MS, keyFor, message }) => {
+    const windows = new Map(); // key -> { count, resetAt }
+
+    // Forget expired windows so the map doesn't grow with every client ever seen.
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) {
+                windows.delete(key);
+            }
+        }
+    }, windowMs);
+    cleanup.unref();
+
+    return (req, res, next) => {
+        if (!max) {
+            return next();
+        }
+
+        const key = keyFor(req);
+        const now = Date.now();
+        let window = windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(key, window);
+        }
+
+        window.count += 1;
+        if (window.count > max) {
+            const retryAfter = Math.ceil((window.resetAt - now) / 1000);
+            console.log(`Rate limit "${name}" exceeded for ${key}; retry in ${retryAfter}s.`);
+            return sendTooManyRequests(res, message, retryAfter);
+        }
+        next();
+    };
+};
+
+// Limits chat requests per logged-in user. Use after requireAuth.
+const limitChatPerUser = createRateLimiter({
+    name: "chat-per-user",
+    max: PER_USER_LIMIT,
+    keyFor: (req) => `user:${req.user.id}`,
+    message: "You're sending messages too quickly. Please wait a moment before trying again.",
+});
+
+// Limits chat requests per client IP address, across all accounts used from it.
+const limitChatPerIp = createRateLimiter({
+    name: "chat-per-ip",
+    max: PER_IP_LIMIT,
+    keyFor: (req) => `ip:${req.ip}`,
+    message: "Too many messages are being sent from your network. Please wait a moment before trying again.",
+});
+
+// Limits login and registration attempts per client IP address, so passwords can't be guessed at speed.
+const limitAuthPerIp = createRateLimiter({
+    name: "auth-per-ip",
+    max: AUTH_PER_IP_LIMIT,
+    windowMs: AUTH_WINDOW_MS,
+    keyFor: (req) => `ip:${req.ip}`,
+    message: "Too many attempts from your network. Please wait a few minutes before trying again.",
+});
+
+// Limits the guest sessions the chat widget starts per client IP address. Every session is a fresh guest with
+// rate limits and a quota of its own, so without this a client could start new ones to get around them.
+const limitGuestSessionsPerIp = createRateLimiter({
+    name: "guest-session-per-ip",
+    max: GUEST_SESSION_PER_IP_LIMIT,
+    windowMs: GUEST_SESSION_WINDOW_MS,
+    keyFor: (req) => `ip:${req.ip}`,
+    message: "Too many chats have been started from your network. Please try again later.",
+});
+
+// Rejects the request once the user has used up today's token quota. Guests also share a quota per IP address
+// (see usageKeysFor in services/usage.js). Use after requireAuth.
+const enforceDailyTokenQuota = async (req, res, next) => {
+    if (!DAILY_TOKEN_QUOTA) {
+        return next();
+    }
+
+    try {
+        for (const key of usageKeysFor(req.user, req.ip)) {
+            const usage = await getTodayUsage(key);
+            if (usage.totalTokens >= DAILY_TOKEN_QUOTA) {
+                console.log(`Daily token quota reached for ${key} (${usage.totalTokens}/${DAILY_TOKEN_QUOTA}).`);
+                return sendTooManyRequests(res, "You've reached today's message allowance. It resets at midnight (UTC).", secondsUntilReset());
+            }
+        }
+        next();
+    } catch (error) {
+        // Don't lock users out because the usage lookup failed.
+        console.error("Error checking daily token quota:", error.message);
+        next();
+    }
+};
+
+module.exports = { createRateLimiter, limitChatPerUser, limitChatPerIp, limitAuthPerIp, limitGuestSessionsPerIp, enforceDailyTokenQuota };
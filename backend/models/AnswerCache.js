@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const { sourceSchema } = require('./Chat');
+
+// Define the answer cache schema. Each entry is a reply to the first question of a conversation, served again
+// when a near-identical question is asked (see services/answerCache.js).
+const answerCacheSchema = new mongoose.Schema({
+  botId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bot', required: true },
+  question: { type: String, required: true }, // The question as first asked
+  language: { type: String }, // Language the reply is written in
+  words: { type: [String], default: [] }, // Lower-cased words of the question in order, used to match similar questions
+  settingsHash: { type: String, required: true }, // Hash of the persona and chat settings the reply was generated with
+  faqIds: { type: [mongoose.Schema.Types.ObjectId], default: [] }, // FAQs the reply drew on (at least one cited)
+  faqSetHash: { type: String, required: true }, // Hash of those FAQs' ids and versions, checked before serving
+  reply: { type: String, required: true },
+  sources: { type: [sourceSchema], default: [] },
+  hits: { type: Number, default: 0 }, // Times the entry was served
+  lastHitAt: { type: Date },
+  expiresAt: { type: Date, required: true }, // MongoDB removes the entry after this time
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Lookups go by bot, settings, language and shared words; invalidation by FAQ
+answerCacheSchema.index({ botId: 1, settingsHash: 1, language: 1, words: 1 });
+answerCacheSchema.index({ faqIds: 1 });
+answerCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AnswerCache', answerCacheSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const { messageSchema } = require('./Chat');
+
+// Define the archived message schema. Once a conversation's older messages have been folded into its running
+// summary (see services/conversationSummary.js), they move out of its Chat document into this collection, one
+// document per message, so the Chat document stays small. Messages keep their _id, so history and feedback
+// still find them.
+const archivedMessageSchema = messageSchema.clone();
+archivedMessageSchema.add({
+  conversationId: { // The conversation the message belongs to
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  userId: { // Owner of the conversation
+    type: String,
+    required: true
+  }
+});
+
+// Archived messages are read per conversation in time order, for history pages and feedback
+archivedMessageSchema.index({ conversationId: 1, timestamp: -1 });
+
+module.exports = mongoose.model('ArchivedMessage', archivedMessageSchema);
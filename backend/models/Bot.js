@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Define the bot schema. Each bot is a separate assistant with its own persona, FAQ set and chat settings
+// (see ChatSettings.js), e.g. an HR, an IT and a customer-facing assistant served by the same backend.
+const botSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  slug: { // URL-friendly identifier, usable in place of the id in /api/bots/:botId routes
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  persona: { // Opening of the system instruction: who the assistant is and what it is for
+    type: String,
+    required: true
+  },
+  allowedOrigins: { // Web origins (e.g. https://help.example.com) allowed to embed this bot; none when empty
+    type: [String],
+    default: []
+  },
+  isDefault: { // The default bot serves the unscoped /api/chat, /api/conversations and /api/faqs routes
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true }); // Mongoose will auto-manage createdAt and updatedAt
+
+module.exports = mongoose.model('Bot', botSchema);
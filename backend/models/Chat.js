@@ -1,15 +1,53 @@
 const mongoose = require('mongoose');
 
+// Define a sub-schema for the FAQ sources an AI reply was generated from
+const sourceSchema = new mongoose.Schema({
+  label: Number, // Citation number used in the reply, e.g. 1 for "[1]"
+  faqId: { type: mongoose.Schema.Types.ObjectId, ref: 'FAQ' },
+  chunkId: { type: mongoose.Schema.Types.ObjectId, ref: 'FAQChunk' },
+  title: String, // FAQ title at the time of the reply
+  page: Number, // Page of the source file the passage came from, when known
+  row: Number, // Spreadsheet row the passage came from, for CSV and Excel sources
+  snippet: String, // Start of the passage given to the model
+  score: Number, // Retrieval score of the passage
+  cited: Boolean // Whether the reply cites this source inline
+}, { _id: false });
+
+// Define a sub-schema for the user's rating of an AI reply. The full record, including the FAQs behind the
+// reply, lives in the Feedback collection; this copy lets the chat show the rating when history is reloaded.
+const messageFeedbackSchema = new mongoose.Schema({
+  rating: { type: String, enum: ['up', 'down'] },
+  reasons: { type: [String], default: undefined }, // Reason codes such as 'wrong' or 'outdated'
+  comment: String,
+  updatedAt: Date
+}, { _id: false });
+
 // Define a sub-schema for individual messages within a chat conversation
 const messageSchema = new mongoose.Schema({
   sender: {
-    type: String, // 'user' or 'ai'
+    type: String, // 'user', 'ai' or 'agent' (a support agent who took the conversation over, see services/handoff.js)
+    enum: ['user', 'ai', 'agent'],
     required: true
   },
+  agent: { // Who sent an agent message
+    id: String,
+    name: String
+  },
   content: { // Changed from 'message' to 'content' for clarity with Gemini's 'parts'
     type: String,
     required: true
   },
+  sources: { // FAQ passages used as context for an AI reply (empty for user messages)
+    type: [sourceSchema],
+    default: undefined
+  },
+  language: { // Detected language of a user message, or the language an AI reply was asked to be in (see services/language.js)
+    type: String
+  },
+  feedback: { // The user's rating of an AI reply, if any
+    type: messageFeedbackSchema,
+    default: undefined
+  },
   timestamp: {
     type: Date,
     default: Date.now
@@ -21,7 +59,13 @@ const chatSchema = new mongoose.Schema({
   userId: {
     type: String,
     required: true,
-    unique: true // Ensures only one chat document per user
+    index: true // A user can own many chat documents, one per conversation
+  },
+  conversationId: { // The conversation this message log belongs to
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    unique: true,
+    sparse: true // Chats created before conversations existed have none until adopted (see routes/conversations.js)
   },
   messages: [messageSchema], // An array of messageSchema documents
   updatedAt: { // Add an updatedAt field for easy sorting/tracking
@@ -36,4 +80,8 @@ chatSchema.pre('save', function(next) {
   next();
 });
 
-module.exports = mongoose.model('Chat', chatSchema);
\ No newline at end of file
+module.exports = mongoose.model('Chat', chatSchema);
+// The message schema is shared with ArchivedMessage, which holds messages moved out of this document, and the
+// source schema with AnswerCache, which stores replies together with their sources
+module.exports.messageSchema = messageSchema;
+module.exports.sourceSchema = sourceSchema;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Define the chat metric schema. One document per chat request, recorded for the admin analytics dashboard.
+const chatMetricSchema = new mongoose.Schema({
+  userId: String,
+  botId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bot'
+  },
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  messageId: mongoose.Schema.Types.ObjectId, // _id of the saved AI message, if a reply was saved
+  question: String, // The user's message
+  normalizedQuestion: String, // Lower-cased, punctuation-free question, used to group repeats for "top questions"
+  provider: String, // LLM provider name, e.g. "gemini"
+  model: String,
+  streamed: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['ok', 'error', 'cancelled'],
+    default: 'ok'
+  },
+  error: String, // Error message for failed requests
+  latencyMs: Number, // From receiving the request to having the full reply
+  firstTokenMs: Number, // Streaming only: from receiving the request to the first generated token
+  usage: {
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 },
+    estimated: { type: Boolean, default: false } // True when the provider didn't report usage
+  },
+  retrieved: [{ // FAQ chunks retrieved as context, in prompt order
+    _id: false,
+    faqId: { type: mongoose.Schema.Types.ObjectId, ref: 'FAQ' },
+    score: Number,
+    cited: Boolean
+  }],
+  grounded: { // The reply cites at least one retrieved FAQ
+    type: Boolean,
+    default: false
+  },
+  cacheHit: Boolean, // Whether the reply was served from the answer cache; unset when the cache wasn't consulted
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Every analytics query filters on a date range
+chatMetricSchema.index({ createdAt: -1 });
+chatMetricSchema.index({ botId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ChatMetric', chatMetricSchema);
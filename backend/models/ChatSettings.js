@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Schema for versions of a bot's chat settings. Every save stores a complete new version; the latest version
+// is the one in use, and older ones are kept so a change can be traced or rolled back.
+const chatSettingsSchema = new mongoose.Schema({
+  botId: { type: mongoose.Schema.Types.ObjectId, ref: "Bot", required: true },
+  version: { type: Number, required: true }, // 1-based, increasing per bot
+  instructions: { type: String, required: true }, // Rules that follow the bot's persona in the system instruction
+  temperature: { type: Number, required: true, min: 0, max: 2 },
+  maxOutputTokens: { type: Number, required: true, min: 1 },
+  historyMessages: { type: Number, required: true, min: 0 }, // Earlier messages of the conversation sent with each question
+  minScore: { type: Number, required: true, min: 0, max: 1 }, // Retrieval score an FAQ chunk needs to be included
+  note: { type: String, trim: true }, // Why the settings were changed, written by the admin
+  restoredFrom: { type: Number }, // Version that this version brought back, if it was a restore
+  author: { // Who saved the version
+    id: { type: String },
+    email: { type: String }
+  },
+  createdAt: { type: Date, default: Date.now } // When the version was saved
+});
+
+// The latest version is looked up on every chat request
+chatSettingsSchema.index({ botId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model("ChatSettings", chatSettingsSchema);
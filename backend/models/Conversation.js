@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Define the conversation schema. Each conversation owns one Chat document holding its messages.
+const conversationSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true // Conversations are always listed per user
+  },
+  botId: { // Bot the conversation is with
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bot'
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    default: 'New conversation'
+  },
+  archived: { // Archived conversations are hidden from the default sidebar list
+    type: Boolean,
+    default: false
+  },
+  summary: { // Running summary of the messages that no longer fit the prompt (see services/conversationSummary.js)
+    text: { type: String },
+    messageCount: { type: Number }, // Messages folded into the summary so far
+    updatedAt: { type: Date }
+  },
+  handoff: { // Escalation to a human agent, during which the bot stays silent (see services/handoff.js)
+    status: { type: String, enum: ['requested', 'active', 'closed'] }, // Waiting for an agent, claimed, or back with the bot
+    reason: { type: String }, // What the user said they need help with, if anything
+    requestedAt: { type: Date },
+    agent: { // The agent who claimed the conversation
+      id: { type: String },
+      name: { type: String }
+    },
+    acceptedAt: { type: Date },
+    closedAt: { type: Date },
+    closedBy: { type: String, enum: ['user', 'agent'] }
+  }
+}, { timestamps: true }); // Mongoose will auto-manage createdAt and updatedAt
+
+// The agent console lists a bot's open handoffs, oldest request first
+conversationSchema.index({ botId: 1, 'handoff.status': 1, 'handoff.requestedAt': 1 });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
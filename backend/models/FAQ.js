@@ -2,9 +2,28 @@ const mongoose = require("mongoose");
 
 // Schema for FAQ documents
 const faqSchema = new mongoose.Schema({
+  botId: { type: mongoose.Schema.Types.ObjectId, ref: "Bot", required: true, index: true }, // Bot whose knowledge base this FAQ belongs to
   title: { type: String, required: true }, // Title of the FAQ
   content: { type: String, required: true }, // Answer content of the FAQ
+  // Start offset of each page (or row) within `content`, for documents extracted from PDFs or spreadsheets.
+  // Keeps retrieval chunks within one page or row and attributes them to it; cleared when the content is edited.
+  pageOffsets: { type: [Number], default: undefined },
+  // What each `pageOffsets` entry marks: a PDF page or a spreadsheet row. Chunks store the 1-based number
+  // in their `page` field either way.
+  segmentType: { type: String, enum: ["page", "row"], default: undefined },
+  sourceFileName: { type: String }, // Original file name for FAQs created from an upload
+  tags: { type: [String], default: [] }, // Free-form labels, e.g. carried over from a bulk import
+  language: { type: String, default: "en" }, // Language code of the FAQ, detected from its text unless set (see services/language.js)
   createdAt: { type: Date, default: Date.now } // Timestamp for when the FAQ was created
+}, { timestamps: true }); // Mongoose will also manage updatedAt for edits
+
+// Page offsets no longer line up once the content changes
+faqSchema.pre("save", function(next) {
+  if (!this.isNew && this.isModified("content") && !this.isModified("pageOffsets")) {
+    this.pageOffsets = undefined;
+    this.segmentType = undefined;
+  }
+  next();
 });
 
-module.exports = mongoose.model("FAQ", faqSchema);
\ No newline at end of file
+module.exports = mongoose.model("FAQ", faqSchema);
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Schema for retrievable passages of an FAQ. Long documents are split into overlapping chunks so
+// retrieval can return the relevant passage instead of the whole document.
+const faqChunkSchema = new mongoose.Schema({
+  faqId: { type: mongoose.Schema.Types.ObjectId, ref: "FAQ", required: true, index: true }, // Source document
+  botId: { type: mongoose.Schema.Types.ObjectId, ref: "Bot" }, // Bot of the source FAQ; each bot has its own retrieval index
+  content: { type: String, required: true }, // Text of this passage
+  page: { type: Number, default: null }, // 1-based page in the source file, when known (e.g. PDFs)
+  position: { type: Number, required: true }, // 0-based order of the chunk within its document
+  startOffset: { type: Number, required: true }, // Character offset of the chunk in the FAQ content
+  // Retrieval data computed at ingest time
+  // Term frequencies for the BM25 index (FAQ title included), as { term: tf }. Not a Map type: Mongoose maps
+  // reject keys such as "constructor" and "prototype", which are ordinary words in FAQs.
+  searchTerms: { type: mongoose.Schema.Types.Mixed },
+  searchLength: { type: Number }, // Weighted token count used for BM25 length normalization
+  embedding: { type: [Number], default: undefined } // Optional embedding vector for vector retrieval
+});
+
+module.exports = mongoose.model("FAQChunk", faqChunkSchema);
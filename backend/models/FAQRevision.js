@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Schema for FAQ revisions. Every create, update, delete and restore of an FAQ stores a full snapshot, so the
+// exact content the bot could draw on at any point in time can be reconstructed.
+const faqRevisionSchema = new mongoose.Schema({
+  faqId: { type: mongoose.Schema.Types.ObjectId, ref: "FAQ", required: true }, // Kept after the FAQ is deleted
+  botId: { type: mongoose.Schema.Types.ObjectId, ref: "Bot" }, // Bot the FAQ belongs to
+  version: { type: Number, required: true }, // 1-based, increasing per FAQ
+  action: { type: String, enum: ["create", "update", "delete", "restore"], required: true },
+  restoredFrom: { type: Number }, // Version that a "restore" revision brought back
+  // Snapshot of the FAQ after the change (for "delete", the content that was deleted)
+  title: { type: String, required: true },
+  content: { type: String, required: true },
+  tags: { type: [String], default: undefined },
+  language: { type: String },
+  sourceFileName: { type: String },
+  pageOffsets: { type: [Number], default: undefined },
+  segmentType: { type: String },
+  author: { // Who made the change; empty for the baseline of FAQs created before revisions were recorded
+    id: { type: String },
+    email: { type: String }
+  },
+  createdAt: { type: Date, default: Date.now } // When the change was made
+});
+
+// Revisions are listed per FAQ and across all FAQs newest first, and looked up by version
+faqRevisionSchema.index({ faqId: 1, version: 1 }, { unique: true });
+faqRevisionSchema.index({ botId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("FAQRevision", faqRevisionSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Reason codes a user can attach to a rating
+const FEEDBACK_REASONS = ['wrong', 'outdated', 'unhelpful', 'incomplete', 'other'];
+
+// Define the feedback schema. One document per user per rated AI message, with snapshots of the exchange and
+// the FAQs behind the reply so reports still make sense after the conversation or FAQs change.
+const feedbackSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  botId: { // Bot that gave the rated reply
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bot'
+  },
+  messageId: { // _id of the rated AI message inside the Chat document
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  rating: {
+    type: String,
+    enum: ['up', 'down'],
+    required: true
+  },
+  reasons: {
+    type: [{ type: String, enum: FEEDBACK_REASONS }],
+    default: undefined
+  },
+  comment: {
+    type: String,
+    trim: true
+  },
+  question: String, // The user message the reply answered
+  answer: String, // The rated reply
+  faqs: [{ // FAQs given to the model as context for the reply
+    _id: false,
+    faqId: { type: mongoose.Schema.Types.ObjectId, ref: 'FAQ' },
+    title: String,
+    cited: Boolean
+  }]
+}, { timestamps: true }); // Mongoose will auto-manage createdAt and updatedAt
+
+// A user rates a message once (later ratings replace it); reports filter by rating and date
+feedbackSchema.index({ userId: 1, messageId: 1 }, { unique: true });
+feedbackSchema.index({ botId: 1, rating: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('Feedback', feedbackSchema);
+module.exports.FEEDBACK_REASONS = FEEDBACK_REASONS;
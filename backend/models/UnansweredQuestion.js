@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// How many example phrasings are kept per grouped question
+const MAX_EXAMPLES = 10;
+
+// Define the unanswered question schema. Each document groups near-duplicate user questions that the
+// knowledge base couldn't answer, so admins can see the gaps and fill them with new FAQs.
+const unansweredQuestionSchema = new mongoose.Schema({
+  botId: { // Bot that was asked; questions are only grouped within one bot
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bot'
+  },
+  question: { // Representative phrasing (the first one asked)
+    type: String,
+    required: true,
+    trim: true
+  },
+  terms: { // Search terms of the representative phrasing, used to group near-duplicates
+    type: [String],
+    default: []
+  },
+  count: { // How many times this (or a near-duplicate) question was asked
+    type: Number,
+    default: 1
+  },
+  triggers: { // Why the questions were captured
+    noMatch: { type: Number, default: 0 }, // Retrieval found no relevant FAQ
+    fallbackReply: { type: Number, default: 0 } // The reply said the answer isn't in the knowledge base
+  },
+  examples: [{ // Most recent phrasings, newest last
+    _id: false,
+    text: String,
+    userId: String,
+    conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation' },
+    askedAt: Date
+  }],
+  firstAskedAt: { type: Date, default: Date.now },
+  lastAskedAt: { type: Date, default: Date.now },
+  status: {
+    type: String,
+    enum: ['open', 'dismissed', 'answered'],
+    default: 'open'
+  },
+  faqId: { type: mongoose.Schema.Types.ObjectId, ref: 'FAQ' }, // FAQ created when the question was answered
+  resolvedBy: { // Admin who dismissed or answered the question
+    id: String,
+    email: String
+  },
+  resolvedAt: Date
+}, { timestamps: true }); // Mongoose will auto-manage createdAt and updatedAt
+
+// The queue is listed by status, most asked first
+unansweredQuestionSchema.index({ botId: 1, status: 1, count: -1, lastAskedAt: -1 });
+
+module.exports = mongoose.model('UnansweredQuestion', unansweredQuestionSchema);
+module.exports.MAX_EXAMPLES = MAX_EXAMPLES;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Define the usage schema. One document per user per (UTC) day, used for token quotas and billing reports.
+const usageSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  day: { // UTC date in YYYY-MM-DD form
+    type: String,
+    required: true
+  },
+  requests: { // Chat requests that reached the LLM provider
+    type: Number,
+    default: 0
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true }); // Mongoose will auto-manage createdAt and updatedAt
+
+// Usage is always looked up and incremented per user and day
+usageSchema.index({ userId: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('Usage', usageSchema);
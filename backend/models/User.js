@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Define the user account schema
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  passwordHash: { // bcrypt hash; the plain password is never stored
+    type: String,
+    required: true
+  },
+  role: { // Agents take over conversations escalated to a human (see services/handoff.js)
+    type: String,
+    enum: ['user', 'agent', 'admin'],
+    default: 'user'
+  }
+}, { timestamps: true }); // Mongoose will auto-manage createdAt and updatedAt
+
+// Never send the password hash to clients
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('User', userSchema);
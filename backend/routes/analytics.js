@@ -0,0 +1,86 @@
+const express = require("express");
+const router = express.Router();
+const analytics = require("../services/analytics");
+const { requireAuth, requireRole } = require("../middleware/auth");
+const { botIdFromQuery } = require("../middleware/bot");
+
+// Look-back window (in days) and list sizes accepted by the analytics endpoints
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+const parseDays = (query) => Math.min(Math.max(parseInt(query.days, 10) || DEFAULT_DAYS, 1), MAX_DAYS);
+const parseLimit = (query) => Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+// Analytics are for admins only, and always for one bot: the `botId` query param, or the default bot.
+router.use(requireAuth, requireRole("admin"), botIdFromQuery);
+
+// --- OVERVIEW ROUTE ---
+// Query params: `botId` and `days`. Totals, grounded-answer rate, average latency, token usage and a per-provider breakdown.
+router.get("/overview", async (req, res) => {
+    const days = parseDays(req.query);
+    try {
+        const overview = await analytics.getOverview(days, req.botId);
+        console.log(`Built analytics overview for the last ${days} days.`);
+        res.json({ days, overview });
+    } catch (error) {
+        console.error("Error building analytics overview:", error.message);
+        res.status(500).json({ message: "Failed to fetch analytics overview.", error: error.message });
+    }
+});
+
+// --- DAILY VOLUME ROUTE ---
+// Query params: `botId` and `days`. One entry per UTC day, oldest first.
+router.get("/daily", async (req, res) => {
+    const days = parseDays(req.query);
+    try {
+        const daily = await analytics.getDailyVolume(days, req.botId);
+        res.json({ days, daily });
+    } catch (error) {
+        console.error("Error building daily chat volume:", error.message);
+        res.status(500).json({ message: "Failed to fetch daily volume.", error: error.message });
+    }
+});
+
+// --- TOP QUESTIONS ROUTE ---
+// Query params: `botId`, `days` and `limit`.
+router.get("/top-questions", async (req, res) => {
+    const days = parseDays(req.query);
+    try {
+        const questions = await analytics.getTopQuestions(days, parseLimit(req.query), req.botId);
+        res.json({ days, questions });
+    } catch (error) {
+        console.error("Error building top questions:", error.message);
+        res.status(500).json({ message: "Failed to fetch top questions.", error: error.message });
+    }
+});
+
+// --- FAQ USAGE ROUTE ---
+// Query params: `botId`, `days` and `limit`. The most and least retrieved/cited FAQs.
+router.get("/faqs", async (req, res) => {
+    const days = parseDays(req.query);
+    try {
+        const usage = await analytics.getFaqUsage(days, parseLimit(req.query), req.botId);
+        res.json({ days, ...usage });
+    } catch (error) {
+        console.error("Error building FAQ usage:", error.message);
+        res.status(500).json({ message: "Failed to fetch FAQ usage.", error: error.message });
+    }
+});
+
+// --- ANSWER CACHE ROUTE ---
+// Query params: `botId`, `days` and `limit`. Cache hits and misses, hit rate, cached answer count and the answers
+// served from the cache most often.
+router.get("/cache", async (req, res) => {
+    const days = parseDays(req.query);
+    try {
+        const cache = await analytics.getCacheStats(days, parseLimit(req.query), req.botId);
+        res.json({ days, ...cache });
+    } catch (error) {
+        console.error("Error building answer cache stats:", error.message);
+        res.status(500).json({ message: "Failed to fetch answer cache stats.", error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,134 @@
+const express = require("express");
+const router = express.Router();
+const bcrypt = require("bcryptjs");
+const dotenv = require("dotenv");
+const User = require("../models/User");
+const { signToken, requireAuth } = require("../middleware/auth");
+const { limitAuthPerIp } = require("../middleware/rateLimit");
+
+dotenv.config();
+
+const MIN_PASSWORD_LENGTH = 8;
+const BCRYPT_ROUNDS = 10;
+
+const parseEmailList = (value) => (value || "")
+    .split(",")
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+// Emails listed in ADMIN_EMAILS (comma-separated) are given the admin role when they register, and those in
+// AGENT_EMAILS the agent role, for support staff who take over conversations from the bot.
+const ADMIN_EMAILS = parseEmailList(process.env.ADMIN_EMAILS);
+const AGENT_EMAILS = parseEmailList(process.env.AGENT_EMAILS);
+
+const roleForEmail = (email) => {
+    if (ADMIN_EMAILS.includes(email)) {
+        return "admin";
+    }
+    return AGENT_EMAILS.includes(email) ? "agent" : "user";
+};
+
+const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+// Validates the credentials shared by registration and login. Request bodies are JSON, so the fields may be
+// anything; only non-empty strings are accepted. Returns an error message, or null when they are valid.
+const validateCredentials = ({ email, password }) => {
+    if (!email || !password) {
+        return "Email and password are required.";
+    }
+    if (typeof email !== "string" || typeof password !== "string") {
+        return "Email and password must be text.";
+    }
+    return null;
+};
+
+
+// --- REGISTER ROUTE ---
+// Registration and login attempts are rate limited per IP address.
+router.post("/register", limitAuthPerIp, async (req, res) => {
+    const { email, password, name } = req.body;
+
+    console.log("Received registration request for email:", email);
+
+    const credentialsError = validateCredentials(req.body);
+    if (credentialsError) {
+        console.log("Validation failed:", credentialsError);
+        return res.status(400).json({ message: credentialsError });
+    }
+    if (name !== undefined && name !== null && typeof name !== "string") {
+        console.log("Validation failed: name is not text.");
+        return res.status(400).json({ message: "Name must be text." });
+    }
+    if (!isValidEmail(email)) {
+        console.log("Validation failed: invalid email.");
+        return res.status(400).json({ message: "Please enter a valid email address." });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        console.log("Validation failed: password too short.");
+        return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.` });
+    }
+
+    try {
+        const normalizedEmail = email.trim().toLowerCase();
+        if (await User.exists({ email: normalizedEmail })) {
+            return res.status(409).json({ message: "An account with this email already exists." });
+        }
+
+        const user = new User({
+            email: normalizedEmail,
+            name,
+            passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+            role: roleForEmail(normalizedEmail),
+        });
+        await user.save();
+        console.log("User registered:", user._id.toString(), "role:", user.role);
+        res.status(201).json({ message: "Account created successfully!", token: signToken(user), user });
+    } catch (error) {
+        console.error("Error registering user:", error.message);
+        res.status(500).json({ message: "Failed to create account.", error: error.message });
+    }
+});
+
+// --- LOGIN ROUTE ---
+router.post("/login", limitAuthPerIp, async (req, res) => {
+    const { email, password } = req.body;
+
+    console.log("Received login request for email:", email);
+
+    const credentialsError = validateCredentials(req.body);
+    if (credentialsError) {
+        console.log("Validation failed:", credentialsError);
+        return res.status(400).json({ message: credentialsError });
+    }
+
+    try {
+        const user = await User.findOne({ email: email.trim().toLowerCase() });
+        // Same message for unknown emails and wrong passwords, so accounts can't be enumerated.
+        if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+            console.log("Login failed for email:", email);
+            return res.status(401).json({ message: "Invalid email or password." });
+        }
+
+        console.log("User logged in:", user._id.toString());
+        res.json({ message: "Logged in successfully!", token: signToken(user), user });
+    } catch (error) {
+        console.error("Error logging in:", error.message);
+        res.status(500).json({ message: "Failed to log in.", error: error.message });
+    }
+});
+
+// --- CURRENT USER ROUTE ---
+router.get("/me", requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(401).json({ message: "Your account no longer exists. Please log in again." });
+        }
+        res.json({ user });
+    } catch (error) {
+        console.error("Error fetching current user:", error.message);
+        res.status(500).json({ message: "Failed to fetch account.", error: error.message });
+    }
+});
+
+module.exports = router;
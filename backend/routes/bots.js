@@ -0,0 +1,193 @@
+const express = require("express");
+const router = express.Router();
+const Bot = require("../models/Bot");
+const FAQ = require("../models/FAQ");
+const Chat = require("../models/Chat");
+const Conversation = require("../models/Conversation");
+const ArchivedMessage = require("../models/ArchivedMessage");
+const ChatSettings = require("../models/ChatSettings");
+const { findBot, normalizeOrigin } = require("../services/bots");
+const { requireAuth, requireRole } = require("../middleware/auth");
+
+// Validation limits for bot settings
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_PERSONA_LENGTH = 4000;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Fields every logged-in user may see, e.g. to pick which assistant to talk to
+const PUBLIC_FIELDS = "name slug description isDefault";
+
+// Turns a bot name into a slug, e.g. "IT Helpdesk" -> "it-helpdesk".
+const slugify = (text) => text
+    .normalize("NFKD")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 50);
+
+// Validates bot settings from a request body. When `partial` is set (updates), missing fields are left alone.
+// Returns { fields, error } where `fields` holds the cleaned values to save.
+const validateBot = (body, { partial = false } = {}) => {
+    const fields = {};
+    const { name, slug, description, persona, allowedOrigins } = body;
+
+    if (name !== undefined || !partial) {
+        if (typeof name !== "string" || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+            return { error: `Bot name is required and must be at most ${MAX_NAME_LENGTH} characters.` };
+        }
+        fields.name = name.trim();
+    }
+    if (slug !== undefined || !partial) {
+        const cleanSlug = slug !== undefined && slug !== "" ? String(slug).trim().toLowerCase() : slugify(fields.name || "");
+        if (!SLUG_PATTERN.test(cleanSlug)) {
+            return { error: "Slug may only contain lowercase letters, digits and single dashes." };
+        }
+        fields.slug = cleanSlug;
+    }
+    if (description !== undefined) {
+        if (typeof description !== "string" || description.length > MAX_DESCRIPTION_LENGTH) {
+            return { error: `Description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters.` };
+        }
+        fields.description = description.trim();
+    }
+    if (persona !== undefined || !partial) {
+        if (typeof persona !== "string" || !persona.trim() || persona.length > MAX_PERSONA_LENGTH) {
+            return { error: `Persona is required and must be at most ${MAX_PERSONA_LENGTH} characters.` };
+        }
+        fields.persona = persona.trim();
+    }
+    if (allowedOrigins !== undefined) {
+        if (!Array.isArray(allowedOrigins)) {
+            return { error: "Allowed origins must be a list of origins, e.g. https://help.example.com." };
+        }
+        const origins = allowedOrigins.map(normalizeOrigin);
+        const invalidIndex = origins.indexOf(null);
+        if (invalidIndex !== -1) {
+            return { error: `"${allowedOrigins[invalidIndex]}" is not a valid origin. Use the form https://help.example.com.` };
+        }
+        fields.allowedOrigins = [...new Set(origins)];
+    }
+    return { fields };
+};
+
+// Bots are listed to every logged-in user; managing them is limited to admins.
+router.use(requireAuth);
+const requireAdmin = requireRole("admin");
+
+// --- LIST BOTS ROUTE ---
+// Admins get every setting; other users only what they need to pick a bot.
+router.get("/", async (req, res) => {
+    try {
+        const query = Bot.find().sort({ isDefault: -1, name: 1 });
+        const bots = await (req.user.role === "admin" ? query : query.select(PUBLIC_FIELDS));
+        res.json({ bots });
+    } catch (error) {
+        console.error("Error listing bots:", error.message);
+        res.status(500).json({ message: "Failed to fetch bots.", error: error.message });
+    }
+});
+
+// --- GET BOT ROUTE ---
+// `:id` may be the bot's id or slug.
+router.get("/:id", requireAdmin, async (req, res) => {
+    try {
+        const bot = await findBot(req.params.id);
+        if (!bot) {
+            return res.status(404).json({ message: "Bot not found." });
+        }
+        res.json({ bot });
+    } catch (error) {
+        console.error("Error fetching bot:", error.message);
+        res.status(500).json({ message: "Failed to fetch bot.", error: error.message });
+    }
+});
+
+// --- CREATE BOT ROUTE ---
+// Body: { name, slug?, description?, persona, allowedOrigins? }. Chat settings are managed under /settings.
+// The slug defaults to one derived from the name.
+router.post("/", requireAdmin, async (req, res) => {
+    console.log("Received create bot request. Name:", req.body.name);
+
+    const { fields, error: validationError } = validateBot(req.body);
+    if (validationError) {
+        console.log("Validation failed:", validationError);
+        return res.status(400).json({ message: validationError });
+    }
+
+    try {
+        const bot = await new Bot(fields).save();
+        console.log("Bot created:", bot._id.toString());
+        res.status(201).json({ message: "Bot created successfully!", bot });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: `A bot with the slug "${fields.slug}" already exists.` });
+        }
+        console.error("Error creating bot:", error.message);
+        res.status(500).json({ message: "Failed to create bot.", error: error.message });
+    }
+});
+
+// --- UPDATE BOT ROUTE ---
+// Body: any of the create fields. Changes apply to the bot's next reply.
+router.put("/:id", requireAdmin, async (req, res) => {
+    console.log("Received update bot request:", req.params.id);
+
+    const { fields, error: validationError } = validateBot(req.body, { partial: true });
+    if (validationError) {
+        console.log("Validation failed:", validationError);
+        return res.status(400).json({ message: validationError });
+    }
+
+    try {
+        const bot = await findBot(req.params.id);
+        if (!bot) {
+            return res.status(404).json({ message: "Bot not found." });
+        }
+        bot.set(fields);
+        await bot.save();
+        console.log("Bot updated:", bot._id.toString());
+        res.json({ message: "Bot updated successfully!", bot });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: `A bot with the slug "${fields.slug}" already exists.` });
+        }
+        console.error("Error updating bot:", error.message);
+        res.status(500).json({ message: "Failed to update bot.", error: error.message });
+    }
+});
+
+// --- DELETE BOT ROUTE ---
+// Removes the bot together with its conversations and chat settings. Bots that still have FAQs can't be deleted, so no
+// knowledge is lost by accident; delete or export the FAQs first. The default bot can't be deleted.
+router.delete("/:id", requireAdmin, async (req, res) => {
+    console.log("Received delete bot request:", req.params.id);
+
+    try {
+        const bot = await findBot(req.params.id);
+        if (!bot) {
+            return res.status(404).json({ message: "Bot not found." });
+        }
+        if (bot.isDefault) {
+            return res.status(400).json({ message: "The default bot can't be deleted." });
+        }
+        const faqCount = await FAQ.countDocuments({ botId: bot._id });
+        if (faqCount > 0) {
+            return res.status(409).json({ message: `This bot still has ${faqCount} FAQs. Delete or move them first.` });
+        }
+
+        const conversationIds = await Conversation.find({ botId: bot._id }).distinct("_id");
+        await Chat.deleteMany({ conversationId: { $in: conversationIds } });
+        await ArchivedMessage.deleteMany({ conversationId: { $in: conversationIds } });
+        await Conversation.deleteMany({ botId: bot._id });
+        await ChatSettings.deleteMany({ botId: bot._id });
+        await bot.deleteOne();
+        console.log("Bot deleted:", bot._id.toString());
+        res.json({ message: "Bot deleted successfully!" });
+    } catch (error) {
+        console.error("Error deleting bot:", error.message);
+        res.status(500).json({ message: "Failed to delete bot.", error: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,272 +1,531 @@
 const express = require("express");
 const router = express.Router();
 const Chat = require("../models/Chat");
-const FAQ = require("../models/FAQ");
-const axios = require("axios");
+const Conversation = require("../models/Conversation");
+const mongoose = require("mongoose");
 const dotenv = require("dotenv");
-const multer = require('multer');
-const pdf = require('pdf-parse');
+const { getProvider } = require("../services/llm");
+const retrieval = require("../services/retrieval");
+const { requireAuth, requireRole } = require("../middleware/auth");
+const { limitChatPerIp, limitChatPerUser, enforceDailyTokenQuota } = require("../middleware/rateLimit");
+const { estimateUsage, recordUsage, getTodayUsage, usageKeysFor } = require("../services/usage");
+const { isFallbackReply, recordUnansweredQuestion } = require("../services/unanswered");
+const { recordChatMetric } = require("../services/analytics");
+const { getActiveSettings, validateSettings } = require("../services/chatSettings");
+const { summarizeIfNeeded } = require("../services/conversationSummary");
+const { buildPrompt } = require("../services/promptBuilder");
+const { findCachedAnswer, cacheAnswer } = require("../services/answerCache");
+const { isHandedOff, addUserMessage } = require("../services/handoff");
+const { DEFAULT_LANGUAGE, validateLanguage, detectLanguage, buildLanguageInstruction, getKnowledgeLanguage, translateQuery } = require("../services/language");
 
 dotenv.config();
 
-const GEMINI_API_URL = "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent";
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+// The LLM provider (Gemini, OpenAI-compatible or mock) is chosen by configuration; see services/llm/index.js.
+const llm = getProvider();
 
-console.log("GEMINI_API_KEY loaded:", GEMINI_API_KEY ? "YES (key present)" : "NO (key is undefined/empty)");
+// Length of the title generated from a conversation's first message
+const AUTO_TITLE_LENGTH = 60;
+const DEFAULT_CONVERSATION_TITLE = "New conversation";
 
-const upload = multer({ storage: multer.memoryStorage() });
+// Number of retrieved FAQ chunks included in the prompt
+const MAX_CONTEXT_CHUNKS = 4;
 
-// Helper function to normalize text for comparison
-const normalizeText = (text) => {
-    return text.toLowerCase().replace(/[^a-z0-9\s]/g, '').trim();
+// Maximum length of the source snippet returned with replies
+const SOURCE_SNIPPET_LENGTH = 200;
+
+// Reply used when the AI returns no usable text
+const EMPTY_REPLY_FALLBACK = "I received an empty or unclear response from the AI. Please try again or ask your question in a different way.";
+
+// Validates the fields shared by the chat routes. Returns an error message, or null when the request is valid.
+const validateChatRequest = ({ message, conversationId, language }) => {
+    if (typeof message !== "string" || !message.trim()) {
+        return "Message is required.";
+    }
+    if (conversationId && (typeof conversationId !== "string" || !mongoose.isValidObjectId(conversationId))) {
+        return "Invalid conversation ID.";
+    }
+    return validateLanguage(language);
 };
 
-// Simple keyword matching function
-const findRelevantFaqs = (query, faqs, minScore = 0.3) => {
-    const normalizedQuery = normalizeText(query);
-    const queryWords = normalizedQuery.split(/\s+/).filter(word => word.length > 2);
-
-    const scoredFaqs = faqs.map(faq => {
-        let score = 0;
-        const normalizedTitle = normalizeText(faq.title);
-        const normalizedContent = normalizeText(faq.content);
-
-        queryWords.forEach(word => {
-            if (normalizedTitle.includes(word)) {
-                score += 2;
-            } else if (normalizedContent.includes(word)) {
-                score += 1;
-            }
-        });
+// The language to answer a message in: the one it is written in, else the one the client asked for (the language
+// of the user's interface), else English. Messages without letters, such as an order number, need the fallback.
+const resolveLanguage = (message, requested) => detectLanguage(message) || requested || DEFAULT_LANGUAGE;
 
-        if (normalizedTitle.includes(normalizedQuery) && normalizedQuery.length > 5) {
-            score += 5;
-        }
-        if (normalizedContent.includes(normalizedQuery) && normalizedQuery.length > 5) {
-            score += 2;
-        }
+// Resolves the conversation a message belongs to, starting a new one with the bot if none was given.
+// Returns null when the requested conversation doesn't exist, belongs to another user or is with another bot.
+const resolveConversation = async (userId, conversationId, bot) => {
+    if (conversationId) {
+        return Conversation.findOne({ _id: conversationId, userId, botId: bot._id });
+    }
+    // Not saved until the reply is stored, so failed requests don't leave empty conversations behind.
+    const conversation = new Conversation({ userId, botId: bot._id });
+    console.log("Starting new conversation:", conversation._id.toString());
+    return conversation;
+};
 
-        if (faq.title.toLowerCase().includes(query.toLowerCase())) {
-            score += 3;
+// Finds the bot's FAQ chunks relevant to a message. When none match and most of the bot's FAQs are written in
+// another language than the message, the message is translated into that language and searched again; the
+// translation's tokens count towards the daily usage of `usageKeys`. A failed translation is only logged; the
+// reply then relies on general knowledge.
+const retrieveChunks = async (bot, settings, message, language, usageKeys) => {
+    const options = { botId: bot._id, limit: MAX_CONTEXT_CHUNKS, minScore: settings.minScore };
+    const relevantChunks = await retrieval.search(message, options);
+    if (relevantChunks.length > 0) {
+        return relevantChunks;
+    }
+    try {
+        const knowledgeLanguage = await getKnowledgeLanguage(bot._id, language);
+        if (!knowledgeLanguage) {
+            return relevantChunks;
         }
-        if (faq.content.toLowerCase().includes(query.toLowerCase())) {
-            score += 1;
+        const translation = await translateQuery(llm, message, knowledgeLanguage);
+        await trackUsage(usageKeys, translation.prompt, translation.result, { countRequest: false });
+        if (!translation.text) {
+            return relevantChunks;
         }
+        console.log(`No FAQs matched the message in "${language}". Searching again in "${knowledgeLanguage}":`, translation.text);
+        return await retrieval.search(translation.text, options);
+    } catch (error) {
+        console.error("Error translating the message for retrieval:", error.message);
+        return relevantChunks;
+    }
+};
+
+// Gathers the bot's relevant FAQs, the conversation's summary and recent history for a message and builds the
+// provider-neutral prompt messages from the bot's chat settings (see services/chatSettings.js), within the prompt
+// token budget (see services/promptBuilder.js). The model is told to answer in `language` and to translate FAQs
+// written in another one (see services/language.js). Without a conversation (previews) no history is sent.
+// `usageKeys` are whom the tokens of a translation for retrieval count towards (see trackUsage).
+const buildChatPrompt = async (bot, settings, conversation, message, language, usageKeys) => {
+    const relevantChunks = await retrieveChunks(bot, settings, message, language, usageKeys);
+    if (relevantChunks.length > 0) {
+        console.log(`Found ${relevantChunks.length} relevant FAQ chunks. Scores:`, relevantChunks.map(({ chunk, score }) => `${chunk._id}=${score.toFixed(3)}`).join(", "));
+    } else {
+        console.log("No highly relevant FAQs found in the retrieval index. Relying more on general knowledge.");
+    }
+
+    const chat = conversation ? await Chat.findOne({ conversationId: conversation._id }) : null;
+    let chatHistory = [];
+    if (chat && chat.messages) {
+        // Replies of a support agent who had the conversation count as the assistant's.
+        let currentChatHistory = chat.messages.filter(m => ['user', 'ai', 'agent'].includes(m.sender));
+        // A trailing user message whose reply failed doesn't count against the history window.
+        const windowSize = settings.historyMessages + (currentChatHistory.length > 0 && currentChatHistory[currentChatHistory.length - 1].sender === 'user' ? 1 : 0);
+        currentChatHistory = settings.historyMessages > 0 ? currentChatHistory.slice(-windowSize) : [];
+
+        chatHistory = currentChatHistory.map(msg => ({
+            role: msg.sender === 'user' ? 'user' : 'assistant',
+            content: msg.content
+        }));
+        console.log("Fetched chat history. Messages count:", chatHistory.length);
+    } else if (conversation) {
+        console.log("No existing chat history found for conversation:", conversation._id.toString());
+    }
 
-        return { faq, score };
+    // The bot's persona opens the system instruction and the rules from its chat settings follow. Messages older
+    // than the history window live on in the conversation's running summary.
+    const { messages, chunks } = buildPrompt({
+        persona: bot.persona,
+        instructions: settings.instructions,
+        language: buildLanguageInstruction(language, relevantChunks.map(({ faq }) => faq.language || DEFAULT_LANGUAGE)),
+        summary: conversation && conversation.summary ? conversation.summary.text : null,
+        rankedChunks: relevantChunks,
+        history: chatHistory,
+        message,
     });
 
-    const relevantFaqs = scoredFaqs
-        .filter(item => item.score >= minScore)
-        .sort((a, b) => b.score - a.score)
-        .map(item => item.faq);
+    // Sources are numbered in the order they appear in the prompt so the model can cite them as [1], [2], ...
+    // Chunks dropped to fit the budget aren't sources.
+    const sources = chunks.map(({ faq, chunk, score, label }) => ({
+        label,
+        faqId: faq._id,
+        chunkId: chunk._id,
+        title: faq.title,
+        // Spreadsheet chunks are single rows, so their segment number is a row rather than a page
+        ...(faq.segmentType === "row" ? { row: chunk.page } : { page: chunk.page }),
+        snippet: chunk.content.length > SOURCE_SNIPPET_LENGTH ? `${chunk.content.substring(0, SOURCE_SNIPPET_LENGTH).trim()}...` : chunk.content,
+        score,
+    }));
+
+    return { chat, messages, sources };
+};
 
-    return relevantFaqs.slice(0, 3);
+// Marks which sources the reply actually cites with their [n] label.
+const markCitedSources = (sources, reply) => sources.map(source => ({
+    ...source,
+    cited: reply.includes(`[${source.label}]`),
+}));
+
+// Stores the user's message and the AI reply, both tagged with the language the reply was asked to be in, naming
+// untitled conversations after their first message.
+// Returns the id of the saved AI message, which clients use to attach feedback to it.
+const saveExchange = async ({ chat, conversation, userId, message, reply, sources, language, receivedAt }) => {
+    if (!chat) {
+        chat = new Chat({ userId, conversationId: conversation._id, messages: [] });
+    }
+    chat.messages.push({ sender: "user", content: message, language, timestamp: receivedAt });
+    chat.messages.push({ sender: "ai", content: reply, sources, language, timestamp: new Date() });
+    const replyId = chat.messages[chat.messages.length - 1]._id;
+    await chat.save();
+    console.log("Chat history saved to MongoDB.");
+
+    // Bump updatedAt as well so the sidebar lists the most recently used conversation first.
+    if (conversation.title === DEFAULT_CONVERSATION_TITLE) {
+        conversation.title = message.length > AUTO_TITLE_LENGTH ? `${message.substring(0, AUTO_TITLE_LENGTH).trim()}...` : message;
+    }
+    conversation.updatedAt = new Date();
+    await conversation.save();
+    return replyId;
 };
 
+// Records the tokens used by a generation against the daily usage of each of `usageKeys` (the user's id, and a
+// guest's IP address; see usageKeysFor in services/usage.js). Providers don't report usage for cancelled streams,
+// so it is estimated from the text in that case. Failures are logged, not surfaced.
+// `options` are passed on to recordUsage. Returns the usage, flagged `estimated` when it wasn't reported.
+const trackUsage = async (usageKeys, messages, result, options) => {
+    const usage = result.usage ? { ...result.usage } : { ...estimateUsage(messages, result.text), estimated: true };
+    try {
+        await Promise.all(usageKeys.map(key => recordUsage(key, usage, options)));
+        console.log(`Recorded ${usage.totalTokens} tokens for:`, usageKeys.join(", "));
+    } catch (error) {
+        console.error("Error recording token usage:", error.message);
+    }
+    return usage;
+};
 
-// --- CHAT ROUTE (for user messages) ---
-router.post("/", async (req, res) => {
-    const { userId, message } = req.body;
+// Records the request's latency, provider, usage and retrieved FAQs for the analytics dashboard. Runs in the
+// background; failures are only logged.
+const trackMetric = (metric) => {
+    recordChatMetric({ provider: llm, ...metric })
+        .catch(error => console.error("Error recording chat metric:", error.message));
+};
 
-    console.log("Received chat request for userId:", userId, "message:", message);
+// Queues the question for admins when the knowledge base couldn't answer it: no FAQ was relevant, or the reply
+// fell back to "not in my knowledge base". Runs in the background; failures are only logged.
+const captureKnowledgeGap = ({ userId, conversation, message, sources, reply }) => {
+    const trigger = sources.length === 0 ? "noMatch" : (isFallbackReply(reply) ? "fallbackReply" : null);
+    if (!trigger) {
+        return;
+    }
+    recordUnansweredQuestion({ question: message, trigger, botId: conversation.botId, userId, conversationId: conversation._id })
+        .catch(error => console.error("Error recording unanswered question:", error.message));
+};
 
-    if (!userId || !message) {
-        console.log("Validation failed: User ID or message missing.");
-        return res.status(400).json({ reply: "User ID and message are required." });
+// Answers a conversation's first question from the answer cache if a near-identical question was answered before
+// (see services/answerCache.js). Returns { reply, sources, messageId }, or null on a cache miss.
+const answerFromCache = async ({ req, settings, conversation, message, language, receivedAt, streamed }) => {
+    const cached = await findCachedAnswer({ bot: req.bot, settings, question: message, language });
+    if (!cached) {
+        return null;
     }
+    const userId = req.user.id;
+    const { reply, sources } = cached;
+    const messageId = await saveExchange({ chat: null, conversation, userId, message, reply, sources, language, receivedAt });
+    captureKnowledgeGap({ userId, conversation, message, sources, reply });
+    trackMetric({ botId: req.bot._id, userId, conversationId: conversation._id, messageId, question: message, streamed, startedAt: receivedAt, sources, cacheHit: true });
+    return { reply, sources, messageId };
+};
 
-    try {
-        const faqs = await FAQ.find({});
-        console.log(`Fetched ${faqs.length} FAQs.`);
+// Caches the reply to a conversation's first question for near-identical questions later. Fallback replies aren't
+// cached, so the question gets another try once the knowledge base can answer it. Runs in the background.
+const cacheReply = ({ bot, settings, message, language, reply, sources }) => {
+    if (reply === EMPTY_REPLY_FALLBACK || isFallbackReply(reply)) {
+        return;
+    }
+    cacheAnswer({ bot, settings, question: message, language, reply, sources })
+        .catch(error => console.error("Error caching answer:", error.message));
+};
 
-        const relevantFaqs = findRelevantFaqs(message, faqs);
-        let faqContextForGemini = "";
+// Folds older messages into the conversation's running summary once its history grows past the token budget.
+// The summary's tokens count towards the daily usage of the conversation's owner, who sent the request
+// (`usageKeys`). Runs in the background; failures are only logged and retried after the next message.
+const summarizeInBackground = ({ conversation, chat, settings, usageKeys }) => {
+    if (!chat) {
+        return; // Nothing to summarize until the conversation's second exchange
+    }
+    summarizeIfNeeded({ llm, conversation, chat, keepRecent: settings.historyMessages })
+        .then(summarized => summarized && trackUsage(usageKeys, summarized.prompt, summarized.result, { countRequest: false }))
+        .catch(error => console.error("Error summarizing conversation:", error.message));
+};
 
-        if (relevantFaqs.length > 0) {
-            faqContextForGemini = relevantFaqs.map(faq => `Q: ${faq.title}\nA: ${faq.content}`).join("\n\n---\n\n");
-            console.log(`Found ${relevantFaqs.length} relevant FAQs based on keywords.`);
+// Maps errors from the LLM provider or MongoDB to a message that is safe to show to the user.
+const getUserFacingError = (error) => {
+    let userFacingError = "An unexpected error occurred. Please try again later or contact support if the issue persists.";
+
+    if (error.response) {
+        if (error.response.status === 400 && error.response.data.error && error.response.data.error.message.includes("safety")) {
+            userFacingError = "I cannot answer that question as it violates my safety guidelines. Please rephrase your query.";
+        } else if (error.response.status === 400) {
+            userFacingError = "There was an issue with your request. This might be due to an invalid input or API problem. Please try again.";
+        } else if (error.response.status === 401 || error.response.status === 403) {
+            userFacingError = "Authentication failed with the AI service. Please check the API key configuration on the server.";
+        } else if (error.response.status === 500) {
+            userFacingError = "The AI service encountered an internal error. Please try again in a few moments.";
         } else {
-            console.log("No highly relevant FAQs found using keyword matching. Relying more on general knowledge.");
+             userFacingError = `I'm encountering a problem processing your request (Status: ${error.response.status}). Please try again.`;
         }
+    } else if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+        userFacingError = "I'm having trouble connecting to the AI service. Please check your network connection or try again later.";
+    } else if (error.message.includes("API key not valid")) { // More specific check for common API key issue
+         userFacingError = "There's an issue with the API key. Please ensure it's correctly configured on the server.";
+    }
 
-        let chat = await Chat.findOne({ userId });
-        let chatHistory = [];
-        if (chat && chat.messages) {
-            let currentChatHistory = chat.messages.filter(m => ['user', 'ai'].includes(m.sender));
-            if (currentChatHistory.length > 0 && currentChatHistory[currentChatHistory.length - 1].sender === 'user') {
-                currentChatHistory = currentChatHistory.slice(-6);
-            } else {
-                currentChatHistory = currentChatHistory.slice(-5);
-            }
+    return userFacingError;
+};
 
-            chatHistory = currentChatHistory.map(msg => ({
-                role: msg.sender === 'user' ? 'user' : 'model',
-                parts: [{ text: msg.content }]
-            }));
-            console.log("Fetched chat history. Messages count:", chatHistory.length);
-        } else {
-            console.log("No existing chat history found for userId:", userId);
+
+// All chat routes act on behalf of the logged-in user; the user ID always comes from the token.
+router.use(requireAuth);
+
+// Checks applied before any request that calls the LLM provider: per-IP and per-user rate limits and the daily token quota.
+const chatLimits = [limitChatPerIp, limitChatPerUser, enforceDailyTokenQuota];
+
+// --- CHAT ROUTE (for user messages) ---
+router.post("/", chatLimits, async (req, res) => {
+    const { message, conversationId, language: requestedLanguage } = req.body;
+    const userId = req.user.id;
+    const usageKeys = usageKeysFor(req.user, req.ip); // Whom the tokens count towards
+    const receivedAt = new Date(); // Timestamp for the user's message, distinct from the AI reply's
+
+    console.log("Received chat request for userId:", userId, "message:", message);
+
+    const validationError = validateChatRequest(req.body);
+    if (validationError) {
+        console.log("Validation failed:", validationError);
+        return res.status(400).json({ reply: validationError });
+    }
+
+    try {
+        const conversation = await resolveConversation(userId, conversationId, req.bot);
+        if (!conversation) {
+            console.log("Conversation not found for userId:", userId, "conversationId:", conversationId);
+            return res.status(404).json({ reply: "Conversation not found." });
+        }
+        // A support agent has the conversation, so the bot stays silent and the message goes to the agent.
+        if (isHandedOff(conversation)) {
+            const userMessage = await addUserMessage(conversation, message, receivedAt);
+            return res.json({ conversationId: conversation._id, messageId: userMessage._id, handoff: conversation.handoff });
         }
 
-        // --- UPDATED SYSTEM INSTRUCTION ---
-        const systemInstruction = `You are Dhanista, a helpful and knowledgeable AI assistant. Your primary goal is to answer user questions accurately and comprehensively.
-
-        **Instructions:**
-        1.  **Prioritize the provided relevant FAQs.** If the user's question can be answered by the information in "Relevant FAQs:", use that information directly and comprehensively.
-        2.  If the "Relevant FAQs:" section is empty or does not sufficiently answer the question, attempt to answer using your general knowledge.
-        3.  **Crucially:** If you cannot find relevant information in the FAQs AND your general knowledge is insufficient, *do not say you don't have enough information*. Instead, acknowledge the query and politely suggest rephrasing or mention that the specific information might not be available in your current knowledge base. For example: "I don't have specific information on that topic in my current knowledge base. Could you please rephrase your question or ask about something else?" or "The information you're looking for might not be in my FAQs. Can I help with anything else?"
-        4.  Maintain a friendly and professional tone.
-
-        ${faqContextForGemini ? `**Relevant FAQs:**\n${faqContextForGemini}\n\n` : ''}`;
-
-        const payload = {
-            contents: [
-                { role: "user", parts: [{ text: systemInstruction }] },
-                ...chatHistory,
-                { role: "user", parts: [{ text: message }] }
-            ],
-            generationConfig: {
-                temperature: 0.5,
-                maxOutputTokens: 500,
-            },
-            safetySettings: [
-                { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
-                { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
-                { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
-                { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" },
-            ],
-        };
-        console.log("Sending payload to Gemini API. Payload (first 500 chars):", JSON.stringify(payload, null, 2).substring(0, 500) + "...");
-
-        const response = await axios.post(
-            GEMINI_API_URL,
-            payload,
-            {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-goog-api-key': GEMINI_API_KEY
-                }
-            }
-        );
-        console.log("Received response from Gemini API.");
+        const settings = await getActiveSettings(req.bot._id);
+        const language = resolveLanguage(message, requestedLanguage);
+        // Only a conversation's first question stands on its own, so only that one is answered from the cache.
+        const cacheable = conversation.isNew;
+        const cached = cacheable ? await answerFromCache({ req, settings, conversation, message, language, receivedAt, streamed: false }) : null;
+        if (cached) {
+            return res.json({ ...cached, conversationId: conversation._id, cached: true });
+        }
+
+        const { chat, messages, sources } = await buildChatPrompt(req.bot, settings, conversation, message, language, usageKeys);
 
-        let reply = "I'm sorry, I couldn't process your request at this moment. Please try again or rephrase your question."; // Default fallback
+        const result = await llm.generate({ messages, temperature: settings.temperature, maxOutputTokens: settings.maxOutputTokens });
+        const usage = await trackUsage(usageKeys, messages, result);
 
-        if (response.data && response.data.candidates && response.data.candidates.length > 0 &&
-            response.data.candidates[0].content && response.data.candidates[0].content.parts &&
-            response.data.candidates[0].content.parts.length > 0) {
-            reply = response.data.candidates[0].content.parts[0].text;
+        let reply = result.text;
+        if (reply) {
             console.log("Extracted AI Reply:", reply);
         } else {
-            console.error("Gemini API response was empty or malformed:", JSON.stringify(response.data, null, 2));
-            reply = "I received an empty or unclear response from the AI. Please try again or ask your question in a different way.";
+            reply = EMPTY_REPLY_FALLBACK;
         }
 
-        if (!chat) {
-            chat = new Chat({ userId, messages: [] });
+        const citedSources = markCitedSources(sources, reply);
+        const messageId = await saveExchange({ chat, conversation, userId, message, reply, sources: citedSources, language, receivedAt });
+        captureKnowledgeGap({ userId, conversation, message, sources, reply });
+        summarizeInBackground({ conversation, chat, settings, usageKeys });
+        if (cacheable) {
+            cacheReply({ bot: req.bot, settings, message, language, reply, sources: citedSources });
         }
-        chat.messages.push({ sender: "user", content: message });
-        chat.messages.push({ sender: "ai", content: reply });
-        await chat.save();
-        console.log("Chat history saved to MongoDB.");
+        trackMetric({
+            botId: req.bot._id, userId, conversationId: conversation._id, messageId, question: message, streamed: false,
+            startedAt: receivedAt, usage, sources: citedSources, cacheHit: cacheable ? false : undefined,
+        });
 
-        res.json({ reply });
+        res.json({ reply, conversationId: conversation._id, sources: citedSources, messageId });
 
     } catch (error) {
-        console.error("Error interacting with Gemini API or MongoDB:", error.response ? JSON.stringify(error.response.data, null, 2) : error.message);
-        let userFacingError = "An unexpected error occurred. Please try again later or contact support if the issue persists.";
-
-        if (error.response) {
-            if (error.response.status === 400 && error.response.data.error && error.response.data.error.message.includes("safety")) {
-                userFacingError = "I cannot answer that question as it violates my safety guidelines. Please rephrase your query.";
-            } else if (error.response.status === 400) {
-                userFacingError = "There was an issue with your request. This might be due to an invalid input or API problem. Please try again.";
-            } else if (error.response.status === 401 || error.response.status === 403) {
-                userFacingError = "Authentication failed with the AI service. Please check the API key configuration on the server.";
-            } else if (error.response.status === 500) {
-                userFacingError = "The AI service encountered an internal error. Please try again in a few moments.";
-            } else {
-                 userFacingError = `I'm encountering a problem processing your request (Status: ${error.response.status}). Please try again.`;
-            }
-        } else if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-            userFacingError = "I'm having trouble connecting to the AI service. Please check your network connection or try again later.";
-        } else if (error.message.includes("API key not valid")) { // More specific check for common API key issue
-             userFacingError = "There's an issue with the API key. Please ensure it's correctly configured on the server.";
-        }
-
-
+        console.error(`Error interacting with ${llm.name} provider or MongoDB:`, error.response ? JSON.stringify(error.response.data, null, 2) : error.message);
+        trackMetric({ botId: req.bot._id, userId, conversationId, question: message, streamed: false, status: "error", error: error.message, startedAt: receivedAt });
         // Fallback message to prevent "Oops!" if all else fails
-        res.status(500).json({ reply: userFacingError });
+        res.status(500).json({ reply: getUserFacingError(error) });
     }
 });
 
 
-// --- TEXT FAQ UPLOAD ROUTE ---
-router.post("/faqs", async (req, res) => {
-    const { title, content } = req.body;
+// --- STREAMING CHAT ROUTE (Server-Sent Events) ---
+// Emits `meta` ({ conversationId }), then one `token` event ({ text }) per generated chunk, and finally
+// `done` ({ reply, conversationId, sources, messageId, cached? }) or `error` ({ reply }). Closing the connection cancels generation;
+// whatever was generated up to that point is still saved. While a support agent has the conversation, `done` carries
+// no reply but { conversationId, messageId, handoff } right after `meta`; the agent answers over the realtime connection.
+router.post("/stream", chatLimits, async (req, res) => {
+    const { message, conversationId, language: requestedLanguage } = req.body;
+    const userId = req.user.id;
+    const usageKeys = usageKeysFor(req.user, req.ip); // Whom the tokens count towards
+    const receivedAt = new Date();
 
-    console.log("Received text FAQ upload request. Title:", title);
+    console.log("Received streaming chat request for userId:", userId, "message:", message);
 
-    if (!title || !content) {
-        console.log("Validation failed: FAQ title or content missing.");
-        return res.status(400).json({ message: "FAQ title and content are required." });
+    const validationError = validateChatRequest(req.body);
+    if (validationError) {
+        console.log("Validation failed:", validationError);
+        return res.status(400).json({ reply: validationError });
     }
 
+    let conversation;
     try {
-        const newFAQ = new FAQ({ title, content });
-        await newFAQ.save();
-        console.log("Text FAQ saved to MongoDB successfully:", newFAQ);
-        res.status(201).json({ message: "Text FAQ uploaded successfully!", faq: newFAQ });
+        conversation = await resolveConversation(userId, conversationId, req.bot);
     } catch (error) {
-        console.error("Error saving text FAQ to MongoDB:", error.message);
-        res.status(500).json({ message: "Failed to upload text FAQ.", error: error.message });
+        console.error("Error loading conversation:", error.message);
+        return res.status(500).json({ reply: getUserFacingError(error) });
+    }
+    if (!conversation) {
+        console.log("Conversation not found for userId:", userId, "conversationId:", conversationId);
+        return res.status(404).json({ reply: "Conversation not found." });
     }
-});
 
-// --- GENERIC FILE FAQ UPLOAD ROUTE ---
-router.post("/upload-file-faq", upload.single('file'), async (req, res) => {
-    const { title } = req.body;
-    const uploadedFile = req.file;
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+    });
+    const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Cancel the upstream request if the client goes away before we finish.
+    const abortController = new AbortController();
+    let clientAborted = false;
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            clientAborted = true;
+            abortController.abort();
+            console.log("Client closed the stream for conversation:", conversation._id.toString());
+        }
+    });
+
+    sendEvent('meta', { conversationId: conversation._id });
+
+    let firstTokenAt = null;
+    try {
+        if (isHandedOff(conversation)) {
+            const userMessage = await addUserMessage(conversation, message, receivedAt);
+            sendEvent('done', { conversationId: conversation._id, messageId: userMessage._id, handoff: conversation.handoff });
+            res.end();
+            return;
+        }
+
+        const settings = await getActiveSettings(req.bot._id);
+        const language = resolveLanguage(message, requestedLanguage);
+        const cacheable = conversation.isNew;
+        const cached = cacheable ? await answerFromCache({ req, settings, conversation, message, language, receivedAt, streamed: true }) : null;
+        if (cached) {
+            // A cached reply arrives as a single token
+            if (!clientAborted) {
+                sendEvent('token', { text: cached.reply });
+                sendEvent('done', { ...cached, conversationId: conversation._id, cached: true });
+                res.end();
+            }
+            return;
+        }
 
-    console.log("Received generic file upload request. Title:", title, "File:", uploadedFile ? uploadedFile.originalname : "No file");
+        const { chat, messages, sources } = await buildChatPrompt(req.bot, settings, conversation, message, language, usageKeys);
 
-    if (!title || !uploadedFile) {
-        console.log("Validation failed: FAQ Title or file missing.");
-        return res.status(400).json({ message: "FAQ title and file are required." });
+        const result = await llm.stream(
+            { messages, temperature: settings.temperature, maxOutputTokens: settings.maxOutputTokens, signal: abortController.signal },
+            (text) => {
+                firstTokenAt = firstTokenAt || Date.now();
+                sendEvent('token', { text });
+            }
+        );
+        const usage = await trackUsage(usageKeys, messages, result);
+
+        let reply = result.text;
+        if (!reply && !clientAborted) {
+            console.error(`${llm.name} provider stream produced no text.`);
+            reply = EMPTY_REPLY_FALLBACK;
+        }
+        console.log("Streamed AI Reply:", reply);
+
+        const citedSources = markCitedSources(sources, reply);
+        let messageId = null;
+        if (reply) {
+            messageId = await saveExchange({ chat, conversation, userId, message, reply, sources: citedSources, language, receivedAt });
+            if (!clientAborted) {
+                captureKnowledgeGap({ userId, conversation, message, sources, reply });
+            }
+            summarizeInBackground({ conversation, chat, settings, usageKeys });
+            if (cacheable && !clientAborted) {
+                cacheReply({ bot: req.bot, settings, message, language, reply, sources: citedSources });
+            }
+        }
+        trackMetric({
+            botId: req.bot._id, userId, conversationId: conversation._id, messageId, question: message, streamed: true,
+            status: clientAborted ? "cancelled" : "ok", startedAt: receivedAt, firstTokenAt, usage, sources: citedSources,
+            cacheHit: cacheable ? false : undefined,
+        });
+        if (!clientAborted) {
+            sendEvent('done', { reply, conversationId: conversation._id, sources: citedSources, messageId });
+            res.end();
+        }
+
+    } catch (error) {
+        if (clientAborted) {
+            console.log("Streaming request cancelled by the client before any reply was generated.");
+            trackMetric({ botId: req.bot._id, userId, conversationId: conversation._id, question: message, streamed: true, status: "cancelled", startedAt: receivedAt, firstTokenAt });
+            return;
+        }
+        trackMetric({ botId: req.bot._id, userId, conversationId: conversation._id, question: message, streamed: true, status: "error", error: error.message, startedAt: receivedAt, firstTokenAt });
+        // Streamed error bodies can't be stringified like regular responses, so only log the status.
+        console.error(`Error streaming from ${llm.name} provider or MongoDB:`, error.response ? `Status ${error.response.status}` : error.message);
+        sendEvent('error', { reply: getUserFacingError(error) });
+        res.end();
     }
+});
+
 
-    let extractedContent = '';
+// --- SETTINGS PREVIEW ROUTE (admin only) ---
+// Body: { question, settings }, where `settings` holds draft chat settings; fields left out keep their saved value.
+// Answers the question with the draft settings as if it were the first message of a conversation, without
+// saving anything, so admins can try out a change before saving it. Usage counts against the admin's quota.
+router.post("/preview", requireRole("admin"), enforceDailyTokenQuota, async (req, res) => {
+    const { question } = req.body;
+    const userId = req.user.id;
+    const usageKeys = usageKeysFor(req.user, req.ip); // Whom the tokens count towards
+
+    console.log("Received chat settings preview request for userId:", userId, "question:", question);
+
+    if (typeof question !== "string" || !question.trim()) {
+        return res.status(400).json({ message: "A test question is required." });
+    }
 
     try {
-        if (uploadedFile.mimetype === 'application/pdf') {
-            try {
-                const data = await pdf(uploadedFile.buffer);
-                extractedContent = data.text;
-                console.log("Text extracted from PDF successfully.");
-            } catch (pdfError) {
-                console.warn("Could not extract text from PDF:", uploadedFile.originalname, pdfError.message);
-                extractedContent = `[Failed to extract text from PDF: ${pdfError.message}]`;
-            }
-        } else if (uploadedFile.mimetype.startsWith('text/')) {
-            extractedContent = uploadedFile.buffer.toString('utf8');
-            console.log("Text extracted from plain text file.");
-        } else {
-            console.log(`No specific text extraction logic for mimetype: ${uploadedFile.mimetype}. Storing basic info.`);
-            extractedContent = `[File uploaded: ${uploadedFile.originalname}, Type: ${uploadedFile.mimetype}, Size: ${uploadedFile.size} bytes]`;
+        const { settings, error: validationError } = validateSettings(req.body.settings || {}, await getActiveSettings(req.bot._id));
+        if (validationError) {
+            console.log("Validation failed:", validationError);
+            return res.status(400).json({ message: validationError });
         }
 
-        const newFAQ = new FAQ({
-            title: title,
-            content: extractedContent,
-        });
-        await newFAQ.save();
-        console.log("File FAQ saved to MongoDB successfully (extracted text/placeholder):", newFAQ);
-        res.status(201).json({ message: "File uploaded and processed successfully!", faq: newFAQ });
+        const { messages, sources } = await buildChatPrompt(req.bot, settings, null, question.trim(), resolveLanguage(question), usageKeys);
+        const result = await llm.generate({ messages, temperature: settings.temperature, maxOutputTokens: settings.maxOutputTokens });
+        const usage = await trackUsage(usageKeys, messages, result);
 
+        const reply = result.text || EMPTY_REPLY_FALLBACK;
+        res.json({ reply, sources: markCitedSources(sources, reply), systemInstruction: messages[0].content, usage });
+    } catch (error) {
+        console.error(`Error previewing chat settings with ${llm.name} provider:`, error.response ? `Status ${error.response.status}` : error.message);
+        res.status(500).json({ message: getUserFacingError(error) });
+    }
+});
+
+
+// --- USAGE ROUTE ---
+// Returns the logged-in user's token usage for today and their daily quota (null when unlimited).
+router.get("/usage", async (req, res) => {
+    try {
+        const usage = await getTodayUsage(req.user.id);
+        res.json({ usage });
     } catch (error) {
-        console.error("Error processing file or saving FAQ:", error.message);
-        res.status(500).json({ message: "Failed to process file or upload FAQ.", error: error.message });
+        console.error("Error fetching token usage:", error.message);
+        res.status(500).json({ message: "Failed to fetch usage.", error: error.message });
     }
 });
 
@@ -0,0 +1,108 @@
+const express = require("express");
+const router = express.Router();
+const ChatSettings = require("../models/ChatSettings");
+const { requireAuth, requireRole } = require("../middleware/auth");
+const {
+    DEFAULT_SETTINGS, SETTINGS_FIELDS, validateSettings, validateNote, getActiveSettings, isSameSettings, saveSettings,
+} = require("../services/chatSettings");
+
+// Page size limits for the version history
+const DEFAULT_VERSIONS_PAGE_SIZE = 20;
+const MAX_VERSIONS_PAGE_SIZE = 100;
+
+// Chat settings of `req.bot` (see middleware/bot.js) are managed by admins only. Test a draft with
+// POST /api/chat/preview before saving it.
+router.use(requireAuth, requireRole("admin"));
+
+// --- GET SETTINGS ROUTE ---
+// Returns the active settings (version 0 means the defaults are in use) and the defaults, so the admin
+// screen can offer to reset to them.
+router.get("/", async (req, res) => {
+    try {
+        const settings = await getActiveSettings(req.bot._id);
+        res.json({ settings, defaults: DEFAULT_SETTINGS });
+    } catch (error) {
+        console.error("Error fetching chat settings:", error.message);
+        res.status(500).json({ message: "Failed to fetch chat settings.", error: error.message });
+    }
+});
+
+// --- SAVE SETTINGS ROUTE ---
+// Body: any of the settings fields (see services/chatSettings.js) and an optional `note`. Fields left out keep
+// their current value. Saves a new version, which applies to the bot's next reply.
+router.put("/", async (req, res) => {
+    console.log("Received save chat settings request for bot:", req.bot._id.toString());
+
+    const noteError = validateNote(req.body.note);
+    if (noteError) {
+        return res.status(400).json({ message: noteError });
+    }
+
+    try {
+        const active = await getActiveSettings(req.bot._id);
+        const { settings, error: validationError } = validateSettings(req.body, active);
+        if (validationError) {
+            console.log("Validation failed:", validationError);
+            return res.status(400).json({ message: validationError });
+        }
+        if (isSameSettings(settings, active)) {
+            return res.json({ message: "No changes to save.", settings: active });
+        }
+
+        const version = await saveSettings(req.bot._id, settings, req.user, { note: req.body.note || undefined });
+        res.json({ message: "Chat settings saved successfully!", settings: version });
+    } catch (error) {
+        console.error("Error saving chat settings:", error.message);
+        res.status(500).json({ message: "Failed to save chat settings.", error: error.message });
+    }
+});
+
+// --- SETTINGS VERSIONS ROUTE (paginated, newest first) ---
+// Query params: `limit` (page size) and `before` (version number cursor from a previous page's `nextCursor`).
+router.get("/versions", async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_VERSIONS_PAGE_SIZE, 1), MAX_VERSIONS_PAGE_SIZE);
+    const before = req.query.before !== undefined ? parseInt(req.query.before, 10) : null;
+
+    if (before !== null && isNaN(before)) {
+        return res.status(400).json({ message: "Invalid 'before' cursor. Expected a version number." });
+    }
+
+    try {
+        const page = await ChatSettings.find({ botId: req.bot._id, ...(before !== null && { version: { $lt: before } }) })
+            .sort({ version: -1 })
+            .limit(limit + 1);
+
+        const hasMore = page.length > limit;
+        const versions = page.slice(0, limit);
+        res.json({ versions, hasMore, nextCursor: hasMore ? versions[versions.length - 1].version : null });
+    } catch (error) {
+        console.error("Error fetching chat settings versions:", error.message);
+        res.status(500).json({ message: "Failed to fetch chat settings versions.", error: error.message });
+    }
+});
+
+// --- RESTORE SETTINGS VERSION ROUTE ---
+// Saves the settings of an earlier version as a new version, so the history stays intact.
+router.post("/versions/:version/restore", async (req, res) => {
+    const versionNumber = parseInt(req.params.version, 10);
+    console.log("Received restore chat settings request for bot:", req.bot._id.toString(), "version:", req.params.version);
+
+    try {
+        const source = await ChatSettings.findOne({ botId: req.bot._id, version: versionNumber }).lean();
+        if (!source) {
+            return res.status(404).json({ message: "Settings version not found." });
+        }
+
+        const settings = {};
+        SETTINGS_FIELDS.forEach(field => {
+            settings[field] = source[field];
+        });
+        const version = await saveSettings(req.bot._id, settings, req.user, { restoredFrom: source.version, note: `Restored version ${source.version}` });
+        res.json({ message: "Chat settings restored successfully!", settings: version });
+    } catch (error) {
+        console.error("Error restoring chat settings:", error.message);
+        res.status(500).json({ message: "Failed to restore chat settings.", error: error.message });
+    }
+});
+
+module.exports = router;
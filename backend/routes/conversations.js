@@ -0,0 +1,227 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Conversation = require("../models/Conversation");
+const Chat = require("../models/Chat");
+const ArchivedMessage = require("../models/ArchivedMessage");
+const { requireAuth } = require("../middleware/auth");
+const { getMessagePage, parseCursor } = require("../services/messageHistory");
+const { isHandedOff, requestHandoff, closeHandoff, MAX_REASON_LENGTH } = require("../services/handoff");
+
+// Page size limits for the conversation history endpoint
+const DEFAULT_HISTORY_PAGE_SIZE = 20;
+const MAX_HISTORY_PAGE_SIZE = 100;
+
+// Loads a conversation by id, making sure it belongs to the given user and bot.
+const findUserConversation = async (id, userId, botId) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return null;
+    }
+    return Conversation.findOne({ _id: id, userId, botId });
+};
+
+// Attaches a chat created before conversations existed (one Chat per user, no conversationId) to a new
+// conversation so its messages stay reachable from the sidebar. Such chats predate bots, so they go to the
+// default bot. The chat is claimed atomically, so concurrent requests don't adopt it twice.
+const adoptLegacyChat = async (userId, botId) => {
+    const legacyChat = await Chat.exists({ userId, conversationId: { $exists: false } });
+    if (!legacyChat) {
+        return;
+    }
+
+    const conversation = new Conversation({ userId, botId, title: "Earlier conversation" });
+    await conversation.save();
+    const adopted = await Chat.findOneAndUpdate({ _id: legacyChat._id, conversationId: { $exists: false } }, { $set: { conversationId: conversation._id } });
+    if (!adopted) {
+        await conversation.deleteOne(); // Adopted by a concurrent request
+        return;
+    }
+    console.log("Adopted legacy chat into conversation:", conversation._id.toString());
+};
+
+// Conversations always belong to the logged-in user; the user ID comes from the token. Each route only sees
+// the conversations with `req.bot` (see middleware/bot.js).
+router.use(requireAuth);
+
+// --- CREATE CONVERSATION ROUTE ---
+router.post("/", async (req, res) => {
+    const { title } = req.body;
+    const userId = req.user.id;
+
+    console.log("Received create conversation request for userId:", userId);
+
+    try {
+        const conversation = new Conversation({ userId, botId: req.bot._id, ...(title && title.trim() && { title: title.trim() }) });
+        await conversation.save();
+        console.log("Conversation created:", conversation._id.toString());
+        res.status(201).json({ message: "Conversation created successfully!", conversation });
+    } catch (error) {
+        console.error("Error creating conversation:", error.message);
+        res.status(500).json({ message: "Failed to create conversation.", error: error.message });
+    }
+});
+
+// --- LIST CONVERSATIONS ROUTE ---
+// Query params: `archived` ("true" to list archived conversations instead).
+router.get("/", async (req, res) => {
+    const userId = req.user.id;
+    const archived = req.query.archived === "true";
+
+    try {
+        if (req.bot.isDefault) {
+            await adoptLegacyChat(userId, req.bot._id);
+        }
+        const conversations = await Conversation.find({ userId, botId: req.bot._id, archived }).sort({ updatedAt: -1 });
+        console.log(`Fetched ${conversations.length} conversations for userId:`, userId);
+        res.json({ conversations });
+    } catch (error) {
+        console.error("Error fetching conversations:", error.message);
+        res.status(500).json({ message: "Failed to fetch conversations.", error: error.message });
+    }
+});
+
+// --- RENAME / ARCHIVE CONVERSATION ROUTE ---
+router.patch("/:id", async (req, res) => {
+    const { title, archived } = req.body;
+    const userId = req.user.id;
+
+    console.log("Received update conversation request:", req.params.id);
+
+    if (title === undefined && archived === undefined) {
+        console.log("Validation failed: nothing to update.");
+        return res.status(400).json({ message: "Provide a title or an archived flag to update." });
+    }
+    if (title !== undefined && (typeof title !== "string" || !title.trim())) {
+        console.log("Validation failed: empty conversation title.");
+        return res.status(400).json({ message: "Conversation title cannot be empty." });
+    }
+
+    try {
+        const conversation = await findUserConversation(req.params.id, userId, req.bot._id);
+        if (!conversation) {
+            return res.status(404).json({ message: "Conversation not found." });
+        }
+
+        if (title !== undefined) {
+            conversation.title = title.trim();
+        }
+        if (archived !== undefined) {
+            conversation.archived = Boolean(archived);
+        }
+        await conversation.save();
+        console.log("Conversation updated:", conversation._id.toString());
+        res.json({ message: "Conversation updated successfully!", conversation });
+    } catch (error) {
+        console.error("Error updating conversation:", error.message);
+        res.status(500).json({ message: "Failed to update conversation.", error: error.message });
+    }
+});
+
+// --- DELETE CONVERSATION ROUTE ---
+// Removes the conversation together with its messages, including archived ones.
+router.delete("/:id", async (req, res) => {
+    const userId = req.user.id;
+
+    console.log("Received delete conversation request:", req.params.id);
+
+    try {
+        const conversation = await findUserConversation(req.params.id, userId, req.bot._id);
+        if (!conversation) {
+            return res.status(404).json({ message: "Conversation not found." });
+        }
+
+        await Chat.deleteOne({ conversationId: conversation._id });
+        await ArchivedMessage.deleteMany({ conversationId: conversation._id });
+        await conversation.deleteOne();
+        console.log("Conversation deleted:", conversation._id.toString());
+        res.json({ message: "Conversation deleted successfully!" });
+    } catch (error) {
+        console.error("Error deleting conversation:", error.message);
+        res.status(500).json({ message: "Failed to delete conversation.", error: error.message });
+    }
+});
+
+// --- ESCALATE CONVERSATION ROUTE ---
+// Body: { reason? }. Hands the conversation over to a human agent (see services/handoff.js). The bot stops
+// answering until the handoff is closed.
+router.post("/:id/escalate", async (req, res) => {
+    const { reason } = req.body;
+    const userId = req.user.id;
+
+    console.log("Received escalate conversation request:", req.params.id);
+
+    if (reason !== undefined && reason !== null && (typeof reason !== "string" || reason.length > MAX_REASON_LENGTH)) {
+        console.log("Validation failed: invalid escalation reason.");
+        return res.status(400).json({ message: `Reason must be text of at most ${MAX_REASON_LENGTH} characters.` });
+    }
+
+    try {
+        const conversation = await findUserConversation(req.params.id, userId, req.bot._id);
+        if (!conversation) {
+            return res.status(404).json({ message: "Conversation not found." });
+        }
+        if (isHandedOff(conversation)) {
+            return res.status(409).json({ message: "This conversation is already with a support agent.", handoff: conversation.handoff });
+        }
+
+        const handoff = await requestHandoff(conversation, reason && reason.trim());
+        res.json({ message: "Conversation escalated successfully! A support agent will join shortly.", handoff });
+    } catch (error) {
+        console.error("Error escalating conversation:", error.message);
+        res.status(500).json({ message: "Failed to escalate conversation.", error: error.message });
+    }
+});
+
+// --- RETURN TO BOT ROUTE ---
+// Ends the conversation's handoff, whether or not an agent has claimed it yet, so the bot answers again.
+router.post("/:id/return-to-bot", async (req, res) => {
+    const userId = req.user.id;
+
+    console.log("Received return to bot request:", req.params.id);
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Conversation not found." });
+    }
+
+    try {
+        const conversation = await closeHandoff({ _id: req.params.id, userId, botId: req.bot._id }, "user");
+        if (!conversation) {
+            return res.status(404).json({ message: "No open handoff found for this conversation." });
+        }
+        res.json({ message: "Conversation returned to the assistant successfully!", handoff: conversation.handoff });
+    } catch (error) {
+        console.error("Error returning conversation to the bot:", error.message);
+        res.status(500).json({ message: "Failed to return conversation to the assistant.", error: error.message });
+    }
+});
+
+// --- CONVERSATION HISTORY ROUTE (paginated, newest first) ---
+// Query params: `limit` (page size) and `before` (cursor from a previous page's `nextCursor`).
+router.get("/:id/messages", async (req, res) => {
+    const userId = req.user.id;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_HISTORY_PAGE_SIZE, 1), MAX_HISTORY_PAGE_SIZE);
+    const before = req.query.before ? parseCursor(req.query.before) : null;
+
+    if (req.query.before && !before) {
+        console.log("Validation failed: invalid history cursor:", req.query.before);
+        return res.status(400).json({ message: "Invalid 'before' cursor. Use the 'nextCursor' of a previous page." });
+    }
+
+    try {
+        const conversation = await findUserConversation(req.params.id, userId, req.bot._id);
+        if (!conversation) {
+            return res.status(404).json({ message: "Conversation not found." });
+        }
+
+        const { messages, hasMore, nextCursor } = await getMessagePage(conversation._id, { limit, before });
+
+        console.log(`Fetched ${messages.length} history messages for conversation:`, conversation._id.toString());
+        // The handoff tells the client whether a human agent has the conversation (see services/handoff.js)
+        res.json({ messages, hasMore, nextCursor, handoff: conversation.handoff });
+    } catch (error) {
+        console.error("Error fetching conversation history from MongoDB:", error.message);
+        res.status(500).json({ message: "Failed to fetch chat history.", error: error.message });
+    }
+});
+
+module.exports = router;
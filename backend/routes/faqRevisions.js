@@ -0,0 +1,176 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const FAQRevision = require("../models/FAQRevision");
+const retrieval = require("../services/retrieval");
+const { diffRevisions, restoreRevision, getFaqsAsOf } = require("../services/faqRevisions");
+const { parseCursor, encodeCursor, olderThan } = require("../services/messageHistory");
+const { requireAuth, requireRole } = require("../middleware/auth");
+
+// Page size limits for the revision timeline
+const DEFAULT_TIMELINE_PAGE_SIZE = 30;
+const MAX_TIMELINE_PAGE_SIZE = 100;
+
+// Fields returned in revision lists; full content is only sent for single revisions.
+const REVISION_SUMMARY_FIELDS = "faqId version action restoredFrom title tags author createdAt";
+
+// Loads one revision of one of the bot's FAQs, or null if the id or version is invalid.
+const findRevision = async (botId, faqId, version) => {
+    const versionNumber = parseInt(version, 10);
+    if (!mongoose.isValidObjectId(faqId) || !versionNumber) {
+        return null;
+    }
+    return FAQRevision.findOne({ botId, faqId, version: versionNumber });
+};
+
+// Revision history is an admin tool. Applied per route rather than with router.use, because this router
+// shares the /api/faqs prefix and would otherwise guard every FAQ request.
+const requireAdmin = [requireAuth, requireRole("admin")];
+
+// --- REVISION TIMELINE ROUTE (all of the bot's FAQs, newest first) ---
+// Query params: `limit` and `before` (cursor from a previous page's `nextCursor`). Revisions saved in the same
+// millisecond (e.g. by a bulk import) are told apart by their id, like message history pages (see messageHistory.js).
+router.get("/revisions", requireAdmin, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_TIMELINE_PAGE_SIZE, 1), MAX_TIMELINE_PAGE_SIZE);
+    const before = req.query.before ? parseCursor(req.query.before) : null;
+
+    if (req.query.before && !before) {
+        return res.status(400).json({ message: "Invalid 'before' cursor. Use the 'nextCursor' of a previous page." });
+    }
+
+    try {
+        const page = await FAQRevision.find({ botId: req.bot._id, ...(before && olderThan(before, "createdAt")) })
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(limit + 1)
+            .select(REVISION_SUMMARY_FIELDS)
+            .lean();
+        const hasMore = page.length > limit;
+        const revisions = page.slice(0, limit);
+        res.json({ revisions, hasMore, nextCursor: hasMore ? encodeCursor(revisions[revisions.length - 1], "createdAt") : null });
+    } catch (error) {
+        console.error("Error fetching revision timeline:", error.message);
+        res.status(500).json({ message: "Failed to fetch revisions.", error: error.message });
+    }
+});
+
+// --- FAQS AS OF A DATE ROUTE ---
+// Query params: `date` (ISO timestamp). Returns the full content of every FAQ that existed at that moment,
+// i.e. exactly what the bot could draw on then.
+router.get("/revisions/as-of", requireAdmin, async (req, res) => {
+    const date = new Date(req.query.date);
+    if (!req.query.date || isNaN(date.getTime())) {
+        return res.status(400).json({ message: "A valid 'date' (ISO timestamp) is required." });
+    }
+
+    try {
+        const faqs = await getFaqsAsOf(date, req.bot._id);
+        console.log(`Reconstructed ${faqs.length} FAQs as of ${date.toISOString()}.`);
+        res.json({ date, faqs });
+    } catch (error) {
+        console.error("Error reconstructing FAQs as of date:", error.message);
+        res.status(500).json({ message: "Failed to reconstruct FAQs.", error: error.message });
+    }
+});
+
+// --- FAQ REVISIONS ROUTE (newest first) ---
+// Works for deleted FAQs too, since revisions outlive the FAQ.
+router.get("/:id/revisions", requireAdmin, async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "FAQ not found." });
+    }
+
+    try {
+        const revisions = await FAQRevision.find({ botId: req.bot._id, faqId: req.params.id })
+            .sort({ version: -1 })
+            .select(REVISION_SUMMARY_FIELDS)
+            .lean();
+        if (revisions.length === 0) {
+            return res.status(404).json({ message: "No revisions found for this FAQ." });
+        }
+        res.json({ revisions });
+    } catch (error) {
+        console.error("Error fetching FAQ revisions:", error.message);
+        res.status(500).json({ message: "Failed to fetch revisions.", error: error.message });
+    }
+});
+
+// --- GET REVISION ROUTE (full snapshot) ---
+router.get("/:id/revisions/:version", requireAdmin, async (req, res) => {
+    try {
+        const revision = await findRevision(req.bot._id, req.params.id, req.params.version);
+        if (!revision) {
+            return res.status(404).json({ message: "Revision not found." });
+        }
+        res.json({ revision });
+    } catch (error) {
+        console.error("Error fetching FAQ revision:", error.message);
+        res.status(500).json({ message: "Failed to fetch revision.", error: error.message });
+    }
+});
+
+// --- DIFF REVISIONS ROUTE ---
+// Query params: `from` and `to` (versions). `from` defaults to the version before `to`, and `to` to the latest.
+router.get("/:id/diff", requireAdmin, async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "FAQ not found." });
+    }
+
+    try {
+        const latest = await FAQRevision.findOne({ botId: req.bot._id, faqId: req.params.id }).sort({ version: -1 }).select("version").lean();
+        if (!latest) {
+            return res.status(404).json({ message: "No revisions found for this FAQ." });
+        }
+        const toVersion = parseInt(req.query.to, 10) || latest.version;
+        const fromVersion = parseInt(req.query.from, 10) || Math.max(toVersion - 1, 1);
+
+        const [from, to] = await Promise.all([
+            findRevision(req.bot._id, req.params.id, fromVersion),
+            findRevision(req.bot._id, req.params.id, toVersion),
+        ]);
+        if (!from || !to) {
+            return res.status(404).json({ message: "Revision not found." });
+        }
+
+        res.json({
+            from: { version: from.version, action: from.action, author: from.author, createdAt: from.createdAt },
+            to: { version: to.version, action: to.action, author: to.author, createdAt: to.createdAt },
+            diff: diffRevisions(from, to),
+        });
+    } catch (error) {
+        console.error("Error diffing FAQ revisions:", error.message);
+        res.status(500).json({ message: "Failed to compare revisions.", error: error.message });
+    }
+});
+
+// --- RESTORE REVISION ROUTE ---
+// Makes the FAQ match the given revision (re-creating it if it was deleted). The restore is itself a new revision.
+router.post("/:id/revisions/:version/restore", requireAdmin, async (req, res) => {
+    console.log("Received FAQ restore request:", req.params.id, "version:", req.params.version);
+
+    try {
+        const source = await findRevision(req.bot._id, req.params.id, req.params.version);
+        if (!source) {
+            return res.status(404).json({ message: "Revision not found." });
+        }
+        if (source.action === "delete") {
+            return res.status(400).json({ message: "A delete revision can't be restored. Restore the version before it instead." });
+        }
+
+        const { faq, revision } = await restoreRevision(source, req.user);
+        const indexError = await retrieval.tryIndexFaq(faq);
+        console.log(`FAQ ${faq._id} restored to version ${source.version}.`);
+        res.json({
+            message: indexError
+                ? `FAQ restored to version ${source.version}, but it can't be found by the chat yet. Save it again to retry.`
+                : `FAQ restored to version ${source.version} successfully!`,
+            faq,
+            revision,
+            ...(indexError && { indexError }),
+        });
+    } catch (error) {
+        console.error("Error restoring FAQ revision:", error.message);
+        res.status(500).json({ message: "Failed to restore revision.", error: error.message });
+    }
+});
+
+module.exports = router;
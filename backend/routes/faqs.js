@@ -0,0 +1,457 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const multer = require('multer');
+const FAQ = require("../models/FAQ");
+const retrieval = require("../services/retrieval");
+const faqTransfer = require("../services/faqTransfer");
+const { extractFile, SUPPORTED_EXTENSIONS } = require("../services/extractors");
+const { recordChange, ensureBaselineRevision } = require("../services/faqRevisions");
+const { DEFAULT_LANGUAGE, validateLanguage, detectFaqLanguage } = require("../services/language");
+const { requireAuth, requireRole } = require("../middleware/auth");
+
+const upload = multer({ storage: multer.memoryStorage() });
+
+// Bulk import files are parsed in memory, so cap their size.
+const MAX_IMPORT_FILE_BYTES = 20 * 1024 * 1024;
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_IMPORT_FILE_BYTES } });
+
+// Runs the import upload, answering with JSON instead of Express's default error page when the file is rejected.
+const acceptImportFile = (req, res, next) => {
+    importUpload.single('file')(req, res, (error) => {
+        if (error) {
+            console.log("Rejected import upload:", error.message);
+            const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+            return res.status(tooLarge ? 413 : 400).json({
+                message: tooLarge ? `Import files can be at most ${MAX_IMPORT_FILE_BYTES / (1024 * 1024)} MB.` : "Invalid import upload.",
+                error: error.message,
+            });
+        }
+        next();
+    });
+};
+
+// How an import treats rows whose title matches an existing FAQ
+const ON_EXISTING_OPTIONS = ["error", "skip", "update"];
+
+// Page size limits and sortable fields for the FAQ list endpoint
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const SORTABLE_FIELDS = ["title", "createdAt", "updatedAt"];
+
+// Length of the content preview returned by the list endpoint
+const CONTENT_PREVIEW_LENGTH = 200;
+
+// Reply when an FAQ change was saved but indexing it for retrieval failed (see retrieval.tryIndexFaq)
+const NOT_SEARCHABLE_MESSAGE = "The FAQ was saved, but it can't be found by the chat yet. Save it again to retry.";
+
+// Escapes user input for use inside a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Any logged-in user can read FAQs (e.g. to open a cited source); changes are limited to admins.
+// Every route works on the FAQs of `req.bot` (see middleware/bot.js).
+router.use(requireAuth);
+const requireAdmin = requireRole("admin");
+
+// --- LIST FAQS ROUTE (paginated, searchable, sortable) ---
+// Query params: `page` (1-based), `limit`, `q` (matches title or content), `language` (a language code), `sort`
+// (title, createdAt or updatedAt) and `order` (asc or desc). List entries carry a content preview instead of the full text.
+router.get("/", async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const sort = SORTABLE_FIELDS.includes(req.query.sort) ? req.query.sort : "createdAt";
+    const order = req.query.order === "asc" ? 1 : -1;
+    const search = (req.query.q || "").trim();
+    const language = req.query.language;
+
+    const languageError = validateLanguage(language);
+    if (languageError) {
+        return res.status(400).json({ message: languageError });
+    }
+
+    const filter = {
+        botId: req.bot._id,
+        // FAQs saved before languages existed have none and are English
+        ...(language && { language: language === DEFAULT_LANGUAGE ? { $in: [DEFAULT_LANGUAGE, null] } : language }),
+        ...(search && { $or: [{ title: { $regex: escapeRegex(search), $options: "i" } }, { content: { $regex: escapeRegex(search), $options: "i" } }] }),
+    };
+
+    try {
+        const [faqs, total] = await Promise.all([
+            FAQ.aggregate([
+                { $match: filter },
+                { $sort: { [sort]: order, _id: order } },
+                { $skip: (page - 1) * limit },
+                { $limit: limit },
+                {
+                    $project: {
+                        title: 1,
+                        sourceFileName: 1,
+                        tags: 1,
+                        language: { $ifNull: ["$language", DEFAULT_LANGUAGE] },
+                        createdAt: 1,
+                        updatedAt: 1,
+                        contentPreview: { $substrCP: ["$content", 0, CONTENT_PREVIEW_LENGTH] },
+                        contentLength: { $strLenCP: "$content" }
+                    }
+                }
+            ]),
+            FAQ.countDocuments(filter)
+        ]);
+
+        console.log(`Fetched ${faqs.length} of ${total} FAQs (page ${page}).`);
+        res.json({ faqs, total, page, totalPages: Math.max(Math.ceil(total / limit), 1) });
+    } catch (error) {
+        console.error("Error listing FAQs from MongoDB:", error.message);
+        res.status(500).json({ message: "Failed to fetch FAQs.", error: error.message });
+    }
+});
+
+// --- EXPORT FAQS ROUTE ---
+// Query params: `format` (csv, json or markdown). Downloads every FAQ in a file the import route accepts.
+router.get("/export", requireAdmin, async (req, res) => {
+    const format = req.query.format || "json";
+
+    console.log("Received FAQ export request. Format:", format);
+
+    if (!faqTransfer.FORMATS.includes(format)) {
+        return res.status(400).json({ message: `Unsupported export format. Use one of: ${faqTransfer.FORMATS.join(", ")}.` });
+    }
+
+    try {
+        const faqs = await FAQ.find({ botId: req.bot._id }, { title: 1, content: 1, tags: 1, language: 1, sourceFileName: 1 }).sort({ createdAt: 1, _id: 1 }).lean();
+        const { body, contentType, extension } = faqTransfer.exportFaqs(format, faqs);
+        const fileName = `${req.bot.slug}-faqs-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+        console.log(`Exported ${faqs.length} FAQs as ${format}.`);
+        res.set("Content-Type", contentType);
+        res.set("Content-Disposition", `attachment; filename="${fileName}"`);
+        res.send(body);
+    } catch (error) {
+        console.error("Error exporting FAQs:", error.message);
+        res.status(500).json({ message: "Failed to export FAQs.", error: error.message });
+    }
+});
+
+// --- BULK IMPORT FAQS ROUTE ---
+// Multipart upload with a `file` field. Query params:
+//   `format`     - csv, json or markdown (a .zip bundle or single .md file); detected from the file name if omitted
+//   `mode`       - "dry-run" (default) only validates; "commit" also saves the valid rows
+//   `onExisting` - what to do when a title matches an existing FAQ: "error" (default), "skip" or "update"
+// Every row is validated; invalid rows are listed in `errors` and never saved, even in commit mode.
+router.post("/import", requireAdmin, acceptImportFile, async (req, res) => {
+    const uploadedFile = req.file;
+    const commit = req.query.mode === "commit";
+    const onExisting = req.query.onExisting || "error";
+
+    console.log("Received FAQ import request. File:", uploadedFile ? uploadedFile.originalname : "No file", "Mode:", commit ? "commit" : "dry-run");
+
+    if (!uploadedFile) {
+        return res.status(400).json({ message: "An import file is required." });
+    }
+    if (!ON_EXISTING_OPTIONS.includes(onExisting)) {
+        return res.status(400).json({ message: `Invalid onExisting option. Use one of: ${ON_EXISTING_OPTIONS.join(", ")}.` });
+    }
+    const format = faqTransfer.detectFormat(req.query.format, uploadedFile.originalname);
+    if (!format) {
+        return res.status(400).json({ message: `Unsupported import format. Use one of: ${faqTransfer.FORMATS.join(", ")}.` });
+    }
+
+    let rows;
+    try {
+        rows = faqTransfer.parseImportFile(format, uploadedFile.buffer, uploadedFile.originalname);
+    } catch (parseError) {
+        console.log("Could not parse import file:", parseError.message);
+        return res.status(400).json({ message: `Could not read the ${format} file: ${parseError.message}` });
+    }
+
+    try {
+        // Titles identify FAQs across systems, so they must be unique within the file and (unless updating) the bot's FAQs.
+        const existing = await FAQ.find({ botId: req.bot._id }, { title: 1 }).lean();
+        const existingByTitle = new Map(existing.map(faq => [faq.title.trim().toLowerCase(), faq._id]));
+        const seenTitles = new Map(); // lower-cased title -> first row using it
+
+        const errors = [];
+        const accepted = []; // { row, faq, existingId }
+        let skipped = 0;
+
+        rows.forEach(({ row, source, data, problems = [] }) => {
+            const { faq, errors: validationErrors } = faqTransfer.validateRow(data);
+            const rowErrors = [...problems, ...validationErrors];
+            const title = faq ? faq.title : (data && typeof data.title === "string" ? data.title.trim() : "");
+
+            if (faq) {
+                const key = faq.title.toLowerCase();
+                if (seenTitles.has(key)) {
+                    rowErrors.push(`Duplicate title; also used by row ${seenTitles.get(key)}.`);
+                } else {
+                    seenTitles.set(key, row);
+                }
+                if (existingByTitle.has(key) && onExisting === "error") {
+                    rowErrors.push("An FAQ with this title already exists.");
+                }
+            }
+
+            if (rowErrors.length) {
+                errors.push({ row, source, title, errors: rowErrors });
+            } else if (existingByTitle.has(faq.title.toLowerCase()) && onExisting === "skip") {
+                skipped += 1;
+            } else {
+                accepted.push({ row, source, faq, existingId: existingByTitle.get(faq.title.toLowerCase()) });
+            }
+        });
+
+        let created = 0;
+        let updated = 0;
+        if (commit) {
+            for (const { row, source, faq, existingId } of accepted) {
+                try {
+                    let saved;
+                    if (existingId) {
+                        saved = await FAQ.findById(existingId);
+                        await ensureBaselineRevision(saved);
+                        Object.assign(saved, faq);
+                        await recordChange(saved, "update", req.user, () => saved.save());
+                        updated += 1;
+                    } else {
+                        saved = new FAQ({ ...faq, botId: req.bot._id });
+                        await recordChange(saved, "create", req.user, () => saved.save());
+                        created += 1;
+                    }
+                    const indexError = await retrieval.tryIndexFaq(saved);
+                    if (indexError) {
+                        errors.push({ row, source, title: faq.title, errors: [`Saved, but not searchable yet: ${indexError}. Save the FAQ again to retry.`] });
+                    }
+                } catch (saveError) {
+                    console.error(`Error saving imported FAQ from row ${row}:`, saveError.message);
+                    errors.push({ row, source, title: faq.title, errors: [`Could not be saved: ${saveError.message}`] });
+                }
+            }
+        }
+        errors.sort((a, b) => a.row - b.row);
+
+        const summary = {
+            format,
+            mode: commit ? "commit" : "dry-run",
+            total: rows.length,
+            valid: accepted.length + skipped,
+            invalid: errors.length,
+            skipped,
+            toCreate: accepted.filter(item => !item.existingId).length,
+            toUpdate: accepted.filter(item => item.existingId).length,
+            created,
+            updated,
+            errors,
+        };
+        console.log(`FAQ import ${summary.mode}: ${rows.length} rows, ${accepted.length} accepted, ${skipped} skipped, ${errors.length} with errors.`);
+        res.json({
+            message: commit ? `Imported ${created + updated} FAQs successfully!` : "Dry run complete. No FAQs were saved.",
+            ...summary,
+        });
+    } catch (error) {
+        console.error("Error importing FAQs:", error.message);
+        res.status(500).json({ message: "Failed to import FAQs.", error: error.message });
+    }
+});
+
+// --- GET FAQ ROUTE ---
+router.get("/:id", async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "FAQ not found." });
+    }
+
+    try {
+        const faq = await FAQ.findOne({ _id: req.params.id, botId: req.bot._id });
+        if (!faq) {
+            return res.status(404).json({ message: "FAQ not found." });
+        }
+        res.json({ faq });
+    } catch (error) {
+        console.error("Error fetching FAQ from MongoDB:", error.message);
+        res.status(500).json({ message: "Failed to fetch FAQ.", error: error.message });
+    }
+});
+
+// --- TEXT FAQ UPLOAD ROUTE ---
+// Body: { title, content, tags, language }. The language is detected from the text when left out.
+router.post("/", requireAdmin, async (req, res) => {
+    const { title, content, tags, language } = req.body;
+
+    console.log("Received text FAQ upload request. Title:", title);
+
+    if (typeof title !== "string" || typeof content !== "string" || !title.trim() || !content.trim()) {
+        console.log("Validation failed: FAQ title or content missing.");
+        return res.status(400).json({ message: "FAQ title and content are required." });
+    }
+    const languageError = validateLanguage(language);
+    if (languageError) {
+        console.log("Validation failed:", languageError);
+        return res.status(400).json({ message: languageError });
+    }
+
+    try {
+        const newFAQ = new FAQ({
+            botId: req.bot._id,
+            title,
+            content,
+            tags: faqTransfer.normalizeTags(tags),
+            language: language || detectFaqLanguage(title, content),
+        });
+        await recordChange(newFAQ, "create", req.user, () => newFAQ.save());
+        const indexError = await retrieval.tryIndexFaq(newFAQ);
+        console.log("Text FAQ saved to MongoDB successfully:", newFAQ);
+        res.status(201).json({
+            message: indexError ? NOT_SEARCHABLE_MESSAGE : "Text FAQ uploaded successfully!",
+            faq: newFAQ,
+            ...(indexError && { indexError }),
+        });
+    } catch (error) {
+        console.error("Error saving text FAQ to MongoDB:", error.message);
+        res.status(500).json({ message: "Failed to upload text FAQ.", error: error.message });
+    }
+});
+
+// --- GENERIC FILE FAQ UPLOAD ROUTE ---
+// Multipart upload with `file`, `title` and optionally `language` fields. The language is detected from the
+// extracted text when left out.
+router.post("/upload", requireAdmin, upload.single('file'), async (req, res) => {
+    const { title, language } = req.body;
+    const uploadedFile = req.file;
+
+    console.log("Received generic file upload request. Title:", title, "File:", uploadedFile ? uploadedFile.originalname : "No file");
+
+    if (!title || !uploadedFile) {
+        console.log("Validation failed: FAQ Title or file missing.");
+        return res.status(400).json({ message: "FAQ title and file are required." });
+    }
+    const languageError = validateLanguage(language);
+    if (languageError) {
+        console.log("Validation failed:", languageError);
+        return res.status(400).json({ message: languageError });
+    }
+
+    try {
+        // The file type is sniffed from the file itself; anything without an extractor is rejected rather
+        // than stored as placeholder text that would later be fed to the model as knowledge.
+        let extracted;
+        try {
+            extracted = await extractFile(uploadedFile);
+        } catch (extractError) {
+            console.warn("Could not extract text from file:", uploadedFile.originalname, extractError.message);
+            return res.status(422).json({ message: `Could not read "${uploadedFile.originalname}". The file may be corrupt or password-protected.`, error: extractError.message });
+        }
+        if (!extracted) {
+            console.log(`Rejected unsupported file: ${uploadedFile.originalname} (${uploadedFile.mimetype}).`);
+            return res.status(415).json({ message: `Unsupported file type. Supported files: ${SUPPORTED_EXTENSIONS.join(", ")}.` });
+        }
+        if (!extracted.content.trim()) {
+            console.log("No text found in uploaded file:", uploadedFile.originalname);
+            return res.status(422).json({ message: `No text could be extracted from "${uploadedFile.originalname}".` });
+        }
+        console.log(`Extracted ${extracted.content.length} characters from ${extracted.label} file${extracted.pageOffsets ? ` (${extracted.pageOffsets.length} ${extracted.segmentType}s)` : ""}.`);
+
+        const newFAQ = new FAQ({
+            botId: req.bot._id,
+            title: title,
+            content: extracted.content,
+            pageOffsets: extracted.pageOffsets,
+            segmentType: extracted.segmentType,
+            sourceFileName: uploadedFile.originalname,
+            language: language || detectFaqLanguage(title, extracted.content),
+        });
+        await recordChange(newFAQ, "create", req.user, () => newFAQ.save());
+        const indexError = await retrieval.tryIndexFaq(newFAQ);
+        console.log("File FAQ saved to MongoDB successfully:", newFAQ._id.toString());
+        res.status(201).json({
+            message: indexError ? NOT_SEARCHABLE_MESSAGE : "File uploaded and processed successfully!",
+            faq: newFAQ,
+            ...(indexError && { indexError }),
+        });
+
+    } catch (error) {
+        console.error("Error processing file or saving FAQ:", error.message);
+        res.status(500).json({ message: "Failed to process file or upload FAQ.", error: error.message });
+    }
+});
+
+// --- UPDATE FAQ ROUTE ---
+// Body: any of { title, content, tags, language }. Changing the content without giving a language detects it again.
+router.put("/:id", requireAdmin, async (req, res) => {
+    const { title, content, tags, language } = req.body;
+
+    console.log("Received FAQ update request:", req.params.id);
+
+    if (title === undefined && content === undefined && tags === undefined && language === undefined) {
+        console.log("Validation failed: nothing to update.");
+        return res.status(400).json({ message: "Provide a title, content, tags or language to update." });
+    }
+    if ((title !== undefined && !String(title).trim()) || (content !== undefined && !String(content).trim())) {
+        console.log("Validation failed: empty FAQ title or content.");
+        return res.status(400).json({ message: "FAQ title and content cannot be empty." });
+    }
+    const languageError = validateLanguage(language);
+    if (languageError) {
+        console.log("Validation failed:", languageError);
+        return res.status(400).json({ message: languageError });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "FAQ not found." });
+    }
+
+    try {
+        const faq = await FAQ.findOne({ _id: req.params.id, botId: req.bot._id });
+        if (!faq) {
+            return res.status(404).json({ message: "FAQ not found." });
+        }
+
+        await ensureBaselineRevision(faq);
+        if (title !== undefined) {
+            faq.title = String(title).trim();
+        }
+        if (content !== undefined) {
+            faq.content = String(content);
+        }
+        if (tags !== undefined) {
+            faq.tags = faqTransfer.normalizeTags(tags);
+        }
+        if (language) {
+            faq.language = language;
+        } else if (content !== undefined) {
+            faq.language = detectFaqLanguage(faq.title, faq.content);
+        }
+        await recordChange(faq, "update", req.user, () => faq.save());
+        const indexError = await retrieval.tryIndexFaq(faq);
+        console.log("FAQ updated successfully:", faq._id.toString());
+        res.json({ message: indexError ? NOT_SEARCHABLE_MESSAGE : "FAQ updated successfully!", faq, ...(indexError && { indexError }) });
+    } catch (error) {
+        console.error("Error updating FAQ:", error.message);
+        res.status(500).json({ message: "Failed to update FAQ.", error: error.message });
+    }
+});
+
+// --- DELETE FAQ ROUTE ---
+router.delete("/:id", requireAdmin, async (req, res) => {
+    console.log("Received FAQ delete request:", req.params.id);
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "FAQ not found." });
+    }
+
+    try {
+        const faq = await FAQ.findOne({ _id: req.params.id, botId: req.bot._id });
+        if (!faq) {
+            return res.status(404).json({ message: "FAQ not found." });
+        }
+        // The deleted content stays in the revision history and can be restored from there.
+        await ensureBaselineRevision(faq);
+        await recordChange(faq, "delete", req.user, () => faq.deleteOne());
+        await retrieval.removeFromIndex(faq._id);
+        console.log("FAQ deleted successfully:", faq._id.toString());
+        res.json({ message: "FAQ deleted successfully!" });
+    } catch (error) {
+        console.error("Error deleting FAQ:", error.message);
+        res.status(500).json({ message: "Failed to delete FAQ.", error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,216 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Chat = require("../models/Chat");
+const ArchivedMessage = require("../models/ArchivedMessage");
+const Conversation = require("../models/Conversation");
+const FAQ = require("../models/FAQ");
+const Feedback = require("../models/Feedback");
+const { FEEDBACK_REASONS } = require("../models/Feedback");
+const { requireAuth, requireRole } = require("../middleware/auth");
+const { botIdFromQuery } = require("../middleware/bot");
+
+const MAX_COMMENT_LENGTH = 1000;
+
+// Defaults for the admin report
+const DEFAULT_REPORT_DAYS = 30;
+const DEFAULT_REPORT_LIMIT = 20;
+const MAX_REPORT_LIMIT = 100;
+
+// Validates a feedback submission. Returns an error message, or null when the request is valid.
+const validateFeedback = ({ messageId, rating, reasons, comment }) => {
+    if (!mongoose.isValidObjectId(messageId)) {
+        return "A valid message ID is required.";
+    }
+    if (!["up", "down"].includes(rating)) {
+        return "Rating must be 'up' or 'down'.";
+    }
+    if (reasons !== undefined && (!Array.isArray(reasons) || reasons.some(reason => !FEEDBACK_REASONS.includes(reason)))) {
+        return `Reasons must be a list of: ${FEEDBACK_REASONS.join(", ")}.`;
+    }
+    if (comment !== undefined && (typeof comment !== "string" || comment.length > MAX_COMMENT_LENGTH)) {
+        return `Comment must be text of at most ${MAX_COMMENT_LENGTH} characters.`;
+    }
+    return null;
+};
+
+// Finds one of the user's AI messages together with the user message it answered. Messages of long conversations
+// may have been moved to the archive (see services/conversationSummary.js), so that is searched too.
+// Returns { conversationId, reply, question }.
+const findUserReply = async (userId, messageId) => {
+    const chat = await Chat.findOne({ userId, "messages._id": messageId });
+    if (chat) {
+        const index = chat.messages.findIndex(msg => msg._id.equals(messageId));
+        const reply = chat.messages[index];
+        if (reply.sender !== "ai") {
+            return null;
+        }
+        const question = chat.messages.slice(0, index).reverse().find(msg => msg.sender === "user");
+        return { conversationId: chat.conversationId, reply, question };
+    }
+
+    const reply = await ArchivedMessage.findOne({ _id: messageId, userId, sender: "ai" });
+    if (!reply) {
+        return null;
+    }
+    const question = await ArchivedMessage.findOne({ conversationId: reply.conversationId, sender: "user", timestamp: { $lte: reply.timestamp } })
+        .sort({ timestamp: -1 });
+    return { conversationId: reply.conversationId, reply, question };
+};
+
+// Sets (or, given null, removes) the copy of the feedback kept on the message itself, wherever the message lives.
+const setMessageFeedback = async (userId, messageId, feedback) => {
+    await Chat.updateOne(
+        { userId, "messages._id": messageId },
+        feedback ? { $set: { "messages.$.feedback": feedback } } : { $unset: { "messages.$.feedback": "" } }
+    );
+    await ArchivedMessage.updateOne({ _id: messageId, userId }, feedback ? { $set: { feedback } } : { $unset: { feedback: "" } });
+};
+
+router.use(requireAuth);
+
+// --- SUBMIT FEEDBACK ROUTE ---
+// Body: { messageId, rating ('up' | 'down'), reasons?, comment? }. Rating a message again replaces the earlier feedback.
+router.post("/", async (req, res) => {
+    const { messageId, rating, comment } = req.body;
+    const reasons = req.body.reasons && req.body.reasons.length ? [...new Set(req.body.reasons)] : undefined;
+    const userId = req.user.id;
+
+    console.log("Received feedback for message:", messageId, "rating:", rating);
+
+    const validationError = validateFeedback({ messageId, rating, reasons, comment });
+    if (validationError) {
+        console.log("Validation failed:", validationError);
+        return res.status(400).json({ message: validationError });
+    }
+
+    try {
+        const found = await findUserReply(userId, messageId);
+        if (!found) {
+            return res.status(404).json({ message: "Message not found." });
+        }
+        const { conversationId, reply, question } = found;
+        const trimmedComment = comment && comment.trim() ? comment.trim() : undefined;
+        const conversation = await Conversation.findById(conversationId).select("botId").lean();
+
+        const feedback = await Feedback.findOneAndUpdate(
+            { userId, messageId },
+            {
+                $set: {
+                    conversationId,
+                    botId: conversation ? conversation.botId : undefined,
+                    rating,
+                    reasons,
+                    comment: trimmedComment,
+                    question: question ? question.content : undefined,
+                    answer: reply.content,
+                    faqs: (reply.sources || [])
+                        .filter(source => source.faqId)
+                        .map(source => ({ faqId: source.faqId, title: source.title, cited: !!source.cited })),
+                },
+            },
+            { upsert: true, new: true, runValidators: true }
+        );
+
+        await setMessageFeedback(userId, messageId, { rating, reasons, comment: trimmedComment, updatedAt: new Date() });
+
+        console.log("Feedback saved:", feedback._id.toString());
+        res.json({ message: "Feedback saved successfully!", feedback });
+    } catch (error) {
+        console.error("Error saving feedback:", error.message);
+        res.status(500).json({ message: "Failed to save feedback.", error: error.message });
+    }
+});
+
+// --- REMOVE FEEDBACK ROUTE ---
+router.delete("/:messageId", async (req, res) => {
+    const userId = req.user.id;
+    const { messageId } = req.params;
+
+    if (!mongoose.isValidObjectId(messageId)) {
+        return res.status(404).json({ message: "Feedback not found." });
+    }
+
+    try {
+        const feedback = await Feedback.findOneAndDelete({ userId, messageId });
+        if (!feedback) {
+            return res.status(404).json({ message: "Feedback not found." });
+        }
+        await setMessageFeedback(userId, messageId, null);
+        console.log("Feedback removed for message:", messageId);
+        res.json({ message: "Feedback removed successfully!" });
+    } catch (error) {
+        console.error("Error removing feedback:", error.message);
+        res.status(500).json({ message: "Failed to remove feedback.", error: error.message });
+    }
+});
+
+// --- WORST-RATED ANSWERS REPORT ROUTE (admin) ---
+// Query params: `botId` (defaults to the default bot), `days` (look-back window, default 30) and `limit` (rows per list).
+// Returns overall totals, the FAQs behind the most down-voted answers, and the most recent down-voted answers.
+router.get("/report", requireRole("admin"), botIdFromQuery, async (req, res) => {
+    const days = Math.max(parseInt(req.query.days, 10) || DEFAULT_REPORT_DAYS, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_REPORT_LIMIT, 1), MAX_REPORT_LIMIT);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    try {
+        const [totals, faqStats, answers] = await Promise.all([
+            Feedback.aggregate([
+                { $match: { botId: req.botId, updatedAt: { $gte: since } } },
+                { $group: { _id: "$rating", count: { $sum: 1 } } },
+            ]),
+            // Per FAQ: how often answers built on it were rated up or down, and why.
+            Feedback.aggregate([
+                { $match: { botId: req.botId, updatedAt: { $gte: since } } },
+                { $unwind: "$faqs" },
+                {
+                    $group: {
+                        _id: "$faqs.faqId",
+                        title: { $last: "$faqs.title" },
+                        up: { $sum: { $cond: [{ $eq: ["$rating", "up"] }, 1, 0] } },
+                        down: { $sum: { $cond: [{ $eq: ["$rating", "down"] }, 1, 0] } },
+                        reasons: { $push: { $cond: [{ $eq: ["$rating", "down"] }, "$reasons", []] } },
+                    },
+                },
+                { $match: { down: { $gt: 0 } } },
+                { $addFields: { downRatio: { $divide: ["$down", { $add: ["$up", "$down"] }] } } },
+                { $sort: { down: -1, downRatio: -1 } },
+                { $limit: limit },
+            ]),
+            Feedback.find({ botId: req.botId, rating: "down", updatedAt: { $gte: since } })
+                .sort({ updatedAt: -1 })
+                .limit(limit)
+                .select("question answer reasons comment faqs updatedAt")
+                .lean(),
+        ]);
+
+        // Use current FAQ titles where the FAQ still exists; deleted ones keep the title from the time of the answer.
+        const currentFaqs = await FAQ.find({ _id: { $in: faqStats.map(stat => stat._id) } }).select("title").lean();
+        const currentTitles = new Map(currentFaqs.map(faq => [faq._id.toString(), faq.title]));
+
+        const faqs = faqStats.map(stat => {
+            const reasonCounts = {};
+            stat.reasons.flat().filter(Boolean).forEach(reason => {
+                reasonCounts[reason] = (reasonCounts[reason] || 0) + 1;
+            });
+            return {
+                faqId: stat._id,
+                title: currentTitles.get(stat._id.toString()) || stat.title,
+                deleted: !currentTitles.has(stat._id.toString()),
+                up: stat.up,
+                down: stat.down,
+                downRatio: stat.downRatio,
+                reasons: reasonCounts,
+            };
+        });
+
+        const count = (rating) => (totals.find(total => total._id === rating) || { count: 0 }).count;
+        console.log(`Built feedback report for the last ${days} days.`);
+        res.json({ since, totals: { up: count("up"), down: count("down") }, faqs, answers });
+    } catch (error) {
+        console.error("Error building feedback report:", error.message);
+        res.status(500).json({ message: "Failed to build feedback report.", error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Conversation = require("../models/Conversation");
+const { requireAuth, requireRole } = require("../middleware/auth");
+const { getMessagePage, parseCursor } = require("../services/messageHistory");
+const { OPEN_STATUSES, claimHandoff, closeHandoff } = require("../services/handoff");
+
+// Page size limits for the message history of a handed-off conversation
+const DEFAULT_HISTORY_PAGE_SIZE = 50;
+const MAX_HISTORY_PAGE_SIZE = 100;
+
+// The agent console: conversations of `req.bot` (see middleware/bot.js) that users escalated to a human. Agents
+// reply over the realtime connection (see services/realtime.js and services/handoff.js).
+router.use(requireAuth, requireRole("agent", "admin"));
+
+// --- LIST HANDOFFS ROUTE ---
+// Open handoffs, those waiting for an agent first and then by how long they have been waiting.
+router.get("/", async (req, res) => {
+    try {
+        const conversations = await Conversation.find({ botId: req.bot._id, "handoff.status": { $in: OPEN_STATUSES } })
+            .select("userId title handoff updatedAt")
+            .sort({ "handoff.status": -1, "handoff.requestedAt": 1 }) // Descending, so "requested" comes before "active"
+            .lean();
+        res.json({ handoffs: conversations });
+    } catch (error) {
+        console.error("Error fetching handoffs:", error.message);
+        res.status(500).json({ message: "Failed to fetch handoffs.", error: error.message });
+    }
+});
+
+// --- HANDOFF MESSAGES ROUTE (paginated, newest first) ---
+// Query params: `limit` (page size) and `before` (cursor from a previous page's `nextCursor`).
+// Includes the conversation's running summary, which covers messages moved out of the prompt.
+router.get("/:id/messages", async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_HISTORY_PAGE_SIZE, 1), MAX_HISTORY_PAGE_SIZE);
+    const before = req.query.before ? parseCursor(req.query.before) : null;
+
+    if (req.query.before && !before) {
+        return res.status(400).json({ message: "Invalid 'before' cursor. Use the 'nextCursor' of a previous page." });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Conversation not found." });
+    }
+
+    try {
+        const conversation = await Conversation.findOne({ _id: req.params.id, botId: req.bot._id, handoff: { $exists: true } });
+        if (!conversation) {
+            return res.status(404).json({ message: "Conversation not found." });
+        }
+        const page = await getMessagePage(conversation._id, { limit, before });
+        res.json({ ...page, handoff: conversation.handoff, summary: conversation.summary ? conversation.summary.text : null });
+    } catch (error) {
+        console.error("Error fetching handoff messages:", error.message);
+        res.status(500).json({ message: "Failed to fetch messages.", error: error.message });
+    }
+});
+
+// --- CLAIM HANDOFF ROUTE ---
+// Assigns a waiting conversation to the logged-in agent, who can then reply to the user.
+router.post("/:id/claim", async (req, res) => {
+    console.log("Received claim handoff request:", req.params.id, "from agent:", req.user.id);
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Conversation not found." });
+    }
+
+    try {
+        const conversation = await claimHandoff(req.params.id, req.bot._id, req.user);
+        if (!conversation) {
+            return res.status(409).json({ message: "This conversation is no longer waiting for an agent." });
+        }
+        res.json({ message: "Conversation claimed successfully!", handoff: conversation.handoff });
+    } catch (error) {
+        console.error("Error claiming handoff:", error.message);
+        res.status(500).json({ message: "Failed to claim conversation.", error: error.message });
+    }
+});
+
+// --- CLOSE HANDOFF ROUTE ---
+// Hands the conversation back to the bot. Only the agent handling it may close a claimed conversation; any agent
+// may close one that is still waiting, e.g. a duplicate.
+router.post("/:id/close", async (req, res) => {
+    console.log("Received close handoff request:", req.params.id, "from agent:", req.user.id);
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Conversation not found." });
+    }
+
+    try {
+        const conversation = await closeHandoff({
+            _id: req.params.id,
+            botId: req.bot._id,
+            $or: [{ "handoff.status": "requested" }, { "handoff.agent.id": req.user.id }],
+        }, "agent");
+        if (!conversation) {
+            return res.status(409).json({ message: "This conversation has no open handoff you can close." });
+        }
+        res.json({ message: "Conversation returned to the assistant successfully!", handoff: conversation.handoff });
+    } catch (error) {
+        console.error("Error closing handoff:", error.message);
+        res.status(500).json({ message: "Failed to close handoff.", error: error.message });
+    }
+});
+
+module.exports = router;
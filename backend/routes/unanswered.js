@@ -0,0 +1,133 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const FAQ = require("../models/FAQ");
+const UnansweredQuestion = require("../models/UnansweredQuestion");
+const retrieval = require("../services/retrieval");
+const { normalizeTags } = require("../services/faqTransfer");
+const { recordChange } = require("../services/faqRevisions");
+const { getDefaultBotId } = require("../services/bots");
+const { detectFaqLanguage } = require("../services/language");
+const { requireAuth, requireRole } = require("../middleware/auth");
+const { botIdFromQuery } = require("../middleware/bot");
+
+// Page size limits for the queue
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const STATUSES = ["open", "dismissed", "answered"];
+
+// Loads a queue entry that is still waiting for an admin.
+const findOpenQuestion = async (id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return null;
+    }
+    return UnansweredQuestion.findOne({ _id: id, status: "open" });
+};
+
+// The queue is for admins only.
+router.use(requireAuth, requireRole("admin"));
+
+// --- LIST UNANSWERED QUESTIONS ROUTE (most asked first) ---
+// Query params: `botId`, `status` (open, dismissed or answered; default open), `page` (1-based) and `limit`.
+// Without a `botId`, lists the default bot's questions.
+router.get("/", botIdFromQuery, async (req, res) => {
+    const status = req.query.status || "open";
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    if (!STATUSES.includes(status)) {
+        console.log("Validation failed: invalid queue status:", status);
+        return res.status(400).json({ message: `Status must be one of: ${STATUSES.join(", ")}.` });
+    }
+
+    try {
+        const filter = { botId: req.botId, status };
+        const [questions, total] = await Promise.all([
+            UnansweredQuestion.find(filter)
+                .select("-terms")
+                .sort({ count: -1, lastAskedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            UnansweredQuestion.countDocuments(filter),
+        ]);
+        console.log(`Fetched ${questions.length} ${status} unanswered questions.`);
+        res.json({ questions, total, page, hasMore: page * limit < total });
+    } catch (error) {
+        console.error("Error fetching unanswered questions:", error.message);
+        res.status(500).json({ message: "Failed to fetch unanswered questions.", error: error.message });
+    }
+});
+
+// --- DISMISS UNANSWERED QUESTION ROUTE ---
+// Dismissed questions keep counting repeats but stay out of the open queue.
+router.post("/:id/dismiss", async (req, res) => {
+    console.log("Received dismiss request for unanswered question:", req.params.id);
+
+    try {
+        const question = await findOpenQuestion(req.params.id);
+        if (!question) {
+            return res.status(404).json({ message: "Open question not found." });
+        }
+
+        question.status = "dismissed";
+        question.resolvedBy = { id: req.user.id, email: req.user.email };
+        question.resolvedAt = new Date();
+        await question.save();
+        console.log("Unanswered question dismissed:", question._id.toString());
+        res.json({ message: "Question dismissed successfully!", question });
+    } catch (error) {
+        console.error("Error dismissing unanswered question:", error.message);
+        res.status(500).json({ message: "Failed to dismiss question.", error: error.message });
+    }
+});
+
+// --- ANSWER UNANSWERED QUESTION ROUTE ---
+// Body: { title?, content, tags? }. Creates an FAQ for the bot that was asked from the answer (the title
+// defaults to the question) and closes the queue entry.
+router.post("/:id/answer", async (req, res) => {
+    const { content, tags } = req.body;
+
+    console.log("Received answer for unanswered question:", req.params.id);
+
+    if (!content || typeof content !== "string" || !content.trim()) {
+        console.log("Validation failed: answer content missing.");
+        return res.status(400).json({ message: "Answer content is required." });
+    }
+
+    try {
+        const question = await findOpenQuestion(req.params.id);
+        if (!question) {
+            return res.status(404).json({ message: "Open question not found." });
+        }
+
+        const title = typeof req.body.title === "string" && req.body.title.trim() ? req.body.title.trim() : question.question;
+        const faq = new FAQ({
+            botId: question.botId || await getDefaultBotId(),
+            title,
+            content: content.trim(),
+            tags: normalizeTags(tags),
+            language: detectFaqLanguage(title, content),
+        });
+        await recordChange(faq, "create", req.user, () => faq.save());
+        const indexError = await retrieval.tryIndexFaq(faq);
+
+        question.status = "answered";
+        question.faqId = faq._id;
+        question.resolvedBy = { id: req.user.id, email: req.user.email };
+        question.resolvedAt = new Date();
+        await question.save();
+        console.log("Unanswered question answered with FAQ:", faq._id.toString());
+        res.status(201).json({
+            message: indexError ? "Question answered, but the new FAQ can't be found by the chat yet. Save it again to retry." : "Question answered successfully!",
+            question,
+            faq,
+            ...(indexError && { indexError }),
+        });
+    } catch (error) {
+        console.error("Error answering unanswered question:", error.message);
+        res.status(500).json({ message: "Failed to answer question.", error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require("express");
+const router = express.Router();
+const { signGuestToken } = require("../middleware/auth");
+const { limitGuestSessionsPerIp } = require("../middleware/rateLimit");
+
+// Routes used by the chat widget embedded on other websites (see frontend/public/widget.js), for `req.bot`
+// (see middleware/bot.js). Which websites may call them is decided by the bot's allowed origins (see
+// middleware/cors.js). Visitors of those websites have no account, so the widget chats as a guest.
+
+// --- WIDGET CONFIG ROUTE ---
+// Returns what the widget shows before a chat starts.
+router.get("/", (req, res) => {
+    const { _id, name, slug, description } = req.bot;
+    res.json({ bot: { _id, name, slug, description } });
+});
+
+// --- WIDGET SESSION ROUTE ---
+// Starts a guest session with the bot. The widget keeps the token, so a visitor's conversation survives page loads.
+router.post("/session", limitGuestSessionsPerIp, (req, res) => {
+    res.status(201).json({ message: "Session started successfully!", token: signGuestToken(req.bot) });
+});
+
+module.exports = router;
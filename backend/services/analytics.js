@@ -0,0 +1,204 @@
+// backend/services/analytics.js - Per-request chat metrics and the aggregates behind the admin dashboard
+//
+// Every chat request records a ChatMetric: latency, provider, token usage, the FAQs retrieved for the prompt
+// (with their scores) and whether the answer was grounded, i.e. cited at least one of them. The aggregates are
+// computed on demand, per bot, over a window of whole UTC days ending today. `botId` must be an ObjectId, since
+// aggregation pipelines don't cast query values.
+const ChatMetric = require("../models/ChatMetric");
+const FAQ = require("../models/FAQ");
+const AnswerCache = require("../models/AnswerCache");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_QUESTION_LENGTH = 500;
+
+// Lower-cases a question and strips punctuation so trivial variations count as the same question.
+const normalizeQuestion = (question) => question
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]+/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_QUESTION_LENGTH);
+
+// Start of the window covering the last `days` UTC days, including today.
+const windowStart = (days, now = new Date()) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) - (days - 1) * DAY_MS);
+
+// Records the metrics of one chat request. `provider` is the LLM provider ({ name, model }), `sources` the
+// retrieved sources with their `cited` flags, `usage` the token usage ({ ..., estimated }) and `cacheHit` whether the
+// answer cache served the reply (undefined when it wasn't consulted).
+const recordChatMetric = async ({ provider, botId, userId, conversationId, messageId, question, streamed, status = "ok", error, startedAt, firstTokenAt, usage, sources = [], cacheHit }) => {
+    const finishedAt = Date.now();
+    await ChatMetric.create({
+        botId,
+        userId,
+        conversationId,
+        messageId,
+        question: question.slice(0, MAX_QUESTION_LENGTH),
+        normalizedQuestion: normalizeQuestion(question),
+        provider: provider.name,
+        model: provider.model,
+        streamed,
+        status,
+        error,
+        latencyMs: finishedAt - startedAt.getTime(),
+        ...(firstTokenAt && { firstTokenMs: firstTokenAt - startedAt.getTime() }),
+        ...(usage && { usage }),
+        retrieved: sources.map(({ faqId, score, cited }) => ({ faqId, score, cited: Boolean(cited) })),
+        grounded: sources.some(source => source.cited),
+        cacheHit,
+    });
+};
+
+const countWhere = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+// Headline numbers for the window. The grounded rate is the share of successful answers that cited an FAQ.
+const getOverview = async (days, botId) => {
+    const since = windowStart(days);
+    const [[totals], providers] = await Promise.all([
+        ChatMetric.aggregate([
+            { $match: { botId, createdAt: { $gte: since } } },
+            {
+                $group: {
+                    _id: null,
+                    requests: { $sum: 1 },
+                    answered: countWhere({ $eq: ["$status", "ok"] }),
+                    errors: countWhere({ $eq: ["$status", "error"] }),
+                    cancelled: countWhere({ $eq: ["$status", "cancelled"] }),
+                    grounded: countWhere({ $and: [{ $eq: ["$status", "ok"] }, "$grounded"] }),
+                    noFaqRetrieved: countWhere({ $and: [{ $eq: ["$status", "ok"] }, { $eq: [{ $size: { $ifNull: ["$retrieved", []] } }, 0] }] }),
+                    avgLatencyMs: { $avg: { $cond: [{ $eq: ["$status", "ok"] }, "$latencyMs", null] } },
+                    avgFirstTokenMs: { $avg: "$firstTokenMs" },
+                    promptTokens: { $sum: "$usage.promptTokens" },
+                    completionTokens: { $sum: "$usage.completionTokens" },
+                    totalTokens: { $sum: "$usage.totalTokens" },
+                },
+            },
+        ]),
+        ChatMetric.aggregate([
+            { $match: { botId, createdAt: { $gte: since } } },
+            {
+                $group: {
+                    _id: { provider: "$provider", model: "$model" },
+                    requests: { $sum: 1 },
+                    errors: countWhere({ $eq: ["$status", "error"] }),
+                    avgLatencyMs: { $avg: { $cond: [{ $eq: ["$status", "ok"] }, "$latencyMs", null] } },
+                    totalTokens: { $sum: "$usage.totalTokens" },
+                },
+            },
+            { $sort: { requests: -1 } },
+        ]),
+    ]);
+
+    const summary = totals || { requests: 0, answered: 0, errors: 0, cancelled: 0, grounded: 0, noFaqRetrieved: 0, avgLatencyMs: null, avgFirstTokenMs: null, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    delete summary._id;
+    return {
+        since,
+        ...summary,
+        groundedRate: summary.answered ? summary.grounded / summary.answered : null,
+        providers: providers.map(({ _id, ...stats }) => ({ provider: _id.provider, model: _id.model, ...stats })),
+    };
+};
+
+// Requests per UTC day, with days without traffic filled in as zeros.
+const getDailyVolume = async (days, botId) => {
+    const since = windowStart(days);
+    const rows = await ChatMetric.aggregate([
+        { $match: { botId, createdAt: { $gte: since } } },
+        {
+            $group: {
+                _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+                requests: { $sum: 1 },
+                grounded: countWhere({ $and: [{ $eq: ["$status", "ok"] }, "$grounded"] }),
+                errors: countWhere({ $eq: ["$status", "error"] }),
+                avgLatencyMs: { $avg: { $cond: [{ $eq: ["$status", "ok"] }, "$latencyMs", null] } },
+                totalTokens: { $sum: "$usage.totalTokens" },
+            },
+        },
+    ]);
+
+    const byDay = new Map(rows.map(({ _id, ...stats }) => [_id, stats]));
+    return Array.from({ length: days }, (_, index) => {
+        const day = new Date(since.getTime() + index * DAY_MS).toISOString().slice(0, 10);
+        return { day, ...(byDay.get(day) || { requests: 0, grounded: 0, errors: 0, avgLatencyMs: null, totalTokens: 0 }) };
+    });
+};
+
+// The most frequently asked questions, grouping repeats that differ only in case or punctuation.
+const getTopQuestions = async (days, limit, botId) => {
+    const rows = await ChatMetric.aggregate([
+        { $match: { botId, createdAt: { $gte: windowStart(days) }, normalizedQuestion: { $nin: [null, ""] } } },
+        { $sort: { createdAt: 1 } },
+        {
+            $group: {
+                _id: "$normalizedQuestion",
+                question: { $last: "$question" }, // Most recent phrasing
+                count: { $sum: 1 },
+                grounded: countWhere({ $and: [{ $eq: ["$status", "ok"] }, "$grounded"] }),
+                lastAskedAt: { $last: "$createdAt" },
+            },
+        },
+        { $sort: { count: -1, lastAskedAt: -1 } },
+        { $limit: limit },
+    ]);
+    return rows.map(({ _id, ...row }) => row);
+};
+
+// How often each of the bot's current FAQs was retrieved as context and cited in answers. Returns the most used FAQs and the
+// least used ones (including those never retrieved), so admins can see which FAQs earn their keep.
+const getFaqUsage = async (days, limit, botId) => {
+    const [stats, faqs] = await Promise.all([
+        ChatMetric.aggregate([
+            { $match: { botId, createdAt: { $gte: windowStart(days) } } },
+            { $unwind: "$retrieved" },
+            // A request can retrieve several chunks of the same FAQ; count the FAQ once per request.
+            {
+                $group: {
+                    _id: { metricId: "$_id", faqId: "$retrieved.faqId" },
+                    cited: { $max: "$retrieved.cited" },
+                    score: { $max: "$retrieved.score" },
+                },
+            },
+            {
+                $group: {
+                    _id: "$_id.faqId",
+                    retrievals: { $sum: 1 },
+                    citations: countWhere("$cited"),
+                    avgScore: { $avg: "$score" },
+                },
+            },
+        ]),
+        FAQ.find({ botId }).select("title").lean(),
+    ]);
+
+    const statsByFaq = new Map(stats.map(({ _id, ...row }) => [String(_id), row]));
+    const usage = faqs.map(faq => ({
+        faqId: faq._id,
+        title: faq.title,
+        ...(statsByFaq.get(String(faq._id)) || { retrievals: 0, citations: 0, avgScore: null }),
+    }));
+
+    const byUse = (a, b) => (b.citations - a.citations) || (b.retrievals - a.retrievals);
+    return {
+        totalFaqs: faqs.length,
+        unused: usage.filter(faq => faq.retrievals === 0).length,
+        mostUsed: usage.filter(faq => faq.retrievals > 0).sort(byUse).slice(0, limit),
+        leastUsed: usage.slice().sort((a, b) => byUse(b, a)).slice(0, limit),
+    };
+};
+
+// How well the answer cache does: hits and misses among the requests that consulted it, the number of cached
+// answers, and the answers served most often.
+const getCacheStats = async (days, limit, botId) => {
+    const [[counts], entries, topEntries] = await Promise.all([
+        ChatMetric.aggregate([
+            { $match: { botId, createdAt: { $gte: windowStart(days) }, cacheHit: { $exists: true } } },
+            { $group: { _id: null, hits: countWhere("$cacheHit"), misses: countWhere({ $not: ["$cacheHit"] }) } },
+        ]),
+        AnswerCache.countDocuments({ botId, expiresAt: { $gt: new Date() } }),
+        AnswerCache.find({ botId, hits: { $gt: 0 } }).sort({ hits: -1 }).limit(limit).select("question hits lastHitAt createdAt").lean(),
+    ]);
+
+    const { hits, misses } = counts || { hits: 0, misses: 0 };
+    return { hits, misses, hitRate: hits + misses ? hits / (hits + misses) : null, entries, topEntries };
+};
+
+module.exports = { recordChatMetric, getOverview, getDailyVolume, getTopQuestions, getFaqUsage, getCacheStats };
@@ -0,0 +1,134 @@
+// backend/services/answerCache.js - Serves repeated questions from a cache of earlier replies
+//
+// Replies to the first question of a conversation are cached per bot and reply language. Such a question doesn't
+// depend on earlier messages, so the reply to a near-identical question can be served again without retrieval or a
+// model call. Only replies that cite an FAQ are cached; anything else came from the model's general knowledge.
+// Questions match by the overlap of their words, stopwords included, and of their adjacent word pairs, so "how do
+// I cancel" and "why can't I cancel" stay apart, and so do "transfer from savings to checking" and "transfer from
+// checking to savings".
+//
+// An entry only matches while the bot's persona and chat settings are unchanged. It is dropped as soon as an FAQ
+// it drew on changes (see invalidateForFaq, called by the retrieval index). As a safety net, the FAQs' versions
+// are checked again before an entry is served, and entries expire after a while.
+//
+// Configuration (environment variables):
+//   ANSWER_CACHE_ENABLED    - "false" turns the cache off (default on)
+//   ANSWER_CACHE_SIMILARITY - Word and word pair overlap (Jaccard, 0-1) at which a question matches a cached one
+//                             (default 0.8)
+//   ANSWER_CACHE_TTL_HOURS  - How long a reply stays cached (default 24)
+const crypto = require("crypto");
+const dotenv = require("dotenv");
+const AnswerCache = require("../models/AnswerCache");
+const FAQ = require("../models/FAQ");
+const { splitWords, tokenize, jaccardSimilarity } = require("./retrieval/tokenizer");
+
+dotenv.config();
+
+const CACHE_ENABLED = process.env.ANSWER_CACHE_ENABLED !== "false";
+const SIMILARITY_THRESHOLD = process.env.ANSWER_CACHE_SIMILARITY ? Number(process.env.ANSWER_CACHE_SIMILARITY) : 0.8;
+const TTL_HOURS = process.env.ANSWER_CACHE_TTL_HOURS ? Number(process.env.ANSWER_CACHE_TTL_HOURS) : 24;
+
+// Most-served entries sharing a word with the question that are compared with it
+const MAX_CANDIDATES = 50;
+
+const sha1 = (text) => crypto.createHash("sha1").update(text).digest("hex");
+
+// Hash of what shapes a reply to a first question: the bot's persona and the chat settings used for it.
+const hashSettings = (bot, settings) => sha1(JSON.stringify([
+    bot.persona, settings.instructions, settings.temperature, settings.maxOutputTokens, settings.minScore,
+]));
+
+// Hash of the current ids and versions of the given FAQs. Deleted FAQs drop out, which changes the hash.
+const hashFaqSet = async (faqIds) => {
+    if (faqIds.length === 0) {
+        return sha1("");
+    }
+    const faqs = await FAQ.find({ _id: { $in: faqIds } }).select("updatedAt").lean();
+    return sha1(faqs
+        .map(faq => `${faq._id}:${faq.updatedAt ? faq.updatedAt.getTime() : 0}`)
+        .sort()
+        .join(","));
+};
+
+// What questions are compared by: their words and their adjacent word pairs, so word order counts.
+const matchFeatures = (words) => [...words, ...words.slice(1).map((word, index) => `${words[index]} ${word}`)];
+
+// Finds a cached reply to a question near-identical to `question`, asked of the same bot with the same settings and
+// answered in the same language. Returns the entry ({ reply, sources, ... }) or null.
+const findCachedAnswer = async ({ bot, settings, question, language }) => {
+    const terms = tokenize(question);
+    if (!CACHE_ENABLED || terms.length === 0) {
+        return null;
+    }
+
+    const features = matchFeatures(splitWords(question));
+    const candidates = await AnswerCache.find({
+        botId: bot._id,
+        settingsHash: hashSettings(bot, settings),
+        language,
+        words: { $in: terms },
+        "faqIds.0": { $exists: true }, // Entries cached before only FAQ-grounded replies were cached
+        expiresAt: { $gt: new Date() },
+    })
+        .sort({ hits: -1 })
+        .limit(MAX_CANDIDATES)
+        .lean();
+
+    let best = null;
+    let bestSimilarity = 0;
+    candidates.forEach(candidate => {
+        const similarity = jaccardSimilarity(features, matchFeatures(candidate.words));
+        if (similarity > bestSimilarity) {
+            best = candidate;
+            bestSimilarity = similarity;
+        }
+    });
+    if (!best || bestSimilarity < SIMILARITY_THRESHOLD) {
+        return null;
+    }
+
+    if (await hashFaqSet(best.faqIds) !== best.faqSetHash) {
+        console.log("Dropping cached answer whose FAQs have changed:", best._id.toString());
+        await AnswerCache.deleteOne({ _id: best._id });
+        return null;
+    }
+
+    console.log(`Serving cached answer ${best._id} (similarity ${bestSimilarity.toFixed(2)}).`);
+    AnswerCache.updateOne({ _id: best._id }, { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } })
+        .catch(error => console.error("Error counting answer cache hit:", error.message));
+    return best;
+};
+
+// Caches the reply to a conversation's first question, answered in `language`. `sources` are the FAQ sources the
+// reply was generated from, with their `cited` flags; replies that cite none of them aren't cached. The entry is
+// dropped when any of the sources' FAQs changes.
+const cacheAnswer = async ({ bot, settings, question, language, reply, sources }) => {
+    if (!CACHE_ENABLED || tokenize(question).length === 0 || !sources.some(source => source.faqId && source.cited)) {
+        return;
+    }
+    const faqIds = [...new Set(sources.filter(source => source.faqId).map(source => source.faqId.toString()))];
+    await AnswerCache.updateOne(
+        { botId: bot._id, settingsHash: hashSettings(bot, settings), language, words: splitWords(question) },
+        {
+            $set: {
+                question,
+                faqIds,
+                faqSetHash: await hashFaqSet(faqIds),
+                reply,
+                sources,
+                expiresAt: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000),
+            },
+        },
+        { upsert: true }
+    );
+};
+
+// Drops the cached replies that drew on an FAQ that was just changed or deleted.
+const invalidateForFaq = async (faqId) => {
+    const result = await AnswerCache.deleteMany({ faqIds: faqId });
+    if (result.deletedCount > 0) {
+        console.log(`Dropped ${result.deletedCount} cached answers after FAQ ${faqId} changed.`);
+    }
+};
+
+module.exports = { findCachedAnswer, cacheAnswer, invalidateForFaq };
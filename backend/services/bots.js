@@ -0,0 +1,86 @@
+// backend/services/bots.js - Bots (separate assistants with their own FAQs) and the default bot
+//
+// Data created before bots existed belongs to the default bot, which is created on first use with the
+// original Dhanista persona. The unscoped routes (/api/chat, /api/faqs, ...) keep working against it.
+const mongoose = require("mongoose");
+const Bot = require("../models/Bot");
+
+const DEFAULT_PERSONA = "You are Dhanista, a helpful and knowledgeable AI assistant. Your primary goal is to answer user questions accurately and comprehensively.";
+
+const DEFAULT_BOT = {
+    name: "Dhanista",
+    slug: "dhanista",
+    description: "General assistant",
+    persona: DEFAULT_PERSONA,
+    isDefault: true,
+};
+
+// Models whose documents belong to a bot
+const BOT_SCOPED_MODELS = [
+    require("../models/FAQ"),
+    require("../models/FAQChunk"),
+    require("../models/FAQRevision"),
+    require("../models/Conversation"),
+    require("../models/Feedback"),
+    require("../models/UnansweredQuestion"),
+    require("../models/ChatMetric"),
+];
+
+let defaultBotIdPromise = null;
+
+// Returns the id of the default bot, creating the bot if it doesn't exist yet.
+const getDefaultBotId = () => {
+    if (!defaultBotIdPromise) {
+        defaultBotIdPromise = (async () => {
+            const existing = await Bot.findOne({ isDefault: true }).select("_id").lean();
+            if (existing) {
+                return existing._id;
+            }
+            const bot = await Bot.create(DEFAULT_BOT);
+            console.log("Created the default bot:", bot._id.toString());
+            return bot._id;
+        })().catch(error => {
+            defaultBotIdPromise = null; // Retry on the next request
+            throw error;
+        });
+    }
+    return defaultBotIdPromise;
+};
+
+// Loads the default bot. Not cached, so edits to it apply immediately.
+const getDefaultBot = async () => Bot.findById(await getDefaultBotId());
+
+// Finds a bot by id or slug. Returns null when there is no such bot.
+const findBot = async (idOrSlug) => {
+    if (mongoose.isValidObjectId(idOrSlug)) {
+        const bot = await Bot.findById(idOrSlug);
+        if (bot) {
+            return bot;
+        }
+    }
+    return Bot.findOne({ slug: String(idOrSlug).toLowerCase() });
+};
+
+// Assigns everything created before bots existed to the default bot. Run once the database is connected.
+const backfillBotIds = async () => {
+    const botId = await getDefaultBotId();
+    for (const Model of BOT_SCOPED_MODELS) {
+        const result = await Model.updateMany({ botId: { $exists: false } }, { $set: { botId } });
+        if (result.modifiedCount > 0) {
+            console.log(`Assigned ${result.modifiedCount} ${Model.modelName} documents to the default bot.`);
+        }
+    }
+};
+
+// Normalizes an origin such as "https://Help.Example.com/" to "https://help.example.com". Returns null if
+// the value isn't an http(s) origin.
+const normalizeOrigin = (value) => {
+    try {
+        const url = new URL(String(value).trim());
+        return ["http:", "https:"].includes(url.protocol) ? url.origin : null;
+    } catch {
+        return null;
+    }
+};
+
+module.exports = { DEFAULT_PERSONA, getDefaultBotId, getDefaultBot, findBot, backfillBotIds, normalizeOrigin };
@@ -0,0 +1,94 @@
+// backend/services/chatSettings.js - Versioned chat settings (system instructions, generation and retrieval)
+//
+// Each bot's settings are stored as numbered versions; the latest one applies to the next reply. Bots without
+// saved settings use DEFAULT_SETTINGS, which reproduce how the assistant behaved before settings were editable.
+const ChatSettings = require("../models/ChatSettings");
+const { DEFAULT_MIN_SCORE } = require("./retrieval");
+
+const DEFAULT_INSTRUCTIONS = `**Instructions:**
+1.  **Prioritize the provided relevant FAQs.** If the user's question can be answered by the information in "Relevant FAQs:", use that information directly and comprehensively.
+2.  If the "Relevant FAQs:" section is empty or does not sufficiently answer the question, attempt to answer using your general knowledge.
+3.  **Crucially:** If you cannot find relevant information in the FAQs AND your general knowledge is insufficient, *do not say you don't have enough information*. Instead, acknowledge the query and politely suggest rephrasing or mention that the specific information might not be available in your current knowledge base. For example: "I don't have specific information on that topic in my current knowledge base. Could you please rephrase your question or ask about something else?" or "The information you're looking for might not be in my FAQs. Can I help with anything else?"
+4.  Maintain a friendly and professional tone.
+5.  Each relevant FAQ is numbered, like [1]. When you use information from one, cite it inline with that number in square brackets right after the statement it supports, e.g. "Refunds take 14 days [2]." Never cite a number that isn't listed, and don't cite anything for general-knowledge answers.`;
+
+const DEFAULT_SETTINGS = {
+    instructions: DEFAULT_INSTRUCTIONS,
+    temperature: 0.5,
+    maxOutputTokens: 500,
+    historyMessages: 5,
+    minScore: DEFAULT_MIN_SCORE,
+};
+
+// Fields that make up a version of the settings
+const SETTINGS_FIELDS = Object.keys(DEFAULT_SETTINGS);
+
+// Validation limits
+const MAX_INSTRUCTIONS_LENGTH = 8000;
+const MAX_OUTPUT_TOKENS_LIMIT = 8192;
+const MAX_HISTORY_MESSAGES = 50;
+const MAX_NOTE_LENGTH = 300;
+
+// Validates settings from a request body. Fields that are left out keep their value in `base` (usually the
+// active settings). Returns { settings, error } where `settings` holds the complete, cleaned settings.
+const validateSettings = (body, base) => {
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+        return { error: "Settings must be an object." };
+    }
+    const settings = {};
+    SETTINGS_FIELDS.forEach(field => {
+        settings[field] = body[field] !== undefined ? body[field] : base[field];
+    });
+
+    if (typeof settings.instructions !== "string" || !settings.instructions.trim() || settings.instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+        return { error: `Instructions are required and must be at most ${MAX_INSTRUCTIONS_LENGTH} characters.` };
+    }
+    if (typeof settings.temperature !== "number" || !(settings.temperature >= 0 && settings.temperature <= 2)) {
+        return { error: "Temperature must be a number between 0 and 2." };
+    }
+    if (!Number.isInteger(settings.maxOutputTokens) || settings.maxOutputTokens < 1 || settings.maxOutputTokens > MAX_OUTPUT_TOKENS_LIMIT) {
+        return { error: `Max output tokens must be a whole number between 1 and ${MAX_OUTPUT_TOKENS_LIMIT}.` };
+    }
+    if (!Number.isInteger(settings.historyMessages) || settings.historyMessages < 0 || settings.historyMessages > MAX_HISTORY_MESSAGES) {
+        return { error: `History window must be a whole number of messages between 0 and ${MAX_HISTORY_MESSAGES}.` };
+    }
+    if (typeof settings.minScore !== "number" || !(settings.minScore >= 0 && settings.minScore <= 1)) {
+        return { error: "Minimum FAQ score must be a number between 0 and 1." };
+    }
+    settings.instructions = settings.instructions.trim();
+    return { settings };
+};
+
+// Validates the optional note saved with a version. Returns an error message, or null when it is valid.
+const validateNote = (note) => {
+    if (note !== undefined && note !== null && (typeof note !== "string" || note.length > MAX_NOTE_LENGTH)) {
+        return `Note must be text of at most ${MAX_NOTE_LENGTH} characters.`;
+    }
+    return null;
+};
+
+// The settings in use for a bot: its latest version, or the defaults as version 0 if none was saved yet.
+const getActiveSettings = async (botId) => {
+    const latest = await ChatSettings.findOne({ botId }).sort({ version: -1 }).lean();
+    return latest || { ...DEFAULT_SETTINGS, version: 0 };
+};
+
+// Whether two sets of settings would make the assistant behave the same.
+const isSameSettings = (a, b) => SETTINGS_FIELDS.every(field => a[field] === b[field]);
+
+// Stores `settings` as the bot's next version. `user` is req.user of whoever saved them.
+const saveSettings = async (botId, settings, user, extra = {}) => {
+    const latest = await ChatSettings.findOne({ botId }).sort({ version: -1 }).select("version").lean();
+    const version = new ChatSettings({
+        botId,
+        version: latest ? latest.version + 1 : 1,
+        ...settings,
+        author: user ? { id: user.id, email: user.email } : undefined,
+        ...extra,
+    });
+    await version.save();
+    console.log(`Saved chat settings v${version.version} of bot ${botId}.`);
+    return version;
+};
+
+module.exports = { DEFAULT_SETTINGS, SETTINGS_FIELDS, validateSettings, validateNote, getActiveSettings, isSameSettings, saveSettings };
@@ -0,0 +1,89 @@
+// backend/services/conversationSummary.js - Rolling summaries that keep long conversations in context
+//
+// Prompts only carry a conversation's most recent messages (the history window in chat settings). Once the
+// messages in a conversation's Chat document pass a token budget, everything older than that window is folded
+// into the conversation's running summary, which is sent with every prompt, and then moved to the
+// ArchivedMessage collection so the Chat document doesn't grow towards MongoDB's 16MB document limit.
+//
+// Configuration (environment variables):
+//   SUMMARY_TRIGGER_TOKENS - Estimated tokens of messages in the Chat document that trigger a summary (default 1500)
+//   SUMMARY_MAX_TOKENS     - Maximum length of the summary the model writes (default 400)
+const dotenv = require("dotenv");
+const Chat = require("../models/Chat");
+const Conversation = require("../models/Conversation");
+const ArchivedMessage = require("../models/ArchivedMessage");
+const { estimateUsage } = require("./usage");
+
+dotenv.config();
+
+const SUMMARY_TRIGGER_TOKENS = process.env.SUMMARY_TRIGGER_TOKENS ? Number(process.env.SUMMARY_TRIGGER_TOKENS) : 1500;
+const SUMMARY_MAX_TOKENS = process.env.SUMMARY_MAX_TOKENS ? Number(process.env.SUMMARY_MAX_TOKENS) : 400;
+
+const SUMMARY_INSTRUCTION = `You keep a running summary of a conversation between a user and an AI assistant. Update the summary so it also covers the new messages.
+Keep every fact the user shared about themselves and their situation (such as their account type, plan, product, order or earlier problems), what they asked, what the assistant answered and anything still open.
+Leave out greetings and small talk. Write short paragraphs in the third person, in the language of the conversation, and reply with the summary only.`;
+
+// How each sender is named in the transcript the model summarizes
+const SPEAKERS = { user: "User", ai: "Assistant", agent: "Support agent" };
+
+// Conversations being summarized right now, so overlapping requests don't summarize the same messages twice
+const inProgress = new Set();
+
+// Asks the model to fold `messages` into the previous summary. Returns { text, prompt, result }: the new summary
+// text, and the prompt messages and generation result, from which the tokens used can be recorded.
+const writeSummary = async (llm, previousSummary, messages) => {
+    const transcript = messages
+        .map(msg => `${SPEAKERS[msg.sender] || "Assistant"}: ${msg.content}`)
+        .join("\n\n");
+    const prompt = [
+        { role: "system", content: SUMMARY_INSTRUCTION },
+        { role: "user", content: `${previousSummary ? `Summary so far:\n${previousSummary}\n\n` : ""}New messages:\n${transcript}` },
+    ];
+    const result = await llm.generate({ messages: prompt, temperature: 0.2, maxOutputTokens: SUMMARY_MAX_TOKENS });
+    if (!result.text || !result.text.trim()) {
+        throw new Error("The model returned an empty summary.");
+    }
+    return { text: result.text.trim(), prompt, result };
+};
+
+// Summarizes and archives the conversation's older messages once the Chat document passes the token budget,
+// keeping the `keepRecent` most recent messages in place. `chat` must hold the messages as just saved.
+// Returns { prompt, result } of the summary generation when a new summary was written, so the caller can record
+// its token usage, or null when none was needed.
+const summarizeIfNeeded = async ({ llm, conversation, chat, keepRecent }) => {
+    const key = conversation._id.toString();
+    if (inProgress.has(key) || chat.messages.length <= keepRecent) {
+        return null;
+    }
+    if (estimateUsage(chat.messages, "").promptTokens < SUMMARY_TRIGGER_TOKENS) {
+        return null;
+    }
+
+    inProgress.add(key);
+    try {
+        const older = chat.messages.slice(0, chat.messages.length - keepRecent);
+        const previous = conversation.summary || {};
+        const { text, prompt, result } = await writeSummary(llm, previous.text, older);
+
+        // Archive before removing from the Chat document, so a failure in between can't lose messages. A retry
+        // after such a failure finds the messages already archived, which is fine.
+        await ArchivedMessage.insertMany(
+            older.map(msg => ({ ...msg.toObject(), conversationId: conversation._id, userId: chat.userId })),
+            { ordered: false }
+        ).catch(error => {
+            if (error.code !== 11000) {
+                throw error;
+            }
+        });
+        const summary = { text, messageCount: (previous.messageCount || 0) + older.length, updatedAt: new Date() };
+        await Conversation.updateOne({ _id: conversation._id }, { $set: { summary } });
+        await Chat.updateOne({ _id: chat._id }, { $pull: { messages: { _id: { $in: older.map(msg => msg._id) } } } });
+
+        console.log(`Summarized and archived ${older.length} messages of conversation:`, key);
+        return { prompt, result };
+    } finally {
+        inProgress.delete(key);
+    }
+};
+
+module.exports = { summarizeIfNeeded };
@@ -0,0 +1,15 @@
+// backend/services/extractors/docx.js - Extracts Word (.docx) documents
+const mammoth = require("mammoth");
+const { htmlToText } = require("./html");
+
+// mammoth maps Word styles to HTML (Heading 1 -> <h1>, lists, tables), which the HTML extractor then turns
+// into text with the headings kept.
+const extractDocx = async (buffer) => {
+    const { value: html, messages } = await mammoth.convertToHtml({ buffer });
+    messages
+        .filter(message => message.type === "error")
+        .forEach(message => console.warn("DOCX conversion issue:", message.message));
+    return { content: htmlToText(html) };
+};
+
+module.exports = { extractDocx };
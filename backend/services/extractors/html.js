@@ -0,0 +1,107 @@
+// backend/services/extractors/html.js - Converts HTML to plain text, keeping headings as Markdown-style lines
+const { Parser } = require("htmlparser2");
+
+// Elements whose text is never content
+const SKIPPED_TAGS = new Set(["script", "style", "noscript", "template", "head", "svg", "iframe", "object"]);
+// Elements that start a new line of text
+const BLOCK_TAGS = new Set([
+    "p", "div", "section", "article", "main", "header", "footer", "aside", "nav", "blockquote", "pre",
+    "ul", "ol", "li", "table", "thead", "tbody", "tr", "dl", "dt", "dd", "figure", "figcaption", "hr", "br",
+]);
+// Block elements followed by a blank line
+const PARAGRAPH_TAGS = new Set(["p", "ul", "ol", "table", "blockquote", "pre", "dl"]);
+const HEADING_PATTERN = /^h([1-6])$/;
+
+// Converts an HTML document or fragment to text. Headings become "# Heading" lines so the structure survives
+// into the FAQ content; list items start with "- " and table cells are separated by " | ".
+const htmlToText = (html) => {
+    const lines = [];
+    let line = "";
+    let skipDepth = 0;
+    let preDepth = 0;
+    let cellIndex = 0;
+    let cellDepth = 0; // Inside a table cell, block elements (e.g. Word's <p>) are joined with spaces
+
+    // Ends the current line. Empty lines are dropped, except inside <pre> where they are part of the text.
+    const endLine = () => {
+        if (line.trim() || preDepth) {
+            lines.push(preDepth ? line.trimEnd() : line.replace(/ +/g, " ").trim());
+        }
+        line = "";
+    };
+    const endParagraph = () => {
+        endLine();
+        lines.push("");
+    };
+
+    const parser = new Parser({
+        onopentag(name) {
+            if (SKIPPED_TAGS.has(name)) {
+                skipDepth += 1;
+                return;
+            }
+            const heading = name.match(HEADING_PATTERN);
+            if (heading) {
+                endParagraph();
+                line = `${"#".repeat(Number(heading[1]))} `;
+            } else if (name === "li") {
+                endLine();
+                line = "- ";
+            } else if (name === "tr") {
+                endLine();
+                cellIndex = 0;
+            } else if (name === "td" || name === "th") {
+                if (cellIndex > 0) line += " | ";
+                cellIndex += 1;
+                cellDepth += 1;
+            } else if (cellDepth && BLOCK_TAGS.has(name)) {
+                line += " ";
+            } else if (BLOCK_TAGS.has(name)) {
+                endLine();
+            }
+            if (name === "pre") preDepth += 1;
+        },
+        ontext(text) {
+            if (skipDepth) return;
+            if (preDepth) {
+                // Preformatted text keeps its line breaks.
+                const [first, ...rest] = text.split("\n");
+                line += first;
+                rest.forEach(part => { endLine(); line = part; });
+                return;
+            }
+            line += text.replace(/\s+/g, " ");
+        },
+        onclosetag(name) {
+            if (SKIPPED_TAGS.has(name)) {
+                skipDepth = Math.max(0, skipDepth - 1);
+                return;
+            }
+            if (name === "td" || name === "th") {
+                cellDepth = Math.max(0, cellDepth - 1);
+            } else if (cellDepth && (BLOCK_TAGS.has(name) || HEADING_PATTERN.test(name))) {
+                line += " ";
+            } else if (HEADING_PATTERN.test(name) || PARAGRAPH_TAGS.has(name)) {
+                endParagraph();
+            } else if (BLOCK_TAGS.has(name)) {
+                endLine();
+            }
+            if (name === "pre") preDepth = Math.max(0, preDepth - 1);
+        },
+    }, { decodeEntities: true, lowerCaseTags: true });
+
+    parser.write(html);
+    parser.end();
+    endLine();
+
+    // Collapse runs of blank lines and drop headings or bullets left without text.
+    return lines
+        .filter(text => !/^(#{1,6}|-)\s*$/.test(text))
+        .join("\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+};
+
+const extractHtml = async (buffer) => ({ content: htmlToText(buffer.toString("utf8")) });
+
+module.exports = { extractHtml, htmlToText };
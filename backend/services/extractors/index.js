@@ -0,0 +1,103 @@
+// backend/services/extractors/index.js - Turns uploaded files into FAQ text
+//
+// The file type is sniffed from the file's bytes (magic numbers, ZIP contents, UTF-8 validity) and only
+// falls back to the extension and MIME type to tell text formats apart. Each type maps to an extractor in
+// the registry below:
+//   extract(buffer) -> Promise<{ content, pageOffsets?, segmentType? }>
+// where `pageOffsets` marks where each segment starts and `segmentType` says what a segment is ("page" for
+// PDFs, "row" for spreadsheets). Files whose type isn't in the registry are rejected.
+const path = require("path");
+const AdmZip = require("adm-zip");
+const { extractPdf } = require("./pdf");
+const { extractDocx } = require("./docx");
+const { extractHtml } = require("./html");
+const { extractMarkdown } = require("./markdown");
+const { extractCsv, extractXlsx } = require("./spreadsheet");
+const { extractJson } = require("./json");
+
+const extractors = {
+    pdf: { label: "PDF", extract: extractPdf },
+    docx: { label: "Word document", extract: extractDocx },
+    xlsx: { label: "Excel workbook", extract: extractXlsx },
+    html: { label: "HTML", extract: extractHtml },
+    markdown: { label: "Markdown", extract: extractMarkdown },
+    csv: { label: "CSV", extract: extractCsv },
+    json: { label: "JSON", extract: extractJson },
+    text: { label: "Plain text", extract: async (buffer) => ({ content: buffer.toString("utf8").replace(/^\uFEFF/, "") }) },
+};
+
+// Extensions that can be uploaded, for error messages and the admin file picker.
+const SUPPORTED_EXTENSIONS = [".pdf", ".docx", ".xlsx", ".html", ".htm", ".md", ".markdown", ".csv", ".json", ".txt"];
+
+// Text types recognised from the file extension or MIME type.
+const TEXT_TYPES_BY_EXTENSION = {
+    ".html": "html", ".htm": "html", ".md": "markdown", ".markdown": "markdown",
+    ".csv": "csv", ".json": "json", ".txt": "text",
+};
+const TEXT_TYPES_BY_MIMETYPE = {
+    "text/html": "html", "text/markdown": "markdown", "text/x-markdown": "markdown",
+    "text/csv": "csv", "application/json": "json", "text/plain": "text",
+};
+
+const SNIFF_BYTES = 8192;
+
+const isUtf8Text = (buffer) => {
+    if (buffer.subarray(0, SNIFF_BYTES).includes(0)) {
+        return false; // NUL bytes mean binary data
+    }
+    try {
+        new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// Office Open XML files are ZIP archives; the part names tell Word and Excel files apart.
+const sniffZip = (buffer) => {
+    try {
+        const entryNames = new AdmZip(buffer).getEntries().map(entry => entry.entryName);
+        if (entryNames.includes("word/document.xml")) return "docx";
+        if (entryNames.includes("xl/workbook.xml")) return "xlsx";
+    } catch (error) {
+        console.log("Uploaded ZIP-like file could not be read:", error.message);
+    }
+    return null;
+};
+
+// Returns the registry key for an uploaded file, or null when the type isn't supported.
+const sniffFileType = ({ buffer, originalname = "", mimetype = "" }) => {
+    if (buffer.subarray(0, 5).toString("latin1") === "%PDF-") {
+        return "pdf";
+    }
+    if (buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))) {
+        return sniffZip(buffer);
+    }
+    if (!isUtf8Text(buffer)) {
+        return null;
+    }
+
+    const extensionType = TEXT_TYPES_BY_EXTENSION[path.extname(originalname).toLowerCase()];
+    if (extensionType) {
+        return extensionType;
+    }
+    const head = buffer.subarray(0, SNIFF_BYTES).toString("utf8").replace(/^\uFEFF/, "").trimStart();
+    if (/^(<!doctype html|<html[\s>])/i.test(head)) {
+        return "html";
+    }
+    return TEXT_TYPES_BY_MIMETYPE[mimetype.split(";")[0]] || "text";
+};
+
+// Extracts the text of an uploaded multer file. Returns { type, label, content, pageOffsets, segmentType },
+// or null when the file type is unsupported. Extraction errors (e.g. a corrupt file) are thrown.
+const extractFile = async (file) => {
+    const type = sniffFileType(file);
+    if (!type) {
+        return null;
+    }
+    const { label, extract } = extractors[type];
+    const result = await extract(file.buffer);
+    return { type, label, ...result };
+};
+
+module.exports = { extractFile, sniffFileType, SUPPORTED_EXTENSIONS };
@@ -0,0 +1,28 @@
+// backend/services/extractors/json.js - Extracts JSON documents as indented "key: value" text
+
+// Renders a JSON value as readable, YAML-like text. Array items are separated by blank lines so each
+// item tends to stay together when the FAQ is chunked.
+const renderValue = (value, indent = "") => {
+    if (Array.isArray(value)) {
+        return value
+            .map(item => (item && typeof item === "object")
+                ? `${indent}-\n${renderValue(item, `${indent}  `)}`
+                : `${indent}- ${item}`)
+            .join(value.some(item => item && typeof item === "object") ? "\n\n" : "\n");
+    }
+    if (value && typeof value === "object") {
+        return Object.entries(value)
+            .map(([key, child]) => (child && typeof child === "object")
+                ? `${indent}${key}:\n${renderValue(child, `${indent}  `)}`
+                : `${indent}${key}: ${child}`)
+            .join("\n");
+    }
+    return `${indent}${value}`;
+};
+
+const extractJson = async (buffer) => {
+    const data = JSON.parse(buffer.toString("utf8").replace(/^\uFEFF/, ""));
+    return { content: renderValue(data).trim() };
+};
+
+module.exports = { extractJson };
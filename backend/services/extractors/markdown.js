@@ -0,0 +1,22 @@
+// backend/services/extractors/markdown.js - Extracts Markdown as plain text, keeping headings and lists
+const { htmlToText } = require("./html");
+
+const FRONT_MATTER_PATTERN = /^---\r?\n[\s\S]*?\r?\n---[ \t]*(?:\r?\n|$)/;
+
+// Removes formatting that means nothing to the model (link targets, images, emphasis markers, raw HTML)
+// while keeping headings, lists and code as they are.
+const markdownToText = (markdown) => markdown
+    .replace(/^\uFEFF/, "")
+    .replace(FRONT_MATTER_PATTERN, "")
+    .replace(/<[a-z][\s\S]*?>[\s\S]*?<\/[a-z]+>|<[a-z][^>]*\/?>/gi, (html) => htmlToText(html))
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1") // Images -> alt text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1") // Links -> link text
+    .replace(/^\[[^\]]+\]:\s+\S+.*$/gm, "") // Reference link definitions
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, "$2") // Bold
+    .replace(/(^|[^*\w])[*_](?=\S)([^*_\n]*?\S)[*_](?![*\w])/g, "$1$2") // Italic
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+const extractMarkdown = async (buffer) => ({ content: markdownToText(buffer.toString("utf8")) });
+
+module.exports = { extractMarkdown };
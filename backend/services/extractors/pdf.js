@@ -0,0 +1,30 @@
+// backend/services/extractors/pdf.js - Extracts PDF text page by page
+const pdf = require("pdf-parse");
+const { joinSegments } = require("./segments");
+
+// pdf-parse only returns the concatenated text, so a custom page renderer (the same logic as pdf-parse's
+// default one) collects each page as it is rendered.
+const extractPdfPages = async (buffer) => {
+    const pages = [];
+    await pdf(buffer, {
+        pagerender: (pageData) => pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+            .then((textContent) => {
+                let lastY;
+                let text = "";
+                for (const item of textContent.items) {
+                    text += (lastY === item.transform[5] || !lastY) ? item.str : `\n${item.str}`;
+                    lastY = item.transform[5];
+                }
+                pages.push(text);
+                return text;
+            })
+    });
+    return pages;
+};
+
+const extractPdf = async (buffer) => {
+    const pages = await extractPdfPages(buffer);
+    return { ...joinSegments(pages), segmentType: "page" };
+};
+
+module.exports = { extractPdf };
@@ -0,0 +1,18 @@
+// backend/services/extractors/segments.js - Joins extracted segments (pages, rows) into one document
+
+// Joins segment texts into one document, returning the content and the offset where each segment starts.
+// The offsets are stored on the FAQ as `pageOffsets` so retrieval chunks never span two segments.
+const joinSegments = (segments) => {
+    const pageOffsets = [];
+    let content = "";
+    segments.forEach((segmentText, index) => {
+        if (index > 0) {
+            content += "\n\n";
+        }
+        pageOffsets.push(content.length);
+        content += segmentText;
+    });
+    return { content, pageOffsets };
+};
+
+module.exports = { joinSegments };
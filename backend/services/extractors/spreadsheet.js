@@ -0,0 +1,65 @@
+// backend/services/extractors/spreadsheet.js - Extracts CSV and XLSX files, one row per segment
+//
+// Each data row becomes its own segment ("Header: value | Header: value"), so retrieval chunks never mix rows
+// and citations can point at the row an answer came from.
+const ExcelJS = require("exceljs");
+const { parse: parseCsv } = require("csv-parse/sync");
+const { joinSegments } = require("./segments");
+
+// Formats a row as "Header: value" pairs, skipping empty cells. Columns without a header use their position.
+const formatRow = (headers, cells, prefix = "") => {
+    const pairs = cells
+        .map((cell, index) => [headers[index] || `Column ${index + 1}`, String(cell === null || cell === undefined ? "" : cell).trim()])
+        .filter(([, value]) => value);
+    return pairs.length ? `${prefix}${pairs.map(([header, value]) => `${header}: ${value}`).join(" | ")}` : null;
+};
+
+// Turns rows (the first one being the header) into row segments.
+const rowsToSegments = (rows, prefix) => {
+    const [headerRow = [], ...dataRows] = rows;
+    const headers = headerRow.map(cell => String(cell === null || cell === undefined ? "" : cell).trim());
+    return dataRows.map(cells => formatRow(headers, cells, prefix)).filter(Boolean);
+};
+
+const toResult = (segments) => ({ ...joinSegments(segments), segmentType: "row" });
+
+const extractCsv = async (buffer) => {
+    const rows = parseCsv(buffer, { bom: true, skip_empty_lines: true, relax_column_count: true, relax_quotes: true });
+    return toResult(rowsToSegments(rows, ""));
+};
+
+// Reads the displayed value of an ExcelJS cell (formula results, rich text and hyperlinks included).
+const cellText = (cell) => {
+    const { value } = cell;
+    if (value && typeof value === "object") {
+        if (value instanceof Date) return value.toISOString().slice(0, 10);
+        if (value.richText) return value.richText.map(part => part.text).join("");
+        if (value.text !== undefined) return value.text;
+        if (value.result !== undefined) return value.result;
+        return cell.text;
+    }
+    return value;
+};
+
+const extractXlsx = async (buffer) => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const sheets = workbook.worksheets.filter(sheet => sheet.state === "visible");
+    const segments = [];
+    sheets.forEach(sheet => {
+        const rows = [];
+        sheet.eachRow({ includeEmpty: false }, (row) => {
+            const cells = [];
+            row.eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+                cells[columnNumber - 1] = cellText(cell);
+            });
+            rows.push(cells);
+        });
+        // Name the sheet on each row when a workbook has several, so rows stay unambiguous on their own.
+        segments.push(...rowsToSegments(rows, sheets.length > 1 ? `[${sheet.name}] ` : ""));
+    });
+    return toResult(segments);
+};
+
+module.exports = { extractCsv, extractXlsx };
@@ -0,0 +1,145 @@
+// backend/services/faqRevisions.js - Records FAQ revisions and compares or restores them
+const { diffLines, diffWords } = require("diff");
+const FAQ = require("../models/FAQ");
+const FAQRevision = require("../models/FAQRevision");
+
+// FAQ fields captured in every revision
+const SNAPSHOT_FIELDS = ["botId", "title", "content", "tags", "language", "sourceFileName", "pageOffsets", "segmentType"];
+
+const toSnapshot = (faq) => {
+    const snapshot = {};
+    SNAPSHOT_FIELDS.forEach(field => {
+        const value = faq[field];
+        if (value !== undefined && value !== null) {
+            snapshot[field] = Array.isArray(value) ? [...value] : value;
+        }
+    });
+    return snapshot;
+};
+
+const toAuthor = (user) => (user ? { id: user.id, email: user.email } : undefined);
+
+// Attempts at picking the next version number before giving up, when concurrent changes to the same FAQ
+// keep claiming it first (the unique { faqId, version } index rejects the duplicates)
+const MAX_VERSION_ATTEMPTS = 5;
+
+const isDuplicateKeyError = (error) => error && error.code === 11000;
+
+// Stores a revision of the FAQ's current state. `user` is req.user of whoever made the change.
+const recordRevision = async (faq, action, user, extra = {}) => {
+    for (let attempt = 1; ; attempt++) {
+        const latest = await FAQRevision.findOne({ faqId: faq._id }).sort({ version: -1 }).select("version").lean();
+        const revision = new FAQRevision({
+            faqId: faq._id,
+            version: latest ? latest.version + 1 : 1,
+            action,
+            ...toSnapshot(faq),
+            author: toAuthor(user),
+            ...extra,
+        });
+        try {
+            await revision.save();
+            console.log(`Recorded ${action} revision v${revision.version} of FAQ ${faq._id}.`);
+            return revision;
+        } catch (error) {
+            if (!isDuplicateKeyError(error) || attempt >= MAX_VERSION_ATTEMPTS) {
+                throw error;
+            }
+            console.log(`Version ${revision.version} of FAQ ${faq._id} was taken by a concurrent change, retrying.`);
+        }
+    }
+};
+
+// Records the revision for a change and then makes the change (`apply` saves or deletes the FAQ). The revision
+// is written first so no change goes unrecorded; if the change fails, its revision is removed again.
+const recordChange = async (faq, action, user, apply, extra) => {
+    const revision = await recordRevision(faq, action, user, extra);
+    try {
+        await apply();
+    } catch (error) {
+        await FAQRevision.deleteOne({ _id: revision._id }).catch((cleanupError) => {
+            console.error(`Error removing revision v${revision.version} of FAQ ${faq._id}:`, cleanupError.message);
+        });
+        throw error;
+    }
+    return revision;
+};
+
+// FAQs created before revisions were recorded have no history. Call this before changing such an FAQ so its
+// original state is kept as version 1, dated when the FAQ was last saved.
+const ensureBaselineRevision = async (faq) => {
+    const hasRevisions = await FAQRevision.exists({ faqId: faq._id });
+    if (hasRevisions) {
+        return;
+    }
+    try {
+        await new FAQRevision({
+            faqId: faq._id,
+            version: 1,
+            action: "create",
+            ...toSnapshot(faq),
+            createdAt: faq.updatedAt || faq.createdAt || new Date(),
+        }).save();
+    } catch (error) {
+        // A concurrent change recorded the baseline (or a first revision) in the meantime
+        if (isDuplicateKeyError(error)) {
+            return;
+        }
+        throw error;
+    }
+    console.log(`Recorded baseline revision of FAQ ${faq._id}.`);
+};
+
+// Records a baseline revision for every FAQ that has none yet. Run once the database is connected.
+const backfillBaselineRevisions = async () => {
+    const revisedIds = new Set((await FAQRevision.distinct("faqId")).map(id => id.toString()));
+    const unrevised = (await FAQ.find({})).filter(faq => !revisedIds.has(faq._id.toString()));
+    for (const faq of unrevised) {
+        await ensureBaselineRevision(faq);
+    }
+    if (unrevised.length > 0) {
+        console.log(`Recorded baseline revisions for ${unrevised.length} FAQs.`);
+    }
+};
+
+// Compares two revisions. Content is diffed by line and the title by word; each part is
+// { value, added, removed } as produced by the `diff` package.
+const diffRevisions = (from, to) => ({
+    title: diffWords(from.title, to.title).map(({ value, added, removed }) => ({ value, added: !!added, removed: !!removed })),
+    content: diffLines(from.content, to.content).map(({ value, added, removed }) => ({ value, added: !!added, removed: !!removed })),
+    tags: {
+        added: (to.tags || []).filter(tag => !(from.tags || []).includes(tag)),
+        removed: (from.tags || []).filter(tag => !(to.tags || []).includes(tag)),
+    },
+});
+
+// Brings an FAQ back to the state stored in a revision, re-creating it (with the same id) if it was deleted.
+// Returns { faq, revision } where `revision` is the new "restore" revision.
+const restoreRevision = async (source, user) => {
+    const snapshot = toSnapshot(source);
+    let faq = await FAQ.findById(source.faqId);
+    if (faq) {
+        await ensureBaselineRevision(faq);
+        SNAPSHOT_FIELDS.forEach(field => { faq[field] = snapshot[field]; });
+    } else {
+        faq = new FAQ({ _id: source.faqId, ...snapshot });
+    }
+    const revision = await recordChange(faq, "restore", user, () => faq.save(), { restoredFrom: source.version });
+    return { faq, revision };
+};
+
+// Returns every FAQ of the bot as it stood at the given moment: the latest revision of each FAQ made at or
+// before `date`, leaving out FAQs whose latest change by then was a deletion.
+const getFaqsAsOf = async (date, botId) => {
+    const revisions = await FAQRevision.aggregate([
+        { $match: { botId, createdAt: { $lte: date } } },
+        { $sort: { faqId: 1, version: -1 } },
+        { $group: { _id: "$faqId", revision: { $first: "$$ROOT" } } },
+        { $replaceRoot: { newRoot: "$revision" } },
+        { $match: { action: { $ne: "delete" } } },
+        { $sort: { title: 1 } },
+    ]);
+    return revisions;
+};
+
+module.exports = { recordRevision, recordChange, ensureBaselineRevision, backfillBaselineRevisions, diffRevisions, restoreRevision, getFaqsAsOf };
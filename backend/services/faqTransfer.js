@@ -0,0 +1,251 @@
+// backend/services/faqTransfer.js - Bulk FAQ import and export in CSV, JSON and Markdown
+//
+// Formats (the exporter writes exactly what the importer reads, so exports double as backups):
+//   csv      - Header row `title,content,tags,language`; tags are comma-separated inside their cell.
+//   json     - An array of { title, content, tags, language, sourceFileName } objects.
+//   markdown - A ZIP archive with one .md file per FAQ. Each file starts with a front matter block:
+//                ---
+//                title: "How do I reset my password?"
+//                tags: ["account", "login"]
+//                language: "en"
+//                ---
+//              followed by the answer. Files without a title in front matter use their first `# Heading`,
+//              or else the file name.
+// The language is a code such as "en", "hi" or "te" (see services/language.js). Rows without one, including files
+// exported before FAQs had a language, get the language detected from their text.
+const path = require("path");
+const AdmZip = require("adm-zip");
+const { parse: parseCsv } = require("csv-parse/sync");
+const { stringify: stringifyCsv } = require("csv-stringify/sync");
+const { DEFAULT_LANGUAGE, validateLanguage, detectFaqLanguage } = require("./language");
+
+const FORMATS = ["csv", "json", "markdown"];
+const CSV_COLUMNS = ["title", "content", "tags", "language"];
+
+// Validation limits for imported rows
+const MAX_TITLE_LENGTH = 300;
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS = 20;
+
+// Upper bound on the uncompressed size of a Markdown bundle, to reject ZIP bombs before extracting.
+const MAX_BUNDLE_BYTES = 50 * 1024 * 1024;
+
+const MARKDOWN_EXTENSIONS = [".md", ".markdown"];
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+// Picks the import format from an explicit value or the uploaded file's extension.
+const detectFormat = (format, fileName = "") => {
+    if (format) {
+        return FORMATS.includes(format) ? format : null;
+    }
+    const extension = path.extname(fileName).toLowerCase();
+    if (extension === ".csv") return "csv";
+    if (extension === ".json") return "json";
+    if (extension === ".zip" || MARKDOWN_EXTENSIONS.includes(extension)) return "markdown";
+    return null;
+};
+
+// Accepts tags as an array or a comma-separated string and returns a trimmed, de-duplicated array.
+const normalizeTags = (tags) => {
+    if (tags === undefined || tags === null || tags === "") {
+        return [];
+    }
+    const list = Array.isArray(tags) ? tags : String(tags).split(",");
+    return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+};
+
+// --- Parsers ---
+// Each parser returns rows of { row, source, data, problems }, where `row` is 1-based, `source` tells the admin
+// where to find the row in their file, `data` holds the raw fields for validation and `problems` lists any
+// issues found while parsing the row itself.
+
+const parseCsvRows = (buffer) => {
+    const records = parseCsv(buffer, {
+        columns: true, bom: true, skip_empty_lines: true, info: true, raw: true, relax_column_count: true,
+    });
+    let invalidSoFar = 0;
+    return records.map(({ record, raw, info }, index) => {
+        // `info.lines` is the line the record ends on; quoted cells may span several lines.
+        const spannedLines = raw.replace(/\r?\n$/, "").split("\n").length - 1;
+        // `invalid_field_length` counts mismatched records so far, so an increase flags this one.
+        const problems = info.invalid_field_length > invalidSoFar
+            ? ["Row has a different number of cells than the header. Quote cells that contain commas."]
+            : [];
+        invalidSoFar = info.invalid_field_length;
+        return { row: index + 1, source: `line ${info.lines - spannedLines}`, data: record, problems };
+    });
+};
+
+const parseJsonRows = (buffer) => {
+    const parsed = JSON.parse(buffer.toString("utf8").replace(/^\uFEFF/, ""));
+    const items = Array.isArray(parsed) ? parsed : parsed && parsed.faqs; // Also accept { faqs: [...] }
+    if (!Array.isArray(items)) {
+        throw new Error("Expected a JSON array of FAQs.");
+    }
+    return items.map((item, index) => ({ row: index + 1, source: `item ${index + 1}`, data: item }));
+};
+
+// Reads a single Markdown document into { title, content, tags, language }.
+const parseMarkdownDocument = (text, fileName) => {
+    const data = {};
+    let body = text.replace(/^\uFEFF/, "");
+
+    const frontMatter = body.match(FRONT_MATTER_PATTERN);
+    if (frontMatter) {
+        body = body.slice(frontMatter[0].length);
+        frontMatter[1].split(/\r?\n/).forEach(line => {
+            const separator = line.indexOf(":");
+            if (separator === -1) return;
+            const key = line.slice(0, separator).trim();
+            const rawValue = line.slice(separator + 1).trim();
+            try {
+                data[key] = JSON.parse(rawValue); // Values are written as JSON, which is also valid YAML
+            } catch {
+                data[key] = rawValue.replace(/^\[(.*)\]$/, "$1");
+            }
+        });
+    }
+
+    if (!data.title) {
+        const heading = body.match(/^\s*#\s+(.+?)\s*(?:\r?\n|$)/);
+        if (heading) {
+            data.title = heading[1];
+            body = body.slice(heading[0].length);
+        } else {
+            data.title = path.basename(fileName, path.extname(fileName));
+        }
+    }
+
+    data.content = body.trim();
+    return data;
+};
+
+const parseMarkdownRows = (buffer, fileName) => {
+    // A lone .md file is treated as a bundle of one.
+    if (MARKDOWN_EXTENSIONS.includes(path.extname(fileName).toLowerCase())) {
+        return [{ row: 1, source: fileName, data: parseMarkdownDocument(buffer.toString("utf8"), fileName) }];
+    }
+
+    const zip = new AdmZip(buffer);
+    const entries = zip.getEntries()
+        .filter(entry => !entry.isDirectory
+            && !entry.entryName.startsWith("__MACOSX/")
+            && MARKDOWN_EXTENSIONS.includes(path.extname(entry.entryName).toLowerCase()))
+        .sort((a, b) => a.entryName.localeCompare(b.entryName));
+
+    const uncompressedSize = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+    if (uncompressedSize > MAX_BUNDLE_BYTES) {
+        throw new Error(`The Markdown bundle is too large once extracted (limit ${MAX_BUNDLE_BYTES / (1024 * 1024)} MB).`);
+    }
+
+    return entries.map((entry, index) => ({
+        row: index + 1,
+        source: entry.entryName,
+        data: parseMarkdownDocument(entry.getData().toString("utf8"), entry.entryName),
+    }));
+};
+
+// Parses an uploaded import file. Throws when the file as a whole can't be read.
+const parseImportFile = (format, buffer, fileName) => {
+    if (format === "csv") return parseCsvRows(buffer);
+    if (format === "json") return parseJsonRows(buffer);
+    return parseMarkdownRows(buffer, fileName);
+};
+
+// Validates one row. Returns { faq, errors }, where `faq` holds the cleaned fields when there are no errors.
+const validateRow = (data) => {
+    const errors = [];
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+        return { faq: null, errors: ["Row must be an object with title and content."] };
+    }
+
+    const title = typeof data.title === "string" ? data.title.trim() : "";
+    const content = typeof data.content === "string" ? data.content.trim() : "";
+    const tags = normalizeTags(data.tags);
+    const language = typeof data.language === "string" ? data.language.trim().toLowerCase() : data.language;
+
+    if (!title) {
+        errors.push("Title is required.");
+    } else if (title.length > MAX_TITLE_LENGTH) {
+        errors.push(`Title is longer than ${MAX_TITLE_LENGTH} characters.`);
+    }
+    if (!content) {
+        errors.push("Content is required.");
+    }
+    if (data.tags !== undefined && data.tags !== null && typeof data.tags !== "string" && !Array.isArray(data.tags)) {
+        errors.push("Tags must be a list or a comma-separated string.");
+    } else if (tags.length > MAX_TAGS) {
+        errors.push(`No more than ${MAX_TAGS} tags are allowed.`);
+    } else if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+        errors.push(`Tags must be at most ${MAX_TAG_LENGTH} characters long.`);
+    }
+    const languageError = validateLanguage(language);
+    if (languageError) {
+        errors.push(languageError);
+    }
+    if (data.sourceFileName !== undefined && data.sourceFileName !== null && typeof data.sourceFileName !== "string") {
+        errors.push("sourceFileName must be a string.");
+    }
+
+    if (errors.length) {
+        return { faq: null, errors };
+    }
+    return {
+        faq: { title, content, tags, language: language || detectFaqLanguage(title, content), ...(data.sourceFileName && { sourceFileName: data.sourceFileName }) },
+        errors,
+    };
+};
+
+// --- Exporters ---
+
+const toExportRecord = (faq) => ({
+    title: faq.title,
+    content: faq.content,
+    tags: faq.tags || [],
+    language: faq.language || DEFAULT_LANGUAGE,
+    ...(faq.sourceFileName && { sourceFileName: faq.sourceFileName }),
+});
+
+// Turns a title into a safe, readable file name for the Markdown bundle. Accents are dropped from Latin letters,
+// but the vowel signs of Indic scripts are kept, since words are unreadable without them.
+const slugify = (text) => text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60) || "faq";
+
+const toMarkdownDocument = (faq) => [
+    "---",
+    `title: ${JSON.stringify(faq.title)}`,
+    `tags: ${JSON.stringify(faq.tags || [])}`,
+    `language: ${JSON.stringify(faq.language || DEFAULT_LANGUAGE)}`,
+    "---",
+    "",
+    faq.content,
+    "",
+].join("\n");
+
+// Serializes FAQs in the given format. Returns { body, contentType, extension }.
+const exportFaqs = (format, faqs) => {
+    if (format === "csv") {
+        const rows = faqs.map(faq => ({ title: faq.title, content: faq.content, tags: (faq.tags || []).join(", "), language: faq.language || DEFAULT_LANGUAGE }));
+        return { body: stringifyCsv(rows, { header: true, columns: CSV_COLUMNS }), contentType: "text/csv; charset=utf-8", extension: "csv" };
+    }
+    if (format === "json") {
+        return { body: JSON.stringify(faqs.map(toExportRecord), null, 2), contentType: "application/json; charset=utf-8", extension: "json" };
+    }
+
+    const zip = new AdmZip();
+    const width = String(faqs.length).length;
+    faqs.forEach((faq, index) => {
+        // Numbered prefixes keep the original order and make file names unique.
+        const fileName = `${String(index + 1).padStart(width, "0")}-${slugify(faq.title)}.md`;
+        zip.addFile(fileName, Buffer.from(toMarkdownDocument(faq), "utf8"));
+    });
+    return { body: zip.toBuffer(), contentType: "application/zip", extension: "zip" };
+};
+
+module.exports = { FORMATS, detectFormat, normalizeTags, parseImportFile, validateRow, exportFaqs };
@@ -0,0 +1,125 @@
+// backend/services/handoff.js - Handing conversations over to human support agents
+//
+// A user the bot can't help escalates their conversation, which then waits in the bot's handoff queue until an
+// agent claims it. From the escalation on, the bot stays silent: the user's messages are stored and passed on to
+// the agents instead of being answered (see routes/chat.js). The agent replies over the realtime connection
+// (see services/realtime.js); agent messages are stored in the conversation's Chat with the sender "agent". The
+// bot answers again once the agent or the user closes the handoff.
+const mongoose = require("mongoose");
+const Chat = require("../models/Chat");
+const Conversation = require("../models/Conversation");
+const User = require("../models/User");
+const { AGENT_ROLES, publish } = require("./realtime");
+
+// Handoff statuses during which the bot stays silent
+const OPEN_STATUSES = ["requested", "active"];
+
+// Validation limits
+const MAX_REASON_LENGTH = 500;
+const MAX_AGENT_MESSAGE_LENGTH = 4000;
+
+// Whether a human agent has (or is about to take) the conversation.
+const isHandedOff = (conversation) => Boolean(conversation.handoff && OPEN_STATUSES.includes(conversation.handoff.status));
+
+// Tells the conversation's user and the agents that its handoff changed.
+const publishHandoff = (conversation) => {
+    publish(conversation.userId, {
+        type: "handoff", conversationId: conversation._id, botId: conversation.botId, handoff: conversation.handoff,
+    });
+};
+
+// Appends a message to the conversation's Chat and tells the conversation's user and the agents about it.
+// Returns the stored message.
+const addMessage = async (conversation, fields) => {
+    const message = { _id: new mongoose.Types.ObjectId(), timestamp: new Date(), ...fields };
+    await Chat.updateOne(
+        { conversationId: conversation._id },
+        { $push: { messages: message }, $set: { updatedAt: new Date() }, $setOnInsert: { userId: conversation.userId } },
+        { upsert: true }
+    );
+    // Bump updatedAt so the sidebar lists the conversation first
+    await Conversation.updateOne({ _id: conversation._id }, { $set: { updatedAt: new Date() } });
+    publish(conversation.userId, { type: "message", conversationId: conversation._id, botId: conversation.botId, message });
+    return message;
+};
+
+// Puts the conversation in the handoff queue. `reason` is optional.
+const requestHandoff = async (conversation, reason) => {
+    conversation.handoff = { status: "requested", reason: reason || undefined, requestedAt: new Date() };
+    await conversation.save();
+    console.log("Conversation escalated to a human agent:", conversation._id.toString());
+    publishHandoff(conversation);
+    return conversation.handoff;
+};
+
+// The name agents are shown to users by: their account name, or a generic one.
+const getAgentIdentity = async (user) => {
+    const account = await User.findById(user.id).select("name").lean();
+    return { id: user.id, name: (account && account.name) || "Support agent" };
+};
+
+// Gives a waiting conversation of the bot to the agent `user` (req.user). Returns the conversation, or null when
+// it doesn't exist or isn't waiting for an agent, e.g. because another agent claimed it first.
+const claimHandoff = async (conversationId, botId, user) => {
+    const agent = await getAgentIdentity(user);
+    const conversation = await Conversation.findOneAndUpdate(
+        { _id: conversationId, botId, "handoff.status": "requested" },
+        { $set: { "handoff.status": "active", "handoff.agent": agent, "handoff.acceptedAt": new Date() } },
+        { new: true }
+    );
+    if (conversation) {
+        console.log("Agent", user.id, "claimed conversation:", conversation._id.toString());
+        publishHandoff(conversation);
+    }
+    return conversation;
+};
+
+// Hands the conversation matched by `filter` back to the bot. `closedBy` is "user" or "agent". Returns the
+// conversation, or null when it doesn't exist or has no open handoff.
+const closeHandoff = async (filter, closedBy) => {
+    const conversation = await Conversation.findOneAndUpdate(
+        { ...filter, "handoff.status": { $in: OPEN_STATUSES } },
+        { $set: { "handoff.status": "closed", "handoff.closedAt": new Date(), "handoff.closedBy": closedBy } },
+        { new: true }
+    );
+    if (conversation) {
+        console.log(`Handoff of conversation ${conversation._id} closed by the ${closedBy}.`);
+        publishHandoff(conversation);
+    }
+    return conversation;
+};
+
+// Stores a user's message to a handed-off conversation, where the bot doesn't answer, and passes it on to the
+// agents. Returns the stored message.
+const addUserMessage = (conversation, content, receivedAt) =>
+    addMessage(conversation, { sender: "user", content, timestamp: receivedAt });
+
+// Handles a message sent over the realtime connection (see services/realtime.js). Agents send
+// { type: "message", conversationId, content } to reply in a conversation they claimed. Returns an error message
+// for the sender, or null when the message was delivered.
+const handleSocketMessage = async (user, data) => {
+    if (!data || data.type !== "message") {
+        return "Unknown message type.";
+    }
+    if (!AGENT_ROLES.includes(user.role)) {
+        return "Only support agents can send messages here. Use the chat to reply.";
+    }
+    if (!mongoose.isValidObjectId(data.conversationId)) {
+        return "Invalid conversation ID.";
+    }
+    if (typeof data.content !== "string" || !data.content.trim() || data.content.length > MAX_AGENT_MESSAGE_LENGTH) {
+        return `Messages must be text of at most ${MAX_AGENT_MESSAGE_LENGTH} characters.`;
+    }
+
+    const conversation = await Conversation.findOne({ _id: data.conversationId, "handoff.status": "active", "handoff.agent.id": user.id });
+    if (!conversation) {
+        return "You are not handling this conversation. Claim it first.";
+    }
+    const { id, name } = conversation.handoff.agent;
+    await addMessage(conversation, { sender: "agent", content: data.content.trim(), agent: { id, name } });
+    return null;
+};
+
+module.exports = {
+    OPEN_STATUSES, MAX_REASON_LENGTH, isHandedOff, requestHandoff, claimHandoff, closeHandoff, addUserMessage, handleSocketMessage,
+};
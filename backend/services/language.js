@@ -0,0 +1,138 @@
+// backend/services/language.js - Detects the language of messages and FAQs and tells the model which one to answer in
+//
+// Detection goes by script: text written mostly in Devanagari is taken as Hindi, in Telugu script as Telugu, and
+// likewise for the other Indian scripts below. Latin-script text counts as English, which also covers romanized
+// Hindi ("mera order kahan hai"); for such messages the model is told to mirror the language of the message rather
+// than to answer in English. Text without letters (numbers, emoji) has no language of its own.
+//
+// FAQs are tagged with a language. When no FAQ matches a message and most of the bot's FAQs are written in another
+// language, the message is translated into that language and retrieval tries again; the model then translates what
+// it uses back into the user's language (see routes/chat.js).
+//
+// Configuration (environment variables):
+//   KNOWLEDGE_LANGUAGE_MIN_SHARE - Share (0-1) of a bot's FAQs one language must exceed before messages in other
+//                                  languages are translated into it for retrieval (default 0.5, a majority)
+const dotenv = require("dotenv");
+const FAQ = require("../models/FAQ");
+
+dotenv.config();
+
+const DEFAULT_LANGUAGE = "en";
+
+// Languages FAQs can be tagged with and messages can be detected as: ISO 639-1 code -> English name
+const LANGUAGES = {
+    en: "English",
+    hi: "Hindi",
+    te: "Telugu",
+    ta: "Tamil",
+    kn: "Kannada",
+    ml: "Malayalam",
+    bn: "Bengali",
+    gu: "Gujarati",
+    pa: "Punjabi",
+};
+
+// Script each language other than English is written in
+const SCRIPTS = [
+    { language: "hi", pattern: /\p{Script=Devanagari}/gu },
+    { language: "te", pattern: /\p{Script=Telugu}/gu },
+    { language: "ta", pattern: /\p{Script=Tamil}/gu },
+    { language: "kn", pattern: /\p{Script=Kannada}/gu },
+    { language: "ml", pattern: /\p{Script=Malayalam}/gu },
+    { language: "bn", pattern: /\p{Script=Bengali}/gu },
+    { language: "gu", pattern: /\p{Script=Gujarati}/gu },
+    { language: "pa", pattern: /\p{Script=Gurmukhi}/gu },
+];
+const LATIN_PATTERN = /\p{Script=Latin}/gu;
+
+// Longest query that is translated for the retrieval fallback
+const MAX_TRANSLATION_LENGTH = 1000;
+const TRANSLATION_MAX_TOKENS = 300;
+
+const KNOWLEDGE_LANGUAGE_MIN_SHARE = process.env.KNOWLEDGE_LANGUAGE_MIN_SHARE ? Number(process.env.KNOWLEDGE_LANGUAGE_MIN_SHARE) : 0.5;
+
+const isSupportedLanguage = (code) => Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+// Detects the language of a text from the script most of its letters are written in. Returns a language code,
+// or null when the text has no letters.
+const detectLanguage = (text) => {
+    if (!text) {
+        return null;
+    }
+    let best = { language: null, count: 0 };
+    SCRIPTS.forEach(({ language, pattern }) => {
+        const count = countMatches(text, pattern);
+        if (count > best.count) {
+            best = { language, count };
+        }
+    });
+    const latinCount = countMatches(text, LATIN_PATTERN);
+    if (latinCount > best.count) {
+        return DEFAULT_LANGUAGE;
+    }
+    return best.language;
+};
+
+// Validates a language code given for an FAQ or a message. Returns an error message, or null when the code is
+// supported or left out.
+const validateLanguage = (code) => {
+    if (code === undefined || code === null || code === "" || isSupportedLanguage(code)) {
+        return null;
+    }
+    return `Unsupported language. Use one of: ${Object.keys(LANGUAGES).join(", ")}.`;
+};
+
+// The language of an FAQ whose language wasn't given: detected from its title and content, else English.
+const detectFaqLanguage = (title, content) => detectLanguage(`${title || ""}\n${content || ""}`) || DEFAULT_LANGUAGE;
+
+// The system prompt section telling the model which language to answer in. `contextLanguages` are the languages
+// of the FAQ passages in the prompt; those in another language than the user's have to be translated.
+const buildLanguageInstruction = (language, contextLanguages = []) => {
+    const foreign = [...new Set(contextLanguages.filter(code => code && code !== language))].map(code => LANGUAGES[code] || code);
+    if (language === DEFAULT_LANGUAGE) {
+        return "**Language:** Answer in the language the user's latest message is written in."
+            + (foreign.length ? ` Some relevant FAQs are in ${foreign.join(" and ")}; translate what you use from them.` : "");
+    }
+    const name = LANGUAGES[language];
+    return `**Language:** The user is writing in ${name}. Answer in ${name}.`
+        + (foreign.length ? ` Some relevant FAQs are in ${foreign.join(" and ")}; translate what you use from them into ${name}, keeping names, numbers and the [n] citations as they are.` : "");
+};
+
+// The language most of the bot's FAQs are written in, when it isn't `exclude` and more than
+// KNOWLEDGE_LANGUAGE_MIN_SHARE of them are. Returns null otherwise, e.g. when the bot's FAQs are spread over several
+// languages, so a message isn't translated into one that only a few FAQs are written in.
+const getKnowledgeLanguage = async (botId, exclude) => {
+    const languages = await FAQ.aggregate([
+        { $match: { botId } },
+        { $group: { _id: { $ifNull: ["$language", DEFAULT_LANGUAGE] }, count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+    ]);
+    const total = languages.reduce((sum, { count }) => sum + count, 0);
+    const [top] = languages;
+    if (!top || top._id === exclude || top.count / total <= KNOWLEDGE_LANGUAGE_MIN_SHARE) {
+        return null;
+    }
+    return top._id;
+};
+
+// Translates a user's question into `language` with the LLM provider, for searching FAQs written in that language.
+// Returns { text, prompt, result }: the translation (null when the model returned nothing), and the prompt and
+// generation result, so the caller can record the tokens used.
+const translateQuery = async (llm, text, language) => {
+    const prompt = [
+        {
+            role: "system",
+            content: `Translate the user's message into ${LANGUAGES[language] || language}. Keep names, numbers and product terms as they are. Reply with the translation only.`,
+        },
+        { role: "user", content: text.slice(0, MAX_TRANSLATION_LENGTH) },
+    ];
+    const result = await llm.generate({ messages: prompt, temperature: 0, maxOutputTokens: TRANSLATION_MAX_TOKENS });
+    return { text: result.text && result.text.trim() ? result.text.trim() : null, prompt, result };
+};
+
+module.exports = {
+    DEFAULT_LANGUAGE, LANGUAGES, isSupportedLanguage, validateLanguage, detectLanguage, detectFaqLanguage, buildLanguageInstruction,
+    getKnowledgeLanguage, translateQuery,
+};
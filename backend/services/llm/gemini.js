@@ -0,0 +1,108 @@
+// backend/services/llm/gemini.js - Google Gemini provider
+const axios = require("axios");
+const { consumeSseStream } = require("./sse");
+
+const GEMINI_API_BASE_URL = "https://generativelanguage.googleapis.com/v1beta/models";
+
+const SAFETY_SETTINGS = [
+    { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
+    { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
+    { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
+    { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" },
+];
+
+// Converts provider-neutral messages to Gemini `contents`. Gemini has no system role in `contents`,
+// so the system prompt is sent as the opening user turn.
+const toGeminiContents = (messages) => messages.map(msg => ({
+    role: msg.role === 'assistant' ? 'model' : 'user',
+    parts: [{ text: msg.content }]
+}));
+
+// Pulls the generated text out of a Gemini response body or streamed chunk. Returns null if there is none.
+const extractText = (data) => {
+    if (data && data.candidates && data.candidates.length > 0 &&
+        data.candidates[0].content && data.candidates[0].content.parts &&
+        data.candidates[0].content.parts.length > 0) {
+        return data.candidates[0].content.parts[0].text;
+    }
+    return null;
+};
+
+// Maps Gemini's usageMetadata to the provider-neutral usage shape.
+const extractUsage = (data) => {
+    const usage = data && data.usageMetadata;
+    if (!usage) {
+        return null;
+    }
+    return {
+        promptTokens: usage.promptTokenCount || 0,
+        completionTokens: usage.candidatesTokenCount || 0,
+        totalTokens: usage.totalTokenCount || 0,
+    };
+};
+
+const createGeminiProvider = ({ apiKey, model = "gemini-2.0-flash" }) => {
+    console.log("GEMINI_API_KEY loaded:", apiKey ? "YES (key present)" : "NO (key is undefined/empty)");
+
+    const buildPayload = ({ messages, temperature, maxOutputTokens }) => ({
+        contents: toGeminiContents(messages),
+        generationConfig: { temperature, maxOutputTokens },
+        safetySettings: SAFETY_SETTINGS,
+    });
+
+    const headers = {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': apiKey
+    };
+
+    return {
+        name: "gemini",
+        model,
+
+        async generate(request) {
+            const payload = buildPayload(request);
+            console.log("Sending payload to Gemini API. Payload (first 500 chars):", JSON.stringify(payload, null, 2).substring(0, 500) + "...");
+
+            const response = await axios.post(`${GEMINI_API_BASE_URL}/${model}:generateContent`, payload, { headers, signal: request.signal });
+            console.log("Received response from Gemini API.");
+
+            const text = extractText(response.data);
+            if (!text) {
+                console.error("Gemini API response was empty or malformed:", JSON.stringify(response.data, null, 2));
+            }
+            return { text, usage: extractUsage(response.data) };
+        },
+
+        async stream(request, onToken) {
+            const payload = buildPayload(request);
+            console.log("Streaming payload to Gemini API. Payload (first 500 chars):", JSON.stringify(payload, null, 2).substring(0, 500) + "...");
+
+            const response = await axios.post(`${GEMINI_API_BASE_URL}/${model}:streamGenerateContent?alt=sse`, payload, {
+                headers,
+                responseType: 'stream',
+                signal: request.signal
+            });
+            console.log("Streaming response from Gemini API.");
+
+            let text = "";
+            let usage = null;
+            await consumeSseStream(response.data, (data) => {
+                try {
+                    const chunk = JSON.parse(data);
+                    const chunkText = extractText(chunk);
+                    if (chunkText) {
+                        text += chunkText;
+                        onToken(chunkText);
+                    }
+                    usage = extractUsage(chunk) || usage; // The last chunk carries the final totals
+                } catch (parseError) {
+                    console.warn("Skipping malformed Gemini stream chunk:", parseError.message);
+                }
+            }, request.signal);
+
+            return { text, usage };
+        },
+    };
+};
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,56 @@
+// backend/services/llm/index.js - Selects the LLM provider used for chat replies
+//
+// Every provider exposes the same interface:
+//   name, model
+//   generate({ messages, temperature, maxOutputTokens, signal }) -> Promise<{ text, usage }>
+//   stream({ messages, temperature, maxOutputTokens, signal }, onToken) -> Promise<{ text, usage }>
+// where `messages` is an array of { role: 'system' | 'user' | 'assistant', content } and `usage` is
+// { promptTokens, completionTokens, totalTokens } (or null if the provider didn't report it).
+//
+// Configuration (environment variables):
+//   LLM_PROVIDER  - "gemini" (default), "openai" or "mock"
+//   LLM_MODEL     - Model name; each provider has its own default
+//   GEMINI_API_KEY - API key for the Gemini provider
+//   LLM_BASE_URL  - Base URL for the OpenAI-compatible provider (e.g. http://localhost:11434/v1 for Ollama)
+//   LLM_API_KEY   - API key for the OpenAI-compatible provider (optional for local servers)
+//   MOCK_STREAM_DELAY_MS - Delay between streamed tokens for the mock provider
+const dotenv = require("dotenv");
+const { createGeminiProvider } = require("./gemini");
+const { createOpenAIProvider } = require("./openai");
+const { createMockProvider } = require("./mock");
+
+dotenv.config();
+
+const providerFactories = {
+    gemini: () => createGeminiProvider({
+        apiKey: process.env.GEMINI_API_KEY,
+        model: process.env.LLM_MODEL || undefined,
+    }),
+    openai: () => createOpenAIProvider({
+        baseUrl: process.env.LLM_BASE_URL || undefined,
+        apiKey: process.env.LLM_API_KEY,
+        model: process.env.LLM_MODEL || undefined,
+    }),
+    mock: () => createMockProvider({
+        model: process.env.LLM_MODEL || undefined,
+        streamDelayMs: process.env.MOCK_STREAM_DELAY_MS ? Number(process.env.MOCK_STREAM_DELAY_MS) : undefined,
+    }),
+};
+
+let provider = null;
+
+// Returns the configured provider, creating it on first use.
+const getProvider = () => {
+    if (!provider) {
+        const name = (process.env.LLM_PROVIDER || "gemini").toLowerCase();
+        const createProvider = providerFactories[name];
+        if (!createProvider) {
+            throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(providerFactories).join(", ")}.`);
+        }
+        provider = createProvider();
+        console.log(`Using LLM provider "${provider.name}" with model "${provider.model}".`);
+    }
+    return provider;
+};
+
+module.exports = { getProvider };
@@ -0,0 +1,52 @@
+// backend/services/llm/mock.js - Deterministic offline provider for development and tests
+// Replies depend only on the request, so the chat flow can be exercised without an API key or network.
+
+// Rough token count used for the mock usage figures.
+const countTokens = (text) => text.split(/\s+/).filter(Boolean).length;
+
+// Builds the canned reply: it echoes the question and says whether knowledge-base context was supplied.
+const buildReply = (messages) => {
+    const systemPrompt = messages.filter(msg => msg.role === 'system').map(msg => msg.content).join("\n");
+    const lastUserMessage = [...messages].reverse().find(msg => msg.role === 'user');
+    const question = lastUserMessage ? lastUserMessage.content : "";
+    const historyTurns = messages.filter(msg => msg.role !== 'system').length - 1;
+    const usedFaqs = systemPrompt.includes("Relevant FAQs");
+
+    return `This is a mock reply to: "${question}". ` +
+        (usedFaqs ? "Relevant FAQs were provided as context. " : "No FAQ context was provided. ") +
+        `Earlier turns in this conversation: ${Math.max(historyTurns, 0)}.`;
+};
+
+const buildUsage = (messages, text) => {
+    const promptTokens = messages.reduce((total, msg) => total + countTokens(msg.content), 0);
+    const completionTokens = countTokens(text);
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+};
+
+const createMockProvider = ({ model = "mock-1", streamDelayMs = 20 } = {}) => ({
+    name: "mock",
+    model,
+
+    async generate({ messages }) {
+        const text = buildReply(messages);
+        return { text, usage: buildUsage(messages, text) };
+    },
+
+    async stream({ messages, signal }, onToken) {
+        const reply = buildReply(messages);
+        const tokens = reply.match(/\S+\s*/g) || [];
+
+        let text = "";
+        for (const token of tokens) {
+            if (signal && signal.aborted) {
+                break; // Keep what was "generated" before the cancellation, like the real providers
+            }
+            await new Promise(resolve => setTimeout(resolve, streamDelayMs));
+            text += token;
+            onToken(token);
+        }
+        return { text, usage: buildUsage(messages, text) };
+    },
+});
+
+module.exports = { createMockProvider };
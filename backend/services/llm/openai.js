@@ -0,0 +1,95 @@
+// backend/services/llm/openai.js - Provider for OpenAI-compatible chat completion APIs
+// (OpenAI itself, or local servers such as llama.cpp and Ollama that expose /v1/chat/completions)
+const axios = require("axios");
+const { consumeSseStream } = require("./sse");
+
+// Pulls the generated text out of a chat completion response. Returns null if there is none.
+const extractText = (data) => {
+    if (data && data.choices && data.choices.length > 0 && data.choices[0].message) {
+        return data.choices[0].message.content || null;
+    }
+    return null;
+};
+
+// Maps the OpenAI usage object to the provider-neutral usage shape.
+const extractUsage = (data) => {
+    const usage = data && data.usage;
+    if (!usage) {
+        return null;
+    }
+    return {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || 0,
+    };
+};
+
+const createOpenAIProvider = ({ baseUrl = "https://api.openai.com/v1", apiKey, model = "gpt-4o-mini" }) => {
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    console.log("OpenAI-compatible endpoint:", endpoint, "API key:", apiKey ? "YES (key present)" : "NO (none configured)");
+
+    const headers = {
+        'Content-Type': 'application/json',
+        // Local servers usually don't need a key, so only send the header when one is configured.
+        ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+    };
+
+    const buildPayload = ({ messages, temperature, maxOutputTokens }) => ({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxOutputTokens,
+    });
+
+    return {
+        name: "openai",
+        model,
+
+        async generate(request) {
+            const payload = buildPayload(request);
+            console.log("Sending payload to OpenAI-compatible API. Payload (first 500 chars):", JSON.stringify(payload, null, 2).substring(0, 500) + "...");
+
+            const response = await axios.post(endpoint, payload, { headers, signal: request.signal });
+            console.log("Received response from OpenAI-compatible API.");
+
+            const text = extractText(response.data);
+            if (!text) {
+                console.error("OpenAI-compatible API response was empty or malformed:", JSON.stringify(response.data, null, 2));
+            }
+            return { text, usage: extractUsage(response.data) };
+        },
+
+        async stream(request, onToken) {
+            const payload = { ...buildPayload(request), stream: true, stream_options: { include_usage: true } };
+            console.log("Streaming payload to OpenAI-compatible API. Payload (first 500 chars):", JSON.stringify(payload, null, 2).substring(0, 500) + "...");
+
+            const response = await axios.post(endpoint, payload, {
+                headers,
+                responseType: 'stream',
+                signal: request.signal
+            });
+            console.log("Streaming response from OpenAI-compatible API.");
+
+            let text = "";
+            let usage = null;
+            await consumeSseStream(response.data, (data) => {
+                if (data === "[DONE]") return;
+                try {
+                    const chunk = JSON.parse(data);
+                    const delta = chunk.choices && chunk.choices.length > 0 && chunk.choices[0].delta;
+                    if (delta && delta.content) {
+                        text += delta.content;
+                        onToken(delta.content);
+                    }
+                    usage = extractUsage(chunk) || usage; // Sent in a final chunk with no choices
+                } catch (parseError) {
+                    console.warn("Skipping malformed OpenAI-compatible stream chunk:", parseError.message);
+                }
+            }, request.signal);
+
+            return { text, usage };
+        },
+    };
+};
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,29 @@
+// backend/services/llm/sse.js - Shared reader for providers that stream Server-Sent Events over axios
+
+// Reads an axios response stream of SSE events and calls onData(payload) with each event's `data:` field.
+// Resolves once the stream ends. If the request is cancelled through `signal`, it resolves instead of
+// rejecting, so callers keep whatever was produced before the cancellation.
+const consumeSseStream = (stream, onData, signal) => new Promise((resolve, reject) => {
+    let buffer = "";
+
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+        buffer += chunk;
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop(); // Keep any incomplete event for the next chunk
+        events.forEach((rawEvent) => {
+            const data = rawEvent.split(/\r?\n/)
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trim())
+                .join('');
+            if (data) {
+                onData(data);
+            }
+        });
+    });
+    stream.on('end', resolve);
+    stream.on('close', resolve); // Aborted streams close without ending
+    stream.on('error', (error) => (signal && signal.aborted ? resolve() : reject(error)));
+});
+
+module.exports = { consumeSseStream };
@@ -0,0 +1,60 @@
+// backend/services/messageHistory.js - Paginated message history of a conversation
+const mongoose = require("mongoose");
+const Chat = require("../models/Chat");
+const ArchivedMessage = require("../models/ArchivedMessage");
+
+// Messages sent in the same millisecond share a timestamp, so a page cursor is the last message's timestamp
+// together with its _id ("<ISO timestamp>_<message id>"), and messages are ordered by both. Other newest-first
+// lists (e.g. FAQ revisions) page the same way by passing their timestamp `field`.
+const encodeCursor = (item, field = "timestamp") => `${new Date(item[field]).toISOString()}_${item._id}`;
+
+// Parses a `before` cursor into { timestamp, id }. A bare ISO timestamp (the older cursor format) is accepted
+// too and gives id null. Returns null if the cursor is invalid.
+const parseCursor = (value) => {
+    if (typeof value !== "string") {
+        return null;
+    }
+    const separator = value.lastIndexOf("_");
+    const timestamp = new Date(separator === -1 ? value : value.slice(0, separator));
+    const id = separator === -1 ? null : value.slice(separator + 1);
+    if (isNaN(timestamp.getTime()) || (id !== null && !mongoose.isValidObjectId(id))) {
+        return null;
+    }
+    return { timestamp, id: id && new mongoose.Types.ObjectId(id) };
+};
+
+// Matches the documents that come after the cursor in newest-first order of `field` and _id.
+const olderThan = ({ timestamp, id }, field = "timestamp") => (id
+    ? { $or: [{ [field]: { $lt: timestamp } }, { [field]: timestamp, _id: { $lt: id } }] }
+    : { [field]: { $lt: timestamp } });
+
+// Returns one page of a conversation's messages, newest first, older than the `before` cursor (from parseCursor)
+// if given. Returns { messages, hasMore, nextCursor } where `nextCursor` is the `before` of the next (older) page.
+const getMessagePage = async (conversationId, { limit, before }) => {
+    // Fetch one extra message so we know whether an older page exists.
+    const page = await Chat.aggregate([
+        { $match: { conversationId } },
+        { $unwind: "$messages" },
+        { $replaceRoot: { newRoot: "$messages" } },
+        // Older messages may have been moved to the archive when the conversation was summarized
+        {
+            $unionWith: {
+                coll: ArchivedMessage.collection.name,
+                pipeline: [
+                    { $match: { conversationId } },
+                    { $project: { conversationId: 0, userId: 0, __v: 0 } }
+                ]
+            }
+        },
+        ...(before ? [{ $match: olderThan(before) }] : []),
+        { $sort: { timestamp: -1, _id: -1 } },
+        { $limit: limit + 1 }
+    ]);
+
+    const hasMore = page.length > limit;
+    const messages = page.slice(0, limit);
+    const nextCursor = hasMore ? encodeCursor(messages[messages.length - 1]) : null;
+    return { messages, hasMore, nextCursor };
+};
+
+module.exports = { getMessagePage, parseCursor, encodeCursor, olderThan };
@@ -0,0 +1,173 @@
+// backend/services/promptBuilder.js - Assembles chat prompts within a token budget
+//
+// The user's message and the instruction on which language to answer in are always sent whole. What is left of the
+// budget is split between three sections:
+//   instructions - the bot's persona and the instructions from its chat settings
+//   knowledge    - the retrieved FAQ chunks, best first
+//   history      - the conversation's running summary and its most recent messages
+// Budget a section doesn't use passes on to the next one. When the knowledge doesn't fit, the lowest-ranked chunks
+// are dropped first and the last chunk that partly fits is cut short; when the history doesn't fit, the oldest
+// messages are dropped first. Everything dropped or cut is logged. Token counts are estimates (see usage.js).
+//
+// Configuration (environment variables):
+//   PROMPT_TOKEN_BUDGET - Estimated tokens the prompt may use, including the user's message (default 6000)
+//   PROMPT_BUDGET_SPLIT - Shares of instructions:knowledge:history, e.g. "20:55:25" (the default)
+const dotenv = require("dotenv");
+const { CHARS_PER_TOKEN, estimateTokens } = require("./usage");
+
+dotenv.config();
+
+const PROMPT_TOKEN_BUDGET = process.env.PROMPT_TOKEN_BUDGET ? Number(process.env.PROMPT_TOKEN_BUDGET) : 6000;
+
+const DEFAULT_SPLIT = "20:55:25";
+
+// A chunk is only cut short if at least this many tokens of it fit; otherwise it is dropped.
+const MIN_PARTIAL_CHUNK_TOKENS = 100;
+
+const KNOWLEDGE_HEADER = "**Relevant FAQs:**\n";
+const SUMMARY_HEADER = "**Summary of the conversation so far:**\n";
+const CHUNK_SEPARATOR = "\n\n---\n\n";
+const TRUNCATION_MARKER = " [...]";
+
+// Parses PROMPT_BUDGET_SPLIT into shares that add up to 1, falling back to the default split if it is invalid.
+const parseSplit = (value) => {
+    const parts = String(value).split(":").map(Number);
+    if (parts.length !== 3 || parts.some(part => !(part >= 0)) || parts.every(part => part === 0)) {
+        console.warn(`Ignoring invalid PROMPT_BUDGET_SPLIT "${value}". Expected three numbers such as ${DEFAULT_SPLIT}.`);
+        return parseSplit(DEFAULT_SPLIT);
+    }
+    const total = parts.reduce((sum, part) => sum + part, 0);
+    return { instructions: parts[0] / total, knowledge: parts[1] / total, history: parts[2] / total };
+};
+
+const BUDGET_SPLIT = parseSplit(process.env.PROMPT_BUDGET_SPLIT || DEFAULT_SPLIT);
+
+// Cuts text down to roughly `tokens` tokens, marking that it was cut.
+const truncateToTokens = (text, tokens) => {
+    const maxChars = Math.max(tokens * CHARS_PER_TOKEN - TRUNCATION_MARKER.length, 0);
+    return text.length <= maxChars ? text : `${text.slice(0, maxChars).trim()}${TRUNCATION_MARKER}`;
+};
+
+const formatChunk = ({ faq, chunk }, label, content) =>
+    `[${label}] Q: ${faq.title}${chunk.page ? ` (${faq.segmentType || "page"} ${chunk.page})` : ""}\nA: ${content}`;
+
+// Fits the ranked chunks into `budget`. Returns { chunks, text, used } where `chunks` are the included chunks
+// (with the `content` actually sent), numbered from 1 in prompt order.
+const fitKnowledge = (rankedChunks, budget, dropped) => {
+    const chunks = [];
+    const parts = [];
+    let used = rankedChunks.length > 0 ? estimateTokens(KNOWLEDGE_HEADER) : 0;
+
+    rankedChunks.forEach((item) => {
+        const label = chunks.length + 1;
+        const separatorTokens = parts.length > 0 ? estimateTokens(CHUNK_SEPARATOR) : 0;
+        const fullText = formatChunk(item, label, item.chunk.content);
+        const fullTokens = estimateTokens(fullText) + separatorTokens;
+
+        if (used + fullTokens <= budget) {
+            chunks.push({ ...item, label, content: item.chunk.content });
+            parts.push(fullText);
+            used += fullTokens;
+            return;
+        }
+
+        const room = budget - used - separatorTokens - estimateTokens(formatChunk(item, label, ""));
+        if (room >= MIN_PARTIAL_CHUNK_TOKENS) {
+            const content = truncateToTokens(item.chunk.content, room);
+            chunks.push({ ...item, label, content });
+            parts.push(formatChunk(item, label, content));
+            used = budget;
+            dropped.push(`cut FAQ chunk ${item.chunk._id} ("${item.faq.title}") from ~${estimateTokens(item.chunk.content)} to ~${room} tokens`);
+        } else {
+            dropped.push(`dropped FAQ chunk ${item.chunk._id} ("${item.faq.title}", score ${item.score.toFixed(3)})`);
+        }
+    });
+
+    if (parts.length === 0) {
+        return { chunks, text: "", used: 0 };
+    }
+    return { chunks, text: `${KNOWLEDGE_HEADER}${parts.join(CHUNK_SEPARATOR)}\n\n`, used };
+};
+
+// Fits the summary and as many of the most recent messages as possible into `budget`. Returns
+// { summaryText, history, used }.
+const fitHistory = (summary, messages, budget, dropped) => {
+    let used = 0;
+    let summaryText = "";
+    if (summary) {
+        const summaryTokens = estimateTokens(SUMMARY_HEADER + summary);
+        if (summaryTokens <= budget) {
+            summaryText = `${SUMMARY_HEADER}${summary}\n\n`;
+            used = summaryTokens;
+        } else if (budget - estimateTokens(SUMMARY_HEADER) >= MIN_PARTIAL_CHUNK_TOKENS) {
+            summaryText = `${SUMMARY_HEADER}${truncateToTokens(summary, budget - estimateTokens(SUMMARY_HEADER))}\n\n`;
+            used = budget;
+            dropped.push(`cut the conversation summary from ~${summaryTokens} to ~${budget} tokens`);
+        } else {
+            dropped.push("dropped the conversation summary");
+        }
+    }
+
+    // Walk back from the newest message and stop at the first one that doesn't fit, so no gap is left behind.
+    let firstKept = messages.length;
+    while (firstKept > 0 && used + estimateTokens(messages[firstKept - 1].content) <= budget) {
+        firstKept -= 1;
+        used += estimateTokens(messages[firstKept].content);
+    }
+    if (firstKept > 0) {
+        dropped.push(`dropped the ${firstKept} oldest history messages`);
+    }
+
+    return { summaryText, history: messages.slice(firstKept), used };
+};
+
+// Builds the provider-neutral prompt messages for a chat request.
+//   persona, instructions - start of the system instruction (the bot's persona and its chat settings' rules)
+//   language              - the instruction on which language to answer in (see services/language.js), if any
+//   summary               - the conversation's running summary, if any
+//   rankedChunks          - retrieved { faq, chunk, score } entries, best first
+//   history               - recent { role, content } messages, oldest first
+//   message               - the user's message
+// Returns { messages, chunks, estimatedTokens, dropped } where `chunks` are the FAQ chunks that made it into the
+// prompt, labelled as they are numbered there.
+const buildPrompt = ({ persona, instructions, language, summary, rankedChunks, history, message }) => {
+    const dropped = [];
+    const languageText = language ? `${language}\n\n` : "";
+    const available = Math.max(PROMPT_TOKEN_BUDGET - estimateTokens(message) - estimateTokens(languageText), 0);
+
+    const instructionsBudget = Math.floor(available * BUDGET_SPLIT.instructions);
+    let instructionText = `${persona}\n\n${instructions}`;
+    const instructionTokens = estimateTokens(instructionText);
+    if (instructionTokens > instructionsBudget) {
+        instructionText = truncateToTokens(instructionText, instructionsBudget);
+        dropped.push(`cut the instructions from ~${instructionTokens} to ~${instructionsBudget} tokens`);
+    }
+    const instructionsUsed = Math.min(instructionTokens, instructionsBudget);
+
+    const knowledgeBudget = Math.floor(available * BUDGET_SPLIT.knowledge) + (instructionsBudget - instructionsUsed);
+    const knowledge = fitKnowledge(rankedChunks, knowledgeBudget, dropped);
+
+    const historyBudget = available - instructionsUsed - knowledge.used;
+    const { summaryText, history: keptHistory, used: historyUsed } = fitHistory(summary, history, historyBudget, dropped);
+
+    const systemInstruction = `${instructionText}\n\n${languageText}${summaryText}${knowledge.text}`;
+    const estimatedTokens = instructionsUsed + estimateTokens(languageText) + knowledge.used + historyUsed + estimateTokens(message);
+
+    console.log(`Built prompt of ~${estimatedTokens}/${PROMPT_TOKEN_BUDGET} tokens (instructions ~${instructionsUsed}, knowledge ~${knowledge.used}, history ~${historyUsed}).`);
+    if (dropped.length > 0) {
+        console.log("Trimmed to fit the prompt budget:", dropped.join("; "));
+    }
+
+    return {
+        messages: [
+            { role: "system", content: systemInstruction },
+            ...keptHistory,
+            { role: "user", content: message },
+        ],
+        chunks: knowledge.chunks,
+        estimatedTokens,
+        dropped,
+    };
+};
+
+module.exports = { PROMPT_TOKEN_BUDGET, buildPrompt };
@@ -0,0 +1,170 @@
+// backend/services/realtime.js - WebSocket connections for live chat between users and support agents
+//
+// Clients connect to /api/ws and authenticate with their first message, { type: "auth", token, botId }, naming the
+// bot (id or slug) whose conversations they follow. Browsers can't send an Authorization header when opening a
+// WebSocket, and a token in the URL would end up in server and proxy logs. Connections with an invalid token or a
+// guest token of another bot are closed with AUTH_FAILED_CLOSE_CODE, and those that don't send a valid "auth"
+// message within AUTH_TIMEOUT_MS with AUTH_MISSING_CLOSE_CODE. Once authenticated, the server pushes JSON events
+// about the bot's conversations handed over to an agent (see services/handoff.js):
+//   { type: "connected" }                               - authentication succeeded; refetch what may have been missed
+//   { type: "handoff", conversationId, botId, handoff } - a conversation was escalated, claimed or closed
+//   { type: "message", conversationId, botId, message } - a message was added to a handed-off conversation
+//   { type: "error", message, conversationId? }          - a message sent over the connection was refused
+// Users get the events of their own conversations, agents and admins those of every conversation of the bot. What
+// clients may send once authenticated is up to the handler given to attachRealtime.
+//
+// Connections are kept in memory, so with several server processes, events only reach the clients connected to
+// the process that published them.
+const WebSocket = require("ws");
+const { verifyToken, canUseBot } = require("../middleware/auth");
+const { findBot } = require("./bots");
+
+const WS_PATH = "/api/ws";
+
+// Roles that receive the events of every conversation of their bot
+const AGENT_ROLES = ["agent", "admin"];
+
+// Connections that don't answer a ping within this interval are dropped
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+// Time a new connection has to send its "auth" message
+const AUTH_TIMEOUT_MS = 10000;
+
+// Close codes (in the range reserved for applications): the token was refused, so the client must log in again;
+// or no valid "auth" message arrived in time.
+const AUTH_FAILED_CLOSE_CODE = 4401;
+const AUTH_MISSING_CLOSE_CODE = 4400;
+
+const clients = new Set(); // { socket, user, botId, isAlive }; user and botId are null until authenticated
+
+const send = (client, event) => {
+    if (client.socket.readyState === WebSocket.OPEN) {
+        client.socket.send(JSON.stringify(event));
+    }
+};
+
+// Sends an event about a conversation of `event.botId` to its user and to the agents following that bot.
+const publish = (conversationUserId, event) => {
+    clients.forEach(client => {
+        if (!client.user || client.botId !== String(event.botId)) {
+            return;
+        }
+        if (client.user.id === String(conversationUserId) || AGENT_ROLES.includes(client.user.role)) {
+            send(client, event);
+        }
+    });
+};
+
+// Authenticates a connection from its first message. Closes the connection when that fails.
+const authenticate = async (client, raw) => {
+    let data;
+    try {
+        data = JSON.parse(raw.toString());
+    } catch {
+        data = null;
+    }
+    if (!data || data.type !== "auth" || typeof data.token !== "string" || typeof data.botId !== "string") {
+        return client.socket.close(AUTH_MISSING_CLOSE_CODE, "The first message must be { type: \"auth\", token, botId }.");
+    }
+
+    let user;
+    try {
+        user = verifyToken(data.token);
+    } catch (error) {
+        console.log("Rejected WebSocket connection with an invalid or expired token:", error.message);
+        return client.socket.close(AUTH_FAILED_CLOSE_CODE, "Your session has expired. Please log in again.");
+    }
+    const bot = await findBot(data.botId);
+    if (!bot) {
+        return client.socket.close(AUTH_MISSING_CLOSE_CODE, "Bot not found.");
+    }
+    if (!canUseBot(user, bot)) {
+        console.log("Rejected WebSocket connection with a guest token of bot", user.botId || "(none)", "for", bot._id.toString());
+        return client.socket.close(AUTH_FAILED_CLOSE_CODE, "Your chat session has ended. Please start a new chat.");
+    }
+
+    client.user = user;
+    client.botId = bot._id.toString();
+    console.log("WebSocket authenticated for userId:", user.id, "role:", user.role, "bot:", client.botId);
+    send(client, { type: "connected" });
+};
+
+// Parses a message from a client and passes it to `onClientMessage(user, data)`, which returns an error message
+// for the client, or null when the message was handled.
+const handleClientMessage = async (client, raw, onClientMessage) => {
+    let data;
+    try {
+        data = JSON.parse(raw.toString());
+    } catch {
+        return send(client, { type: "error", message: "Messages must be JSON." });
+    }
+    try {
+        const error = await onClientMessage(client.user, data);
+        if (error) {
+            send(client, { type: "error", message: error, conversationId: data.conversationId });
+        }
+    } catch (error) {
+        console.error("Error handling WebSocket message:", error.message);
+        send(client, { type: "error", message: "Failed to handle the message. Please try again.", conversationId: data.conversationId });
+    }
+};
+
+// Accepts WebSocket connections on the HTTP server's /api/ws path. Messages of a connection are handled one at a
+// time, so nothing sent right after the "auth" message is handled before the connection is authenticated.
+const attachRealtime = (server, onClientMessage) => {
+    const wss = new WebSocket.Server({ noServer: true });
+
+    server.on("upgrade", (req, socket, head) => {
+        const url = new URL(req.url, "http://localhost");
+        if (url.pathname !== WS_PATH) {
+            socket.destroy();
+            return;
+        }
+
+        wss.handleUpgrade(req, socket, head, (ws) => {
+            const client = { socket: ws, user: null, botId: null, isAlive: true };
+            clients.add(client);
+
+            const authTimer = setTimeout(() => {
+                if (!client.user) {
+                    ws.close(AUTH_MISSING_CLOSE_CODE, "Authentication timed out.");
+                }
+            }, AUTH_TIMEOUT_MS);
+
+            let handling = Promise.resolve();
+            ws.on("pong", () => {
+                client.isAlive = true;
+            });
+            ws.on("message", (raw) => {
+                handling = handling
+                    .then(() => (client.user ? handleClientMessage(client, raw, onClientMessage) : authenticate(client, raw)))
+                    .catch(error => {
+                        console.error("Error authenticating WebSocket connection:", error.message);
+                        ws.close(1011, "Failed to authenticate. Please try again.");
+                    });
+            });
+            ws.on("close", () => {
+                clearTimeout(authTimer);
+                clients.delete(client);
+            });
+        });
+    });
+
+    // Drop connections that went away without closing, e.g. when a laptop went to sleep.
+    const heartbeat = setInterval(() => {
+        clients.forEach(client => {
+            if (!client.isAlive) {
+                client.socket.terminate();
+                clients.delete(client);
+                return;
+            }
+            client.isAlive = false;
+            client.socket.ping();
+        });
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+
+    return wss;
+};
+
+module.exports = { AGENT_ROLES, AUTH_FAILED_CLOSE_CODE, attachRealtime, publish };
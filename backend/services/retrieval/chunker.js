@@ -0,0 +1,76 @@
+// backend/services/retrieval/chunker.js - Splits FAQ content into overlapping, retrievable passages
+//
+// Configuration (environment variables):
+//   CHUNK_SIZE    - Target chunk length in characters (default 1000)
+//   CHUNK_OVERLAP - Characters shared between consecutive chunks (default 200)
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const DEFAULT_CHUNK_SIZE = process.env.CHUNK_SIZE ? Number(process.env.CHUNK_SIZE) : 1000;
+const DEFAULT_CHUNK_OVERLAP = process.env.CHUNK_OVERLAP ? Number(process.env.CHUNK_OVERLAP) : 200;
+
+// Preferred chunk boundaries, best first. A boundary is only used if it falls in the last part of the window.
+const BREAK_SEPARATORS = ["\n\n", "\n", ". ", "? ", "! ", " "];
+const MIN_BREAK_RATIO = 0.6;
+
+// Splits content into page segments using the stored page offsets (or one segment without a page).
+const toSegments = (content, pageOffsets) => {
+    if (!pageOffsets || pageOffsets.length === 0) {
+        return [{ start: 0, end: content.length, page: null }];
+    }
+    return pageOffsets.map((start, index) => ({
+        start,
+        end: index + 1 < pageOffsets.length ? pageOffsets[index + 1] : content.length,
+        page: index + 1,
+    }));
+};
+
+// Finds where to end a chunk that starts at `start`: at the best separator in the tail of the window,
+// or at the hard size limit if there is none.
+const findChunkEnd = (content, start, limit, chunkSize) => {
+    const window = content.slice(start, limit);
+    const minBreak = Math.floor(chunkSize * MIN_BREAK_RATIO);
+    for (const separator of BREAK_SEPARATORS) {
+        const index = window.lastIndexOf(separator);
+        if (index >= minBreak) {
+            return start + index + separator.length;
+        }
+    }
+    return limit;
+};
+
+// Splits content into chunks of roughly `chunkSize` characters, with `overlap` characters repeated between
+// neighbours so an answer spanning a boundary is still retrievable. Chunks never span two pages.
+// Returns [{ content, page, position, startOffset }].
+const chunkText = (content, pageOffsets, { chunkSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_CHUNK_OVERLAP } = {}) => {
+    const chunks = [];
+
+    toSegments(content, pageOffsets).forEach(({ start: segmentStart, end: segmentEnd, page }) => {
+        let start = segmentStart;
+        while (start < segmentEnd) {
+            const limit = Math.min(start + chunkSize, segmentEnd);
+            const end = limit < segmentEnd ? findChunkEnd(content, start, limit, chunkSize) : limit;
+
+            const text = content.slice(start, end).trim();
+            if (text) {
+                chunks.push({ content: text, page, position: chunks.length, startOffset: start });
+            }
+            if (end >= segmentEnd) {
+                break;
+            }
+
+            // Step back by the overlap, then forward to the next word so chunks don't start mid-word.
+            let nextStart = Math.max(end - overlap, start + 1);
+            const nextSpace = content.slice(nextStart, end).search(/\s/);
+            if (nextSpace > 0) {
+                nextStart += nextSpace + 1;
+            }
+            start = nextStart;
+        }
+    });
+
+    return chunks;
+};
+
+module.exports = { chunkText };
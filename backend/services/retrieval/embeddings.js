@@ -0,0 +1,99 @@
+// backend/services/retrieval/embeddings.js - Optional embedding providers for vector retrieval
+//
+// Configuration (environment variables):
+//   EMBEDDING_PROVIDER - "none" (default), "gemini", "openai" or "mock"
+//   EMBEDDING_MODEL    - Model name; each provider has its own default
+// The Gemini embedder uses GEMINI_API_KEY; the OpenAI-compatible one uses LLM_BASE_URL and LLM_API_KEY.
+const axios = require("axios");
+const dotenv = require("dotenv");
+const crypto = require("crypto");
+
+dotenv.config();
+
+const MOCK_DIMENSIONS = 64;
+
+const createGeminiEmbedder = ({ apiKey, model = "text-embedding-004" }) => ({
+    name: "gemini",
+    model,
+    async embed(text) {
+        const response = await axios.post(
+            `https://generativelanguage.googleapis.com/v1beta/models/${model}:embedContent`,
+            { content: { parts: [{ text }] } },
+            { headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey } }
+        );
+        return response.data.embedding.values;
+    },
+});
+
+const createOpenAIEmbedder = ({ baseUrl = "https://api.openai.com/v1", apiKey, model = "text-embedding-3-small" }) => ({
+    name: "openai",
+    model,
+    async embed(text) {
+        const response = await axios.post(
+            `${baseUrl.replace(/\/+$/, '')}/embeddings`,
+            { model, input: text },
+            { headers: { 'Content-Type': 'application/json', ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }) } }
+        );
+        return response.data.data[0].embedding;
+    },
+});
+
+// Deterministic hashed bag-of-words vectors, for development and tests without network access.
+const createMockEmbedder = ({ model = "mock-embedding" } = {}) => ({
+    name: "mock",
+    model,
+    async embed(text) {
+        const vector = new Array(MOCK_DIMENSIONS).fill(0);
+        text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean).forEach(word => {
+            const bucket = crypto.createHash('md5').update(word).digest().readUInt32BE(0) % MOCK_DIMENSIONS;
+            vector[bucket] += 1;
+        });
+        return vector;
+    },
+});
+
+const embedderFactories = {
+    gemini: () => createGeminiEmbedder({ apiKey: process.env.GEMINI_API_KEY, model: process.env.EMBEDDING_MODEL || undefined }),
+    openai: () => createOpenAIEmbedder({
+        baseUrl: process.env.LLM_BASE_URL || undefined,
+        apiKey: process.env.LLM_API_KEY,
+        model: process.env.EMBEDDING_MODEL || undefined,
+    }),
+    mock: () => createMockEmbedder({ model: process.env.EMBEDDING_MODEL || undefined }),
+};
+
+let embedder;
+
+// Returns the configured embedder, or null when vector retrieval is disabled.
+const getEmbedder = () => {
+    if (embedder === undefined) {
+        const name = (process.env.EMBEDDING_PROVIDER || "none").toLowerCase();
+        if (name === "none") {
+            embedder = null;
+        } else if (embedderFactories[name]) {
+            embedder = embedderFactories[name]();
+            console.log(`Using embedding provider "${embedder.name}" with model "${embedder.model}".`);
+        } else {
+            throw new Error(`Unknown EMBEDDING_PROVIDER "${name}". Expected one of: none, ${Object.keys(embedderFactories).join(", ")}.`);
+        }
+    }
+    return embedder;
+};
+
+// Cosine similarity of two vectors, or 0 if either is empty or their sizes differ.
+const cosineSimilarity = (a, b) => {
+    if (!a || !b || a.length === 0 || a.length !== b.length) {
+        return 0;
+    }
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+};
+
+module.exports = { getEmbedder, cosineSimilarity };
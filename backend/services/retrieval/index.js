@@ -0,0 +1,275 @@
+// backend/services/retrieval/index.js - BM25 + vector retrieval over FAQ chunks
+//
+// When an FAQ is indexed, its content is split into overlapping chunks (see chunker.js) and each chunk's
+// term frequencies (and, when an embedding provider is configured, its embedding vector) are stored as a
+// FAQChunk. This module keeps an in-memory inverted index over those chunks, one per bot so each bot only
+// retrieves (and computes BM25 statistics over) its own FAQs. The indexes are loaded from MongoDB on first use
+// and kept current by calling indexFaq()/removeFromIndex() whenever FAQs change, which also drops the cached
+// answers that depended on the FAQ (see answerCache.js).
+//
+// Configuration (environment variables):
+//   RETRIEVAL_MIN_SCORE     - Minimum hybrid score (0-1) for a chunk to count as relevant, unless a bot's chat
+//                             settings set their own (default 0.15)
+//   RETRIEVAL_VECTOR_WEIGHT - Share of the hybrid score given to vector similarity (0-1, default 0.5)
+const dotenv = require("dotenv");
+const FAQ = require("../../models/FAQ");
+const FAQChunk = require("../../models/FAQChunk");
+const { tokenize, buildTermFrequencies } = require("./tokenizer");
+const { getEmbedder, cosineSimilarity } = require("./embeddings");
+const { chunkText } = require("./chunker");
+const { getDefaultBotId } = require("../bots");
+const { invalidateForFaq } = require("../answerCache");
+
+dotenv.config();
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const DEFAULT_MIN_SCORE = process.env.RETRIEVAL_MIN_SCORE ? Number(process.env.RETRIEVAL_MIN_SCORE) : 0.15;
+const VECTOR_WEIGHT = process.env.RETRIEVAL_VECTOR_WEIGHT ? Number(process.env.RETRIEVAL_VECTOR_WEIGHT) : 0.5;
+
+// In-memory index state, one index per bot:
+//   documents   - chunkId -> { faqId, length, termFrequencies: Map<term, tf>, embedding }
+//   postings    - term -> Map<chunkId, tf>
+//   totalLength - sum of document lengths, for BM25's average length
+const indexes = new Map(); // botId -> { documents, postings, totalLength }
+let loadPromise = null;
+let defaultBotId = null; // Owner of chunks saved before bots existed
+
+const getIndex = (botId) => {
+    const key = botId.toString();
+    if (!indexes.has(key)) {
+        indexes.set(key, { documents: new Map(), postings: new Map(), totalLength: 0 });
+    }
+    return indexes.get(key);
+};
+
+const addDocument = (index, id, faqId, termFrequencies, length, embedding) => {
+    removeDocument(index, id);
+
+    index.documents.set(id, { faqId, length, termFrequencies, embedding: embedding && embedding.length ? embedding : null });
+    index.totalLength += length;
+    termFrequencies.forEach((tf, term) => {
+        if (!index.postings.has(term)) {
+            index.postings.set(term, new Map());
+        }
+        index.postings.get(term).set(id, tf);
+    });
+};
+
+const removeDocument = (index, id) => {
+    const existing = index.documents.get(id);
+    if (!existing) {
+        return;
+    }
+    existing.termFrequencies.forEach((tf, term) => {
+        const termPostings = index.postings.get(term);
+        termPostings.delete(id);
+        if (termPostings.size === 0) {
+            index.postings.delete(term);
+        }
+    });
+    index.totalLength -= existing.length;
+    index.documents.delete(id);
+};
+
+const addChunkDocument = (chunk) => {
+    const termFrequencies = new Map(Object.entries(chunk.searchTerms || {}));
+    const index = getIndex(chunk.botId || defaultBotId);
+    addDocument(index, chunk._id.toString(), chunk.faqId.toString(), termFrequencies, chunk.searchLength, chunk.embedding);
+};
+
+// Embeds a text with the configured provider. Returns null if embeddings are disabled or the call fails,
+// in which case retrieval falls back to BM25 only.
+const embedText = async (text) => {
+    const embedder = getEmbedder();
+    if (!embedder) {
+        return null;
+    }
+    try {
+        return await embedder.embed(text);
+    } catch (error) {
+        console.warn("Embedding request failed, falling back to BM25 only:", error.message);
+        return null;
+    }
+};
+
+// Splits an FAQ into chunks and stores them with their retrieval data, replacing any previous chunks.
+// Returns the saved FAQChunk documents.
+const buildChunks = async (faq) => {
+    const pieces = chunkText(faq.content, faq.pageOffsets);
+    const chunks = [];
+    for (const piece of pieces) {
+        const { termFrequencies, length } = buildTermFrequencies(faq.title, piece.content);
+        const embedding = await embedText(`${faq.title}\n\n${piece.content}`);
+        chunks.push({
+            ...piece,
+            faqId: faq._id,
+            botId: faq.botId,
+            searchTerms: Object.fromEntries(termFrequencies),
+            searchLength: length,
+            ...(embedding && { embedding }),
+        });
+    }
+
+    await FAQChunk.deleteMany({ faqId: faq._id });
+    return FAQChunk.insertMany(chunks);
+};
+
+// Loads every stored chunk into memory. FAQs saved before chunking existed are chunked here.
+const loadIndex = async () => {
+    defaultBotId = await getDefaultBotId();
+    const chunks = await FAQChunk.find({}).lean();
+    chunks.forEach(addChunkDocument);
+
+    const chunkedFaqIds = new Set(chunks.map(chunk => chunk.faqId.toString()));
+    const unchunkedFaqs = (await FAQ.find({})).filter(faq => !chunkedFaqIds.has(faq._id.toString()));
+    for (const faq of unchunkedFaqs) {
+        (await buildChunks(faq)).forEach(addChunkDocument);
+    }
+    if (unchunkedFaqs.length > 0) {
+        console.log(`Chunked ${unchunkedFaqs.length} FAQs that had not been indexed yet.`);
+        // Drop the per-FAQ retrieval fields written before chunk-level indexing
+        await FAQ.collection.updateMany({ searchTerms: { $exists: true } }, { $unset: { searchTerms: "", searchLength: "", embedding: "" } });
+    }
+
+    const chunkCount = [...indexes.values()].reduce((sum, index) => sum + index.documents.size, 0);
+    console.log(`Retrieval index loaded with ${chunkCount} chunks across ${indexes.size} bot(s).`);
+};
+
+const ensureIndexLoaded = () => {
+    if (!loadPromise) {
+        loadPromise = loadIndex().catch(error => {
+            loadPromise = null; // Retry on the next request
+            throw error;
+        });
+    }
+    return loadPromise;
+};
+
+// Removes a document's chunks from the in-memory index of whichever bot holds them.
+const removeFaqDocuments = (faqId) => {
+    indexes.forEach(index => {
+        [...index.documents.entries()]
+            .filter(([, doc]) => doc.faqId === faqId)
+            .forEach(([id]) => removeDocument(index, id));
+    });
+};
+
+// Failures are only logged rather than failing the FAQ change: cached answers whose FAQs changed are still caught
+// when they are next served.
+const invalidateCachedAnswers = (faqId) => invalidateForFaq(faqId)
+    .catch(error => console.error("Error invalidating cached answers:", error.message));
+
+// Adds or refreshes a saved FAQ in the index: (re)chunks its content and indexes every chunk.
+const indexFaq = async (faq) => {
+    await ensureIndexLoaded();
+
+    const chunks = await buildChunks(faq);
+    removeFaqDocuments(faq._id.toString());
+    chunks.forEach(addChunkDocument);
+    console.log(`Indexed FAQ ${faq._id} for retrieval as ${chunks.length} chunk(s).`);
+    await invalidateCachedAnswers(faq._id);
+};
+
+// Indexes an FAQ whose change is already saved. A failure is logged and returned rather than thrown: the change
+// can't be taken back at that point, and reporting it as failed would have clients repeat it (creating
+// duplicates). Saving the FAQ again retries the indexing. Returns the error message, or null once indexed.
+const tryIndexFaq = async (faq) => {
+    try {
+        await indexFaq(faq);
+        return null;
+    } catch (error) {
+        console.error(`Error indexing FAQ ${faq._id}, it is saved but not searchable:`, error.message);
+        return error.message;
+    }
+};
+
+// Removes a deleted FAQ and its chunks from the index.
+const removeFromIndex = async (faqId) => {
+    await ensureIndexLoaded();
+    await FAQChunk.deleteMany({ faqId });
+    removeFaqDocuments(faqId.toString());
+    await invalidateCachedAnswers(faqId);
+};
+
+// Computes normalized BM25 scores (0-1) for every chunk containing at least one query term. Scores are
+// divided by the best score the query could possibly reach, so the threshold means the same for every query.
+const scoreBm25 = (index, queryTerms) => {
+    const scores = new Map();
+    const documentCount = index.documents.size;
+    const averageLength = documentCount ? index.totalLength / documentCount : 0;
+    let maxPossibleScore = 0;
+
+    queryTerms.forEach(term => {
+        const termPostings = index.postings.get(term);
+        const documentFrequency = termPostings ? termPostings.size : 0;
+        const idf = Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        maxPossibleScore += idf * (K1 + 1);
+
+        if (!termPostings) {
+            return;
+        }
+        termPostings.forEach((tf, id) => {
+            const length = index.documents.get(id).length;
+            const termScore = idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * length / (averageLength || 1)));
+            scores.set(id, (scores.get(id) || 0) + termScore);
+        });
+    });
+
+    if (maxPossibleScore > 0) {
+        scores.forEach((score, id) => scores.set(id, score / maxPossibleScore));
+    }
+    return scores;
+};
+
+// Finds the chunks of the bot's FAQs most relevant to a query.
+// Returns up to `limit` entries of { chunk, faq, score, bm25Score, vectorScore }, best first.
+const search = async (query, { botId, limit = 3, minScore = DEFAULT_MIN_SCORE } = {}) => {
+    await ensureIndexLoaded();
+
+    const index = getIndex(botId || defaultBotId);
+    const queryTerms = [...new Set(tokenize(query))];
+    const bm25Scores = scoreBm25(index, queryTerms);
+
+    const queryEmbedding = await embedText(query);
+    const vectorScores = new Map();
+    if (queryEmbedding) {
+        index.documents.forEach((doc, id) => {
+            if (doc.embedding) {
+                vectorScores.set(id, Math.max(0, cosineSimilarity(queryEmbedding, doc.embedding)));
+            }
+        });
+    }
+
+    const candidateIds = new Set([...bm25Scores.keys(), ...vectorScores.keys()]);
+    const ranked = [...candidateIds]
+        .map(id => {
+            const bm25Score = bm25Scores.get(id) || 0;
+            const vectorScore = vectorScores.has(id) ? vectorScores.get(id) : null;
+            const score = vectorScore === null ? bm25Score : (1 - VECTOR_WEIGHT) * bm25Score + VECTOR_WEIGHT * vectorScore;
+            return { id, score, bm25Score, vectorScore };
+        })
+        .filter(item => item.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+
+    if (ranked.length === 0) {
+        return [];
+    }
+
+    const chunks = await FAQChunk.find({ _id: { $in: ranked.map(item => item.id) } }).select("-searchTerms -embedding");
+    const chunksById = new Map(chunks.map(chunk => [chunk._id.toString(), chunk]));
+    const faqs = await FAQ.find({ _id: { $in: [...new Set(chunks.map(chunk => chunk.faqId.toString()))] } }).select("title language sourceFileName segmentType");
+    const faqsById = new Map(faqs.map(faq => [faq._id.toString(), faq]));
+
+    return ranked
+        .filter(item => chunksById.has(item.id) && faqsById.has(chunksById.get(item.id).faqId.toString()))
+        .map(({ id, score, bm25Score, vectorScore }) => {
+            const chunk = chunksById.get(id);
+            return { chunk, faq: faqsById.get(chunk.faqId.toString()), score, bm25Score, vectorScore };
+        });
+};
+
+module.exports = { DEFAULT_MIN_SCORE, search, indexFaq, tryIndexFaq, removeFromIndex, ensureIndexLoaded };
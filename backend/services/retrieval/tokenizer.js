@@ -0,0 +1,61 @@
+// backend/services/retrieval/tokenizer.js - Text tokenization shared by indexing and querying
+
+// Common English, Hindi and Telugu words that carry no retrieval signal
+const STOPWORDS = new Set([
+    "a", "an", "and", "are", "as", "at", "be", "but", "by", "can", "do", "does", "for", "from", "how",
+    "i", "if", "in", "into", "is", "it", "its", "me", "my", "no", "not", "of", "on", "or", "our", "so",
+    "that", "the", "their", "then", "there", "these", "they", "this", "to", "was", "we", "what", "when",
+    "where", "which", "who", "why", "will", "with", "you", "your",
+    "और", "का", "की", "के", "को", "क्या", "कैसे", "है", "हैं", "था", "थी", "मैं", "मेरा", "मेरी", "में", "यह", "वह",
+    "से", "पर", "भी", "तो", "हम", "आप", "एक", "कर", "करें", "नहीं", "हो", "ही",
+    "మరియు", "నా", "నేను", "మీ", "మీరు", "ఏమిటి", "ఎలా", "ఎందుకు", "ఎప్పుడు", "ఎక్కడ", "ఒక", "ఈ", "ఆ", "లో",
+    "కు", "కి", "ఉంది", "చేయాలి", "కాదు", "అది", "ఇది"
+]);
+
+// How many times a title token counts compared to a content token
+const TITLE_WEIGHT = 2;
+
+// Splits text into lowercase words. Letters, digits and combining marks from any script are kept,
+// so non-English text is split too.
+const splitWords = (text) => (text || "")
+    .normalize('NFKC')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}\p{M}]+/u)
+    .filter(Boolean);
+
+// Splits text into lowercase search tokens: its words without stopwords and single characters.
+const tokenize = (text) => {
+    if (!text) {
+        return [];
+    }
+    return splitWords(text).filter(token => token.length > 1 && !STOPWORDS.has(token));
+};
+
+// Builds the term frequencies used by the BM25 index for an FAQ. Title tokens are weighted higher.
+// Returns { termFrequencies: Map<term, count>, length } where length is the weighted token count. A Map, so
+// words such as "constructor" don't pick up Object.prototype's properties.
+const buildTermFrequencies = (title, content) => {
+    const termFrequencies = new Map();
+    let length = 0;
+
+    const addTokens = (tokens, weight) => {
+        tokens.forEach(token => {
+            termFrequencies.set(token, (termFrequencies.get(token) || 0) + weight);
+            length += weight;
+        });
+    };
+    addTokens(tokenize(title), TITLE_WEIGHT);
+    addTokens(tokenize(content), 1);
+
+    return { termFrequencies, length };
+};
+
+// Overlap of two term lists (Jaccard similarity, 0-1), used to match near-identical questions.
+const jaccardSimilarity = (a, b) => {
+    const setB = new Set(b);
+    const shared = a.filter(term => setB.has(term)).length;
+    const union = new Set([...a, ...b]).size;
+    return union ? shared / union : 0;
+};
+
+module.exports = { splitWords, tokenize, buildTermFrequencies, jaccardSimilarity };
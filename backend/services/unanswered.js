@@ -0,0 +1,74 @@
+// backend/services/unanswered.js - Captures questions the knowledge base couldn't answer
+//
+// A question is captured when retrieval finds no relevant FAQ, or when the reply falls back to saying the
+// answer isn't in the knowledge base. Near-duplicates (by overlap of search terms) are grouped and counted.
+//
+// Configuration (environment variables):
+//   UNANSWERED_SIMILARITY - Term overlap (Jaccard, 0-1) at which two questions are grouped (default 0.6)
+const dotenv = require("dotenv");
+const UnansweredQuestion = require("../models/UnansweredQuestion");
+const { MAX_EXAMPLES } = UnansweredQuestion;
+const { tokenize, jaccardSimilarity } = require("./retrieval/tokenizer");
+
+dotenv.config();
+
+const SIMILARITY_THRESHOLD = process.env.UNANSWERED_SIMILARITY ? Number(process.env.UNANSWERED_SIMILARITY) : 0.6;
+
+// Phrases the system prompt asks the model to use when the FAQs don't cover a question.
+const FALLBACK_REPLY_PATTERNS = [
+    /not (?:be )?in my (?:current )?(?:knowledge base|FAQs)/i,
+    /(?:don't|do not) have (?:any )?(?:specific )?information (?:on|about) (?:that|this)/i,
+];
+
+// Greetings and thanks never reach the FAQs, so they aren't knowledge gaps.
+const SMALL_TALK_TERMS = new Set(["hi", "hello", "hey", "thanks", "thank", "ok", "okay", "bye", "good", "morning", "evening", "yes", "no"]);
+
+// Whether a reply is the model's "not in my knowledge base" fallback.
+const isFallbackReply = (reply) => FALLBACK_REPLY_PATTERNS.some(pattern => pattern.test(reply));
+
+// Adds a question to the bot's queue, grouping it with the most similar open (or dismissed) question if there
+// is one. `trigger` is "noMatch" or "fallbackReply". Returns the queue entry, or null for small talk.
+const recordUnansweredQuestion = async ({ question, trigger, botId, userId, conversationId }) => {
+    const terms = [...new Set(tokenize(question))];
+    if (terms.length === 0 || terms.every(term => SMALL_TALK_TERMS.has(term))) {
+        return null;
+    }
+
+    // Dismissed questions still absorb repeats, so admins aren't asked about them again.
+    const candidates = await UnansweredQuestion.find({ botId, status: { $in: ["open", "dismissed"] } }).select("terms").lean();
+    let bestMatch = null;
+    let bestSimilarity = 0;
+    candidates.forEach(candidate => {
+        const similarity = jaccardSimilarity(terms, candidate.terms);
+        if (similarity > bestSimilarity) {
+            bestMatch = candidate;
+            bestSimilarity = similarity;
+        }
+    });
+
+    const askedAt = new Date();
+    const example = { text: question, userId, conversationId, askedAt };
+
+    if (bestMatch && bestSimilarity >= SIMILARITY_THRESHOLD) {
+        console.log(`Grouped unanswered question with ${bestMatch._id} (similarity ${bestSimilarity.toFixed(2)}).`);
+        return UnansweredQuestion.findByIdAndUpdate(bestMatch._id, {
+            $inc: { count: 1, [`triggers.${trigger}`]: 1 },
+            $set: { lastAskedAt: askedAt },
+            $push: { examples: { $each: [example], $slice: -MAX_EXAMPLES } },
+        }, { new: true });
+    }
+
+    const entry = await new UnansweredQuestion({
+        botId,
+        question,
+        terms,
+        triggers: { [trigger]: 1 },
+        examples: [example],
+        firstAskedAt: askedAt,
+        lastAskedAt: askedAt,
+    }).save();
+    console.log("Added unanswered question to the queue:", entry._id.toString());
+    return entry;
+};
+
+module.exports = { isFallbackReply, recordUnansweredQuestion };
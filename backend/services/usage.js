@@ -0,0 +1,67 @@
+// backend/services/usage.js - Per-user token usage tracking and daily quotas
+//
+// Configuration (environment variables):
+//   DAILY_TOKEN_QUOTA - Tokens each user may consume per UTC day (default 50000, 0 disables the quota)
+const dotenv = require("dotenv");
+const Usage = require("../models/Usage");
+
+dotenv.config();
+
+const parsedQuota = parseInt(process.env.DAILY_TOKEN_QUOTA, 10);
+const DAILY_TOKEN_QUOTA = Number.isNaN(parsedQuota) ? 50000 : parsedQuota;
+
+// Rough characters-per-token ratio, used when a provider doesn't report usage (e.g. a cancelled stream).
+const CHARS_PER_TOKEN = 4;
+
+const currentDay = (now = new Date()) => now.toISOString().slice(0, 10);
+
+// Seconds until the daily quota resets at the next UTC midnight.
+const secondsUntilReset = (now = new Date()) => {
+    const nextMidnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((nextMidnight - now.getTime()) / 1000);
+};
+
+// Estimates the number of tokens in a piece of text.
+const estimateTokens = (text) => Math.ceil((text || "").length / CHARS_PER_TOKEN);
+
+// Estimates usage from the prompt messages and reply text.
+const estimateUsage = (messages, reply) => {
+    const promptChars = messages.reduce((sum, message) => sum + message.content.length, 0);
+    const promptTokens = Math.ceil(promptChars / CHARS_PER_TOKEN);
+    const completionTokens = Math.ceil((reply || "").length / CHARS_PER_TOKEN);
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+};
+
+// Adds one request and its token usage to the user's record for today. Work done in the background on the user's
+// behalf (such as conversation summaries) passes `countRequest: false`: its tokens count, but not as a request.
+const recordUsage = async (userId, usage, { countRequest = true } = {}) => {
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+    const totalTokens = usage.totalTokens || promptTokens + completionTokens;
+
+    await Usage.updateOne(
+        { userId, day: currentDay() },
+        { $inc: { requests: countRequest ? 1 : 0, promptTokens, completionTokens, totalTokens } },
+        { upsert: true }
+    );
+};
+
+// The keys a request's usage is recorded and limited under: the user's id, and for guests (visitors chatting through
+// the embedded widget, who can start a new guest session at any time) also their IP address, so their quota can't
+// be reset by starting a new session.
+const usageKeysFor = (user, ip) => (user.role === "guest" ? [user.id, `guest-ip:${ip}`] : [user.id]);
+
+// Returns today's usage for the user together with the quota.
+const getTodayUsage = async (userId) => {
+    const usage = await Usage.findOne({ userId, day: currentDay() }).lean();
+    return {
+        day: currentDay(),
+        requests: usage ? usage.requests : 0,
+        promptTokens: usage ? usage.promptTokens : 0,
+        completionTokens: usage ? usage.completionTokens : 0,
+        totalTokens: usage ? usage.totalTokens : 0,
+        quota: DAILY_TOKEN_QUOTA || null,
+    };
+};
+
+module.exports = { DAILY_TOKEN_QUOTA, CHARS_PER_TOKEN, estimateTokens, estimateUsage, recordUsage, getTodayUsage, secondsUntilReset, usageKeysFor };
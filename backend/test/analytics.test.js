@@ -0,0 +1,110 @@
+const { query, tokenFor, serve } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const ChatMetric = require("../models/ChatMetric");
+const FAQ = require("../models/FAQ");
+const AnswerCache = require("../models/AnswerCache");
+const analytics = require("../services/analytics");
+const analyticsRoutes = require("../routes/analytics");
+
+const botId = new mongoose.Types.ObjectId();
+const adminToken = tokenFor({ role: "admin" });
+
+let app;
+test.before(async () => {
+    app = await serve(analyticsRoutes);
+});
+test.after(() => app.close());
+
+test("a chat request is recorded with its latency, usage and whether it was grounded", async (t) => {
+    const create = t.mock.method(ChatMetric, "create", async () => {});
+    const faqId = new mongoose.Types.ObjectId();
+    const startedAt = new Date(Date.now() - 250);
+
+    await analytics.recordChatMetric({
+        provider: { name: "mock", model: "mock-1" },
+        botId,
+        question: "  What are your OPENING hours?! ",
+        streamed: true,
+        startedAt,
+        firstTokenAt: startedAt.getTime() + 40,
+        usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 },
+        sources: [{ faqId, score: 0.9, cited: true, title: "Hours" }, { faqId, score: 0.4 }],
+    });
+
+    const metric = create.mock.calls[0].arguments[0];
+    assert.equal(metric.normalizedQuestion, "what are your opening hours");
+    assert.equal(metric.provider, "mock");
+    assert.equal(metric.model, "mock-1");
+    assert.equal(metric.firstTokenMs, 40);
+    assert.ok(metric.latencyMs >= 250);
+    assert.deepEqual(metric.retrieved, [{ faqId, score: 0.9, cited: true }, { faqId, score: 0.4, cited: false }]);
+    assert.equal(metric.grounded, true);
+    assert.equal(metric.status, "ok");
+});
+
+test("the overview has a grounded rate and per-provider numbers, and zeros without traffic", async (t) => {
+    const aggregate = t.mock.method(ChatMetric, "aggregate", async (pipeline) => (pipeline[1].$group._id === null
+        ? [{ _id: null, requests: 5, answered: 4, errors: 1, cancelled: 0, grounded: 3, noFaqRetrieved: 1, avgLatencyMs: 800, totalTokens: 900 }]
+        : [{ _id: { provider: "openai", model: "gpt" }, requests: 5, errors: 1 }]));
+
+    const overview = await analytics.getOverview(7, botId);
+    assert.equal(overview.groundedRate, 0.75);
+    assert.equal(overview._id, undefined);
+    assert.deepEqual(overview.providers, [{ provider: "openai", model: "gpt", requests: 5, errors: 1 }]);
+    assert.deepEqual(aggregate.mock.calls[0].arguments[0][0].$match.botId, botId);
+
+    aggregate.mock.mockImplementation(async () => []);
+    const empty = await analytics.getOverview(7, botId);
+    assert.equal(empty.requests, 0);
+    assert.equal(empty.groundedRate, null);
+});
+
+test("daily volume covers every UTC day of the window, oldest first", async (t) => {
+    const today = new Date().toISOString().slice(0, 10);
+    t.mock.method(ChatMetric, "aggregate", async () => [{ _id: today, requests: 4, grounded: 2, errors: 0, avgLatencyMs: 500, totalTokens: 40 }]);
+
+    const days = await analytics.getDailyVolume(3, botId);
+    assert.equal(days.length, 3);
+    assert.equal(days[2].day, today);
+    assert.equal(days[2].requests, 4);
+    assert.deepEqual(days[0], { day: new Date(Date.parse(today) - 2 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10), requests: 0, grounded: 0, errors: 0, avgLatencyMs: null, totalTokens: 0 });
+});
+
+test("FAQ usage lists the most used FAQs and the least used ones, never-retrieved ones included", async (t) => {
+    const [hours, refunds, unused] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    t.mock.method(ChatMetric, "aggregate", async () => [
+        { _id: hours, retrievals: 5, citations: 1, avgScore: 0.6 },
+        { _id: refunds, retrievals: 3, citations: 3, avgScore: 0.8 },
+    ]);
+    t.mock.method(FAQ, "find", () => query([{ _id: hours, title: "Hours" }, { _id: refunds, title: "Refunds" }, { _id: unused, title: "Parking" }]));
+
+    const usage = await analytics.getFaqUsage(30, 10, botId);
+    assert.equal(usage.totalFaqs, 3);
+    assert.equal(usage.unused, 1);
+    assert.deepEqual(usage.mostUsed.map(faq => faq.title), ["Refunds", "Hours"]);
+    assert.deepEqual(usage.leastUsed.map(faq => faq.title), ["Parking", "Hours", "Refunds"]);
+});
+
+test("cache stats give the hit rate among requests that consulted the cache", async (t) => {
+    t.mock.method(ChatMetric, "aggregate", async () => [{ _id: null, hits: 1, misses: 3 }]);
+    t.mock.method(AnswerCache, "countDocuments", async () => 12);
+    t.mock.method(AnswerCache, "find", () => query([{ question: "Hours?", hits: 4 }]));
+
+    const stats = await analytics.getCacheStats(30, 5, botId);
+    assert.deepEqual({ hits: stats.hits, misses: stats.misses, hitRate: stats.hitRate, entries: stats.entries }, { hits: 1, misses: 3, hitRate: 0.25, entries: 12 });
+});
+
+test("the dashboard is admin-only and clamps the window and list sizes", async (t) => {
+    const aggregate = t.mock.method(ChatMetric, "aggregate", async () => []);
+    assert.equal((await app.request("/overview", { token: tokenFor() })).status, 403);
+
+    const response = await app.request(`/top-questions?botId=${botId}&days=1000&limit=-5`, { token: adminToken });
+    assert.equal(response.status, 200);
+    const pipeline = aggregate.mock.calls[0].arguments[0];
+    assert.deepEqual(pipeline[0].$match.botId, botId);
+    const windowDays = (Date.now() - pipeline[0].$match.createdAt.$gte) / (24 * 60 * 60 * 1000);
+    assert.ok(windowDays > 364 && windowDays <= 365);
+    assert.deepEqual(pipeline[pipeline.length - 1], { $limit: 1 });
+});
@@ -0,0 +1,114 @@
+const { query, tokenFor, serve, makeBot, stubChatStorage, makeChunk } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const AnswerCache = require("../models/AnswerCache");
+const FAQ = require("../models/FAQ");
+const chatRoutes = require("../routes/chat");
+const { getProvider } = require("../services/llm");
+const { DEFAULT_SETTINGS } = require("../services/chatSettings");
+const { findCachedAnswer, cacheAnswer, invalidateForFaq } = require("../services/answerCache");
+
+const bot = makeBot();
+const settings = { ...DEFAULT_SETTINGS, version: 0 };
+const faqId = new mongoose.Types.ObjectId();
+const updatedAt = new Date("2026-01-01T00:00:00Z");
+
+// Caches `question` and returns the entry as it would be stored.
+const cacheEntry = async (t, question, { language = "en", sources = [{ faqId, title: "Transfers", cited: true }] } = {}) => {
+    t.mock.method(FAQ, "find", () => query([{ _id: faqId, updatedAt }]));
+    const updateOne = t.mock.method(AnswerCache, "updateOne", async () => ({}));
+    await cacheAnswer({ bot, settings, question, language, reply: "Open Transfers [1].", sources });
+    if (updateOne.mock.callCount() === 0) {
+        return null;
+    }
+    const [filter, { $set }] = updateOne.mock.calls[0].arguments;
+    return { _id: new mongoose.Types.ObjectId(), ...filter, ...$set };
+};
+
+// Looks `question` up with `entries` in the cache.
+const lookUp = (t, question, entries, language = "en") => {
+    const find = t.mock.method(AnswerCache, "find", () => query(entries));
+    t.mock.method(AnswerCache, "updateOne", async () => ({}));
+    return { find, found: findCachedAnswer({ bot, settings, question, language }) };
+};
+
+test("only replies that cite an FAQ are cached", async (t) => {
+    assert.equal(await cacheEntry(t, "How do I transfer money?", { sources: [] }), null);
+    assert.equal(await cacheEntry(t, "How do I transfer money?", { sources: [{ faqId, title: "Transfers", cited: false }] }), null);
+    assert.equal(await cacheEntry(t, "Is it?"), null); // Only stopwords
+
+    const entry = await cacheEntry(t, "How do I transfer money?");
+    assert.deepEqual(entry.words, ["how", "do", "i", "transfer", "money"]);
+    assert.equal(entry.language, "en");
+    assert.deepEqual(entry.faqIds, [faqId.toString()]);
+});
+
+test("a near-identical question is served from the cache, counting the hit", async (t) => {
+    const entry = await cacheEntry(t, "How do I transfer money from savings to checking?");
+    const { find, found } = lookUp(t, "how do i transfer money from savings to checking", [entry]);
+    assert.equal((await found).reply, "Open Transfers [1].");
+
+    const filter = find.mock.calls[0].arguments[0];
+    assert.equal(filter.language, "en");
+    assert.deepEqual(filter["faqIds.0"], { $exists: true });
+    assert.deepEqual(AnswerCache.updateOne.mock.calls[0].arguments[1].$inc, { hits: 1 });
+});
+
+test("questions with the same words in another order don't match", async (t) => {
+    const entry = await cacheEntry(t, "How do I transfer money from savings to checking?");
+    assert.equal(await lookUp(t, "How do I transfer money from checking to savings?", [entry]).found, null);
+});
+
+test("questions are only matched against replies in the same language", async (t) => {
+    const { find } = lookUp(t, "How do I transfer money?", [], "hi");
+    assert.equal(find.mock.calls[0].arguments[0].language, "hi");
+});
+
+test("an entry whose FAQs changed since it was cached is dropped instead of served", async (t) => {
+    const entry = await cacheEntry(t, "How do I transfer money?");
+    const { found } = lookUp(t, "How do I transfer money?", [entry]);
+    t.mock.method(FAQ, "find", () => query([{ _id: faqId, updatedAt: new Date() }]));
+    const deleteOne = t.mock.method(AnswerCache, "deleteOne", async () => ({}));
+    assert.equal(await found, null);
+    assert.deepEqual(deleteOne.mock.calls[0].arguments[0], { _id: entry._id });
+});
+
+test("changing an FAQ drops the entries that drew on it", async (t) => {
+    const deleteMany = t.mock.method(AnswerCache, "deleteMany", async () => ({ deletedCount: 2 }));
+    await invalidateForFaq(faqId);
+    assert.deepEqual(deleteMany.mock.calls[0].arguments[0], { faqIds: faqId });
+});
+
+test("a cached reply to a conversation's first question skips retrieval and the model", async (t) => {
+    const entry = await cacheEntry(t, "How do I transfer money?");
+    const { search, findCachedAnswers } = stubChatStorage(t);
+    findCachedAnswers.mock.mockImplementation(() => query([entry]));
+    t.mock.method(FAQ, "find", () => query([{ _id: faqId, updatedAt }]));
+    const generate = t.mock.method(getProvider(), "generate");
+
+    const app = await serve(chatRoutes, { bot });
+    try {
+        const response = await app.request("/", { method: "POST", token: tokenFor(), body: { message: "How do I transfer money?" } });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.cached, true);
+        assert.equal(response.body.reply, "Open Transfers [1].");
+        assert.equal(search.mock.callCount(), 0);
+        assert.equal(generate.mock.callCount(), 0);
+    } finally {
+        await app.close();
+    }
+});
+
+test("ungrounded replies aren't cached by the chat route", async (t) => {
+    const { cacheAnswer: storeAnswer } = stubChatStorage(t, { chunks: [makeChunk()] });
+    const app = await serve(chatRoutes, { bot });
+    try {
+        // The mock provider's reply cites nothing
+        assert.equal((await app.request("/", { method: "POST", token: tokenFor(), body: { message: "How do I reset my password?" } })).status, 200);
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        assert.equal(storeAnswer.mock.callCount(), 0);
+    } finally {
+        await app.close();
+    }
+});
@@ -0,0 +1,101 @@
+process.env.ADMIN_EMAILS = "boss@example.com";
+process.env.AUTH_RATE_LIMIT_PER_IP = "15";
+const { tokenFor, serve } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const authRoutes = require("../routes/auth");
+const { verifyToken, requireAuth, requireRole } = require("../middleware/auth");
+
+let app;
+test.before(async () => {
+    app = await serve(authRoutes);
+});
+test.after(() => app.close());
+
+const register = (body) => app.request("/register", { method: "POST", body });
+const login = (body) => app.request("/login", { method: "POST", body });
+
+test("registering hashes the password and signs a token with the user's role", async (t) => {
+    t.mock.method(User, "exists", async () => null);
+    const save = t.mock.method(User.prototype, "save", async function () {
+        return this;
+    });
+
+    const response = await register({ email: "Boss@Example.com", password: "long enough", name: "Boss" });
+    assert.equal(response.status, 201);
+    const user = save.mock.calls[0].this;
+    assert.equal(user.email, "boss@example.com");
+    assert.equal(user.role, "admin"); // Listed in ADMIN_EMAILS
+    assert.ok(await bcrypt.compare("long enough", user.passwordHash));
+    assert.equal(response.body.user.passwordHash, undefined);
+    assert.deepEqual(verifyToken(response.body.token), { id: user._id.toString(), email: "boss@example.com", role: "admin" });
+});
+
+test("registration rejects invalid emails, short passwords and taken emails", async (t) => {
+    assert.equal((await register({ email: "not-an-email", password: "long enough" })).status, 400);
+    assert.equal((await register({ email: "a@example.com", password: "short" })).status, 400);
+
+    t.mock.method(User, "exists", async () => ({ _id: "taken" }));
+    assert.equal((await register({ email: "a@example.com", password: "long enough" })).status, 409);
+});
+
+test("credentials that aren't text are rejected, not a server error", async () => {
+    for (const body of [
+        { email: { $gt: "" }, password: "long enough" },
+        { email: "a@example.com", password: ["long enough"] },
+        { email: "a@example.com", password: 12345678 },
+    ]) {
+        const registered = await register(body);
+        const loggedIn = await login(body);
+        assert.equal(registered.status, 400);
+        assert.equal(loggedIn.status, 400);
+        assert.equal(loggedIn.body.message, "Email and password must be text.");
+    }
+    assert.equal((await register({ email: "a@example.com", password: "long enough", name: { first: "A" } })).status, 400);
+});
+
+test("logging in checks the password without revealing whether the account exists", async (t) => {
+    const user = new User({ email: "a@example.com", passwordHash: await bcrypt.hash("right password", 4), role: "user" });
+    const findOne = t.mock.method(User, "findOne", async ({ email }) => (email === user.email ? user : null));
+
+    const wrongPassword = await login({ email: "a@example.com", password: "wrong password" });
+    const unknownEmail = await login({ email: "b@example.com", password: "right password" });
+    assert.equal(wrongPassword.status, 401);
+    assert.deepEqual(unknownEmail.body, wrongPassword.body);
+
+    const response = await login({ email: " A@example.com", password: "right password" });
+    assert.equal(response.status, 200);
+    assert.equal(verifyToken(response.body.token).id, user._id.toString());
+    assert.equal(findOne.mock.calls[2].arguments[0].email, "a@example.com");
+});
+
+test("protected routes need a valid token and the right role", async () => {
+    const router = express.Router();
+    router.get("/admin", requireAuth, requireRole("admin"), (req, res) => res.json({ user: req.user }));
+    const protectedApp = await serve(router);
+    try {
+        assert.equal((await protectedApp.request("/admin")).status, 401);
+        assert.equal((await protectedApp.request("/admin", { token: "forged" })).status, 401);
+        assert.equal((await protectedApp.request("/admin", { token: tokenFor({ role: "user" }) })).status, 403);
+        const admin = await protectedApp.request("/admin", { token: tokenFor({ role: "admin", email: "boss@example.com" }) });
+        assert.equal(admin.status, 200);
+        assert.equal(admin.body.user.email, "boss@example.com");
+    } finally {
+        await protectedApp.close();
+    }
+});
+
+test("login and registration attempts are rate limited per IP address", async (t) => {
+    t.mock.method(User, "findOne", async () => null);
+    const statuses = [];
+    for (let i = 0; i < 15; i++) {
+        statuses.push((await login({ email: "a@example.com", password: "guess number " + i })).status);
+    }
+    assert.equal(statuses[statuses.length - 1], 429);
+    const limited = await register({ email: "a@example.com", password: "long enough" });
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get("retry-after")) > 0);
+});
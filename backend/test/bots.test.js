@@ -0,0 +1,121 @@
+const { tokenFor, serve } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const mongoose = require("mongoose");
+const Bot = require("../models/Bot");
+const FAQ = require("../models/FAQ");
+const botRoutes = require("../routes/bots");
+const { findBot, normalizeOrigin } = require("../services/bots");
+const { loadBot } = require("../middleware/bot");
+
+const adminToken = tokenFor({ role: "admin" });
+
+let app;
+test.before(async () => {
+    app = await serve(botRoutes);
+});
+test.after(() => app.close());
+
+const stubSave = (t) => t.mock.method(Bot.prototype, "save", async function () {
+    return this;
+});
+
+test("a new bot gets a slug derived from its name and normalized origins", async (t) => {
+    const save = stubSave(t);
+    const response = await app.request("/", {
+        method: "POST",
+        token: adminToken,
+        body: { name: "  IT Helpdesk – Café ", persona: "You help with IT.", allowedOrigins: ["https://Help.Example.com/", "https://help.example.com"] },
+    });
+    assert.equal(response.status, 201);
+    const bot = save.mock.calls[0].this;
+    assert.equal(bot.name, "IT Helpdesk – Café");
+    assert.equal(bot.slug, "it-helpdesk-cafe");
+    assert.deepEqual([...bot.allowedOrigins], ["https://help.example.com"]);
+});
+
+test("bot settings are validated", async (t) => {
+    stubSave(t);
+    for (const body of [
+        { persona: "p" },
+        { name: "Bot" },
+        { name: "Bot", persona: "p", slug: "Not A Slug!" },
+        { name: "Bot", persona: "p", allowedOrigins: "https://example.com" },
+        { name: "Bot", persona: "p", allowedOrigins: ["ftp://example.com"] },
+        { name: "x".repeat(101), persona: "p" },
+    ]) {
+        assert.equal((await app.request("/", { method: "POST", token: adminToken, body })).status, 400, JSON.stringify(body).slice(0, 60));
+    }
+    assert.equal((await app.request("/", { method: "POST", token: tokenFor(), body: { name: "Bot", persona: "p" } })).status, 403);
+});
+
+test("a taken slug is a conflict", async (t) => {
+    t.mock.method(Bot.prototype, "save", async () => {
+        throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+    });
+    const response = await app.request("/", { method: "POST", token: adminToken, body: { name: "Sales", persona: "p" } });
+    assert.equal(response.status, 409);
+    assert.match(response.body.message, /"sales"/);
+});
+
+test("users only see the fields needed to pick a bot", async (t) => {
+    const selected = [];
+    const bots = {
+        sort: () => bots,
+        select: (fields) => {
+            selected.push(fields);
+            return bots;
+        },
+        then: (resolve) => resolve([{ name: "Dhanista" }]),
+    };
+    t.mock.method(Bot, "find", () => bots);
+    assert.equal((await app.request("/", { token: tokenFor() })).status, 200);
+    assert.deepEqual(selected, ["name slug description isDefault"]);
+    assert.equal((await app.request("/", { token: adminToken })).status, 200);
+    assert.equal(selected.length, 1);
+});
+
+test("bots are found by id or by slug", async (t) => {
+    const bot = { _id: new mongoose.Types.ObjectId(), slug: "sales" };
+    const findById = t.mock.method(Bot, "findById", async (id) => (String(id) === String(bot._id) ? bot : null));
+    const findOne = t.mock.method(Bot, "findOne", async ({ slug }) => (slug === "sales" ? bot : null));
+
+    assert.equal(await findBot(bot._id.toString()), bot);
+    assert.equal(findOne.mock.callCount(), 0);
+    assert.equal(await findBot("Sales"), bot);
+    assert.equal(await findBot(new mongoose.Types.ObjectId().toString()), null);
+    assert.equal(findById.mock.callCount(), 2);
+});
+
+test("requests for an unknown bot are a 404", async (t) => {
+    t.mock.method(Bot, "findOne", async () => null);
+    const router = express.Router();
+    router.get("/:botId/ping", loadBot, (req, res) => res.json({ slug: req.bot.slug }));
+    const scoped = await serve(router);
+    try {
+        assert.equal((await scoped.request("/nope/ping")).status, 404);
+        t.mock.method(Bot, "findOne", async () => ({ slug: "sales" }));
+        assert.deepEqual((await scoped.request("/sales/ping")).body, { slug: "sales" });
+    } finally {
+        await scoped.close();
+    }
+});
+
+test("the default bot and bots that still have FAQs can't be deleted", async (t) => {
+    const bot = Bot.hydrate({ _id: new mongoose.Types.ObjectId(), name: "Sales", slug: "sales", persona: "p", isDefault: true });
+    t.mock.method(Bot, "findById", async () => bot);
+    assert.equal((await app.request(`/${bot._id}`, { method: "DELETE", token: adminToken })).status, 400);
+
+    bot.isDefault = false;
+    t.mock.method(FAQ, "countDocuments", async () => 3);
+    const response = await app.request(`/${bot._id}`, { method: "DELETE", token: adminToken });
+    assert.equal(response.status, 409);
+    assert.match(response.body.message, /3 FAQs/);
+});
+
+test("origins are reduced to scheme, host and port", () => {
+    assert.equal(normalizeOrigin(" https://Help.Example.com:8443/path?q=1 "), "https://help.example.com:8443");
+    assert.equal(normalizeOrigin("javascript:alert(1)"), null);
+    assert.equal(normalizeOrigin("help.example.com"), null);
+});
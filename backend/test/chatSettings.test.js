@@ -0,0 +1,98 @@
+const { query, tokenFor, serve, makeBot } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const ChatSettings = require("../models/ChatSettings");
+const chatSettingsRoutes = require("../routes/chatSettings");
+const { DEFAULT_SETTINGS, validateSettings, validateNote, getActiveSettings, isSameSettings } = require("../services/chatSettings");
+
+const bot = makeBot();
+const adminToken = tokenFor({ role: "admin", email: "admin@example.com" });
+
+let app;
+test.before(async () => {
+    app = await serve(chatSettingsRoutes, { bot });
+});
+test.after(() => app.close());
+
+const stubSave = (t) => t.mock.method(ChatSettings.prototype, "save", async function () {
+    return this;
+});
+
+test("fields left out of a change keep their current value", () => {
+    const { settings } = validateSettings({ temperature: 0, instructions: "  Be brief.  " }, DEFAULT_SETTINGS);
+    assert.deepEqual(settings, { ...DEFAULT_SETTINGS, temperature: 0, instructions: "Be brief." });
+});
+
+test("settings outside their limits are rejected", () => {
+    for (const body of [
+        { instructions: "   " },
+        { instructions: "x".repeat(8001) },
+        { temperature: "0.5" },
+        { temperature: 2.5 },
+        { maxOutputTokens: 1.5 },
+        { maxOutputTokens: 0 },
+        { historyMessages: 51 },
+        { minScore: -0.1 },
+        { minScore: NaN },
+    ]) {
+        assert.ok(validateSettings(body, DEFAULT_SETTINGS).error, JSON.stringify(body).slice(0, 40));
+    }
+    assert.ok(validateSettings([], DEFAULT_SETTINGS).error);
+    assert.equal(validateNote(undefined), null);
+    assert.ok(validateNote("x".repeat(301)));
+});
+
+test("a bot without saved settings uses the defaults as version 0", async (t) => {
+    const findOne = t.mock.method(ChatSettings, "findOne", () => query(null));
+    assert.deepEqual(await getActiveSettings(bot._id), { ...DEFAULT_SETTINGS, version: 0 });
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], { botId: bot._id });
+    assert.ok(isSameSettings({ ...DEFAULT_SETTINGS, version: 0 }, DEFAULT_SETTINGS));
+    assert.equal(isSameSettings({ ...DEFAULT_SETTINGS, temperature: 1 }, DEFAULT_SETTINGS), false);
+});
+
+test("saving stores the next version with its author and note", async (t) => {
+    t.mock.method(ChatSettings, "findOne", () => query({ ...DEFAULT_SETTINGS, version: 3 }));
+    const save = stubSave(t);
+
+    const response = await app.request("/", { method: "PUT", token: adminToken, body: { temperature: 0.2, note: "Less creative" } });
+    assert.equal(response.status, 200);
+    const version = save.mock.calls[0].this;
+    assert.equal(version.version, 4);
+    assert.equal(version.temperature, 0.2);
+    assert.equal(version.instructions, DEFAULT_SETTINGS.instructions);
+    assert.equal(version.note, "Less creative");
+    assert.equal(version.author.email, "admin@example.com");
+    assert.equal(version.botId.toString(), bot._id.toString());
+});
+
+test("saving unchanged settings doesn't add a version", async (t) => {
+    t.mock.method(ChatSettings, "findOne", () => query({ ...DEFAULT_SETTINGS, version: 3 }));
+    const save = stubSave(t);
+    const response = await app.request("/", { method: "PUT", token: adminToken, body: { temperature: DEFAULT_SETTINGS.temperature } });
+    assert.equal(response.body.message, "No changes to save.");
+    assert.equal(save.mock.callCount(), 0);
+});
+
+test("restoring saves an earlier version's settings as a new version", async (t) => {
+    t.mock.method(ChatSettings, "findOne", (filter) => query(filter.version === 1
+        ? { ...DEFAULT_SETTINGS, temperature: 1.2, version: 1, note: "Old" }
+        : (filter.version === undefined ? { version: 5 } : null)));
+    const save = stubSave(t);
+
+    const response = await app.request("/versions/1/restore", { method: "POST", token: adminToken });
+    assert.equal(response.status, 200);
+    const version = save.mock.calls[0].this;
+    assert.deepEqual({ version: version.version, temperature: version.temperature, restoredFrom: version.restoredFrom, note: version.note }, { version: 6, temperature: 1.2, restoredFrom: 1, note: "Restored version 1" });
+
+    assert.equal((await app.request("/versions/9/restore", { method: "POST", token: adminToken })).status, 404);
+});
+
+test("versions are paged newest first by version number, for admins only", async (t) => {
+    const find = t.mock.method(ChatSettings, "find", () => query([{ version: 4 }, { version: 3 }, { version: 2 }]));
+    assert.equal((await app.request("/versions", { token: tokenFor() })).status, 403);
+    assert.equal((await app.request("/versions?before=latest", { token: adminToken })).status, 400);
+
+    const response = await app.request("/versions?before=5&limit=2", { token: adminToken });
+    assert.deepEqual(find.mock.calls[0].arguments[0], { botId: bot._id, version: { $lt: 5 } });
+    assert.deepEqual({ count: response.body.versions.length, hasMore: response.body.hasMore, nextCursor: response.body.nextCursor }, { count: 2, hasMore: true, nextCursor: 3 });
+});
@@ -0,0 +1,76 @@
+const { tokenFor, serve, makeBot, stubChatStorage, parseEvents } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PassThrough } = require("node:stream");
+const mongoose = require("mongoose");
+const Conversation = require("../models/Conversation");
+const chatRoutes = require("../routes/chat");
+const { consumeSseStream } = require("../services/llm/sse");
+
+const userId = new mongoose.Types.ObjectId().toString();
+const token = tokenFor({ id: userId });
+const bot = makeBot();
+
+let app;
+test.before(async () => {
+    app = await serve(chatRoutes, { bot });
+});
+test.after(() => app.close());
+
+const existingConversation = () => Conversation.hydrate({ _id: new mongoose.Types.ObjectId(), userId, botId: bot._id, title: "Billing" });
+
+test("the reply streams as token events between meta and done", async (t) => {
+    const conversation = existingConversation();
+    const storage = stubChatStorage(t, { conversation });
+
+    const response = await app.request("/stream", { method: "POST", token, body: { message: "How do I pay?", conversationId: conversation._id } });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /text\/event-stream/);
+
+    const events = parseEvents(response.body);
+    assert.equal(events[0].event, "meta");
+    assert.equal(events[0].data.conversationId, conversation._id.toString());
+
+    const tokens = events.filter(({ event }) => event === "token").map(({ data }) => data.text);
+    assert.ok(tokens.length > 1);
+    const done = events[events.length - 1];
+    assert.equal(done.event, "done");
+    assert.equal(done.data.reply, tokens.join(""));
+    assert.match(done.data.reply, /mock reply to: "How do I pay\?"/);
+    assert.ok(done.data.messageId);
+
+    // Both sides of the exchange are stored
+    const chat = storage.saveChat.mock.calls[0].this;
+    assert.deepEqual(chat.messages.map(({ sender, content }) => [sender, content]), [["user", "How do I pay?"], ["ai", done.data.reply]]);
+    assert.equal(chat.messages[1]._id.toString(), done.data.messageId);
+});
+
+test("invalid requests are rejected before the stream starts", async (t) => {
+    stubChatStorage(t);
+    const response = await app.request("/stream", { method: "POST", token, body: {} });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.reply, "Message is required.");
+    for (const body of [{ message: 42 }, { message: { text: "Hi" } }, { message: ["Hi"] }, { message: "   " }, { message: "Hi", conversationId: 12 }]) {
+        assert.equal((await app.request("/stream", { method: "POST", token, body })).status, 400, JSON.stringify(body));
+    }
+});
+
+test("an unknown conversation is a 404, not a stream", async (t) => {
+    stubChatStorage(t, { conversation: null });
+    const response = await app.request("/stream", { method: "POST", token, body: { message: "Hi", conversationId: new mongoose.Types.ObjectId() } });
+    assert.equal(response.status, 404);
+});
+
+test("provider SSE events split across chunks are reassembled", async () => {
+    const stream = new PassThrough();
+    const payloads = [];
+    const consumed = consumeSseStream(stream, (data) => payloads.push(data));
+
+    stream.write('data: {"text":"Hel');
+    stream.write('lo"}\n\ndata: {"text":" world"}\r\n\r\n');
+    stream.write(": keep-alive comment\n\n");
+    stream.end();
+    await consumed;
+
+    assert.deepEqual(payloads, ['{"text":"Hello"}', '{"text":" world"}']);
+});
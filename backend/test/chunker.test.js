@@ -0,0 +1,61 @@
+require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { chunkText } = require("../services/retrieval/chunker");
+
+// Numbered sentences, so the position of each one in the original text is easy to check.
+const sentences = (count) => Array.from({ length: count }, (_, i) => `Sentence number ${i + 1} explains one more detail.`).join(" ");
+
+test("short content is a single chunk without a page", () => {
+    assert.deepEqual(chunkText("  Short answer.  ", null), [{ content: "Short answer.", page: null, position: 0, startOffset: 0 }]);
+});
+
+test("blank content has no chunks", () => {
+    assert.deepEqual(chunkText("   \n\n  ", null), []);
+});
+
+test("long content is split into overlapping chunks within the size limit", () => {
+    const content = sentences(40);
+    const chunks = chunkText(content, null, { chunkSize: 300, overlap: 60 });
+
+    assert.ok(chunks.length > 1);
+    chunks.forEach((chunk, index) => {
+        assert.ok(chunk.content.length <= 300);
+        assert.equal(chunk.position, index);
+        assert.equal(content.slice(chunk.startOffset).trim().startsWith(chunk.content), true);
+    });
+    // Neighbours share text, and together the chunks cover the whole content
+    for (let i = 1; i < chunks.length; i++) {
+        assert.ok(chunks[i].startOffset < chunks[i - 1].startOffset + chunks[i - 1].content.length);
+    }
+    assert.ok(chunks[chunks.length - 1].content.endsWith("Sentence number 40 explains one more detail."));
+});
+
+test("chunks end at sentence boundaries and start on a word", () => {
+    const content = sentences(40);
+    const chunks = chunkText(content, null, { chunkSize: 300, overlap: 60 });
+    chunks.slice(0, -1).forEach((chunk) => assert.match(chunk.content, /\.$/));
+    chunks.slice(1).forEach((chunk) => assert.match(content.charAt(chunk.startOffset - 1), /\s/));
+});
+
+test("paragraph breaks are preferred over sentence breaks", () => {
+    const first = "First paragraph sentence one. First paragraph sentence two is a bit longer.";
+    const content = `${first}\n\nSecond paragraph. ${"More words here. ".repeat(10)}`;
+    const [chunk] = chunkText(content, null, { chunkSize: first.length + 20, overlap: 0 });
+    assert.equal(chunk.content, first);
+});
+
+test("text without separators is cut at the size limit", () => {
+    const chunks = chunkText("x".repeat(250), null, { chunkSize: 100, overlap: 10 });
+    assert.deepEqual(chunks.map((chunk) => chunk.content.length), [100, 100, 70]);
+});
+
+test("chunks never span two pages and keep their page number", () => {
+    const pageOne = sentences(3);
+    const pageTwo = "Second page text.";
+    const chunks = chunkText(`${pageOne}\n${pageTwo}`, [0, pageOne.length + 1], { chunkSize: 1000, overlap: 100 });
+    assert.deepEqual(chunks.map(({ content, page }) => ({ content, page })), [
+        { content: pageOne, page: 1 },
+        { content: pageTwo, page: 2 },
+    ]);
+});
@@ -0,0 +1,62 @@
+const { tokenFor, serve, makeBot, stubChatStorage, makeChunk } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Conversation = require("../models/Conversation");
+const chatRoutes = require("../routes/chat");
+const { getProvider } = require("../services/llm");
+
+const userId = new mongoose.Types.ObjectId().toString();
+const token = tokenFor({ id: userId });
+const bot = makeBot();
+
+let app;
+test.before(async () => {
+    app = await serve(chatRoutes, { bot });
+});
+test.after(() => app.close());
+
+const ask = (message) => {
+    const conversation = Conversation.hydrate({ _id: new mongoose.Types.ObjectId(), userId, botId: bot._id, title: "Help" });
+    return { conversation, send: () => app.request("/", { method: "POST", token, body: { message, conversationId: conversation._id } }) };
+};
+
+test("replies return numbered sources and mark the ones cited inline", async (t) => {
+    const password = makeChunk({ title: "Reset your password", content: "Open Settings and choose Reset password." });
+    const pricing = makeChunk({ title: "Price sheet", content: "Plan prices.".padEnd(300, " x"), score: 0.5 });
+    pricing.faq.segmentType = "row";
+    pricing.chunk.page = 7;
+    const { conversation, send } = ask("How do I reset my password?");
+    const storage = stubChatStorage(t, { conversation, chunks: [password, pricing] });
+    const generate = t.mock.method(getProvider(), "generate", async () => ({ text: "Open Settings [1].", usage: null }));
+
+    const response = await send();
+    assert.equal(response.status, 200);
+    const [first, second] = response.body.sources;
+    assert.deepEqual(
+        { label: first.label, faqId: first.faqId, title: first.title, snippet: first.snippet, cited: first.cited },
+        { label: 1, faqId: password.faq._id.toString(), title: "Reset your password", snippet: "Open Settings and choose Reset password.", cited: true }
+    );
+    assert.equal(second.label, 2);
+    assert.equal(second.cited, false);
+    assert.equal(second.row, 7); // Spreadsheet passages are rows, not pages
+    assert.equal(second.page, undefined);
+    assert.ok(second.snippet.endsWith("...") && second.snippet.length <= 203);
+
+    // The model sees the passages under the labels it is asked to cite
+    const systemPrompt = generate.mock.calls[0].arguments[0].messages[0].content;
+    assert.match(systemPrompt, /\[1\][^\n]*Reset your password/);
+    assert.match(systemPrompt, /\[2\][^\n]*Price sheet/);
+
+    // The sources are stored with the reply, so reloaded history shows them too
+    const stored = storage.saveChat.mock.calls[0].this.messages[1];
+    assert.deepEqual(stored.sources.map(({ label, cited }) => ({ label, cited })), [{ label: 1, cited: true }, { label: 2, cited: false }]);
+});
+
+test("replies without relevant FAQs have no sources", async (t) => {
+    const { conversation, send } = ask("Tell me a joke");
+    stubChatStorage(t, { conversation, chunks: [] });
+
+    const response = await send();
+    assert.deepEqual(response.body.sources, []);
+});
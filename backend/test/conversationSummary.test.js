@@ -0,0 +1,90 @@
+process.env.SUMMARY_TRIGGER_TOKENS = "100";
+const { tokenFor, serve, makeBot, stubChatStorage } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Chat = require("../models/Chat");
+const Conversation = require("../models/Conversation");
+const ArchivedMessage = require("../models/ArchivedMessage");
+const chatRoutes = require("../routes/chat");
+const { getProvider } = require("../services/llm");
+const { summarizeIfNeeded } = require("../services/conversationSummary");
+
+const userId = new mongoose.Types.ObjectId().toString();
+const bot = makeBot();
+
+// A conversation whose Chat document holds `count` messages of about 30 tokens each.
+const makeConversation = (count) => {
+    const conversation = Conversation.hydrate({ _id: new mongoose.Types.ObjectId(), userId, botId: bot._id, title: "Plans", summary: { text: "The user is on the Basic plan.", messageCount: 4 } });
+    const chat = Chat.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        userId,
+        conversationId: conversation._id,
+        messages: Array.from({ length: count }, (_, i) => ({
+            _id: new mongoose.Types.ObjectId(),
+            sender: i % 2 ? "ai" : "user",
+            content: `Message ${i} `.padEnd(120, "."),
+            timestamp: new Date(Date.now() - (count - i) * 1000),
+        })),
+    });
+    return { conversation, chat };
+};
+
+// Stands in for the writes a summary makes.
+const stubArchive = (t) => ({
+    archive: t.mock.method(ArchivedMessage, "insertMany", async () => []),
+    saveSummary: t.mock.method(Conversation, "updateOne", async () => ({})),
+    pullMessages: t.mock.method(Chat, "updateOne", async () => ({})),
+});
+
+test("short conversations aren't summarized", async (t) => {
+    const generate = t.mock.method(getProvider(), "generate");
+    const { conversation, chat } = makeConversation(2);
+    assert.equal(await summarizeIfNeeded({ llm: getProvider(), conversation, chat, keepRecent: 5 }), null);
+    assert.equal(await summarizeIfNeeded({ llm: getProvider(), conversation, chat, keepRecent: 1 }), null);
+    assert.equal(generate.mock.callCount(), 0);
+});
+
+test("older messages are folded into the summary and archived, and the generation is returned", async (t) => {
+    const { archive, saveSummary, pullMessages } = stubArchive(t);
+    const { conversation, chat } = makeConversation(8);
+    const older = chat.messages.slice(0, 3);
+
+    const summarized = await summarizeIfNeeded({ llm: getProvider(), conversation, chat, keepRecent: 5 });
+    assert.ok(summarized.result.usage.totalTokens > 0);
+    assert.match(summarized.prompt[1].content, /^Summary so far:\nThe user is on the Basic plan\./);
+    assert.match(summarized.prompt[1].content, /User: Message 0/);
+    assert.doesNotMatch(summarized.prompt[1].content, /Message 3/);
+
+    assert.deepEqual(archive.mock.calls[0].arguments[0].map(msg => msg._id), older.map(msg => msg._id));
+    assert.equal(saveSummary.mock.calls[0].arguments[1].$set.summary.messageCount, 7);
+    assert.deepEqual(pullMessages.mock.calls[0].arguments[1].$pull.messages._id.$in, older.map(msg => msg._id));
+});
+
+test("a failed summary leaves the messages in place", async (t) => {
+    const { archive, pullMessages } = stubArchive(t);
+    t.mock.method(getProvider(), "generate", async () => ({ text: "  " }));
+    const { conversation, chat } = makeConversation(8);
+    await assert.rejects(summarizeIfNeeded({ llm: getProvider(), conversation, chat, keepRecent: 5 }), /empty summary/);
+    assert.equal(archive.mock.callCount(), 0);
+    assert.equal(pullMessages.mock.callCount(), 0);
+});
+
+test("the tokens a summary takes count towards the conversation owner's usage, but not as a request", async (t) => {
+    const { conversation, chat } = makeConversation(8);
+    const { recordUsage } = stubChatStorage(t, { conversation, chat });
+    stubArchive(t);
+    const app = await serve(chatRoutes, { bot });
+    try {
+        const response = await app.request("/", { method: "POST", token: tokenFor({ id: userId }), body: { message: "Can I upgrade?", conversationId: conversation._id } });
+        assert.equal(response.status, 200);
+        await new Promise((resolve) => setTimeout(resolve, 20)); // The summary is written in the background
+
+        const updates = recordUsage.mock.calls.map(({ arguments: [filter, update] }) => ({ userId: filter.userId, requests: update.$inc.requests, tokens: update.$inc.totalTokens }));
+        assert.equal(updates.length, 2);
+        assert.deepEqual(updates.map(({ userId: id, requests }) => [id, requests]), [[userId, 1], [userId, 0]]);
+        assert.ok(updates[1].tokens > 0);
+    } finally {
+        await app.close();
+    }
+});
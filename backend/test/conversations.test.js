@@ -0,0 +1,137 @@
+const { query, tokenFor, serve, makeBot } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Conversation = require("../models/Conversation");
+const Chat = require("../models/Chat");
+const ArchivedMessage = require("../models/ArchivedMessage");
+const conversationRoutes = require("../routes/conversations");
+
+const userId = new mongoose.Types.ObjectId().toString();
+const token = tokenFor({ id: userId });
+const bot = makeBot();
+
+let app;
+test.before(async () => {
+    app = await serve(conversationRoutes, { bot });
+});
+test.after(() => app.close());
+
+test("conversations require a login", async () => {
+    const response = await app.request("/");
+    assert.equal(response.status, 401);
+});
+
+test("creating a conversation stores it for the user and the bot", async (t) => {
+    const save = t.mock.method(Conversation.prototype, "save", async function () {
+        return this;
+    });
+
+    const response = await app.request("/", { method: "POST", token, body: { title: "  Billing  " } });
+    assert.equal(response.status, 201);
+    assert.equal(save.mock.callCount(), 1);
+    const saved = save.mock.calls[0].this;
+    assert.equal(saved.userId, userId);
+    assert.equal(saved.botId.toString(), bot._id.toString());
+    assert.equal(saved.title, "Billing");
+});
+
+test("untitled conversations get the default title", async (t) => {
+    t.mock.method(Conversation.prototype, "save", async function () {
+        return this;
+    });
+    const response = await app.request("/", { method: "POST", token, body: {} });
+    assert.equal(response.body.conversation.title, "New conversation");
+});
+
+test("listing only asks for the user's conversations with the bot, archived or not", async (t) => {
+    const find = t.mock.method(Conversation, "find", () => query([]));
+
+    await app.request("/", { token });
+    await app.request("/?archived=true", { token });
+    assert.deepEqual(find.mock.calls.map((call) => call.arguments[0]), [
+        { userId, botId: bot._id, archived: false },
+        { userId, botId: bot._id, archived: true },
+    ]);
+});
+
+test("the default bot's list adopts the user's chat from before conversations existed, once", async (t) => {
+    const defaultBot = makeBot({ isDefault: true });
+    const legacyChatId = new mongoose.Types.ObjectId();
+    const exists = t.mock.method(Chat, "exists", async () => ({ _id: legacyChatId }));
+    const save = t.mock.method(Conversation.prototype, "save", async function () {
+        return this;
+    });
+    const claim = t.mock.method(Chat, "findOneAndUpdate", async () => ({ _id: legacyChatId }));
+    const remove = t.mock.method(Conversation.prototype, "deleteOne", async () => {});
+    t.mock.method(Conversation, "find", () => query([]));
+
+    const defaultApp = await serve(conversationRoutes, { bot: defaultBot });
+    try {
+        assert.equal((await defaultApp.request("/", { token })).status, 200);
+        assert.deepEqual(exists.mock.calls[0].arguments[0], { userId, conversationId: { $exists: false } });
+        const conversation = save.mock.calls[0].this;
+        assert.deepEqual({ userId: conversation.userId, botId: conversation.botId, title: conversation.title }, { userId, botId: defaultBot._id, title: "Earlier conversation" });
+        const [filter, update] = claim.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: legacyChatId, conversationId: { $exists: false } });
+        assert.deepEqual(update, { $set: { conversationId: conversation._id } });
+        assert.equal(remove.mock.callCount(), 0);
+
+        // A concurrent request adopted it first: the extra conversation is removed again
+        claim.mock.mockImplementation(async () => null);
+        assert.equal((await defaultApp.request("/", { token })).status, 200);
+        assert.equal(remove.mock.callCount(), 1);
+    } finally {
+        await defaultApp.close();
+    }
+
+    // Other bots' lists leave it alone
+    await app.request("/", { token });
+    assert.equal(exists.mock.callCount(), 2);
+});
+
+test("renaming rejects empty titles and requests with nothing to update", async () => {
+    const id = new mongoose.Types.ObjectId();
+    assert.equal((await app.request(`/${id}`, { method: "PATCH", token, body: {} })).status, 400);
+    assert.equal((await app.request(`/${id}`, { method: "PATCH", token, body: { title: "   " } })).status, 400);
+});
+
+test("another user's conversation is not found", async (t) => {
+    const findOne = t.mock.method(Conversation, "findOne", async () => null);
+    const id = new mongoose.Types.ObjectId().toString();
+
+    const response = await app.request(`/${id}`, { method: "PATCH", token, body: { title: "Mine now" } });
+    assert.equal(response.status, 404);
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], { _id: id, userId, botId: bot._id });
+});
+
+test("deleting a conversation removes its messages, archived ones included", async (t) => {
+    const conversation = new Conversation({ userId, botId: bot._id });
+    t.mock.method(Conversation, "findOne", async () => conversation);
+    const deleteConversation = t.mock.method(conversation, "deleteOne", async () => {});
+    const deleteChat = t.mock.method(Chat, "deleteOne", async () => {});
+    const deleteArchived = t.mock.method(ArchivedMessage, "deleteMany", async () => {});
+
+    const response = await app.request(`/${conversation._id}`, { method: "DELETE", token });
+    assert.equal(response.status, 200);
+    assert.deepEqual(deleteChat.mock.calls[0].arguments[0], { conversationId: conversation._id });
+    assert.deepEqual(deleteArchived.mock.calls[0].arguments[0], { conversationId: conversation._id });
+    assert.equal(deleteConversation.mock.callCount(), 1);
+});
+
+test("history of a malformed conversation id is not found", async () => {
+    const response = await app.request("/not-an-id/messages", { token });
+    assert.equal(response.status, 404);
+});
+
+test("history page sizes are kept between 1 and 100", async (t) => {
+    t.mock.method(Conversation, "findOne", async () => ({ _id: new mongoose.Types.ObjectId(), userId, botId: bot._id }));
+    const aggregate = t.mock.method(Chat, "aggregate", async () => []);
+    const id = new mongoose.Types.ObjectId();
+
+    for (const limit of ["-1", "0", "1000"]) {
+        assert.equal((await app.request(`/${id}/messages?limit=${limit}`, { token })).status, 200);
+    }
+    const limits = aggregate.mock.calls.map((call) => call.arguments[0].find((stage) => stage.$limit).$limit);
+    assert.deepEqual(limits, [2, 21, 101]); // One more than the page size, to tell whether there is another page
+});
@@ -0,0 +1,111 @@
+require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const AdmZip = require("adm-zip");
+const ExcelJS = require("exceljs");
+const { extractFile, sniffFileType } = require("../services/extractors");
+const { htmlToText } = require("../services/extractors/html");
+
+const upload = (content, originalname, mimetype = "application/octet-stream") =>
+    ({ buffer: Buffer.isBuffer(content) ? content : Buffer.from(content), originalname, mimetype });
+
+// A minimal PDF with one line of text per page.
+const makePdf = (pages) => {
+    const objects = [
+        "<< /Type /Catalog /Pages 2 0 R >>",
+        `<< /Type /Pages /Kids [${pages.map((_, i) => `${4 + i * 2} 0 R`).join(" ")}] /Count ${pages.length} >>`,
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>",
+    ];
+    pages.forEach((text, i) => {
+        const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`);
+        objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    });
+    let pdf = "%PDF-1.4\n";
+    const offsets = objects.map((body, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("")}`;
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, "latin1");
+};
+
+// A minimal Word document with the given body XML.
+const makeDocx = (body) => {
+    const zip = new AdmZip();
+    zip.addFile("[Content_Types].xml", Buffer.from('<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>'));
+    zip.addFile("_rels/.rels", Buffer.from('<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>'));
+    zip.addFile("word/document.xml", Buffer.from(`<?xml version="1.0" encoding="UTF-8"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}</w:body></w:document>`));
+    return zip.toBuffer();
+};
+const paragraph = (text, style) => `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ""}<w:r><w:t>${text}</w:t></w:r></w:p>`;
+
+test("PDFs are extracted page by page", async () => {
+    const result = await extractFile(upload(makePdf(["First page text", "Second page text"]), "guide.pdf"));
+    assert.equal(result.type, "pdf");
+    assert.equal(result.segmentType, "page");
+    assert.equal(result.content, "First page text\n\nSecond page text");
+    assert.deepEqual(result.pageOffsets, [0, "First page text\n\n".length]);
+});
+
+test("Word documents keep their headings", async () => {
+    const result = await extractFile(upload(makeDocx(paragraph("Returns", "Heading1") + paragraph("Send items back within 30 days.")), "policy.bin"));
+    assert.equal(result.type, "docx");
+    assert.equal(result.content, "# Returns\n\nSend items back within 30 days.");
+});
+
+test("Excel workbooks become one segment per row, named by sheet when there are several", async () => {
+    const workbook = new ExcelJS.Workbook();
+    const plans = workbook.addWorksheet("Plans");
+    plans.addRows([["Plan", "Price"], ["Basic", 5], ["Pro", null]]);
+    const hidden = workbook.addWorksheet("Notes");
+    hidden.state = "hidden";
+    hidden.addRows([["Secret"], ["internal"]]);
+    workbook.addWorksheet("Regions").addRows([["Region"], ["EU"]]);
+
+    const result = await extractFile(upload(Buffer.from(await workbook.xlsx.writeBuffer()), "prices.xlsx"));
+    assert.equal(result.type, "xlsx");
+    assert.equal(result.segmentType, "row");
+    assert.equal(result.content, "[Plans] Plan: Basic | Price: 5\n\n[Plans] Plan: Pro\n\n[Regions] Region: EU");
+    assert.equal(result.pageOffsets.length, 3);
+});
+
+test("CSV files become one segment per row", async () => {
+    const result = await extractFile(upload("Question,Answer\nHours?,9 to 5\n,\nParking?,\"Free, behind the office\"\n", "faq.csv"));
+    assert.equal(result.content, "Question: Hours? | Answer: 9 to 5\n\nQuestion: Parking? | Answer: Free, behind the office");
+    assert.deepEqual(result.pageOffsets, [0, "Question: Hours? | Answer: 9 to 5\n\n".length]);
+});
+
+test("HTML keeps headings, lists and tables and drops scripts and styles", () => {
+    const html = "<html><head><title>x</title><style>p{}</style></head><body><h2>Opening &amp; hours</h2><p>We are   open:</p>"
+        + "<ul><li>Mon</li><li>Tue</li></ul><table><tr><th>Day</th><th>Hours</th></tr><tr><td><p>Sat</p></td><td>10-2</td></tr></table>"
+        + "<script>alert(1)</script></body></html>";
+    assert.equal(htmlToText(html), "## Opening & hours\n\nWe are open:\n\n- Mon\n- Tue\n\nDay | Hours\nSat | 10-2");
+});
+
+test("Markdown loses link targets, emphasis and front matter but keeps structure", async () => {
+    const markdown = "---\ntitle: x\n---\n# Help\n\nSee **the [docs](https://example.com)** and _this_ ![logo](logo.png).\n\n- One\n";
+    const result = await extractFile(upload(markdown, "help.md"));
+    assert.equal(result.content, "# Help\n\nSee the docs and this logo.\n\n- One");
+});
+
+test("JSON is rendered as readable key: value text", async () => {
+    const result = await extractFile(upload(JSON.stringify({ shop: { name: "Acme", days: ["Mon", "Tue"] } }), "data.json"));
+    assert.equal(result.content, "shop:\n  name: Acme\n  days:\n    - Mon\n    - Tue");
+});
+
+test("file types are sniffed from content, with the extension only telling text formats apart", () => {
+    assert.equal(sniffFileType(upload("%PDF-1.7 ...", "renamed.txt")), "pdf");
+    assert.equal(sniffFileType(upload("<!DOCTYPE html><p>Hi</p>", "page")), "html");
+    assert.equal(sniffFileType(upload("plain words", "notes", "text/markdown")), "markdown");
+    assert.equal(sniffFileType(upload("plain words", "notes")), "text");
+    assert.equal(sniffFileType(upload(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 0, 0]), "image.png")), null);
+    assert.equal(sniffFileType(upload(new AdmZip().toBuffer(), "archive.zip")), null);
+});
+
+test("unsupported files are rejected rather than stored as text", async () => {
+    assert.equal(await extractFile(upload(Buffer.from([0xff, 0xd8, 0xff, 0x00]), "photo.jpg")), null);
+});
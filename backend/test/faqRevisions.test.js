@@ -0,0 +1,158 @@
+const { query, tokenFor, serve, makeBot } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const FAQ = require("../models/FAQ");
+const FAQRevision = require("../models/FAQRevision");
+const faqRevisionRoutes = require("../routes/faqRevisions");
+const { recordRevision, recordChange, ensureBaselineRevision, restoreRevision, diffRevisions } = require("../services/faqRevisions");
+
+const duplicateKeyError = () => Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+const makeFaq = (fields = {}) => new FAQ({ botId: new mongoose.Types.ObjectId(), title: "Refunds", content: "Within 14 days.", ...fields });
+
+test("a version taken by a concurrent change is retried with the next number", async (t) => {
+    let latestVersion = 3;
+    t.mock.method(FAQRevision, "findOne", () => query({ version: latestVersion }));
+    const save = t.mock.method(FAQRevision.prototype, "save", async function () {
+        if (this.version === 4) {
+            latestVersion = 4; // The other change's revision is now the latest
+            throw duplicateKeyError();
+        }
+        return this;
+    });
+
+    const revision = await recordRevision(makeFaq(), "update", { id: "u1", email: "a@example.com" });
+    assert.equal(revision.version, 5);
+    assert.equal(save.mock.callCount(), 2);
+    assert.deepEqual({ ...revision.author }, { id: "u1", email: "a@example.com" });
+});
+
+test("other save errors, and endless conflicts, are not retried forever", async (t) => {
+    t.mock.method(FAQRevision, "findOne", () => query(null));
+    const failing = t.mock.method(FAQRevision.prototype, "save", async () => {
+        throw new Error("database down");
+    });
+    await assert.rejects(recordRevision(makeFaq(), "create"), /database down/);
+    assert.equal(failing.mock.callCount(), 1);
+
+    failing.mock.mockImplementation(async () => {
+        throw duplicateKeyError();
+    });
+    await assert.rejects(recordRevision(makeFaq(), "create"), { code: 11000 });
+    assert.equal(failing.mock.callCount(), 6); // One above plus five attempts
+});
+
+test("the revision is written before the change is made", async (t) => {
+    const order = [];
+    t.mock.method(FAQRevision, "findOne", () => query(null));
+    t.mock.method(FAQRevision.prototype, "save", async function () {
+        order.push(`revision v${this.version}`);
+        return this;
+    });
+
+    const faq = makeFaq();
+    const revision = await recordChange(faq, "create", null, async () => order.push("faq saved"));
+    assert.deepEqual(order, ["revision v1", "faq saved"]);
+    assert.equal(revision.title, "Refunds");
+});
+
+test("the revision is removed again when the change fails", async (t) => {
+    t.mock.method(FAQRevision, "findOne", () => query({ version: 2 }));
+    t.mock.method(FAQRevision.prototype, "save", async function () {
+        return this;
+    });
+    const deleteOne = t.mock.method(FAQRevision, "deleteOne", () => query({ deletedCount: 1 }));
+
+    let revisionId;
+    await assert.rejects(recordChange(makeFaq(), "update", null, async () => {
+        revisionId = FAQRevision.prototype.save.mock.calls[0].this._id;
+        throw new Error("validation failed");
+    }), /validation failed/);
+    assert.deepEqual(deleteOne.mock.calls[0].arguments[0], { _id: revisionId });
+});
+
+test("no change is made when its revision can't be recorded", async (t) => {
+    t.mock.method(FAQRevision, "findOne", () => query(null));
+    t.mock.method(FAQRevision.prototype, "save", async () => {
+        throw new Error("database down");
+    });
+    let applied = false;
+    await assert.rejects(recordChange(makeFaq(), "delete", null, async () => { applied = true; }));
+    assert.equal(applied, false);
+});
+
+test("a baseline recorded concurrently by another change is not an error", async (t) => {
+    t.mock.method(FAQRevision, "exists", async () => null);
+    t.mock.method(FAQRevision.prototype, "save", async () => {
+        throw duplicateKeyError();
+    });
+    await ensureBaselineRevision(makeFaq());
+});
+
+test("restoring brings back a deleted FAQ under its old id, recording the restore first", async (t) => {
+    const source = { faqId: new mongoose.Types.ObjectId(), version: 2, title: "Old title", content: "Old content.", tags: ["a"], language: "en" };
+    t.mock.method(FAQ, "findById", async () => null);
+    t.mock.method(FAQRevision, "findOne", () => query({ version: 3 }));
+    const order = [];
+    t.mock.method(FAQRevision.prototype, "save", async function () {
+        order.push("revision");
+        return this;
+    });
+    t.mock.method(FAQ.prototype, "save", async function () {
+        order.push("faq");
+        return this;
+    });
+
+    const { faq, revision } = await restoreRevision(source, { id: "u1", email: "a@example.com" });
+    assert.deepEqual(order, ["revision", "faq"]);
+    assert.equal(faq._id.toString(), source.faqId.toString());
+    assert.equal(faq.title, "Old title");
+    assert.deepEqual({ version: revision.version, action: revision.action, restoredFrom: revision.restoredFrom }, { version: 4, action: "restore", restoredFrom: 2 });
+});
+
+test("revisions are compared by word for titles, by line for content, and by tag", () => {
+    const diff = diffRevisions(
+        { title: "Refund policy", content: "Line one\nLine two\n", tags: ["a", "b"] },
+        { title: "Return policy", content: "Line one\nLine three\n", tags: ["b", "c"] },
+    );
+    assert.deepEqual(diff.title.filter(part => part.added || part.removed).map(part => part.value), ["Refund", "Return"]);
+    assert.deepEqual(diff.content.map(part => [part.value, part.added, part.removed]), [
+        ["Line one\n", false, false],
+        ["Line two\n", false, true],
+        ["Line three\n", true, false],
+    ]);
+    assert.deepEqual(diff.tags, { added: ["c"], removed: ["a"] });
+});
+
+test("the timeline pages through revisions saved in the same millisecond without skipping any", async (t) => {
+    const bot = makeBot();
+    const importedAt = new Date("2026-03-01T10:00:00.000Z");
+    const revisions = [new Date("2026-03-01T10:00:00.001Z"), importedAt, importedAt, importedAt]
+        .map((createdAt) => ({ _id: new mongoose.Types.ObjectId(), createdAt }));
+    // Evaluates the route's cursor filter the way MongoDB would, sorted newest first
+    const isOlder = (revision, condition) => (condition._id
+        ? revision.createdAt.getTime() === condition.createdAt.getTime() && revision._id.toString() < condition._id.$lt.toString()
+        : revision.createdAt < condition.createdAt.$lt);
+    t.mock.method(FAQRevision, "find", (filter) => query(revisions
+        .filter((revision) => (filter.$or ? filter.$or.some((condition) => isOlder(revision, condition)) : !filter.createdAt || isOlder(revision, filter)))
+        .sort((a, b) => b.createdAt - a.createdAt || b._id.toString().localeCompare(a._id.toString()))));
+
+    const app = await serve(faqRevisionRoutes, { bot });
+    try {
+        const token = tokenFor({ role: "admin" });
+        const seen = [];
+        let cursor = null;
+        do {
+            const response = await app.request(`/revisions?limit=2${cursor ? `&before=${encodeURIComponent(cursor)}` : ""}`, { token });
+            assert.equal(response.status, 200);
+            seen.push(...response.body.revisions.map((revision) => revision._id));
+            cursor = response.body.nextCursor;
+        } while (cursor);
+        assert.equal(seen.length, 4);
+        assert.equal(new Set(seen).size, 4);
+
+        assert.equal((await app.request("/revisions?before=yesterday", { token })).status, 400);
+    } finally {
+        await app.close();
+    }
+});
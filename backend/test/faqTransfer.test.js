@@ -0,0 +1,90 @@
+require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const AdmZip = require("adm-zip");
+const { detectFormat, normalizeTags, parseImportFile, validateRow, exportFaqs } = require("../services/faqTransfer");
+
+const faqs = [
+    { title: "How do I reset my password?", content: "Open Settings,\nthen choose \"Reset\".", tags: ["account", "login"], language: "en" },
+    { title: "पासवर्ड कैसे बदलें?", content: "सेटिंग्स खोलें और पासवर्ड बदलें।", tags: [], language: "hi" },
+];
+
+// Exports `faqs` in a format and reads the file back the way the import route does.
+const roundTrip = (format) => {
+    const { body, extension } = exportFaqs(format, faqs);
+    return parseImportFile(format, Buffer.isBuffer(body) ? body : Buffer.from(body), `export.${extension}`)
+        .map(({ data }) => validateRow(data).faq);
+};
+
+for (const format of ["csv", "json", "markdown"]) {
+    test(`${format} exports import back unchanged`, () => {
+        assert.deepEqual(roundTrip(format), faqs);
+    });
+}
+
+test("the format is taken from the query or the file extension", () => {
+    assert.equal(detectFormat("json", "faqs.csv"), "json");
+    assert.equal(detectFormat("xml", "faqs.xml"), null);
+    assert.equal(detectFormat(undefined, "FAQS.CSV"), "csv");
+    assert.equal(detectFormat(undefined, "bundle.zip"), "markdown");
+    assert.equal(detectFormat(undefined, "single.md"), "markdown");
+    assert.equal(detectFormat(undefined, "notes.txt"), null);
+});
+
+test("tags may be a list or a comma-separated string", () => {
+    assert.deepEqual(normalizeTags(" a, b ,a,, "), ["a", "b"]);
+    assert.deepEqual(normalizeTags(["x", " y "]), ["x", "y"]);
+    assert.deepEqual(normalizeTags(undefined), []);
+});
+
+test("invalid rows list every problem", () => {
+    assert.deepEqual(validateRow({ title: " ", content: "", tags: 5, language: "xx" }).errors, [
+        "Title is required.",
+        "Content is required.",
+        "Tags must be a list or a comma-separated string.",
+        "Unsupported language. Use one of: en, hi, te, ta, kn, ml, bn, gu, pa.",
+    ]);
+    assert.deepEqual(validateRow("just text").errors, ["Row must be an object with title and content."]);
+    assert.deepEqual(validateRow({ title: "x".repeat(301), content: "c" }).errors, ["Title is longer than 300 characters."]);
+});
+
+test("rows without a language get the one their text is written in", () => {
+    assert.equal(validateRow({ title: "పాస్‌వర్డ్", content: "సెట్టింగ్‌లు తెరవండి." }).faq.language, "te");
+    assert.equal(validateRow({ title: "Refunds", content: "Within 14 days.", language: " HI " }).faq.language, "hi");
+});
+
+test("CSV rows with a wrong cell count are flagged with their line", () => {
+    const csv = "title,content,tags\nGood,Fine,\nBad,unquoted, comma,and,more\n\"Multi\nline\",ok,\n";
+    const rows = parseImportFile("csv", Buffer.from(csv), "faqs.csv");
+    assert.deepEqual(rows.map(({ row, source, problems }) => ({ row, source, problems: problems.length })), [
+        { row: 1, source: "line 2", problems: 0 },
+        { row: 2, source: "line 3", problems: 1 },
+        { row: 3, source: "line 4", problems: 0 },
+    ]);
+});
+
+test("JSON imports accept an array or { faqs: [...] } and reject anything else", () => {
+    assert.equal(parseImportFile("json", Buffer.from(JSON.stringify({ faqs })), "f.json").length, 2);
+    assert.throws(() => parseImportFile("json", Buffer.from("{\"title\":\"x\"}"), "f.json"), /Expected a JSON array/);
+    assert.throws(() => parseImportFile("json", Buffer.from("not json"), "f.json"));
+});
+
+test("Markdown files without front matter take their title from the heading or file name", () => {
+    const zip = new AdmZip();
+    zip.addFile("b-named-by-file.md", Buffer.from("Just an answer."));
+    zip.addFile("a.md", Buffer.from("# Heading title\n\nThe answer."));
+    zip.addFile("__MACOSX/._a.md", Buffer.from("junk"));
+    zip.addFile("notes.txt", Buffer.from("ignored"));
+
+    const rows = parseImportFile("markdown", zip.toBuffer(), "bundle.zip");
+    assert.deepEqual(rows.map(({ source, data }) => ({ source, title: data.title, content: data.content })), [
+        { source: "a.md", title: "Heading title", content: "The answer." },
+        { source: "b-named-by-file.md", title: "b-named-by-file", content: "Just an answer." },
+    ]);
+});
+
+test("Markdown bundles are named and ordered for the admin", () => {
+    const { body } = exportFaqs("markdown", [...faqs, { title: "Café opening hours", content: "9 to 5." }]);
+    const names = new AdmZip(body).getEntries().map((entry) => entry.entryName);
+    assert.deepEqual(names, ["1-how-do-i-reset-my-password.md", "2-पासवर्ड-कैसे-बदलें.md", "3-cafe-opening-hours.md"]);
+});
@@ -0,0 +1,156 @@
+const { query, tokenFor, serve, makeBot } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const FAQ = require("../models/FAQ");
+const FAQRevision = require("../models/FAQRevision");
+const retrieval = require("../services/retrieval");
+const faqRoutes = require("../routes/faqs");
+
+const bot = makeBot();
+const adminToken = tokenFor({ role: "admin" });
+const userToken = tokenFor();
+
+let app;
+test.before(async () => {
+    app = await serve(faqRoutes, { bot });
+});
+test.after(() => app.close());
+
+// Stands in for the revision history and the retrieval index, which every change updates.
+const stubSideEffects = (t) => ({
+    saveRevision: t.mock.method(FAQRevision.prototype, "save", async function () {
+        return this;
+    }),
+    latestRevision: t.mock.method(FAQRevision, "findOne", () => query({ version: 1 })),
+    hasRevisions: t.mock.method(FAQRevision, "exists", async () => true),
+    index: t.mock.method(retrieval, "tryIndexFaq", async () => null),
+    unindex: t.mock.method(retrieval, "removeFromIndex", async () => {}),
+});
+
+const storedFaq = (fields = {}) => FAQ.hydrate({ _id: new mongoose.Types.ObjectId(), botId: bot._id, title: "Refunds", content: "Within 14 days.", language: "en", ...fields });
+
+test("the list pages, sorts and searches the bot's FAQs with the search text escaped", async (t) => {
+    const aggregate = t.mock.method(FAQ, "aggregate", async () => []);
+    const count = t.mock.method(FAQ, "countDocuments", async () => 45);
+
+    const response = await app.request("/?page=2&limit=20&q=a.b(c)&sort=title&order=asc", { token: userToken });
+    assert.equal(response.status, 200);
+    assert.deepEqual({ total: response.body.total, page: response.body.page, totalPages: response.body.totalPages }, { total: 45, page: 2, totalPages: 3 });
+
+    const [match, sort, skip, limit] = aggregate.mock.calls[0].arguments[0];
+    assert.deepEqual(match.$match.botId, bot._id);
+    assert.equal(match.$match.$or[0].title.$regex, "a\\.b\\(c\\)");
+    assert.deepEqual(sort, { $sort: { title: 1, _id: 1 } });
+    assert.deepEqual(skip, { $skip: 20 });
+    assert.deepEqual(limit, { $limit: 20 });
+    assert.deepEqual(count.mock.calls[0].arguments[0], match.$match);
+});
+
+test("unknown sort fields fall back to the creation date and page sizes are capped", async (t) => {
+    const aggregate = t.mock.method(FAQ, "aggregate", async () => []);
+    t.mock.method(FAQ, "countDocuments", async () => 0);
+
+    await app.request("/?sort=content&limit=5000", { token: userToken });
+    const [, sort, , limit] = aggregate.mock.calls[0].arguments[0];
+    assert.deepEqual(sort, { $sort: { createdAt: -1, _id: -1 } });
+    assert.deepEqual(limit, { $limit: 100 });
+});
+
+test("an FAQ of another bot is not found", async (t) => {
+    const findOne = t.mock.method(FAQ, "findOne", async () => null);
+    const id = new mongoose.Types.ObjectId().toString();
+    assert.equal((await app.request(`/${id}`, { token: userToken })).status, 404);
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], { _id: id, botId: bot._id });
+    assert.equal((await app.request("/not-an-id", { token: userToken })).status, 404);
+});
+
+test("only admins can change FAQs", async () => {
+    const id = new mongoose.Types.ObjectId();
+    assert.equal((await app.request("/", { method: "POST", token: userToken, body: { title: "T", content: "C" } })).status, 403);
+    assert.equal((await app.request(`/${id}`, { method: "PUT", token: userToken, body: { title: "T" } })).status, 403);
+    assert.equal((await app.request(`/${id}`, { method: "DELETE", token: userToken })).status, 403);
+});
+
+test("creating an FAQ saves and indexes it for the bot", async (t) => {
+    const { index } = stubSideEffects(t);
+    const save = t.mock.method(FAQ.prototype, "save", async function () {
+        return this;
+    });
+
+    const response = await app.request("/", { method: "POST", token: adminToken, body: { title: "Shipping", content: "Two days.", tags: "delivery, Orders, delivery" } });
+    assert.equal(response.status, 201);
+    const faq = save.mock.calls[0].this;
+    assert.equal(faq.botId.toString(), bot._id.toString());
+    assert.deepEqual([...faq.tags], ["delivery", "Orders"]);
+    assert.equal(index.mock.calls[0].arguments[0], faq);
+});
+
+test("creating requires a title and content", async () => {
+    const response = await app.request("/", { method: "POST", token: adminToken, body: { title: "No content" } });
+    assert.equal(response.status, 400);
+    for (const body of [{ title: ["Shipping"], content: "Two days." }, { title: "Shipping", content: { text: "Two days." } }, { title: " ", content: "Two days." }]) {
+        assert.equal((await app.request("/", { method: "POST", token: adminToken, body })).status, 400, JSON.stringify(body));
+    }
+});
+
+test("an FAQ that was saved but couldn't be indexed is reported as saved, with the indexing error", async (t) => {
+    const { index } = stubSideEffects(t);
+    index.mock.mockImplementation(async () => "Embedding request failed.");
+    const save = t.mock.method(FAQ.prototype, "save", async function () {
+        return this;
+    });
+
+    const response = await app.request("/", { method: "POST", token: adminToken, body: { title: "Shipping", content: "Two days." } });
+    assert.equal(response.status, 201);
+    assert.equal(response.body.indexError, "Embedding request failed.");
+    assert.match(response.body.message, /saved, but .* Save it again to retry/);
+    assert.equal(save.mock.callCount(), 1);
+});
+
+test("updating changes only the given fields and reindexes the FAQ", async (t) => {
+    const { index } = stubSideEffects(t);
+    const faq = storedFaq();
+    t.mock.method(FAQ, "findOne", async () => faq);
+    const save = t.mock.method(faq, "save", async () => faq);
+
+    const response = await app.request(`/${faq._id}`, { method: "PUT", token: adminToken, body: { title: "  Refund policy " } });
+    assert.equal(response.status, 200);
+    assert.equal(faq.title, "Refund policy");
+    assert.equal(faq.content, "Within 14 days.");
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(index.mock.callCount(), 1);
+});
+
+test("an update that fails to save leaves no revision behind and isn't indexed", async (t) => {
+    const { saveRevision, index } = stubSideEffects(t);
+    const removeRevision = t.mock.method(FAQRevision, "deleteOne", () => query({ deletedCount: 1 }));
+    const faq = storedFaq();
+    t.mock.method(FAQ, "findOne", async () => faq);
+    t.mock.method(faq, "save", async () => {
+        throw new Error("write conflict");
+    });
+
+    const response = await app.request(`/${faq._id}`, { method: "PUT", token: adminToken, body: { content: "Within 30 days." } });
+    assert.equal(response.status, 500);
+    assert.deepEqual(removeRevision.mock.calls[0].arguments[0], { _id: saveRevision.mock.calls[0].this._id });
+    assert.equal(index.mock.callCount(), 0);
+});
+
+test("updating rejects empty fields and requests with nothing to update", async () => {
+    const id = new mongoose.Types.ObjectId();
+    assert.equal((await app.request(`/${id}`, { method: "PUT", token: adminToken, body: {} })).status, 400);
+    assert.equal((await app.request(`/${id}`, { method: "PUT", token: adminToken, body: { content: "  " } })).status, 400);
+});
+
+test("deleting removes the FAQ and its passages from the index", async (t) => {
+    const { unindex } = stubSideEffects(t);
+    const faq = storedFaq();
+    t.mock.method(FAQ, "findOne", async () => faq);
+    const deleteOne = t.mock.method(faq, "deleteOne", async () => {});
+
+    const response = await app.request(`/${faq._id}`, { method: "DELETE", token: adminToken });
+    assert.equal(response.status, 200);
+    assert.equal(deleteOne.mock.callCount(), 1);
+    assert.equal(unindex.mock.calls[0].arguments[0], faq._id);
+});
@@ -0,0 +1,144 @@
+const { query, tokenFor, serve } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Chat = require("../models/Chat");
+const ArchivedMessage = require("../models/ArchivedMessage");
+const Conversation = require("../models/Conversation");
+const FAQ = require("../models/FAQ");
+const Feedback = require("../models/Feedback");
+const feedbackRoutes = require("../routes/feedback");
+
+const userId = new mongoose.Types.ObjectId().toString();
+const userToken = tokenFor({ id: userId });
+const botId = new mongoose.Types.ObjectId();
+const faqId = new mongoose.Types.ObjectId();
+
+let app;
+test.before(async () => {
+    app = await serve(feedbackRoutes);
+});
+test.after(() => app.close());
+
+// A chat where the user asked one question and got a reply built on one FAQ.
+const makeChat = () => Chat.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    userId,
+    conversationId: new mongoose.Types.ObjectId(),
+    messages: [
+        { _id: new mongoose.Types.ObjectId(), sender: "user", content: "Can I get a refund?", timestamp: new Date() },
+        { _id: new mongoose.Types.ObjectId(), sender: "ai", content: "Yes, within 14 days.", timestamp: new Date(), sources: [{ faqId, title: "Refunds", cited: true }, { title: "Web page" }] },
+    ],
+});
+
+// Stands in for storing the feedback and its copy on the message.
+const stubStorage = (t) => ({
+    upsert: t.mock.method(Feedback, "findOneAndUpdate", async (filter, update) => ({ _id: new mongoose.Types.ObjectId(), ...update.$set })),
+    setOnChat: t.mock.method(Chat, "updateOne", async () => ({})),
+    setOnArchive: t.mock.method(ArchivedMessage, "updateOne", async () => ({})),
+});
+
+test("rating a reply stores it with the question, the answer and the FAQs it drew on", async (t) => {
+    const chat = makeChat();
+    const reply = chat.messages[1];
+    t.mock.method(Chat, "findOne", async () => chat);
+    t.mock.method(Conversation, "findById", () => query({ botId }));
+    const { upsert, setOnChat } = stubStorage(t);
+
+    const response = await app.request("/", { method: "POST", token: userToken, body: { messageId: reply._id, rating: "down", reasons: ["wrong", "wrong"], comment: "  Wrong period. " } });
+    assert.equal(response.status, 200);
+
+    const [filter, update, options] = upsert.mock.calls[0].arguments;
+    assert.deepEqual(filter, { userId, messageId: reply._id.toString() });
+    assert.equal(options.upsert, true);
+    assert.deepEqual(update.$set.reasons, ["wrong"]);
+    assert.equal(update.$set.comment, "Wrong period.");
+    assert.equal(update.$set.question, "Can I get a refund?");
+    assert.equal(update.$set.answer, "Yes, within 14 days.");
+    assert.deepEqual(update.$set.botId, botId);
+    assert.deepEqual(update.$set.faqs, [{ faqId, title: "Refunds", cited: true }]);
+    assert.equal(setOnChat.mock.calls[0].arguments[1].$set["messages.$.feedback"].rating, "down");
+});
+
+test("replies moved to the archive can still be rated", async (t) => {
+    const reply = { _id: new mongoose.Types.ObjectId(), conversationId: new mongoose.Types.ObjectId(), sender: "ai", content: "Old answer.", timestamp: new Date() };
+    t.mock.method(Chat, "findOne", async () => null);
+    const findArchived = t.mock.method(ArchivedMessage, "findOne", (filter) => (filter._id ? reply : query({ content: "Old question?" })));
+    t.mock.method(Conversation, "findById", () => query(null));
+    const { upsert, setOnArchive } = stubStorage(t);
+
+    const response = await app.request("/", { method: "POST", token: userToken, body: { messageId: reply._id, rating: "up" } });
+    assert.equal(response.status, 200);
+    assert.equal(findArchived.mock.calls[0].arguments[0].userId, userId);
+    assert.equal(upsert.mock.calls[0].arguments[1].$set.question, "Old question?");
+    assert.equal(setOnArchive.mock.calls[0].arguments[1].$set.feedback.rating, "up");
+});
+
+test("only the user's own AI replies can be rated", async (t) => {
+    const chat = makeChat();
+    t.mock.method(Chat, "findOne", async () => chat);
+    stubStorage(t);
+    const ownQuestion = await app.request("/", { method: "POST", token: userToken, body: { messageId: chat.messages[0]._id, rating: "up" } });
+    assert.equal(ownQuestion.status, 404);
+
+    t.mock.method(Chat, "findOne", async () => null);
+    t.mock.method(ArchivedMessage, "findOne", async () => null);
+    const someoneElses = await app.request("/", { method: "POST", token: userToken, body: { messageId: new mongoose.Types.ObjectId(), rating: "up" } });
+    assert.equal(someoneElses.status, 404);
+});
+
+test("submissions are validated", async () => {
+    const messageId = new mongoose.Types.ObjectId();
+    for (const body of [
+        { messageId: "nope", rating: "up" },
+        { messageId, rating: "meh" },
+        { messageId, rating: "down", reasons: ["not-a-reason"] },
+        { messageId, rating: "down", reasons: "wrong" },
+        { messageId, rating: "down", comment: "x".repeat(1001) },
+    ]) {
+        assert.equal((await app.request("/", { method: "POST", token: userToken, body })).status, 400);
+    }
+    assert.equal((await app.request("/", { method: "POST", body: { messageId, rating: "up" } })).status, 401);
+});
+
+test("removing feedback also clears it from the message", async (t) => {
+    const messageId = new mongoose.Types.ObjectId();
+    const remove = t.mock.method(Feedback, "findOneAndDelete", async () => ({ _id: new mongoose.Types.ObjectId() }));
+    const { setOnChat, setOnArchive } = stubStorage(t);
+
+    assert.equal((await app.request(`/${messageId}`, { method: "DELETE", token: userToken })).status, 200);
+    assert.deepEqual(remove.mock.calls[0].arguments[0], { userId, messageId: messageId.toString() });
+    assert.deepEqual(setOnChat.mock.calls[0].arguments[1], { $unset: { "messages.$.feedback": "" } });
+    assert.deepEqual(setOnArchive.mock.calls[0].arguments[1], { $unset: { feedback: "" } });
+
+    remove.mock.mockImplementation(async () => null);
+    assert.equal((await app.request(`/${messageId}`, { method: "DELETE", token: userToken })).status, 404);
+});
+
+test("the report lists the FAQs behind down-voted answers with their reasons, for admins only", async (t) => {
+    const deletedFaqId = new mongoose.Types.ObjectId();
+    const aggregate = t.mock.method(Feedback, "aggregate", async (pipeline) => (pipeline.some(stage => stage.$unwind)
+        ? [
+            { _id: faqId, title: "Old title", up: 1, down: 3, downRatio: 0.75, reasons: [["wrong"], [], ["wrong", "outdated"]] },
+            { _id: deletedFaqId, title: "Gone", up: 0, down: 1, downRatio: 1, reasons: [[]] },
+        ]
+        : [{ _id: "up", count: 4 }, { _id: "down", count: 2 }]));
+    t.mock.method(Feedback, "find", () => query([{ question: "Q", answer: "A" }]));
+    t.mock.method(FAQ, "find", () => query([{ _id: faqId, title: "Refunds" }]));
+
+    assert.equal((await app.request(`/report?botId=${botId}`, { token: userToken })).status, 403);
+    const adminToken = tokenFor({ role: "admin" });
+    assert.equal((await app.request("/report?botId=nope", { token: adminToken })).status, 400);
+
+    const response = await app.request(`/report?botId=${botId}&days=7`, { token: adminToken });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.totals, { up: 4, down: 2 });
+    assert.deepEqual(response.body.faqs.map(({ title, deleted, down, reasons }) => ({ title, deleted, down, reasons })), [
+        { title: "Refunds", deleted: false, down: 3, reasons: { wrong: 2, outdated: 1 } },
+        { title: "Gone", deleted: true, down: 1, reasons: {} },
+    ]);
+    assert.equal(response.body.answers.length, 1);
+    assert.deepEqual(aggregate.mock.calls[0].arguments[0][0].$match.botId, botId);
+    const days = (Date.now() - new Date(response.body.since)) / (24 * 60 * 60 * 1000);
+    assert.ok(days > 6.99 && days < 7.01);
+});
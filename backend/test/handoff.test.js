@@ -0,0 +1,117 @@
+const { tokenFor, serve, makeBot, stubChatStorage } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Conversation = require("../models/Conversation");
+const Chat = require("../models/Chat");
+const User = require("../models/User");
+const conversationRoutes = require("../routes/conversations");
+const handoffRoutes = require("../routes/handoffs");
+const chatRoutes = require("../routes/chat");
+const { getProvider } = require("../services/llm");
+const { handleSocketMessage } = require("../services/handoff");
+
+const userId = new mongoose.Types.ObjectId().toString();
+const agentId = new mongoose.Types.ObjectId().toString();
+const agentToken = tokenFor({ id: agentId, role: "agent" });
+const bot = makeBot();
+
+const makeConversation = (handoff) => Conversation.hydrate({ _id: new mongoose.Types.ObjectId(), userId, botId: bot._id, title: "Refund", ...(handoff && { handoff }) });
+
+test("escalating puts the conversation in the bot's handoff queue, once", async (t) => {
+    const conversation = makeConversation();
+    t.mock.method(Conversation, "findOne", async () => conversation);
+    const save = t.mock.method(Conversation.prototype, "save", async function () {
+        return this;
+    });
+    const app = await serve(conversationRoutes, { bot });
+    try {
+        const path = `/${conversation._id}/escalate`;
+        assert.equal((await app.request(path, { method: "POST", token: tokenFor({ id: userId }), body: { reason: 42 } })).status, 400);
+
+        const response = await app.request(path, { method: "POST", token: tokenFor({ id: userId }), body: { reason: "  Wrong item  " } });
+        assert.equal(response.status, 200);
+        assert.deepEqual({ status: response.body.handoff.status, reason: response.body.handoff.reason }, { status: "requested", reason: "Wrong item" });
+        assert.equal(save.mock.callCount(), 1);
+
+        assert.equal((await app.request(path, { method: "POST", token: tokenFor({ id: userId }), body: {} })).status, 409);
+    } finally {
+        await app.close();
+    }
+});
+
+test("while an agent has the conversation, the bot stays silent and the message is passed on", async (t) => {
+    const conversation = makeConversation({ status: "active", agent: { id: agentId, name: "Asha" } });
+    stubChatStorage(t, { conversation });
+    const pushMessage = t.mock.method(Chat, "updateOne", async () => ({}));
+    t.mock.method(Conversation, "updateOne", async () => ({}));
+    const generate = t.mock.method(getProvider(), "generate");
+
+    const app = await serve(chatRoutes, { bot });
+    try {
+        const response = await app.request("/", { method: "POST", token: tokenFor({ id: userId }), body: { message: "Any news?", conversationId: conversation._id } });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.handoff.status, "active");
+        assert.equal(response.body.reply, undefined);
+        assert.equal(generate.mock.callCount(), 0);
+        const { sender, content } = pushMessage.mock.calls[0].arguments[1].$push.messages;
+        assert.deepEqual({ sender, content }, { sender: "user", content: "Any news?" });
+    } finally {
+        await app.close();
+    }
+});
+
+test("agents claim waiting conversations of their bot, and only one agent gets each", async (t) => {
+    const conversation = makeConversation({ status: "active" });
+    const claim = t.mock.method(Conversation, "findOneAndUpdate", async () => conversation);
+    t.mock.method(User, "findById", () => ({ select: () => ({ lean: async () => ({ name: "Asha" }) }) }));
+
+    const app = await serve(handoffRoutes, { bot });
+    try {
+        assert.equal((await app.request(`/${conversation._id}/claim`, { method: "POST", token: tokenFor() })).status, 403);
+
+        assert.equal((await app.request(`/${conversation._id}/claim`, { method: "POST", token: agentToken })).status, 200);
+        const [filter, update] = claim.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: conversation._id.toString(), botId: bot._id, "handoff.status": "requested" });
+        assert.deepEqual(update.$set["handoff.agent"], { id: agentId, name: "Asha" });
+
+        claim.mock.mockImplementation(async () => null); // Claimed by another agent in the meantime
+        assert.equal((await app.request(`/${conversation._id}/claim`, { method: "POST", token: agentToken })).status, 409);
+    } finally {
+        await app.close();
+    }
+});
+
+test("only the agent handling a conversation may close it once claimed", async (t) => {
+    const close = t.mock.method(Conversation, "findOneAndUpdate", async () => null);
+    const app = await serve(handoffRoutes, { bot });
+    try {
+        const id = new mongoose.Types.ObjectId().toString();
+        assert.equal((await app.request(`/${id}/close`, { method: "POST", token: agentToken })).status, 409);
+        const [filter, update] = close.mock.calls[0].arguments;
+        assert.deepEqual(filter.$or, [{ "handoff.status": "requested" }, { "handoff.agent.id": agentId }]);
+        assert.deepEqual(filter["handoff.status"], { $in: ["requested", "active"] });
+        assert.equal(update.$set["handoff.closedBy"], "agent");
+    } finally {
+        await app.close();
+    }
+});
+
+test("agents reply over the realtime connection in the conversations they handle only", async (t) => {
+    const conversationId = new mongoose.Types.ObjectId().toString();
+    const agent = { id: agentId, role: "agent" };
+    assert.match(await handleSocketMessage({ id: userId, role: "user" }, { type: "message", conversationId, content: "Hi" }), /Only support agents/);
+    assert.match(await handleSocketMessage(agent, { type: "typing" }), /Unknown message type/);
+    assert.match(await handleSocketMessage(agent, { type: "message", conversationId, content: "   " }), /at most/);
+
+    const findOne = t.mock.method(Conversation, "findOne", async () => null);
+    assert.match(await handleSocketMessage(agent, { type: "message", conversationId, content: "Hello" }), /Claim it first/);
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], { _id: conversationId, "handoff.status": "active", "handoff.agent.id": agentId });
+
+    findOne.mock.mockImplementation(async () => makeConversation({ status: "active", agent: { id: agentId, name: "Asha" } }));
+    const pushMessage = t.mock.method(Chat, "updateOne", async () => ({}));
+    t.mock.method(Conversation, "updateOne", async () => ({}));
+    assert.equal(await handleSocketMessage(agent, { type: "message", conversationId, content: " Your refund is on its way. " }), null);
+    const { sender, content, agent: author } = pushMessage.mock.calls[0].arguments[1].$push.messages;
+    assert.deepEqual({ sender, content, author }, { sender: "agent", content: "Your refund is on its way.", author: { id: agentId, name: "Asha" } });
+});
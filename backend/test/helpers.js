@@ -0,0 +1,126 @@
+// backend/test/helpers.js - Shared helpers for the route and service tests (run with `npm test`)
+//
+// Tests don't need MongoDB or an LLM API key: they use the mock LLM provider and replace model methods with
+// `t.mock.method(...)`, returning `query(...)` where the code chains Mongoose query helpers.
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+process.env.LLM_PROVIDER = "mock";
+process.env.MOCK_STREAM_DELAY_MS = "0";
+
+const express = require("express");
+const mongoose = require("mongoose");
+const { signToken } = require("../middleware/auth");
+
+// A stand-in for a Mongoose query that resolves to `value`. Query helpers such as sort(), select(), lean() or
+// limit() can be chained in any order before it is awaited.
+const query = (value) => new Proxy(() => {}, {
+    get: (target, property) => (property === "then"
+        ? (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+        : () => query(value)),
+});
+
+// Signs a token for a test user. `role` defaults to "user".
+const tokenFor = ({ id = new mongoose.Types.ObjectId().toString(), email = "user@example.com", role = "user" } = {}) =>
+    signToken({ _id: id, email, role });
+
+// Serves `router` at "/" on a random local port, with `req.bot` set to `bot` when given, like middleware/bot.js
+// does. Returns { request, close }, where request(path, { method, body, token, headers }) resolves to
+// { status, headers, body }; JSON bodies are parsed and anything else is returned as text.
+const serve = async (router, { bot } = {}) => {
+    const app = express();
+    app.use(express.json());
+    if (bot) {
+        app.use((req, res, next) => {
+            req.bot = bot;
+            next();
+        });
+    }
+    app.use("/", router);
+
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (path, { method = "GET", body, token, headers = {} } = {}) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: {
+                ...(body !== undefined && { "Content-Type": "application/json" }),
+                ...(token && { Authorization: `Bearer ${token}` }),
+                ...headers,
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+        });
+        const text = await response.text();
+        const isJson = (response.headers.get("content-type") || "").includes("application/json");
+        return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+    };
+
+    const close = () => new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+    });
+
+    return { request, close, baseUrl };
+};
+
+// A bot as loaded by middleware/bot.js.
+const makeBot = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: "Test Bot",
+    slug: "test-bot",
+    persona: "You are Test Bot.",
+    allowedOrigins: [],
+    ...overrides,
+});
+
+// Replaces everything the chat routes read and write with stand-ins: `conversation` is what Conversation.findOne
+// finds, `chat` its Chat document and `chunks` what retrieval finds. Nothing is cached, queued or summarized.
+// Returns the mocks, so tests can check what was saved.
+const stubChatStorage = (t, { conversation = null, chat = null, chunks = [] } = {}) => {
+    const Conversation = require("../models/Conversation");
+    const Chat = require("../models/Chat");
+    const ChatSettings = require("../models/ChatSettings");
+    const FAQ = require("../models/FAQ");
+    const Usage = require("../models/Usage");
+    const ChatMetric = require("../models/ChatMetric");
+    const AnswerCache = require("../models/AnswerCache");
+    const UnansweredQuestion = require("../models/UnansweredQuestion");
+    const retrieval = require("../services/retrieval");
+
+    const saved = async function () {
+        return this;
+    };
+    return {
+        findConversation: t.mock.method(Conversation, "findOne", async () => conversation),
+        saveConversation: t.mock.method(Conversation.prototype, "save", saved),
+        findChat: t.mock.method(Chat, "findOne", async () => chat),
+        saveChat: t.mock.method(Chat.prototype, "save", saved),
+        findSettings: t.mock.method(ChatSettings, "findOne", () => query(null)),
+        search: t.mock.method(retrieval, "search", async () => chunks),
+        countFaqLanguages: t.mock.method(FAQ, "aggregate", async () => []),
+        recordUsage: t.mock.method(Usage, "updateOne", async () => {}),
+        findUsage: t.mock.method(Usage, "findOne", () => query(null)),
+        recordMetric: t.mock.method(ChatMetric, "create", async () => {}),
+        findCachedAnswers: t.mock.method(AnswerCache, "find", () => query([])),
+        cacheAnswer: t.mock.method(AnswerCache, "updateOne", async () => {}),
+        findUnanswered: t.mock.method(UnansweredQuestion, "find", () => query([])),
+        queueUnanswered: t.mock.method(UnansweredQuestion.prototype, "save", saved),
+    };
+};
+
+// Parses a Server-Sent Events body into [{ event, data }], with `data` parsed as JSON.
+const parseEvents = (body) => body.split("\n\n").filter(Boolean).map((raw) => {
+    const lines = raw.split("\n");
+    const field = (name) => lines.filter((line) => line.startsWith(`${name}: `)).map((line) => line.slice(name.length + 2)).join("");
+    return { event: field("event"), data: JSON.parse(field("data")) };
+});
+
+// A retrieved FAQ chunk, as retrieval.search returns them.
+const makeChunk = ({ title = "Reset your password", content = "Open Settings and choose Reset password.", score = 0.8, language } = {}) => ({
+    chunk: { _id: new mongoose.Types.ObjectId(), content, page: null },
+    faq: { _id: new mongoose.Types.ObjectId(), title, ...(language && { language }) },
+    score,
+});
+
+module.exports = { query, tokenFor, serve, makeBot, stubChatStorage, parseEvents, makeChunk };
@@ -0,0 +1,97 @@
+const { tokenFor, serve, makeBot, stubChatStorage, makeChunk } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const FAQ = require("../models/FAQ");
+const chatRoutes = require("../routes/chat");
+const { getProvider } = require("../services/llm");
+const {
+    validateLanguage, detectLanguage, detectFaqLanguage, buildLanguageInstruction, getKnowledgeLanguage, translateQuery,
+} = require("../services/language");
+
+const bot = makeBot();
+const userId = new mongoose.Types.ObjectId().toString();
+
+// FAQ.aggregate standing in for counting the bot's FAQs per language: `counts` is { language: count }.
+const stubFaqLanguages = (t, counts) => t.mock.method(FAQ, "aggregate", async () => Object.entries(counts)
+    .map(([language, count]) => ({ _id: language, count }))
+    .sort((a, b) => b.count - a.count));
+
+test("messages are detected by the script most of their letters are written in", () => {
+    assert.equal(detectLanguage("मेरा ऑर्डर कहाँ है?"), "hi");
+    assert.equal(detectLanguage("నా ఆర్డర్ ఎక్కడ ఉంది?"), "te");
+    assert.equal(detectLanguage("Where is my order?"), "en");
+    assert.equal(detectLanguage("mera order kahan hai"), "en"); // Romanized Hindi
+    assert.equal(detectLanguage("ऑर्डर #1234 का status?"), "hi");
+    assert.equal(detectLanguage("#1234 🙂"), null);
+    assert.equal(detectFaqLanguage("", "1234"), "en");
+});
+
+test("only supported language codes are accepted", () => {
+    assert.equal(validateLanguage("te"), null);
+    assert.equal(validateLanguage(undefined), null);
+    assert.match(validateLanguage("fr"), /Unsupported language/);
+});
+
+test("the model is told to answer in the user's language and to translate FAQs in other ones", () => {
+    assert.equal(buildLanguageInstruction("hi", ["hi"]), "**Language:** The user is writing in Hindi. Answer in Hindi.");
+    assert.match(buildLanguageInstruction("te", ["en", "en", "hi"]), /Some relevant FAQs are in English and Hindi; translate what you use from them into Telugu/);
+    assert.match(buildLanguageInstruction("en", []), /Answer in the language the user's latest message is written in\.$/);
+});
+
+test("a knowledge language needs a majority of the bot's FAQs", async (t) => {
+    const aggregate = stubFaqLanguages(t, { en: 6, hi: 3, te: 1 });
+    assert.equal(await getKnowledgeLanguage(bot._id, "te"), "en");
+    assert.deepEqual(aggregate.mock.calls[0].arguments[0][0], { $match: { botId: bot._id } });
+    assert.equal(await getKnowledgeLanguage(bot._id, "en"), null); // The message is already in the majority language
+
+    stubFaqLanguages(t, { en: 4, hi: 3, te: 3 }); // The largest share, but no majority
+    assert.equal(await getKnowledgeLanguage(bot._id, "te"), null);
+    stubFaqLanguages(t, { en: 5, hi: 5 });
+    assert.equal(await getKnowledgeLanguage(bot._id, "te"), null);
+    stubFaqLanguages(t, {});
+    assert.equal(await getKnowledgeLanguage(bot._id, "te"), null);
+});
+
+test("a translation returns its text with the prompt and usage", async () => {
+    const translation = await translateQuery(getProvider(), "మీ రిటర్న్ పాలసీ ఏమిటి?", "en");
+    assert.ok(translation.text);
+    assert.match(translation.prompt[0].content, /^Translate the user's message into English\./);
+    assert.ok(translation.result.usage.totalTokens > 0);
+});
+
+test("when no FAQ matches, the message is searched again in the bot's knowledge language, counting the translation's tokens", async (t) => {
+    const { search, recordUsage } = stubChatStorage(t);
+    search.mock.mockImplementation(async () => (search.mock.callCount() === 0 ? [] : [makeChunk({ title: "Returns", language: "en" })]));
+    stubFaqLanguages(t, { en: 8, te: 2 });
+
+    const app = await serve(chatRoutes, { bot });
+    try {
+        const response = await app.request("/", { method: "POST", token: tokenFor({ id: userId }), body: { message: "మీ రిటర్న్ పాలసీ ఏమిటి?" } });
+        assert.equal(response.status, 200);
+        assert.equal(search.mock.callCount(), 2);
+        assert.notEqual(search.mock.calls[1].arguments[0], "మీ రిటర్న్ పాలసీ ఏమిటి?");
+        assert.equal(response.body.sources[0].title, "Returns");
+
+        const updates = recordUsage.mock.calls.map(({ arguments: [filter, update] }) => [filter.userId, update.$inc.requests]);
+        assert.deepEqual(updates, [[userId, 0], [userId, 1]]); // The translation, then the reply
+    } finally {
+        await app.close();
+    }
+});
+
+test("no translation is made when the bot's FAQs have no majority language", async (t) => {
+    const { search, recordUsage } = stubChatStorage(t);
+    stubFaqLanguages(t, { en: 2, hi: 2, te: 1 });
+    const generate = t.mock.method(getProvider(), "generate");
+
+    const app = await serve(chatRoutes, { bot });
+    try {
+        assert.equal((await app.request("/", { method: "POST", token: tokenFor({ id: userId }), body: { message: "మీ రిటర్న్ పాలసీ ఏమిటి?" } })).status, 200);
+        assert.equal(search.mock.callCount(), 1);
+        assert.equal(generate.mock.callCount(), 1); // The reply only
+        assert.equal(recordUsage.mock.callCount(), 1);
+    } finally {
+        await app.close();
+    }
+});
@@ -0,0 +1,102 @@
+require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("node:stream");
+const axios = require("axios");
+const { createMockProvider } = require("../services/llm/mock");
+const { createOpenAIProvider } = require("../services/llm/openai");
+const { createGeminiProvider } = require("../services/llm/gemini");
+
+const messages = [
+    { role: "system", content: "You are a bot.\n\nRelevant FAQs:\n[1] Reset password" },
+    { role: "user", content: "Hi" },
+    { role: "assistant", content: "Hello!" },
+    { role: "user", content: "How do I reset my password?" },
+];
+
+// An axios streaming response carrying the given SSE events.
+const sseResponse = (events) => ({ data: Readable.from(events.map((event) => `data: ${event}\n\n`)) });
+
+test("the configured provider is used", () => {
+    const { getProvider } = require("../services/llm");
+    assert.equal(getProvider().name, "mock");
+    assert.equal(getProvider(), getProvider());
+});
+
+test("the mock provider echoes the question and whether FAQs were given", async () => {
+    const provider = createMockProvider();
+    const { text, usage } = await provider.generate({ messages });
+    assert.equal(text, 'This is a mock reply to: "How do I reset my password?". Relevant FAQs were provided as context. Earlier turns in this conversation: 2.');
+    assert.equal(usage.totalTokens, usage.promptTokens + usage.completionTokens);
+
+    const noContext = await provider.generate({ messages: [{ role: "user", content: "Hi" }] });
+    assert.match(noContext.text, /No FAQ context was provided/);
+});
+
+test("the mock provider streams the same reply it generates, and stops when cancelled", async () => {
+    const provider = createMockProvider({ streamDelayMs: 0 });
+    const tokens = [];
+    const streamed = await provider.stream({ messages }, (token) => tokens.push(token));
+    assert.equal(streamed.text, (await provider.generate({ messages })).text);
+    assert.equal(tokens.join(""), streamed.text);
+
+    const controller = new AbortController();
+    const cancelled = await provider.stream({ messages, signal: controller.signal }, () => controller.abort());
+    assert.equal(cancelled.text.split(" ").filter(Boolean).length, 1);
+});
+
+test("the OpenAI-compatible provider maps requests, replies and usage", async (t) => {
+    const post = t.mock.method(axios, "post", async () => ({
+        data: { choices: [{ message: { content: "Use the reset link." } }], usage: { prompt_tokens: 12, completion_tokens: 5, total_tokens: 17 } },
+    }));
+    const provider = createOpenAIProvider({ baseUrl: "http://localhost:11434/v1/", model: "llama3" });
+
+    const result = await provider.generate({ messages, temperature: 0.2, maxOutputTokens: 100 });
+    assert.deepEqual(result, { text: "Use the reset link.", usage: { promptTokens: 12, completionTokens: 5, totalTokens: 17 } });
+
+    const [url, payload, { headers }] = post.mock.calls[0].arguments;
+    assert.equal(url, "http://localhost:11434/v1/chat/completions");
+    assert.deepEqual(payload, { model: "llama3", messages, temperature: 0.2, max_tokens: 100 });
+    assert.equal(headers.Authorization, undefined); // Local servers get no key
+});
+
+test("the OpenAI-compatible provider streams deltas and the final usage chunk", async (t) => {
+    t.mock.method(axios, "post", async () => sseResponse([
+        JSON.stringify({ choices: [{ delta: { content: "Use " } }] }),
+        JSON.stringify({ choices: [{ delta: { content: "the link." } }] }),
+        "not json",
+        JSON.stringify({ choices: [], usage: { prompt_tokens: 3, completion_tokens: 4, total_tokens: 7 } }),
+        "[DONE]",
+    ]));
+    const provider = createOpenAIProvider({ apiKey: "key" });
+
+    const tokens = [];
+    const result = await provider.stream({ messages }, (token) => tokens.push(token));
+    assert.deepEqual(tokens, ["Use ", "the link."]);
+    assert.deepEqual(result, { text: "Use the link.", usage: { promptTokens: 3, completionTokens: 4, totalTokens: 7 } });
+});
+
+test("the Gemini provider sends assistant turns as model turns and reads usage metadata", async (t) => {
+    const post = t.mock.method(axios, "post", async () => ({
+        data: { candidates: [{ content: { parts: [{ text: "Use the reset link." }] } }], usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 4, totalTokenCount: 14 } },
+    }));
+    const provider = createGeminiProvider({ apiKey: "key" });
+
+    const result = await provider.generate({ messages, temperature: 0.5, maxOutputTokens: 50 });
+    assert.deepEqual(result, { text: "Use the reset link.", usage: { promptTokens: 10, completionTokens: 4, totalTokens: 14 } });
+
+    const [url, payload, { headers }] = post.mock.calls[0].arguments;
+    assert.match(url, /gemini-2\.0-flash:generateContent$/);
+    assert.deepEqual(payload.contents.map(({ role }) => role), ["user", "user", "model", "user"]);
+    assert.deepEqual(payload.generationConfig, { temperature: 0.5, maxOutputTokens: 50 });
+    assert.equal(headers["x-goog-api-key"], "key");
+});
+
+test("the Gemini provider streams text chunks", async (t) => {
+    const chunk = (text, usageMetadata) => JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }], usageMetadata });
+    t.mock.method(axios, "post", async () => sseResponse([chunk("Use "), chunk("the link.", { promptTokenCount: 2, candidatesTokenCount: 3, totalTokenCount: 5 })]));
+    const provider = createGeminiProvider({ apiKey: "key" });
+
+    const result = await provider.stream({ messages }, () => {});
+    assert.deepEqual(result, { text: "Use the link.", usage: { promptTokens: 2, completionTokens: 3, totalTokens: 5 } });
+});
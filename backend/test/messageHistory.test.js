@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Chat = require("../models/Chat");
+const { getMessagePage, parseCursor, encodeCursor } = require("../services/messageHistory");
+
+const conversationId = new mongoose.Types.ObjectId();
+const sameTime = new Date("2026-01-02T03:04:05.678Z");
+const message = (content, timestamp = sameTime) => ({ _id: new mongoose.Types.ObjectId(), sender: "user", content, timestamp });
+
+test("cursors round-trip a message's timestamp and id", () => {
+    const first = message("hello");
+    const cursor = parseCursor(encodeCursor(first));
+    assert.equal(cursor.timestamp.getTime(), sameTime.getTime());
+    assert.equal(cursor.id.toString(), first._id.toString());
+});
+
+test("bare ISO timestamps are still accepted as cursors", () => {
+    const cursor = parseCursor(sameTime.toISOString());
+    assert.equal(cursor.timestamp.getTime(), sameTime.getTime());
+    assert.equal(cursor.id, null);
+});
+
+test("invalid cursors are rejected", () => {
+    assert.equal(parseCursor("yesterday"), null);
+    assert.equal(parseCursor(`${sameTime.toISOString()}_not-an-id`), null);
+    assert.equal(parseCursor(["a", "b"]), null);
+});
+
+test("the next page starts after the last message, including messages with the same timestamp", async (t) => {
+    const messages = [message("c"), message("b"), message("a")];
+    let pipeline;
+    t.mock.method(Chat, "aggregate", async (stages) => {
+        pipeline = stages;
+        return messages;
+    });
+
+    const page = await getMessagePage(conversationId, { limit: 2, before: null });
+    assert.equal(page.hasMore, true);
+    assert.deepEqual(page.messages, messages.slice(0, 2));
+    assert.equal(page.nextCursor, encodeCursor(messages[1]));
+    assert.deepEqual(pipeline.find((stage) => stage.$sort).$sort, { timestamp: -1, _id: -1 });
+
+    const before = parseCursor(page.nextCursor);
+    await getMessagePage(conversationId, { limit: 2, before });
+    const cursorMatch = pipeline.filter((stage) => stage.$match).pop().$match;
+    assert.deepEqual(cursorMatch, {
+        $or: [{ timestamp: { $lt: before.timestamp } }, { timestamp: before.timestamp, _id: { $lt: before.id } }],
+    });
+});
+
+test("the last page has no cursor", async (t) => {
+    t.mock.method(Chat, "aggregate", async () => [message("only")]);
+    const page = await getMessagePage(conversationId, { limit: 2, before: null });
+    assert.equal(page.hasMore, false);
+    assert.equal(page.nextCursor, null);
+});
@@ -0,0 +1,78 @@
+process.env.PROMPT_TOKEN_BUDGET = "1000";
+process.env.PROMPT_BUDGET_SPLIT = "20:55:25";
+const { makeChunk } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildPrompt } = require("../services/promptBuilder");
+const { estimateTokens } = require("../services/usage");
+
+const base = { persona: "You are Test Bot.", instructions: "Answer from the FAQs.", rankedChunks: [], history: [], message: "How do refunds work?" };
+const text = (tokens) => "abcd".repeat(tokens); // Exactly `tokens` estimated tokens
+
+test("a small prompt is sent whole, with the FAQs numbered in rank order", () => {
+    const rankedChunks = [makeChunk({ title: "Refunds", content: "Within 14 days." }), makeChunk({ title: "Shipping", content: "Free over 50." })];
+    const history = [{ role: "user", content: "Hi" }, { role: "assistant", content: "Hello!" }];
+    const prompt = buildPrompt({ ...base, language: "Answer in English.", summary: "The user ordered a lamp.", rankedChunks, history });
+
+    assert.deepEqual(prompt.dropped, []);
+    assert.deepEqual(prompt.messages.slice(1), [...history, { role: "user", content: "How do refunds work?" }]);
+    const system = prompt.messages[0].content;
+    assert.ok(system.startsWith("You are Test Bot.\n\nAnswer from the FAQs.\n\nAnswer in English.\n\n"));
+    assert.match(system, /\*\*Summary of the conversation so far:\*\*\nThe user ordered a lamp\./);
+    assert.match(system, /\[1\] Q: Refunds\nA: Within 14 days\.\n\n---\n\n\[2\] Q: Shipping\nA: Free over 50\./);
+    assert.deepEqual(prompt.chunks.map(({ label, content }) => [label, content]), [[1, "Within 14 days."], [2, "Free over 50."]]);
+});
+
+test("FAQs that don't fit are cut short or dropped, lowest ranked first", () => {
+    const rankedChunks = [
+        makeChunk({ title: "First", content: text(400), score: 0.9 }),
+        makeChunk({ title: "Second", content: text(400), score: 0.8 }),
+        makeChunk({ title: "Third", content: text(400), score: 0.7 }),
+    ];
+    const prompt = buildPrompt({ ...base, rankedChunks });
+
+    assert.deepEqual(prompt.chunks.map(chunk => chunk.faq.title), ["First", "Second"]);
+    assert.equal(prompt.chunks[0].content, rankedChunks[0].chunk.content);
+    assert.ok(prompt.chunks[1].content.endsWith(" [...]"));
+    assert.ok(prompt.chunks[1].content.length < rankedChunks[1].chunk.content.length);
+    assert.match(prompt.dropped[0], /^cut FAQ chunk .* \("Second"\)/);
+    assert.match(prompt.dropped[1], /^dropped FAQ chunk .* \("Third", score 0\.700\)/);
+    assert.ok(prompt.estimatedTokens <= 1000);
+});
+
+test("the oldest history messages are dropped first, leaving no gap", () => {
+    const history = Array.from({ length: 12 }, (_, i) => ({ role: i % 2 ? "assistant" : "user", content: `${i}:${text(100)}` }));
+    const prompt = buildPrompt({ ...base, history });
+
+    const kept = prompt.messages.slice(1, -1);
+    assert.ok(kept.length > 0 && kept.length < history.length);
+    assert.deepEqual(kept, history.slice(history.length - kept.length));
+    assert.deepEqual(prompt.dropped, [`dropped the ${history.length - kept.length} oldest history messages`]);
+    assert.ok(prompt.estimatedTokens <= 1000);
+});
+
+test("budget the instructions don't use goes to the FAQs, and the FAQs' leftovers to the history", () => {
+    const history = Array.from({ length: 8 }, () => ({ role: "user", content: text(100) }));
+    const withFaq = buildPrompt({ ...base, history, rankedChunks: [makeChunk({ content: text(300) })] });
+    const withoutFaq = buildPrompt({ ...base, history });
+
+    assert.equal(withFaq.chunks.length, 1);
+    assert.ok(withoutFaq.messages.length > withFaq.messages.length);
+    assert.equal(withoutFaq.messages.length, history.length + 2); // All history fits when no FAQ is retrieved
+});
+
+test("overlong instructions and summaries are cut to their share", () => {
+    const prompt = buildPrompt({ ...base, persona: text(500), summary: text(2000) });
+    const [instructionsCut, summaryCut] = prompt.dropped;
+    assert.match(instructionsCut, /^cut the instructions from ~\d+ to ~199 tokens$/);
+    assert.match(summaryCut, /^cut the conversation summary/);
+    assert.ok(prompt.estimatedTokens <= 1000);
+    assert.ok(estimateTokens(prompt.messages[0].content) <= 1000);
+});
+
+test("the user's message is always sent whole, even when it uses up the budget", () => {
+    const message = `Why was my refund refused? ${text(1200)}`;
+    const prompt = buildPrompt({ ...base, message, rankedChunks: [makeChunk()], history: [{ role: "user", content: text(50) }] });
+    assert.equal(prompt.messages[prompt.messages.length - 1].content, message);
+    assert.equal(prompt.chunks.length, 0);
+});
@@ -0,0 +1,137 @@
+process.env.CHAT_RATE_LIMIT_PER_USER = "3";
+process.env.CHAT_RATE_LIMIT_PER_IP = "5";
+process.env.DAILY_TOKEN_QUOTA = "1000";
+const { query, tokenFor, serve } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const Usage = require("../models/Usage");
+const { requireAuth } = require("../middleware/auth");
+const { createRateLimiter, limitChatPerIp, limitChatPerUser, enforceDailyTokenQuota } = require("../middleware/rateLimit");
+const { estimateUsage, recordUsage, getTodayUsage, secondsUntilReset } = require("../services/usage");
+
+// Serves a route behind the chat limits, as routes/chat.js applies them.
+const serveLimited = () => {
+    const router = express.Router();
+    router.post("/", requireAuth, limitChatPerIp, limitChatPerUser, enforceDailyTokenQuota, (req, res) => res.json({ ok: true }));
+    return serve(router);
+};
+
+test("a limiter allows `max` requests per window and then answers 429 with Retry-After", async () => {
+    const router = express.Router();
+    router.get("/", createRateLimiter({ name: "test", max: 2, windowMs: 60000, keyFor: () => "everyone", message: "Slow down." }), (req, res) => res.json({ ok: true }));
+    const app = await serve(router);
+    try {
+        assert.equal((await app.request("/")).status, 200);
+        assert.equal((await app.request("/")).status, 200);
+        const limited = await app.request("/");
+        assert.equal(limited.status, 429);
+        assert.equal(limited.body.message, "Slow down.");
+        assert.ok(limited.body.retryAfter > 0 && limited.body.retryAfter <= 60);
+        assert.equal(limited.headers.get("retry-after"), String(limited.body.retryAfter));
+    } finally {
+        await app.close();
+    }
+});
+
+test("the window resets once it has passed", async () => {
+    const router = express.Router();
+    router.get("/", createRateLimiter({ name: "short", max: 1, windowMs: 50, keyFor: () => "everyone", message: "Wait." }), (req, res) => res.json({ ok: true }));
+    const app = await serve(router);
+    try {
+        assert.equal((await app.request("/")).status, 200);
+        assert.equal((await app.request("/")).status, 429);
+        await new Promise((resolve) => setTimeout(resolve, 60));
+        assert.equal((await app.request("/")).status, 200);
+    } finally {
+        await app.close();
+    }
+});
+
+test("a max of 0 disables the limiter", async () => {
+    const router = express.Router();
+    router.get("/", createRateLimiter({ name: "off", max: 0, keyFor: () => "everyone", message: "Never." }), (req, res) => res.json({ ok: true }));
+    const app = await serve(router);
+    try {
+        for (let i = 0; i < 5; i++) {
+            assert.equal((await app.request("/")).status, 200);
+        }
+    } finally {
+        await app.close();
+    }
+});
+
+test("chat requests are limited per user, and per IP address across users", async (t) => {
+    t.mock.method(Usage, "findOne", () => query(null));
+    const app = await serveLimited();
+    try {
+        const alice = tokenFor();
+        const bob = tokenFor();
+        const statuses = [];
+        for (let i = 0; i < 4; i++) {
+            statuses.push((await app.request("/", { method: "POST", token: alice })).status);
+        }
+        assert.deepEqual(statuses, [200, 200, 200, 429]);
+
+        // A second user starts a fresh per-user window but shares the IP address
+        assert.equal((await app.request("/", { method: "POST", token: bob })).status, 200);
+        const limited = await app.request("/", { method: "POST", token: bob });
+        assert.equal(limited.status, 429);
+        assert.match(limited.body.message, /your network/);
+    } finally {
+        await app.close();
+    }
+});
+
+test("requests are refused once today's token quota is used up", async (t) => {
+    const userId = "quota-user";
+    const findOne = t.mock.method(Usage, "findOne", () => query({ requests: 12, promptTokens: 900, completionTokens: 100, totalTokens: 1000 }));
+    const router = express.Router();
+    router.post("/", requireAuth, enforceDailyTokenQuota, (req, res) => res.json({ ok: true }));
+    const app = await serve(router);
+    try {
+        const response = await app.request("/", { method: "POST", token: tokenFor({ id: userId }) });
+        assert.equal(response.status, 429);
+        assert.equal(response.body.retryAfter, secondsUntilReset());
+        assert.equal(findOne.mock.calls[0].arguments[0].userId, userId);
+    } finally {
+        await app.close();
+    }
+});
+
+test("a failed usage lookup doesn't lock users out", async (t) => {
+    t.mock.method(Usage, "findOne", () => query(Promise.reject(new Error("database down"))));
+    const router = express.Router();
+    router.post("/", requireAuth, enforceDailyTokenQuota, (req, res) => res.json({ ok: true }));
+    const app = await serve(router);
+    try {
+        assert.equal((await app.request("/", { method: "POST", token: tokenFor() })).status, 200);
+    } finally {
+        await app.close();
+    }
+});
+
+test("usage is added to the user's record for the current UTC day", async (t) => {
+    const updateOne = t.mock.method(Usage, "updateOne", async () => {});
+    await recordUsage("u1", { promptTokens: 30, completionTokens: 12 });
+
+    const [filter, update, options] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { userId: "u1", day: new Date().toISOString().slice(0, 10) });
+    assert.deepEqual(update, { $inc: { requests: 1, promptTokens: 30, completionTokens: 12, totalTokens: 42 } });
+    assert.deepEqual(options, { upsert: true });
+});
+
+test("today's usage is zero before the first request and carries the quota", async (t) => {
+    t.mock.method(Usage, "findOne", () => query(null));
+    const usage = await getTodayUsage("u1");
+    assert.deepEqual({ requests: usage.requests, totalTokens: usage.totalTokens, quota: usage.quota }, { requests: 0, totalTokens: 0, quota: 1000 });
+});
+
+test("usage is estimated from text length when a provider doesn't report it", () => {
+    assert.deepEqual(estimateUsage([{ content: "12345678" }, { content: "1234" }], "123456789"), { promptTokens: 3, completionTokens: 3, totalTokens: 6 });
+});
+
+test("the quota resets at the next UTC midnight", () => {
+    assert.equal(secondsUntilReset(new Date("2026-03-01T23:59:30Z")), 30);
+    assert.equal(secondsUntilReset(new Date("2026-03-01T00:00:00Z")), 86400);
+});
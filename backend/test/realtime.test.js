@@ -0,0 +1,130 @@
+const { tokenFor, makeBot } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const mongoose = require("mongoose");
+const WebSocket = require("ws");
+const Bot = require("../models/Bot");
+const { signGuestToken } = require("../middleware/auth");
+const { AUTH_FAILED_CLOSE_CODE, attachRealtime, publish } = require("../services/realtime");
+
+const bot = makeBot();
+const otherBot = makeBot({ slug: "other-bot" });
+const userId = new mongoose.Types.ObjectId().toString();
+
+let server;
+let baseUrl;
+const handled = []; // [user, data] of the messages passed to the handler
+test.before(async () => {
+    server = http.createServer();
+    attachRealtime(server, async (user, data) => {
+        handled.push([user, data]);
+        return data.fail ? "Refused." : null;
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `ws://127.0.0.1:${server.address().port}`;
+});
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+// Bots are looked up by id or slug, like middleware/bot.js does.
+const stubBots = (t) => {
+    const bots = [bot, otherBot];
+    t.mock.method(Bot, "findById", async (id) => bots.find((candidate) => candidate._id.toString() === String(id)) || null);
+    t.mock.method(Bot, "findOne", async ({ slug }) => bots.find((candidate) => candidate.slug === slug) || null);
+};
+
+// Opens a connection, sends `firstMessage` and resolves once the server answered it with "connected" or closed
+// the connection. Returns { socket, events, closed }, where `closed` resolves to the close code.
+const connect = (firstMessage) => new Promise((resolve, reject) => {
+    const socket = new WebSocket(`${baseUrl}/api/ws`);
+    const events = [];
+    const closed = new Promise((resolveClose) => socket.on("close", (code) => resolveClose(code)));
+    socket.on("error", reject);
+    socket.on("open", () => socket.send(typeof firstMessage === "string" ? firstMessage : JSON.stringify(firstMessage)));
+    socket.on("message", (raw) => {
+        events.push(JSON.parse(raw.toString()));
+        if (events.length === 1) {
+            resolve({ socket, events, closed });
+        }
+    });
+    closed.then(() => resolve({ socket, events, closed }));
+});
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 30));
+
+test("a connection authenticates with its first message and is told it is connected", async (t) => {
+    stubBots(t);
+    const { socket, events } = await connect({ type: "auth", token: tokenFor({ id: userId }), botId: "test-bot" });
+    try {
+        assert.deepEqual(events, [{ type: "connected" }]);
+    } finally {
+        socket.close();
+    }
+});
+
+test("connections without a valid token or first message are closed", async (t) => {
+    stubBots(t);
+    const expired = await connect({ type: "auth", token: "not-a-token", botId: bot._id.toString() });
+    assert.equal(await expired.closed, AUTH_FAILED_CLOSE_CODE);
+    assert.deepEqual(expired.events, []);
+
+    for (const firstMessage of ["not json", { type: "message", content: "Hi" }, { type: "auth", token: tokenFor() }]) {
+        const { closed } = await connect(firstMessage);
+        assert.equal(await closed, 4400, JSON.stringify(firstMessage));
+    }
+    const unknownBot = await connect({ type: "auth", token: tokenFor(), botId: "no-such-bot" });
+    assert.equal(await unknownBot.closed, 4400);
+});
+
+test("a guest token is refused for another bot than the one that started the session", async (t) => {
+    stubBots(t);
+    const { closed } = await connect({ type: "auth", token: signGuestToken(bot), botId: otherBot._id.toString() });
+    assert.equal(await closed, AUTH_FAILED_CLOSE_CODE);
+
+    const own = await connect({ type: "auth", token: signGuestToken(bot), botId: bot.slug });
+    own.socket.close();
+    assert.deepEqual(own.events, [{ type: "connected" }]);
+});
+
+test("events reach the conversation's user and the agents of its bot only", async (t) => {
+    stubBots(t);
+    const otherUserId = new mongoose.Types.ObjectId().toString();
+    const user = await connect({ type: "auth", token: tokenFor({ id: userId }), botId: bot._id.toString() });
+    const otherUser = await connect({ type: "auth", token: tokenFor({ id: otherUserId }), botId: bot._id.toString() });
+    const agent = await connect({ type: "auth", token: tokenFor({ role: "agent" }), botId: bot._id.toString() });
+    const otherBotAgent = await connect({ type: "auth", token: tokenFor({ role: "agent" }), botId: otherBot._id.toString() });
+    try {
+        const event = { type: "handoff", conversationId: "c1", botId: bot._id, handoff: { status: "requested" } };
+        publish(userId, event);
+        await settle();
+
+        const received = JSON.parse(JSON.stringify(event));
+        assert.deepEqual(user.events.slice(1), [received]);
+        assert.deepEqual(agent.events.slice(1), [received]);
+        assert.deepEqual(otherUser.events.slice(1), []);
+        assert.deepEqual(otherBotAgent.events.slice(1), []);
+    } finally {
+        [user, otherUser, agent, otherBotAgent].forEach(({ socket }) => socket.close());
+    }
+});
+
+test("messages after the first go to the handler as the authenticated user, in order", async (t) => {
+    stubBots(t);
+    handled.length = 0;
+    const socket = new WebSocket(`${baseUrl}/api/ws`);
+    const events = [];
+    socket.on("message", (raw) => events.push(JSON.parse(raw.toString())));
+    await new Promise((resolve) => socket.on("open", resolve));
+    try {
+        // Sent at once: the second is only handled once the first authenticated the connection
+        socket.send(JSON.stringify({ type: "auth", token: tokenFor({ id: userId }), botId: bot._id.toString() }));
+        socket.send(JSON.stringify({ type: "message", conversationId: "c1", fail: true }));
+        await settle();
+
+        assert.equal(handled.length, 1);
+        assert.equal(handled[0][0].id, userId);
+        assert.deepEqual(events, [{ type: "connected" }, { type: "error", message: "Refused.", conversationId: "c1" }]);
+    } finally {
+        socket.close();
+    }
+});
@@ -0,0 +1,143 @@
+process.env.EMBEDDING_PROVIDER = "mock";
+process.env.RETRIEVAL_VECTOR_WEIGHT = "0.5";
+const { query } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Bot = require("../models/Bot");
+const FAQ = require("../models/FAQ");
+const FAQChunk = require("../models/FAQChunk");
+const AnswerCache = require("../models/AnswerCache");
+const retrieval = require("../services/retrieval");
+const { tokenize, buildTermFrequencies, jaccardSimilarity } = require("../services/retrieval/tokenizer");
+const { getEmbedder, cosineSimilarity } = require("../services/retrieval/embeddings");
+
+const botId = new mongoose.Types.ObjectId();
+const otherBotId = new mongoose.Types.ObjectId();
+
+// FAQs stored as one chunk each, as services/retrieval/index.js would have saved them.
+const faqs = [];
+const chunks = [];
+const addFaq = async (title, content, ownerId = botId) => {
+    const faq = { _id: new mongoose.Types.ObjectId(), title, botId: ownerId };
+    const { termFrequencies, length } = buildTermFrequencies(title, content);
+    const chunk = {
+        _id: new mongoose.Types.ObjectId(), faqId: faq._id, botId: ownerId, content, page: null,
+        searchTerms: Object.fromEntries(termFrequencies), searchLength: length, embedding: await getEmbedder().embed(`${title}\n\n${content}`),
+    };
+    faqs.push(faq);
+    chunks.push(chunk);
+    return faq;
+};
+
+// Stored documents matching a `{ _id: { $in: ids } }` filter, or all of them.
+const matching = (documents, filter) => (filter && filter._id
+    ? documents.filter((doc) => filter._id.$in.map(String).includes(doc._id.toString()))
+    : documents);
+
+let passwordFaq;
+let refundFaq;
+let shippingFaq;
+test.before(async () => {
+    passwordFaq = await addFaq("Reset your password", "Open Settings, choose Security and follow the reset link we email you.");
+    refundFaq = await addFaq("Refund policy", "Refunds are issued within 14 days. Your password is never needed for a refund.");
+    shippingFaq = await addFaq("Shipping times", "Orders ship within two business days.");
+    await addFaq("Reset your password", "Other bot's password reset steps.", otherBotId);
+
+    test.mock.method(Bot, "findOne", () => query({ _id: botId }));
+    test.mock.method(FAQChunk, "find", (filter) => query(matching(chunks, filter)));
+    test.mock.method(FAQ, "find", (filter) => query(filter && filter._id ? matching(faqs, filter) : []));
+});
+
+test("tokenizing drops stopwords, punctuation and single characters in any script", () => {
+    assert.deepEqual(tokenize("How do I reset my password?"), ["reset", "password"]);
+    assert.deepEqual(tokenize("पासवर्ड कैसे बदलें?"), ["पासवर्ड", "बदलें"]);
+    assert.deepEqual(tokenize(""), []);
+});
+
+test("title terms weigh more than content terms", () => {
+    const { termFrequencies, length } = buildTermFrequencies("Password reset", "Reset it from Settings.");
+    assert.deepEqual(termFrequencies, new Map([["password", 2], ["reset", 3], ["settings", 1]]));
+    assert.equal(length, 6);
+});
+
+test("words named like Object.prototype's properties are counted, stored and found like any other", async (t) => {
+    const title = "Constructor prototype";
+    const content = "The constructor's toString, valueOf and __proto__ notes. Constructor again.";
+    const { termFrequencies } = buildTermFrequencies(title, content);
+    assert.deepEqual([...termFrequencies], [["constructor", 4], ["prototype", 2], ["tostring", 1], ["valueof", 1], ["proto", 1], ["notes", 1], ["again", 1]]);
+
+    // Chunks are cast and validated the way FAQChunk.insertMany does
+    t.mock.method(FAQChunk, "deleteMany", async () => ({}));
+    t.mock.method(AnswerCache, "deleteMany", async () => ({ deletedCount: 0 }));
+    t.mock.method(FAQChunk, "insertMany", async (docs) => docs.map((doc) => {
+        const chunk = new FAQChunk(doc);
+        const error = chunk.validateSync();
+        if (error) {
+            throw error;
+        }
+        return chunk;
+    }));
+    const faq = { _id: new mongoose.Types.ObjectId(), title, content, botId: otherBotId };
+    await retrieval.indexFaq(faq);
+    const [chunk] = await FAQChunk.insertMany.mock.calls[0].result;
+    assert.equal(chunk.toObject().searchTerms.constructor, 4);
+
+    t.mock.method(FAQ, "find", () => query([faq]));
+    t.mock.method(FAQChunk, "find", () => query([chunk]));
+    const results = await retrieval.search("constructor toString", { botId: otherBotId });
+    assert.equal(results[0].faq._id, faq._id);
+    await retrieval.removeFromIndex(faq._id);
+});
+
+test("an FAQ that can't be indexed returns the error instead of throwing", async (t) => {
+    t.mock.method(FAQChunk, "deleteMany", async () => ({}));
+    t.mock.method(FAQChunk, "insertMany", async () => {
+        throw new Error("Connection lost.");
+    });
+    const faq = { _id: new mongoose.Types.ObjectId(), title: "Gift cards", content: "They never expire.", botId };
+    assert.equal(await retrieval.tryIndexFaq(faq), "Connection lost.");
+    assert.equal((await retrieval.search("gift cards", { botId })).length, 0);
+});
+
+test("the FAQ whose title matches ranks first, and unrelated FAQs aren't returned", async () => {
+    const results = await retrieval.search("How do I reset my password?", { botId, limit: 3 });
+    assert.equal(results[0].faq._id, passwordFaq._id);
+    assert.ok(results.some(({ faq }) => faq._id === refundFaq._id));
+    assert.ok(!results.some(({ faq }) => faq._id === shippingFaq._id));
+    assert.ok(results[0].bm25Score > results[1].bm25Score);
+});
+
+test("BM25 scores are normalized to 0-1", async () => {
+    const results = await retrieval.search("reset password", { botId, minScore: 0 });
+    results.forEach(({ bm25Score }) => assert.ok(bm25Score >= 0 && bm25Score <= 1));
+});
+
+test("the hybrid score mixes BM25 and vector similarity by the configured weight", async () => {
+    const [best] = await retrieval.search("reset password", { botId });
+    assert.equal(typeof best.vectorScore, "number");
+    assert.ok(Math.abs(best.score - (0.5 * best.bm25Score + 0.5 * best.vectorScore)) < 1e-9);
+});
+
+test("results below the minimum score are dropped", async () => {
+    const results = await retrieval.search("reset password", { botId, minScore: 0.99 });
+    assert.deepEqual(results, []);
+});
+
+test("each bot only searches its own FAQs", async () => {
+    const results = await retrieval.search("password reset", { botId: otherBotId });
+    assert.equal(results.length, 1);
+    assert.equal(results[0].chunk.content, "Other bot's password reset steps.");
+});
+
+test("cosine similarity handles identical, orthogonal and mismatched vectors", () => {
+    assert.equal(cosineSimilarity([1, 2], [2, 4]).toFixed(6), "1.000000");
+    assert.equal(cosineSimilarity([1, 0], [0, 1]), 0);
+    assert.equal(cosineSimilarity([1, 0], [1]), 0);
+});
+
+test("Jaccard similarity compares term sets", () => {
+    assert.equal(jaccardSimilarity(["reset", "password"], ["password", "reset"]), 1);
+    assert.equal(jaccardSimilarity(["reset", "password"], ["reset", "email"]), 1 / 3);
+    assert.equal(jaccardSimilarity([], []), 0);
+});
@@ -0,0 +1,136 @@
+const { query, tokenFor, serve, makeBot, stubChatStorage, makeChunk } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const FAQ = require("../models/FAQ");
+const FAQRevision = require("../models/FAQRevision");
+const Conversation = require("../models/Conversation");
+const UnansweredQuestion = require("../models/UnansweredQuestion");
+const retrieval = require("../services/retrieval");
+const unansweredRoutes = require("../routes/unanswered");
+const chatRoutes = require("../routes/chat");
+const { isFallbackReply, recordUnansweredQuestion } = require("../services/unanswered");
+
+const botId = new mongoose.Types.ObjectId();
+const adminToken = tokenFor({ role: "admin", email: "admin@example.com" });
+
+let app;
+test.before(async () => {
+    app = await serve(unansweredRoutes);
+});
+test.after(() => app.close());
+
+test("the model's 'not in my knowledge base' replies are recognised as fallbacks", () => {
+    assert.ok(isFallbackReply("I'm sorry, that's not in my knowledge base."));
+    assert.ok(isFallbackReply("I don't have specific information about that."));
+    assert.equal(isFallbackReply("Refunds are possible within 14 days."), false);
+});
+
+test("small talk is never queued", async (t) => {
+    const find = t.mock.method(UnansweredQuestion, "find", () => query([]));
+    assert.equal(await recordUnansweredQuestion({ question: "Hello, thanks!", trigger: "noMatch", botId }), null);
+    assert.equal(await recordUnansweredQuestion({ question: "?!", trigger: "noMatch", botId }), null);
+    assert.equal(find.mock.callCount(), 0);
+});
+
+test("a repeat of an open question is counted on it instead of queued again", async (t) => {
+    const existingId = new mongoose.Types.ObjectId();
+    const find = t.mock.method(UnansweredQuestion, "find", () => query([
+        { _id: new mongoose.Types.ObjectId(), terms: ["opening", "hours"] },
+        { _id: existingId, terms: ["refund", "shipping", "costs"] },
+    ]));
+    const update = t.mock.method(UnansweredQuestion, "findByIdAndUpdate", async () => ({ _id: existingId }));
+
+    await recordUnansweredQuestion({ question: "Do you refund shipping costs?", trigger: "fallbackReply", botId, userId: "u1" });
+    assert.deepEqual(find.mock.calls[0].arguments[0], { botId, status: { $in: ["open", "dismissed"] } });
+    const [id, change] = update.mock.calls[0].arguments;
+    assert.equal(id, existingId);
+    assert.deepEqual(change.$inc, { count: 1, "triggers.fallbackReply": 1 });
+    assert.equal(change.$push.examples.$each[0].text, "Do you refund shipping costs?");
+});
+
+test("a question unlike any in the queue starts a new entry", async (t) => {
+    t.mock.method(UnansweredQuestion, "find", () => query([{ _id: new mongoose.Types.ObjectId(), terms: ["opening", "hours"] }]));
+    const save = t.mock.method(UnansweredQuestion.prototype, "save", async function () {
+        return this;
+    });
+
+    const entry = await recordUnansweredQuestion({ question: "Do you ship to Norway?", trigger: "noMatch", botId });
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(entry.question, "Do you ship to Norway?");
+    assert.equal(entry.triggers.noMatch, 1);
+    assert.ok(entry.terms.includes("norway"));
+});
+
+test("the queue is listed most asked first, for admins only", async (t) => {
+    const find = t.mock.method(UnansweredQuestion, "find", () => query([{ question: "Q" }]));
+    t.mock.method(UnansweredQuestion, "countDocuments", async () => 21);
+
+    assert.equal((await app.request("/", { token: tokenFor() })).status, 403);
+    assert.equal((await app.request(`/?botId=${botId}&status=closed`, { token: adminToken })).status, 400);
+
+    const response = await app.request(`/?botId=${botId}&status=dismissed`, { token: adminToken });
+    assert.equal(response.status, 200);
+    assert.deepEqual(find.mock.calls[0].arguments[0], { botId, status: "dismissed" });
+    assert.deepEqual({ total: response.body.total, hasMore: response.body.hasMore }, { total: 21, hasMore: true });
+});
+
+test("answering a question creates an FAQ for its bot and closes the entry", async (t) => {
+    const question = UnansweredQuestion.hydrate({ _id: new mongoose.Types.ObjectId(), botId, question: "Do you ship to Norway?", status: "open", terms: ["ship", "norway"] });
+    t.mock.method(UnansweredQuestion, "findOne", async () => question);
+    const saveQuestion = t.mock.method(question, "save", async () => question);
+    const saveFaq = t.mock.method(FAQ.prototype, "save", async function () {
+        return this;
+    });
+    t.mock.method(FAQRevision, "findOne", () => query(null));
+    t.mock.method(FAQRevision.prototype, "save", async function () {
+        return this;
+    });
+    const index = t.mock.method(retrieval, "tryIndexFaq", async () => null);
+
+    const response = await app.request(`/${question._id}/answer`, { method: "POST", token: adminToken, body: { content: " Yes, in 5 days. ", tags: "shipping" } });
+    assert.equal(response.status, 201);
+    const faq = saveFaq.mock.calls[0].this;
+    assert.deepEqual({ title: faq.title, content: faq.content, tags: [...faq.tags] }, { title: "Do you ship to Norway?", content: "Yes, in 5 days.", tags: ["shipping"] });
+    assert.equal(faq.botId.toString(), botId.toString());
+    assert.equal(index.mock.callCount(), 1);
+    assert.equal(saveQuestion.mock.callCount(), 1);
+    assert.equal(question.status, "answered");
+    assert.equal(question.faqId.toString(), faq._id.toString());
+    assert.equal(question.resolvedBy.email, "admin@example.com");
+});
+
+test("only open questions can be answered or dismissed", async (t) => {
+    t.mock.method(UnansweredQuestion, "findOne", async () => null);
+    const id = new mongoose.Types.ObjectId();
+    assert.equal((await app.request(`/${id}/dismiss`, { method: "POST", token: adminToken })).status, 404);
+    assert.equal((await app.request(`/${id}/answer`, { method: "POST", token: adminToken, body: { content: "x" } })).status, 404);
+    assert.equal((await app.request(`/${id}/answer`, { method: "POST", token: adminToken, body: { content: "  " } })).status, 400);
+    assert.equal((await app.request("/not-an-id/dismiss", { method: "POST", token: adminToken })).status, 404);
+});
+
+test("chat questions that no FAQ matched are queued for the bot, answered ones are not", async (t) => {
+    const bot = makeBot();
+    const userId = new mongoose.Types.ObjectId().toString();
+    const conversation = Conversation.hydrate({ _id: new mongoose.Types.ObjectId(), userId, botId: bot._id, title: "Shipping" });
+    const chatApp = await serve(chatRoutes, { bot });
+    const ask = (message) => chatApp.request("/", { method: "POST", token: tokenFor({ id: userId }), body: { message, conversationId: conversation._id } });
+    // The question is queued in the background, after the reply has been sent.
+    const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+    try {
+        const { queueUnanswered } = stubChatStorage(t, { conversation });
+        assert.equal((await ask("Do you ship to Norway?")).status, 200);
+        await settle();
+        const entry = queueUnanswered.mock.calls[0].this;
+        assert.equal(entry.question, "Do you ship to Norway?");
+        assert.equal(entry.triggers.noMatch, 1);
+        assert.equal(entry.botId.toString(), bot._id.toString());
+
+        const answered = stubChatStorage(t, { conversation, chunks: [makeChunk()] });
+        assert.equal((await ask("How do I reset my password?")).status, 200);
+        await settle();
+        assert.equal(answered.queueUnanswered.mock.callCount(), 0);
+    } finally {
+        await chatApp.close();
+    }
+});
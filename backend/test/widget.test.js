@@ -0,0 +1,99 @@
+process.env.GUEST_SESSION_RATE_LIMIT_PER_IP = "2";
+process.env.DAILY_TOKEN_QUOTA = "1000";
+const { query, tokenFor, serve, makeBot, stubChatStorage } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const widgetRoutes = require("../routes/widget");
+const chatRoutes = require("../routes/chat");
+const { signGuestToken, verifyToken } = require("../middleware/auth");
+const { botCors } = require("../middleware/cors");
+
+const bot = makeBot({ description: "Answers questions about orders." });
+
+test("the widget config shows the bot's public details only", async () => {
+    const app = await serve(widgetRoutes, { bot: { ...bot, persona: "Secret instructions", allowedOrigins: ["https://shop.example.com"] } });
+    try {
+        const response = await app.request("/");
+        assert.deepEqual(Object.keys(response.body.bot).sort(), ["_id", "description", "name", "slug"]);
+    } finally {
+        await app.close();
+    }
+});
+
+test("guest sessions are for the widget's bot and limited per IP address", async () => {
+    const app = await serve(widgetRoutes, { bot });
+    try {
+        const session = await app.request("/session", { method: "POST" });
+        assert.equal(session.status, 201);
+        const guest = verifyToken(session.body.token);
+        assert.deepEqual({ role: guest.role, botId: guest.botId }, { role: "guest", botId: bot._id.toString() });
+        assert.equal((await app.request("/session", { method: "POST" })).status, 201);
+        const limited = await app.request("/session", { method: "POST" });
+        assert.equal(limited.status, 429);
+        assert.ok(limited.headers.get("retry-after"));
+    } finally {
+        await app.close();
+    }
+});
+
+test("a guest token is only accepted on the routes of the bot that started the session", async (t) => {
+    const token = signGuestToken(bot);
+    stubChatStorage(t);
+
+    const own = await serve(chatRoutes, { bot });
+    const other = await serve(chatRoutes, { bot: makeBot() });
+    const unscoped = await serve(chatRoutes);
+    try {
+        assert.equal((await own.request("/", { method: "POST", token, body: { message: "Where is my order?" } })).status, 200);
+        const refused = await other.request("/", { method: "POST", token, body: { message: "Where is my order?" } });
+        assert.equal(refused.status, 401);
+        assert.equal((await unscoped.request("/usage", { token })).status, 401);
+        // Accounts aren't tied to a bot
+        assert.equal((await other.request("/usage", { token: tokenFor() })).status, 200);
+    } finally {
+        await Promise.all([own.close(), other.close(), unscoped.close()]);
+    }
+});
+
+test("a guest's tokens count against the guest and their IP address, whose quota holds across sessions", async (t) => {
+    const { recordUsage, findUsage } = stubChatStorage(t);
+    const app = await serve(chatRoutes, { bot });
+    try {
+        const first = signGuestToken(bot);
+        assert.equal((await app.request("/", { method: "POST", token: first, body: { message: "Where is my order?" } })).status, 200);
+        const keys = recordUsage.mock.calls.map(({ arguments: [filter] }) => filter.userId);
+        assert.deepEqual(keys, [verifyToken(first).id, "guest-ip:127.0.0.1"]);
+
+        // The IP address has used up today's quota, so a new session doesn't help
+        findUsage.mock.mockImplementation((filter) => query(filter.userId.startsWith("guest-ip:") ? { totalTokens: 1000 } : null));
+        const second = signGuestToken(bot);
+        const limited = await app.request("/", { method: "POST", token: second, body: { message: "Where is my order?" } });
+        assert.equal(limited.status, 429);
+        assert.match(limited.body.message, /today's message allowance/);
+    } finally {
+        await app.close();
+    }
+});
+
+test("a bot's routes may be called from its allowed origins and the admin app only", async () => {
+    const router = express.Router();
+    router.get("/", botCors, (req, res) => res.json({ ok: true }));
+    const request = async (allowedOrigins, origin) => {
+        const app = await serve(router, { bot: makeBot({ allowedOrigins }) });
+        try {
+            return await app.request("/", { headers: { Origin: origin } });
+        } finally {
+            await app.close();
+        }
+    };
+
+    const allowed = await request(["https://shop.example.com"], "https://shop.example.com");
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.headers.get("access-control-allow-origin"), "https://shop.example.com");
+    assert.equal((await request(["https://shop.example.com"], "https://evil.example.com")).status, 403);
+    assert.equal((await request(["https://shop.example.com"], "http://localhost:3000")).status, 200);
+    // A bot can't be embedded until its allowed origins are set, but the admin app can still use it
+    assert.equal((await request([], "https://anywhere.example.com")).status, 403);
+    assert.equal((await request([], "http://localhost:3000")).status, 200);
+});
@@ -0,0 +1,69 @@
+/*
+ * Dhanista chat widget. Add it to any page of a website listed in the bot's allowed origins:
+ *
+ *   <script src="https://chat.example.com/widget.js" data-bot-id="help-center" async></script>
+ *
+ * Data attributes:
+ *   data-bot-id      - Id or slug of the bot to chat with (required)
+ *   data-api-url     - Backend URL, if it isn't served from the same origin as this script
+ *   data-title       - Panel title (default: the bot's name)
+ *   data-greeting    - First message shown in an empty chat
+ *   data-language    - Interface language: "en", "hi" or "te" (default: the visitor's browser language)
+ *   data-color       - Colour of the launcher, header, buttons and the visitor's messages (default #2563eb)
+ *   data-text-color  - Text colour on data-color (default #ffffff)
+ *   data-position    - "right" (default) or "left" bottom corner
+ *
+ * This file only reads the configuration, finds the build's bundle and stylesheet and loads the bundle, which
+ * mounts the widget (see src/index.js).
+ */
+(function () {
+  var script = document.currentScript;
+  if (!script) {
+    return;
+  }
+  var data = script.dataset;
+  if (!data.botId) {
+    console.error("Dhanista widget: the data-bot-id attribute is required.");
+    return;
+  }
+
+  var config = {
+    botId: data.botId,
+    apiUrl: (data.apiUrl || new URL(script.src).origin).replace(/\/+$/, ""),
+    title: data.title,
+    greeting: data.greeting,
+    language: data.language,
+    color: data.color,
+    textColor: data.textColor,
+    position: data.position,
+  };
+
+  var widget = (window.DhanistaWidget = window.DhanistaWidget || { queue: [] });
+  if (widget.mount) {
+    widget.mount(config);
+    return;
+  }
+  widget.queue.push(config);
+  if (widget.loading) {
+    return;
+  }
+  widget.loading = true;
+
+  // The bundle's file name changes with every build, so look it up in the build's asset manifest.
+  var manifestUrl = new URL("asset-manifest.json", script.src).href;
+  fetch(manifestUrl)
+    .then(function (response) {
+      return response.json();
+    })
+    .then(function (manifest) {
+      // The widget adds the app's compiled styles to its shadow root; the development server has none to add.
+      var stylesheet = manifest.files["main.css"];
+      widget.stylesheet = stylesheet ? new URL(stylesheet, manifestUrl).href : null;
+      var bundle = document.createElement("script");
+      bundle.src = new URL(manifest.files["main.js"], manifestUrl).href;
+      document.head.appendChild(bundle);
+    })
+    .catch(function (error) {
+      console.error("Dhanista widget: could not load the chat bundle.", error);
+    });
+})();
@@ -1,149 +1,3301 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback, useMemo, createContext, useContext } from 'react';
 import axios from 'axios'; // Import axios for API calls
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm'; // Tables, strikethrough, task lists and autolinks
+import rehypeSanitize from 'rehype-sanitize';
+import rehypeHighlight from 'rehype-highlight';
+
+// === i18n ===
+// Translations of the user-facing screens: sign-in, conversations, chat and the embeddable widget. The admin,
+// analytics and agent screens are for staff and stay in English. t(key, params) fills `{name}` placeholders from
+// `params`; a key missing from a language falls back to English.
+const DEFAULT_UI_LANGUAGE = "en";
+const LANGUAGE_STORAGE_KEY = "dhanista_language";
+
+// Languages the interface can be switched to, labelled in their own script
+const UI_LANGUAGES = [
+  { code: "en", label: "English" },
+  { code: "hi", label: "हिन्दी" },
+  { code: "te", label: "తెలుగు" },
+];
+
+const TRANSLATIONS = {
+  en: {
+    "common.cancel": "Cancel",
+    "common.ok": "OK",
+    "common.confirm": "Confirm",
+    "common.delete": "Delete",
+    "app.greeting": "Hello! I'm {name}, your helpful AI assistant",
+    "app.tagline": "Your instant connection to answers.",
+    "app.chooseAssistant": "Choose an assistant",
+    "app.language": "Language",
+    "app.signedInAs": "Signed in as {name}",
+    "app.logOut": "Log out",
+    "app.loadingAssistants": "Loading assistants...",
+    "auth.createAccount": "Create an account",
+    "auth.logInToChat": "Log in to chat",
+    "auth.name": "Name",
+    "auth.email": "Email",
+    "auth.password": "Password",
+    "auth.newPassword": "Password (at least 8 characters)",
+    "auth.error": "Something went wrong. Please try again.",
+    "auth.wait": "Please wait...",
+    "auth.signUp": "Sign up",
+    "auth.logIn": "Log in",
+    "auth.haveAccount": "Already have an account?",
+    "auth.newHere": "New here?",
+    "sidebar.newChat": "+ New Chat",
+    "sidebar.active": "Active",
+    "sidebar.archived": "Archived",
+    "sidebar.noArchived": "No archived conversations.",
+    "sidebar.noConversations": "No conversations yet.",
+    "sidebar.rename": "Rename",
+    "sidebar.renameLabel": "Rename conversation",
+    "sidebar.archive": "Archive",
+    "sidebar.unarchive": "Unarchive",
+    "sidebar.archiveLabel": "Archive conversation",
+    "sidebar.unarchiveLabel": "Unarchive conversation",
+    "sidebar.deleteLabel": "Delete conversation",
+    "sidebar.deleteTitle": "Delete conversation?",
+    "sidebar.deleteMessage": "\"{title}\" and all of its messages will be permanently deleted.",
+    "chat.title": "Chat with Dhanista",
+    "chat.loadingEarlier": "Loading earlier messages...",
+    "chat.start": "Start a conversation!",
+    "chat.typing": "AI is typing...",
+    "chat.tooFast": "You're sending messages too quickly.",
+    "chat.nextMessageIn": "You can send another message in {time}.",
+    "chat.chattingWith": "You're chatting with {name}.",
+    "chat.aSupportAgent": "a support agent",
+    "chat.waitingForAgent": "Waiting for a support agent to join. You can keep writing in the meantime.",
+    "chat.backToAssistant": "Back to the assistant",
+    "chat.talkToPerson": "Talk to a person",
+    "chat.placeholder": "Type your message...",
+    "chat.stop": "Stop",
+    "chat.send": "Send",
+    "chat.error": "Oops! Something went wrong. Please try again.",
+    "chat.agentUnavailable": "Could not reach a support agent. Please try again.",
+    "chat.loadingSource": "Loading source...",
+    "chat.sourceRemoved": "This FAQ is no longer available. The passage used for this answer was:",
+    "chat.sourceError": "Could not load this source. Please try again.",
+    "message.supportAgent": "Support agent",
+    "message.sources": "Sources:",
+    "message.page": ", p. {page}",
+    "message.row": ", row {row}",
+    "message.helpful": "Helpful",
+    "message.notHelpful": "Not helpful",
+    "message.whatWasWrong": "What was wrong with this answer?",
+    "message.commentPlaceholder": "Add a comment (optional)",
+    "message.sendFeedback": "Send feedback",
+    "message.copyCode": "Copy code",
+    "message.copy": "Copy",
+    "message.copied": "Copied!",
+    "message.table": "Table",
+    "feedback.wrong": "Wrong",
+    "feedback.outdated": "Outdated",
+    "feedback.unhelpful": "Unhelpful",
+    "feedback.incomplete": "Incomplete",
+    "feedback.other": "Other",
+    "widget.chat": "Chat",
+    "widget.open": "Open chat",
+    "widget.close": "Close chat",
+    "widget.connecting": "Connecting...",
+    "widget.unavailable": "The assistant isn't available on this page.",
+    "widget.connectError": "Could not connect to the assistant. Please try again later.",
+    "widget.greeting": "Hi! I'm {name}. How can I help you?",
+  },
+  hi: {
+    "common.cancel": "रद्द करें",
+    "common.ok": "ठीक है",
+    "common.confirm": "पुष्टि करें",
+    "common.delete": "हटाएँ",
+    "app.greeting": "नमस्ते! मैं {name} हूँ, आपका मददगार AI सहायक",
+    "app.tagline": "आपके सवालों के तुरंत जवाब।",
+    "app.chooseAssistant": "सहायक चुनें",
+    "app.language": "भाषा",
+    "app.signedInAs": "{name} के रूप में साइन इन",
+    "app.logOut": "लॉग आउट",
+    "app.loadingAssistants": "सहायक लोड हो रहे हैं...",
+    "auth.createAccount": "खाता बनाएँ",
+    "auth.logInToChat": "चैट करने के लिए लॉग इन करें",
+    "auth.name": "नाम",
+    "auth.email": "ईमेल",
+    "auth.password": "पासवर्ड",
+    "auth.newPassword": "पासवर्ड (कम से कम 8 अक्षर)",
+    "auth.error": "कुछ गलत हो गया। कृपया फिर से कोशिश करें।",
+    "auth.wait": "कृपया प्रतीक्षा करें...",
+    "auth.signUp": "साइन अप करें",
+    "auth.logIn": "लॉग इन करें",
+    "auth.haveAccount": "क्या आपका पहले से खाता है?",
+    "auth.newHere": "नए हैं?",
+    "sidebar.newChat": "+ नई चैट",
+    "sidebar.active": "सक्रिय",
+    "sidebar.archived": "संग्रहीत",
+    "sidebar.noArchived": "कोई संग्रहीत बातचीत नहीं।",
+    "sidebar.noConversations": "अभी तक कोई बातचीत नहीं।",
+    "sidebar.rename": "नाम बदलें",
+    "sidebar.renameLabel": "बातचीत का नाम बदलें",
+    "sidebar.archive": "संग्रहीत करें",
+    "sidebar.unarchive": "संग्रह से निकालें",
+    "sidebar.archiveLabel": "बातचीत संग्रहीत करें",
+    "sidebar.unarchiveLabel": "बातचीत को संग्रह से निकालें",
+    "sidebar.deleteLabel": "बातचीत हटाएँ",
+    "sidebar.deleteTitle": "बातचीत हटाएँ?",
+    "sidebar.deleteMessage": "\"{title}\" और उसके सभी संदेश हमेशा के लिए हटा दिए जाएँगे।",
+    "chat.title": "Dhanista से चैट करें",
+    "chat.loadingEarlier": "पुराने संदेश लोड हो रहे हैं...",
+    "chat.start": "बातचीत शुरू करें!",
+    "chat.typing": "AI लिख रहा है...",
+    "chat.tooFast": "आप बहुत जल्दी-जल्दी संदेश भेज रहे हैं।",
+    "chat.nextMessageIn": "आप {time} में अगला संदेश भेज सकते हैं।",
+    "chat.chattingWith": "आप {name} से बात कर रहे हैं।",
+    "chat.aSupportAgent": "एक सहायता एजेंट",
+    "chat.waitingForAgent": "सहायता एजेंट के जुड़ने की प्रतीक्षा है। तब तक आप लिखना जारी रख सकते हैं।",
+    "chat.backToAssistant": "सहायक पर वापस जाएँ",
+    "chat.talkToPerson": "किसी व्यक्ति से बात करें",
+    "chat.placeholder": "अपना संदेश लिखें...",
+    "chat.stop": "रोकें",
+    "chat.send": "भेजें",
+    "chat.error": "उफ़! कुछ गलत हो गया। कृपया फिर से कोशिश करें।",
+    "chat.agentUnavailable": "सहायता एजेंट से संपर्क नहीं हो सका। कृपया फिर से कोशिश करें।",
+    "chat.loadingSource": "स्रोत लोड हो रहा है...",
+    "chat.sourceRemoved": "यह FAQ अब उपलब्ध नहीं है। इस जवाब में इस्तेमाल किया गया अंश था:",
+    "chat.sourceError": "यह स्रोत लोड नहीं हो सका। कृपया फिर से कोशिश करें।",
+    "message.supportAgent": "सहायता एजेंट",
+    "message.sources": "स्रोत:",
+    "message.page": ", पृ. {page}",
+    "message.row": ", पंक्ति {row}",
+    "message.helpful": "मददगार",
+    "message.notHelpful": "मददगार नहीं",
+    "message.whatWasWrong": "इस जवाब में क्या गलत था?",
+    "message.commentPlaceholder": "टिप्पणी जोड़ें (वैकल्पिक)",
+    "message.sendFeedback": "फ़ीडबैक भेजें",
+    "message.copyCode": "कोड कॉपी करें",
+    "message.copy": "कॉपी करें",
+    "message.copied": "कॉपी हो गया!",
+    "message.table": "तालिका",
+    "feedback.wrong": "गलत",
+    "feedback.outdated": "पुराना",
+    "feedback.unhelpful": "मददगार नहीं",
+    "feedback.incomplete": "अधूरा",
+    "feedback.other": "अन्य",
+    "widget.chat": "चैट",
+    "widget.open": "चैट खोलें",
+    "widget.close": "चैट बंद करें",
+    "widget.connecting": "कनेक्ट हो रहा है...",
+    "widget.unavailable": "सहायक इस पेज पर उपलब्ध नहीं है।",
+    "widget.connectError": "सहायक से कनेक्ट नहीं हो सका। कृपया बाद में फिर से कोशिश करें।",
+    "widget.greeting": "नमस्ते! मैं {name} हूँ। मैं आपकी क्या मदद कर सकता हूँ?",
+  },
+  te: {
+    "common.cancel": "రద్దు చేయి",
+    "common.ok": "సరే",
+    "common.confirm": "నిర్ధారించు",
+    "common.delete": "తొలగించు",
+    "app.greeting": "నమస్తే! నేను {name}, మీ సహాయక AI అసిస్టెంట్‌ని",
+    "app.tagline": "మీ ప్రశ్నలకు తక్షణ సమాధానాలు.",
+    "app.chooseAssistant": "అసిస్టెంట్‌ను ఎంచుకోండి",
+    "app.language": "భాష",
+    "app.signedInAs": "{name}గా సైన్ ఇన్ అయ్యారు",
+    "app.logOut": "లాగ్ అవుట్",
+    "app.loadingAssistants": "అసిస్టెంట్‌లు లోడ్ అవుతున్నాయి...",
+    "auth.createAccount": "ఖాతా సృష్టించండి",
+    "auth.logInToChat": "చాట్ చేయడానికి లాగిన్ అవ్వండి",
+    "auth.name": "పేరు",
+    "auth.email": "ఈమెయిల్",
+    "auth.password": "పాస్‌వర్డ్",
+    "auth.newPassword": "పాస్‌వర్డ్ (కనీసం 8 అక్షరాలు)",
+    "auth.error": "ఏదో పొరపాటు జరిగింది. దయచేసి మళ్ళీ ప్రయత్నించండి.",
+    "auth.wait": "దయచేసి వేచి ఉండండి...",
+    "auth.signUp": "సైన్ అప్ చేయండి",
+    "auth.logIn": "లాగిన్ అవ్వండి",
+    "auth.haveAccount": "ఇప్పటికే ఖాతా ఉందా?",
+    "auth.newHere": "కొత్తవారా?",
+    "sidebar.newChat": "+ కొత్త చాట్",
+    "sidebar.active": "యాక్టివ్",
+    "sidebar.archived": "ఆర్కైవ్ చేసినవి",
+    "sidebar.noArchived": "ఆర్కైవ్ చేసిన సంభాషణలు లేవు.",
+    "sidebar.noConversations": "ఇంకా సంభాషణలు లేవు.",
+    "sidebar.rename": "పేరు మార్చు",
+    "sidebar.renameLabel": "సంభాషణ పేరు మార్చు",
+    "sidebar.archive": "ఆర్కైవ్ చేయి",
+    "sidebar.unarchive": "ఆర్కైవ్ నుండి తీసివేయి",
+    "sidebar.archiveLabel": "సంభాషణను ఆర్కైవ్ చేయి",
+    "sidebar.unarchiveLabel": "సంభాషణను ఆర్కైవ్ నుండి తీసివేయి",
+    "sidebar.deleteLabel": "సంభాషణను తొలగించు",
+    "sidebar.deleteTitle": "సంభాషణను తొలగించాలా?",
+    "sidebar.deleteMessage": "\"{title}\" మరియు దానిలోని అన్ని సందేశాలు శాశ్వతంగా తొలగించబడతాయి.",
+    "chat.title": "Dhanistaతో చాట్ చేయండి",
+    "chat.loadingEarlier": "పాత సందేశాలు లోడ్ అవుతున్నాయి...",
+    "chat.start": "సంభాషణ ప్రారంభించండి!",
+    "chat.typing": "AI టైప్ చేస్తోంది...",
+    "chat.tooFast": "మీరు చాలా వేగంగా సందేశాలు పంపుతున్నారు.",
+    "chat.nextMessageIn": "మీరు {time}లో మరో సందేశం పంపవచ్చు.",
+    "chat.chattingWith": "మీరు {name}తో మాట్లాడుతున్నారు.",
+    "chat.aSupportAgent": "ఒక సపోర్ట్ ఏజెంట్",
+    "chat.waitingForAgent": "సపోర్ట్ ఏజెంట్ చేరే వరకు వేచి ఉన్నాం. ఈలోగా మీరు రాస్తూ ఉండవచ్చు.",
+    "chat.backToAssistant": "అసిస్టెంట్‌కు తిరిగి వెళ్ళండి",
+    "chat.talkToPerson": "ఒక వ్యక్తితో మాట్లాడండి",
+    "chat.placeholder": "మీ సందేశాన్ని టైప్ చేయండి...",
+    "chat.stop": "ఆపు",
+    "chat.send": "పంపు",
+    "chat.error": "అయ్యో! ఏదో పొరపాటు జరిగింది. దయచేసి మళ్ళీ ప్రయత్నించండి.",
+    "chat.agentUnavailable": "సపోర్ట్ ఏజెంట్‌ను సంప్రదించలేకపోయాం. దయచేసి మళ్ళీ ప్రయత్నించండి.",
+    "chat.loadingSource": "మూలం లోడ్ అవుతోంది...",
+    "chat.sourceRemoved": "ఈ FAQ ఇప్పుడు అందుబాటులో లేదు. ఈ సమాధానానికి ఉపయోగించిన భాగం:",
+    "chat.sourceError": "ఈ మూలాన్ని లోడ్ చేయలేకపోయాం. దయచేసి మళ్ళీ ప్రయత్నించండి.",
+    "message.supportAgent": "సపోర్ట్ ఏజెంట్",
+    "message.sources": "మూలాలు:",
+    "message.page": ", పే. {page}",
+    "message.row": ", వరుస {row}",
+    "message.helpful": "ఉపయోగకరం",
+    "message.notHelpful": "ఉపయోగకరం కాదు",
+    "message.whatWasWrong": "ఈ సమాధానంలో ఏమి తప్పు ఉంది?",
+    "message.commentPlaceholder": "వ్యాఖ్య జోడించండి (ఐచ్ఛికం)",
+    "message.sendFeedback": "అభిప్రాయం పంపండి",
+    "message.copyCode": "కోడ్ కాపీ చేయండి",
+    "message.copy": "కాపీ",
+    "message.copied": "కాపీ అయింది!",
+    "message.table": "పట్టిక",
+    "feedback.wrong": "తప్పు",
+    "feedback.outdated": "పాతది",
+    "feedback.unhelpful": "ఉపయోగపడలేదు",
+    "feedback.incomplete": "అసంపూర్ణం",
+    "feedback.other": "ఇతర",
+    "widget.chat": "చాట్",
+    "widget.open": "చాట్ తెరవండి",
+    "widget.close": "చాట్ మూసివేయండి",
+    "widget.connecting": "కనెక్ట్ అవుతోంది...",
+    "widget.unavailable": "ఈ పేజీలో అసిస్టెంట్ అందుబాటులో లేదు.",
+    "widget.connectError": "అసిస్టెంట్‌కు కనెక్ట్ కాలేకపోయాం. దయచేసి తర్వాత మళ్ళీ ప్రయత్నించండి.",
+    "widget.greeting": "నమస్తే! నేను {name}. నేను మీకు ఎలా సహాయం చేయగలను?",
+  },
+};
+
+const isUiLanguage = (code) => UI_LANGUAGES.some((language) => language.code === code);
+
+// The browser's preferred language if the interface has it ("hi-IN" counts as "hi"), else English.
+const getBrowserLanguage = () => {
+  const preferred = (navigator.languages || [navigator.language]).map((code) => String(code).split('-')[0]);
+  return preferred.find(isUiLanguage) || DEFAULT_UI_LANGUAGE;
+};
+
+// The language the user last picked, else the browser's.
+const loadStoredLanguage = () => {
+  const stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+  return isUiLanguage(stored) ? stored : getBrowserLanguage();
+};
+
+const translate = (language, key, params) => {
+  const text = TRANSLATIONS[language]?.[key] ?? TRANSLATIONS[DEFAULT_UI_LANGUAGE][key] ?? key;
+  return params ? text.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] ?? placeholder)) : text;
+};
+
+// Returns t(key, params) for `language`. Used by the components that provide the language (App, ChatWidget).
+const useTranslator = (language) => useCallback((key, params) => translate(language, key, params), [language]);
+
+const LanguageContext = createContext({ language: DEFAULT_UI_LANGUAGE, setLanguage: () => {} });
+
+// Returns { t, language, setLanguage } for the language of the surrounding LanguageContext.
+const useTranslation = () => {
+  const { language, setLanguage } = useContext(LanguageContext);
+  const t = useTranslator(language);
+  return { t, language, setLanguage };
+};
 
 // === Modal Component ===
 // This component renders a custom modal for alerts and messages.
-const Modal = ({ show, title, message, onClose }) => {
+// When 'onConfirm' is given it becomes a confirmation dialog with Cancel and confirm buttons.
+const Modal = ({ show, title, message, onClose, wide = false, onConfirm, confirmLabel }) => {
+  const { t } = useTranslation();
+
   if (!show) {
     return null; // Don't render if 'show' prop is false
   }
 
   return (
-    // Fixed overlay covering the entire screen
-    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
-      {/* Modal content box with styling and animation */}
-      <div className="bg-white rounded-lg shadow-xl p-6 m-4 max-w-sm w-full animate-fade-in-up">
-        <h3 className="text-xl font-bold text-gray-800 mb-4">{title}</h3>
-        <p className="text-gray-700 mb-6">{message}</p>
-        <button
-          onClick={onClose} // Button to close the modal
-          className="w-full px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-400 transition duration-200 ease-in-out"
-        >
-          OK
-        </button>
+    // Fixed overlay covering the entire screen
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      {/* Modal content box with styling and animation */}
+      {/* 'wide' is used for long texts such as FAQ documents, which also scroll instead of growing the modal */}
+      <div className={`bg-white rounded-lg shadow-xl p-6 m-4 w-full animate-fade-in-up ${wide ? 'max-w-2xl' : 'max-w-sm'}`}>
+        <h3 className="text-xl font-bold text-gray-800 mb-4">{title}</h3>
+        <div className={`text-gray-700 mb-6 ${wide ? 'max-h-96 overflow-y-auto whitespace-pre-wrap custom-scrollbar' : ''}`}>{message}</div>
+        {onConfirm ? (
+          <div className="flex space-x-2">
+            <button
+              onClick={onClose} // Dismiss without confirming
+              className="flex-1 px-4 py-2 bg-gray-200 text-gray-800 font-semibold rounded-lg shadow-md hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-gray-400 transition duration-200 ease-in-out"
+            >
+              {t("common.cancel")}
+            </button>
+            <button
+              onClick={onConfirm}
+              className="flex-1 px-4 py-2 bg-red-600 text-white font-semibold rounded-lg shadow-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-400 transition duration-200 ease-in-out"
+            >
+              {confirmLabel || t("common.confirm")}
+            </button>
+          </div>
+        ) : (
+          <button
+            onClick={onClose} // Button to close the modal
+            className="w-full px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-400 transition duration-200 ease-in-out"
+          >
+            {t("common.ok")}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+
+// === components/MessageBubble.js ===
+// Renders a single chat message bubble within the chat interface.
+// AI replies are rendered as Markdown and also show chips for the FAQ sources they were based on; clicking one
+// opens the original FAQ. User and support agent messages stay plain text, and agent replies are labelled with
+// the agent's name.
+
+// Markdown plugins. The model's reply can quote FAQ content verbatim, so the HTML is sanitized with GitHub's
+// rules (no scripts, event handlers, styles or javascript: links) before code blocks are highlighted; the
+// highlighter only adds its own <span> elements.
+const MARKDOWN_REMARK_PLUGINS = [remarkGfm];
+const MARKDOWN_REHYPE_PLUGINS = [rehypeSanitize, rehypeHighlight];
+
+// Styles for rendered Markdown. Tailwind's reset removes list bullets, heading sizes and margins, so they are
+// restored here. Included in the app's and the chat widget's styles.
+const MARKDOWN_STYLES = `
+  .markdown-content > :first-child { margin-top: 0; }
+  .markdown-content > :last-child { margin-bottom: 0; }
+  .markdown-content p, .markdown-content ul, .markdown-content ol, .markdown-content blockquote,
+  .markdown-content .markdown-code, .markdown-content .markdown-table { margin: 0.5em 0; }
+  .markdown-content ul { list-style: disc; padding-left: 1.5em; }
+  .markdown-content ol { list-style: decimal; padding-left: 1.5em; }
+  .markdown-content li > ul, .markdown-content li > ol { margin: 0; }
+  .markdown-content h1, .markdown-content h2, .markdown-content h3, .markdown-content h4 { margin: 0.75em 0 0.25em; font-weight: 600; line-height: 1.3; }
+  .markdown-content h1 { font-size: 1.25em; } .markdown-content h2 { font-size: 1.125em; } .markdown-content h3, .markdown-content h4 { font-size: 1em; }
+  .markdown-content a { color: #2563eb; text-decoration: underline; }
+  .markdown-content strong { font-weight: 600; }
+  .markdown-content blockquote { padding-left: 0.75em; border-left: 3px solid #86efac; color: #4b5563; }
+  .markdown-content hr { margin: 0.75em 0; border: 0; border-top: 1px solid #bbf7d0; }
+  .markdown-content img { max-width: 100%; }
+  .markdown-content code { padding: 0.1em 0.3em; border-radius: 0.25rem; background: rgb(0 0 0 / 0.06); font-size: 0.875em; }
+  .markdown-content code, .markdown-content pre { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+  .markdown-code { position: relative; }
+  .markdown-code pre { margin: 0; padding: 0.75em; padding-right: 4.5em; overflow-x: auto; border-radius: 0.5rem; background: #1f2937; color: #e5e7eb; text-align: left; }
+  .markdown-code pre code { padding: 0; background: none; font-size: 0.8125rem; }
+  .markdown-copy {
+    position: absolute; top: 0.375rem; right: 0.375rem; padding: 0.125rem 0.5rem; border-radius: 0.25rem;
+    background: rgb(255 255 255 / 0.12); color: #e5e7eb; font-size: 0.75rem; cursor: pointer;
+  }
+  .markdown-copy:hover { background: rgb(255 255 255 / 0.25); }
+  .markdown-table { max-width: 100%; overflow-x: auto; }
+  .markdown-table table { border-collapse: collapse; font-size: 0.875em; }
+  .markdown-table th, .markdown-table td { padding: 0.25em 0.5em; border: 1px solid #bbf7d0; text-align: left; }
+  .markdown-table th { background: #f0fdf4; font-weight: 600; }
+  .hljs-comment, .hljs-quote { color: #9ca3af; font-style: italic; }
+  .hljs-keyword, .hljs-selector-tag, .hljs-literal, .hljs-type { color: #f472b6; }
+  .hljs-string, .hljs-regexp, .hljs-addition { color: #86efac; }
+  .hljs-number, .hljs-symbol, .hljs-bullet { color: #fdba74; }
+  .hljs-title, .hljs-section, .hljs-name, .hljs-selector-class, .hljs-selector-id { color: #93c5fd; }
+  .hljs-attr, .hljs-attribute, .hljs-variable, .hljs-template-variable, .hljs-property { color: #fcd34d; }
+  .hljs-built_in, .hljs-meta { color: #67e8f9; }
+  .hljs-deletion { color: #fca5a5; }
+`;
+
+// Plain text of a Markdown syntax tree node, e.g. a highlighted code block without its <span> elements.
+const nodeText = (node) => (node.type === 'text' ? node.value : (node.children || []).map(nodeText).join(''));
+
+// Code block with a button that copies the code to the clipboard.
+const CodeBlock = ({ node, children, ...props }) => {
+  const { t } = useTranslation();
+  const [copied, setCopied] = useState(false);
+
+  const copyCode = async () => {
+    try {
+      await navigator.clipboard.writeText(nodeText(node).replace(/\n$/, ""));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error("Error copying code:", error);
+    }
+  };
+
+  return (
+    <div className="markdown-code">
+      <pre {...props}>{children}</pre>
+      <button onClick={copyCode} className="markdown-copy" aria-label={t("message.copyCode")}>
+        {copied ? t("message.copied") : t("message.copy")}
+      </button>
+    </div>
+  );
+};
+
+// Table that scrolls sideways instead of stretching the bubble. The scrolling box is a labelled, focusable region
+// so keyboard users can scroll it too.
+const MarkdownTable = ({ node, ...props }) => {
+  const { t } = useTranslation();
+  return (
+    <div className="markdown-table" role="region" aria-label={t("message.table")} tabIndex={0}>
+      <table {...props} />
+    </div>
+  );
+};
+
+// Links open in a new tab, and wide tables scroll sideways instead of stretching the bubble.
+const MARKDOWN_COMPONENTS = {
+  a: ({ node, children, ...props }) => <a {...props} target="_blank" rel="noopener noreferrer">{children}</a>,
+  table: MarkdownTable,
+  pre: CodeBlock,
+};
+
+// Reason codes offered when rating a reply down (must match the backend's FEEDBACK_REASONS), labelled by the
+// "feedback.<code>" translations
+const FEEDBACK_REASONS = ["wrong", "outdated", "unhelpful", "incomplete", "other"];
+
+const MessageBubble = ({ sender, content, sources, onSourceClick, messageId, feedback, onFeedback, agentName }) => {
+  const { t } = useTranslation();
+  const [showFeedbackForm, setShowFeedbackForm] = useState(false); // Reason/comment form shown after a thumbs down
+  const [reasons, setReasons] = useState([]);
+  const [comment, setComment] = useState("");
+
+  // Saved AI replies can be rated; clicking the active thumb again removes the rating.
+  const canRate = sender === 'ai' && messageId && onFeedback;
+
+  const rateUp = () => {
+    setShowFeedbackForm(false);
+    onFeedback(messageId, feedback?.rating === 'up' ? null : { rating: 'up' });
+  };
+
+  const rateDown = () => {
+    if (feedback?.rating === 'down') {
+      setShowFeedbackForm(false);
+      onFeedback(messageId, null);
+      return;
+    }
+    setReasons([]);
+    setComment("");
+    setShowFeedbackForm(true);
+  };
+
+  const submitDownRating = () => {
+    setShowFeedbackForm(false);
+    onFeedback(messageId, { rating: 'down', reasons, comment });
+  };
+
+  const toggleReason = (value) => {
+    setReasons((prev) => (prev.includes(value) ? prev.filter((reason) => reason !== value) : [...prev, value]));
+  };
+
+  return (
+    <div
+      // Dynamically apply styles based on sender for user (blue), AI (green) or support agent (purple) messages
+      // animate-fade-in provides a subtle entrance animation for new messages
+      className={`max-w-[70%] p-3 m-2 rounded-xl shadow-md animate-fade-in ${
+        sender === 'user' ? 'bg-blue-500 text-white self-end text-right'
+          : sender === 'agent' ? 'bg-purple-100 text-gray-800 self-start text-left'
+          : 'bg-green-100 text-gray-800 self-start text-left'
+      }`}
+    >
+      {sender === 'agent' && <p className="text-xs font-semibold text-purple-700 mb-1">{agentName || t("message.supportAgent")}</p>}
+      {/* Display message content */}
+      {sender === 'ai' ? (
+        <div className="markdown-content break-words">
+          <ReactMarkdown remarkPlugins={MARKDOWN_REMARK_PLUGINS} rehypePlugins={MARKDOWN_REHYPE_PLUGINS} components={MARKDOWN_COMPONENTS}>
+            {content}
+          </ReactMarkdown>
+        </div>
+      ) : (
+        <p className="break-words">{content}</p>
+      )}
+      {sources && sources.length > 0 && (
+        <div className="flex flex-wrap gap-1 mt-2 pt-2 border-t border-green-200">
+          <span className="text-xs text-gray-500 mr-1 self-center">{t("message.sources")}</span>
+          {sources.map((source) => (
+            <button
+              key={source.label}
+              onClick={() => onSourceClick(source)}
+              title={source.snippet}
+              className={`text-xs px-2 py-0.5 rounded-full border ${
+                source.cited ? 'bg-white border-green-400 text-green-800' : 'bg-green-50 border-green-200 text-gray-500'
+              } hover:bg-green-200`}
+            >
+              [{source.label}] {source.title}{source.page ? t("message.page", { page: source.page }) : ''}{source.row ? t("message.row", { row: source.row }) : ''}
+            </button>
+          ))}
+        </div>
+      )}
+      {canRate && (
+        <div className="flex items-center gap-1 mt-2">
+          <button
+            onClick={rateUp}
+            aria-label={t("message.helpful")}
+            title={t("message.helpful")}
+            className={`text-sm px-1 rounded ${feedback?.rating === 'up' ? 'bg-green-300' : 'opacity-60 hover:opacity-100'}`}
+          >
+            👍
+          </button>
+          <button
+            onClick={rateDown}
+            aria-label={t("message.notHelpful")}
+            title={t("message.notHelpful")}
+            className={`text-sm px-1 rounded ${feedback?.rating === 'down' ? 'bg-red-200' : 'opacity-60 hover:opacity-100'}`}
+          >
+            👎
+          </button>
+        </div>
+      )}
+      {/* Optional details collected with a thumbs down */}
+      {showFeedbackForm && (
+        <div className="mt-2 p-2 bg-white rounded-lg border border-green-200 text-sm">
+          <p className="text-gray-600 mb-1">{t("message.whatWasWrong")}</p>
+          <div className="flex flex-wrap gap-1 mb-2">
+            {FEEDBACK_REASONS.map((value) => (
+              <button
+                key={value}
+                onClick={() => toggleReason(value)}
+                className={`px-2 py-0.5 rounded-full border text-xs ${
+                  reasons.includes(value) ? 'bg-red-100 border-red-300 text-red-700' : 'bg-gray-50 border-gray-300 text-gray-600'
+                }`}
+              >
+                {t(`feedback.${value}`)}
+              </button>
+            ))}
+          </div>
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder={t("message.commentPlaceholder")}
+            maxLength={1000}
+            rows="2"
+            className="w-full p-2 border border-gray-300 rounded text-gray-700 resize-y"
+          />
+          <div className="flex justify-end gap-2 mt-1">
+            <button onClick={() => setShowFeedbackForm(false)} className="text-gray-500 hover:underline">{t("common.cancel")}</button>
+            <button onClick={submitDownRating} className="px-3 py-1 bg-red-500 text-white rounded hover:bg-red-600">{t("message.sendFeedback")}</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Reads a text/event-stream response body and calls onEvent(eventName, data) for each event's JSON payload.
+const readServerSentEvents = async (body, onEvent) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const rawEvents = buffer.split('\n\n');
+    buffer = rawEvents.pop(); // Keep any incomplete event for the next chunk
+    rawEvents.forEach((rawEvent) => {
+      let eventName = 'message';
+      let data = '';
+      rawEvent.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) {
+          eventName = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data += line.slice(5).trim();
+        }
+      });
+      if (data) {
+        onEvent(eventName, JSON.parse(data));
+      }
+    });
+  }
+};
+
+// === Authentication helpers ===
+// The logged-in user and their token are kept in localStorage so a page reload keeps the session.
+const AUTH_STORAGE_KEY = "dhanista_auth";
+const AUTH_EXPIRED_EVENT = "dhanista:auth-expired"; // Fired when the backend rejects the stored token
+
+const loadStoredAuth = () => {
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const getAuthToken = () => loadStoredAuth()?.token;
+
+// Attach the token to every axios request that doesn't carry one already; the backend identifies the user from it.
+axios.interceptors.request.use((config) => {
+  const token = getAuthToken();
+  if (token && !config.headers.Authorization) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// A 401 means the token is missing, invalid or expired, so send the user back to the login form.
+axios.interceptors.response.use(undefined, (error) => {
+  if (error.response?.status === 401) {
+    window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+  }
+  return Promise.reject(error);
+});
+
+// === Realtime connection ===
+// Keeps a WebSocket to the backend open while `enabled` (see backend/services/realtime.js) and calls onEvent with
+// every event it pushes about the conversations of bot `botId`. The token is sent in the first message rather than
+// the URL, which servers and proxies log. After each (re)connect the backend sends { type: "connected" }, so
+// callers can refetch whatever they missed while disconnected. Dropped connections are retried with a growing
+// delay. A refused token fires AUTH_EXPIRED_EVENT instead, and a refused first message (e.g. an unknown bot) stops
+// reconnecting, as retrying wouldn't change the answer. Returns a function that sends a JSON message and returns
+// false when the connection is down.
+const REALTIME_RECONNECT_DELAY_MS = 3000; // First retry; doubled after each failed attempt
+const REALTIME_MAX_RECONNECT_DELAY_MS = 60000;
+const REALTIME_AUTH_FAILED_CODE = 4401; // Close code for a refused token
+const REALTIME_AUTH_MISSING_CODE = 4400; // Close code for a missing or invalid first message, or an unknown bot
+
+const useRealtime = ({ apiBaseUrl, token, botId, enabled = true, onEvent }) => {
+  const socketRef = useRef(null);
+  const onEventRef = useRef(onEvent); // Latest handler, so a new one doesn't reconnect
+
+  useEffect(() => {
+    onEventRef.current = onEvent;
+  }, [onEvent]);
+
+  useEffect(() => {
+    if (!enabled || !token || !botId) return;
+
+    let stopped = false;
+    let reconnectTimer = null;
+    let reconnectDelay = REALTIME_RECONNECT_DELAY_MS;
+    const connect = () => {
+      const baseUrl = (apiBaseUrl || window.location.origin).replace(/^http/, 'ws');
+      const socket = new WebSocket(`${baseUrl}/api/ws`);
+      socketRef.current = socket;
+      socket.onopen = () => socket.send(JSON.stringify({ type: 'auth', token, botId }));
+      socket.onmessage = (e) => {
+        try {
+          const event = JSON.parse(e.data);
+          if (event.type === 'connected') {
+            reconnectDelay = REALTIME_RECONNECT_DELAY_MS;
+          }
+          onEventRef.current(event);
+        } catch (error) {
+          console.error("Error handling realtime event:", error);
+        }
+      };
+      socket.onclose = (e) => {
+        if (e.code === REALTIME_AUTH_FAILED_CODE) {
+          window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+        } else if (e.code === REALTIME_AUTH_MISSING_CODE) {
+          console.error("Realtime connection refused:", e.reason);
+        } else if (!stopped) {
+          reconnectTimer = setTimeout(connect, reconnectDelay);
+          reconnectDelay = Math.min(reconnectDelay * 2, REALTIME_MAX_RECONNECT_DELAY_MS);
+        }
+      };
+    };
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      socketRef.current?.close();
+      socketRef.current = null;
+    };
+  }, [apiBaseUrl, token, botId, enabled]);
+
+  return useCallback((data) => {
+    const socket = socketRef.current;
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+    socket.send(JSON.stringify(data));
+    return true;
+  }, []);
+};
+
+// Handoff statuses during which a support agent rather than the bot answers (see backend/services/handoff.js)
+const HANDOFF_OPEN_STATUSES = ["requested", "active"];
+
+// === components/AuthForm.js ===
+// Login and registration form shown until the user is signed in.
+const AuthForm = ({ onAuthenticated }) => {
+  const { t } = useTranslation();
+  const [mode, setMode] = useState("login"); // "login" or "register"
+  const [name, setName] = useState("");
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // RECTIFIED: Set API_BASE_URL based on environment
+  const API_BASE_URL = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5000';
+
+  const isRegistering = mode === "register";
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setIsSubmitting(true);
+
+    try {
+      const payload = isRegistering ? { name, email, password } : { email, password };
+      const response = await axios.post(`${API_BASE_URL}/api/auth/${mode}`, payload);
+      onAuthenticated({ token: response.data.token, user: response.data.user });
+    } catch (err) {
+      console.error(`Error during ${mode}:`, err);
+      setError(err.response?.data?.message || t("auth.error"));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-8 rounded-2xl shadow-xl w-full max-w-md mx-auto animate-fade-in-up">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 text-center">
+        {isRegistering ? t("auth.createAccount") : t("auth.logInToChat")}
+      </h2>
+      <form onSubmit={submit} className="space-y-4">
+        {isRegistering && (
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={t("auth.name")}
+            className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-400"
+          />
+        )}
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder={t("auth.email")}
+          required
+          className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-400"
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder={isRegistering ? t("auth.newPassword") : t("auth.password")}
+          required
+          className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-400"
+        />
+        {error && <p className="text-red-600 text-sm">{error}</p>}
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full bg-pink-500 text-white py-3 rounded-lg font-semibold hover:bg-pink-600 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSubmitting ? t("auth.wait") : isRegistering ? t("auth.signUp") : t("auth.logIn")}
+        </button>
+      </form>
+      <p className="text-center text-sm text-gray-600 mt-4">
+        {isRegistering ? t("auth.haveAccount") : t("auth.newHere")}{" "}
+        <button
+          type="button"
+          onClick={() => { setMode(isRegistering ? "login" : "register"); setError(""); }}
+          className="text-pink-600 font-semibold hover:underline"
+        >
+          {isRegistering ? t("auth.logIn") : t("auth.createAccount")}
+        </button>
+      </p>
+    </div>
+  );
+};
+
+// Formats a number of seconds as "45s", "3:05" or "2:03:05" for rate limit countdowns.
+const formatCountdown = (totalSeconds) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (value) => String(value).padStart(2, '0');
+  if (hours) return `${hours}:${pad(minutes)}:${pad(seconds)}`;
+  if (minutes) return `${minutes}:${pad(seconds)}`;
+  return `${seconds}s`;
+};
+
+// === components/ConversationSidebar.js ===
+// Lists the user's conversations and lets them start, rename, archive and delete conversations.
+const ConversationSidebar = ({ botId, activeConversationId, onSelect, refreshKey }) => {
+  const { t } = useTranslation();
+  const [conversations, setConversations] = useState([]); // Conversations shown in the list
+  const [showArchived, setShowArchived] = useState(false); // Toggles between active and archived conversations
+  const [editingId, setEditingId] = useState(null); // Conversation currently being renamed
+  const [editingTitle, setEditingTitle] = useState(""); // Draft title for the conversation being renamed
+  const [pendingDelete, setPendingDelete] = useState(null); // Conversation awaiting delete confirmation
+
+  // RECTIFIED: Set API_BASE_URL based on environment
+  const API_BASE_URL = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5000';
+  const BOT_API_URL = `${API_BASE_URL}/api/bots/${botId}`; // Chat, conversation and FAQ routes of the selected bot
+
+  // Fetches the conversation list for the current view (active or archived).
+  const fetchConversations = useCallback(async () => {
+    try {
+      const response = await axios.get(`${BOT_API_URL}/conversations`, {
+        params: { archived: showArchived },
+      });
+      setConversations(response.data.conversations);
+    } catch (error) {
+      console.error("Error fetching conversations:", error);
+    }
+  }, [BOT_API_URL, showArchived]);
+
+  // Reload the list on mount, when switching views, and whenever the parent signals a change.
+  useEffect(() => {
+    fetchConversations();
+  }, [fetchConversations, refreshKey]);
+
+  // Creates an empty conversation and selects it.
+  const createConversation = async () => {
+    try {
+      const response = await axios.post(`${BOT_API_URL}/conversations`);
+      setShowArchived(false);
+      onSelect(response.data.conversation._id);
+      fetchConversations();
+    } catch (error) {
+      console.error("Error creating conversation:", error);
+    }
+  };
+
+  // Saves the draft title of the conversation being renamed.
+  const saveTitle = async () => {
+    const title = editingTitle.trim();
+    const id = editingId;
+    setEditingId(null);
+    if (!title) return;
+
+    try {
+      await axios.patch(`${BOT_API_URL}/conversations/${id}`, { title });
+      fetchConversations();
+    } catch (error) {
+      console.error("Error renaming conversation:", error);
+    }
+  };
+
+  // Moves a conversation into (or out of) the archive.
+  const toggleArchived = async (conversation) => {
+    try {
+      await axios.patch(`${BOT_API_URL}/conversations/${conversation._id}`, {
+        archived: !conversation.archived,
+      });
+      if (conversation._id === activeConversationId) {
+        onSelect(null);
+      }
+      fetchConversations();
+    } catch (error) {
+      console.error("Error archiving conversation:", error);
+    }
+  };
+
+  // Permanently deletes the conversation awaiting confirmation, together with its messages.
+  const deleteConversation = async () => {
+    const conversation = pendingDelete;
+    setPendingDelete(null);
+
+    try {
+      await axios.delete(`${BOT_API_URL}/conversations/${conversation._id}`, );
+      if (conversation._id === activeConversationId) {
+        onSelect(null);
+      }
+      fetchConversations();
+    } catch (error) {
+      console.error("Error deleting conversation:", error);
+    }
+  };
+
+  return (
+    <div className="flex flex-col border border-blue-300 rounded-lg shadow-lg bg-white p-4 mb-8 animate-fade-in-left w-full md:w-64 md:flex-shrink-0">
+      <button
+        onClick={createConversation}
+        className="mb-3 px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-400 transition duration-200 ease-in-out"
+      >
+        {t("sidebar.newChat")}
+      </button>
+      <div className="flex mb-3 text-sm">
+        <button
+          onClick={() => setShowArchived(false)}
+          className={`flex-1 py-1 rounded-l-lg border border-blue-300 ${!showArchived ? 'bg-blue-100 text-blue-700 font-semibold' : 'text-gray-600'}`}
+        >
+          {t("sidebar.active")}
+        </button>
+        <button
+          onClick={() => setShowArchived(true)}
+          className={`flex-1 py-1 rounded-r-lg border border-blue-300 ${showArchived ? 'bg-blue-100 text-blue-700 font-semibold' : 'text-gray-600'}`}
+        >
+          {t("sidebar.archived")}
+        </button>
+      </div>
+      <ul className="flex-1 overflow-y-auto max-h-80 custom-scrollbar">
+        {conversations.length === 0 && (
+          <li className="text-center text-gray-500 text-sm mt-4">
+            {showArchived ? t("sidebar.noArchived") : t("sidebar.noConversations")}
+          </li>
+        )}
+        {conversations.map((conversation) => (
+          <li
+            key={conversation._id}
+            className={`group mb-1 p-2 rounded-md cursor-pointer ${conversation._id === activeConversationId ? 'bg-blue-100' : 'hover:bg-blue-50'}`}
+            onClick={() => editingId !== conversation._id && onSelect(conversation._id)}
+          >
+            {editingId === conversation._id ? (
+              <input
+                type="text"
+                value={editingTitle}
+                autoFocus
+                onChange={e => setEditingTitle(e.target.value)}
+                onKeyDown={e => {
+                  if (e.key === 'Enter') saveTitle();
+                  if (e.key === 'Escape') setEditingId(null);
+                }}
+                onBlur={saveTitle}
+                className="w-full p-1 border border-blue-300 rounded text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-400"
+              />
+            ) : (
+              <div className="flex items-center">
+                <span className="flex-1 truncate text-sm text-gray-800" title={conversation.title}>{conversation.title}</span>
+                <span className="hidden group-hover:flex space-x-1 text-xs">
+                  <button
+                    onClick={e => { e.stopPropagation(); setEditingId(conversation._id); setEditingTitle(conversation.title); }}
+                    className="text-gray-500 hover:text-blue-600"
+                    aria-label={t("sidebar.renameLabel")}
+                  >
+                    {t("sidebar.rename")}
+                  </button>
+                  <button
+                    onClick={e => { e.stopPropagation(); toggleArchived(conversation); }}
+                    className="text-gray-500 hover:text-blue-600"
+                    aria-label={conversation.archived ? t("sidebar.unarchiveLabel") : t("sidebar.archiveLabel")}
+                  >
+                    {conversation.archived ? t("sidebar.unarchive") : t("sidebar.archive")}
+                  </button>
+                  <button
+                    onClick={e => { e.stopPropagation(); setPendingDelete(conversation); }}
+                    className="text-gray-500 hover:text-red-600"
+                    aria-label={t("sidebar.deleteLabel")}
+                  >
+                    {t("common.delete")}
+                  </button>
+                </span>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <Modal
+        show={!!pendingDelete}
+        title={t("sidebar.deleteTitle")}
+        message={pendingDelete ? t("sidebar.deleteMessage", { title: pendingDelete.title }) : ""}
+        onClose={() => setPendingDelete(null)}
+        onConfirm={deleteConversation}
+        confirmLabel={t("common.delete")}
+      />
+    </div>
+  );
+};
+
+// === components/ChatBox.js ===
+// Main chat interface component handling message display and input.
+// The chat widget (see ChatWidget.js) embeds it with its own API URL and guest token, fills its panel and greets
+// with `greeting`. Feedback is left out there, since only the admin app's origin may call the feedback routes.
+// Users can hand a conversation over to a human support agent; until it goes back to the bot, the agent's replies
+// arrive over the realtime connection.
+const HISTORY_PAGE_SIZE = 20; // Number of messages fetched per history page
+const ChatBox = ({ botId, messages, addMessage, setMessages, conversationId, onConversationUpdated, apiBaseUrl, authToken, embedded = false, greeting }) => {
+  const { t, language } = useTranslation();
+  const [input, setInput] = useState(""); // State to store the current user input message
+  const [isTyping, setIsTyping] = useState(false); // State to control the AI typing indicator
+  const [isStreaming, setIsStreaming] = useState(false); // True while an AI reply is being streamed
+  const [sourceModal, setSourceModal] = useState(null); // FAQ source currently opened from a citation chip
+  const [hasMoreHistory, setHasMoreHistory] = useState(false); // Whether older messages exist on the server
+  const [historyCursor, setHistoryCursor] = useState(null); // Cursor for the next (older) history page
+  const [isLoadingHistory, setIsLoadingHistory] = useState(false); // Prevents overlapping history requests
+  const chatEndRef = useRef(null); // Ref to enable auto-scrolling to the latest message
+  const scrollContainerRef = useRef(null); // Ref to the scrollable message list
+  const previousScrollHeightRef = useRef(null); // Scroll height before older messages were prepended
+  const loadedConversationRef = useRef(undefined); // Conversation whose history is currently shown
+  const abortControllerRef = useRef(null); // Cancels the in-flight streaming request
+  const [rateLimit, setRateLimit] = useState(null); // { message, until } while the backend is refusing new messages
+  const [secondsLeft, setSecondsLeft] = useState(0); // Countdown until messages can be sent again
+  const [handoff, setHandoff] = useState(null); // { status, agent, ... } once the conversation was escalated to a human
+
+  // RECTIFIED: Set API_BASE_URL based on environment
+  const API_BASE_URL = apiBaseUrl || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5000');
+  const BOT_API_URL = `${API_BASE_URL}/api/bots/${botId}`; // Chat, conversation and FAQ routes of the selected bot
+  // Without an explicit token, the axios interceptor sends the logged-in user's.
+  const authHeaders = useMemo(() => (authToken ? { Authorization: `Bearer ${authToken}` } : {}), [authToken]);
+  const isHandedOff = Boolean(handoff && HANDOFF_OPEN_STATUSES.includes(handoff.status));
+
+  // Scroll to the bottom whenever new messages arrive. When older messages were prepended,
+  // keep the viewport anchored on the message the user was reading instead.
+  useLayoutEffect(() => {
+    const container = scrollContainerRef.current;
+    if (container && previousScrollHeightRef.current !== null) {
+      container.scrollTop = container.scrollHeight - previousScrollHeightRef.current;
+      previousScrollHeightRef.current = null;
+      return;
+    }
+    chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  // Fetches one page of history (newest first from the API) and returns it in chronological order.
+  const fetchHistoryPage = useCallback(async (before) => {
+    const response = await axios.get(`${BOT_API_URL}/conversations/${conversationId}/messages`, {
+      params: { limit: HISTORY_PAGE_SIZE, ...(before && { before }) },
+      headers: authHeaders,
+    });
+    const { messages: page, hasMore, nextCursor } = response.data;
+    setHasMoreHistory(hasMore);
+    setHistoryCursor(nextCursor);
+    setHandoff(response.data.handoff || null);
+    return [...page].reverse();
+  }, [BOT_API_URL, authHeaders, conversationId]);
+
+  // useEffect hook to fetch the latest page of history whenever a different conversation is selected.
+  useEffect(() => {
+    if (loadedConversationRef.current === conversationId) return;
+    loadedConversationRef.current = conversationId;
+
+    setMessages([]);
+    setHasMoreHistory(false);
+    setHistoryCursor(null);
+    setHandoff(null);
+    if (!conversationId) return; // A new, unsaved conversation has no history yet.
+
+    const fetchChatHistory = async () => {
+      try {
+        const history = await fetchHistoryPage();
+        if (loadedConversationRef.current !== conversationId) return; // The user switched conversations meanwhile.
+        setMessages(history);
+      } catch (error) {
+        console.error("Error fetching chat history:", error);
+      }
+    };
+    fetchChatHistory();
+  }, [conversationId, fetchHistoryPage, setMessages]);
+
+  // Loads the next page of older messages and prepends it to the conversation.
+  const loadOlderMessages = useCallback(async () => {
+    if (isLoadingHistory || !hasMoreHistory) return;
+
+    setIsLoadingHistory(true);
+    try {
+      const olderMessages = await fetchHistoryPage(historyCursor);
+      previousScrollHeightRef.current = scrollContainerRef.current ? scrollContainerRef.current.scrollHeight : null;
+      setMessages((prevMessages) => [...olderMessages, ...prevMessages]);
+    } catch (error) {
+      console.error("Error loading older messages:", error);
+    } finally {
+      setIsLoadingHistory(false);
+    }
+  }, [isLoadingHistory, hasMoreHistory, historyCursor, fetchHistoryPage, setMessages]);
+
+  // Trigger loading older messages when the user scrolls near the top of the list.
+  const handleScroll = (e) => {
+    if (e.currentTarget.scrollTop < 40) {
+      loadOlderMessages();
+    }
+  };
+
+  // Updates the in-progress AI message identified by its client-side id.
+  // 'update' receives the current message and returns the fields to change.
+  const updateStreamingMessage = useCallback((clientId, update) => {
+    setMessages((prevMessages) => prevMessages.map((msg) => (
+      msg.clientId === clientId ? { ...msg, ...update(msg) } : msg
+    )));
+  }, [setMessages]);
+
+  // Appends agent replies that aren't shown yet; the same reply can arrive live and again when catching up.
+  const addAgentMessages = useCallback((agentMessages) => {
+    setMessages((prevMessages) => {
+      const shownIds = new Set(prevMessages.map((msg) => msg._id));
+      const newMessages = agentMessages.filter((msg) => !shownIds.has(msg._id));
+      return newMessages.length > 0 ? [...prevMessages, ...newMessages] : prevMessages;
+    });
+  }, [setMessages]);
+
+  // Catches up after the realtime connection was (re)established: the handoff may have been claimed or closed and
+  // the agent may have replied in the meantime. Reads the latest page without touching the history cursor.
+  const syncHandoff = useCallback(async () => {
+    const syncedConversationId = loadedConversationRef.current;
+    if (!syncedConversationId) return;
+    try {
+      const response = await axios.get(`${BOT_API_URL}/conversations/${syncedConversationId}/messages`, {
+        params: { limit: HISTORY_PAGE_SIZE },
+        headers: authHeaders,
+      });
+      if (loadedConversationRef.current !== syncedConversationId) return;
+      setHandoff(response.data.handoff || null);
+      addAgentMessages(response.data.messages.filter((msg) => msg.sender === 'agent').reverse());
+    } catch (error) {
+      console.error("Error syncing the conversation:", error);
+    }
+  }, [BOT_API_URL, authHeaders, addAgentMessages]);
+
+  const handleRealtimeEvent = useCallback((event) => {
+    if (event.type === 'connected') {
+      syncHandoff();
+    } else if (event.conversationId !== loadedConversationRef.current) {
+      return; // An event about another of the user's conversations
+    } else if (event.type === 'handoff') {
+      setHandoff(event.handoff);
+    } else if (event.type === 'message' && event.message.sender === 'agent') {
+      addAgentMessages([event.message]);
+    }
+  }, [syncHandoff, addAgentMessages]);
+
+  // Only a conversation with a support agent needs live updates.
+  useRealtime({ apiBaseUrl: API_BASE_URL, token: authToken || getAuthToken(), botId, enabled: isHandedOff, onEvent: handleRealtimeEvent });
+
+  // Hands the conversation over to a human support agent. The bot stops answering until it is handed back.
+  const escalate = useCallback(async () => {
+    try {
+      const response = await axios.post(`${BOT_API_URL}/conversations/${conversationId}/escalate`, {}, { headers: authHeaders });
+      setHandoff(response.data.handoff);
+    } catch (error) {
+      if (error.response?.status === 409) {
+        setHandoff(error.response.data.handoff); // Already with an agent, e.g. escalated from another tab
+        return;
+      }
+      console.error("Error escalating conversation:", error);
+      addMessage({ sender: "ai", content: t("chat.agentUnavailable") });
+    }
+  }, [BOT_API_URL, authHeaders, conversationId, addMessage, t]);
+
+  // Ends the handoff so the bot answers again.
+  const returnToBot = useCallback(async () => {
+    try {
+      const response = await axios.post(`${BOT_API_URL}/conversations/${conversationId}/return-to-bot`, {}, { headers: authHeaders });
+      setHandoff(response.data.handoff);
+    } catch (error) {
+      console.error("Error returning conversation to the assistant:", error);
+      if (error.response?.status === 404) {
+        setHandoff(null); // The handoff was closed already
+      }
+    }
+  }, [BOT_API_URL, authHeaders, conversationId]);
+
+  // Opens the FAQ behind a citation chip in a modal.
+  // Saves (or with null, removes) the user's rating of an AI reply and shows it on the message right away.
+  const submitFeedback = useCallback(async (messageId, feedback) => {
+    const setFeedback = (value) => setMessages((prev) => prev.map((msg) => (msg._id === messageId ? { ...msg, feedback: value } : msg)));
+    try {
+      if (feedback) {
+        const response = await axios.post(`${API_BASE_URL}/api/feedback`, { messageId, ...feedback });
+        setFeedback({ rating: response.data.feedback.rating, reasons: response.data.feedback.reasons });
+      } else {
+        await axios.delete(`${API_BASE_URL}/api/feedback/${messageId}`);
+        setFeedback(undefined);
+      }
+    } catch (error) {
+      console.error("Error saving feedback:", error);
+    }
+  }, [API_BASE_URL, setMessages]);
+
+  const openSource = useCallback(async (source) => {
+    setSourceModal({ title: source.title, content: t("chat.loadingSource") });
+    try {
+      const response = await axios.get(`${BOT_API_URL}/faqs/${source.faqId}`, { headers: authHeaders });
+      const { faq } = response.data;
+      setSourceModal({ title: faq.title, content: faq.content });
+    } catch (error) {
+      console.error("Error fetching source FAQ:", error);
+      setSourceModal({
+        title: source.title,
+        content: error.response && error.response.status === 404
+          ? `${t("chat.sourceRemoved")}\n\n${source.snippet}`
+          : t("chat.sourceError"),
+      });
+    }
+  }, [BOT_API_URL, authHeaders, t]);
+
+  // useCallback hook for the sendMessage function to prevent unnecessary re-renders.
+  // Sends the user's message to the streaming chat API and renders the AI's reply token by token.
+  const sendMessage = useCallback(async () => {
+    if (!input.trim() || isStreaming || rateLimit) return; // Do nothing if the input is empty, a reply is still streaming or we're rate limited.
+
+    const userMessage = input.trim();
+    const userClientId = `user-${Date.now()}`; // Identifies the user's bubble in case the message is rejected
+    const replyClientId = `stream-${Date.now()}`; // Identifies the AI bubble that tokens are appended to
+    let replyStarted = false;
+    let streamConversationId = conversationId;
+
+    addMessage({ sender: "user", content: userMessage, clientId: userClientId }); // Add user's message to the UI immediately.
+    setInput(""); // Clear the input field.
+    setIsTyping(!isHandedOff); // Show the "AI is typing..." indicator until the first token arrives; agents reply in their own time.
+    setIsStreaming(true);
+
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
+    // Shows a reply chunk, creating the AI bubble on the first one.
+    const appendReplyText = (text) => {
+      if (!replyStarted) {
+        replyStarted = true;
+        setIsTyping(false);
+        addMessage({ sender: "ai", content: text, clientId: replyClientId });
+      } else {
+        updateStreamingMessage(replyClientId, (msg) => ({ content: msg.content + text }));
+      }
+    };
+
+    try {
+      // Make a POST request to the backend's streaming chat API. fetch is used because axios can't read streams in the browser.
+      const response = await fetch(`${BOT_API_URL}/chat/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${authToken || getAuthToken()}` },
+        // The interface language is the reply language for messages whose own language can't be told, e.g. an order number.
+        body: JSON.stringify({ conversationId, message: userMessage, language }),
+        signal: abortController.signal,
+      });
+
+      if (response.status === 401) {
+        window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+      }
+      if (response.status === 429) {
+        // Rate limited or out of quota: the message wasn't accepted, so take it back out of the chat and
+        // return it to the input box, then count down until it can be sent again.
+        const data = await response.json().catch(() => ({}));
+        const retryAfter = data.retryAfter || parseInt(response.headers.get('Retry-After'), 10) || 60;
+        setMessages((prev) => prev.filter((msg) => msg.clientId !== userClientId));
+        setInput(userMessage);
+        setRateLimit({ message: data.message || t("chat.tooFast"), until: Date.now() + retryAfter * 1000 });
+        return;
+      }
+      if (!response.ok || !response.body) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.reply || `Chat request failed with status ${response.status}`);
+      }
+
+      await readServerSentEvents(response.body, (event, data) => {
+        if (event === 'meta') {
+          streamConversationId = data.conversationId;
+          // The backend starts a new conversation when none was selected; adopt it without reloading history.
+          loadedConversationRef.current = data.conversationId;
+        } else if (event === 'token') {
+          appendReplyText(data.text);
+        } else if (event === 'done' && data.handoff) {
+          // A support agent has the conversation: the message was passed on to them and the bot didn't answer.
+          setHandoff(data.handoff);
+          setMessages((prev) => prev.map((msg) => (msg.clientId === userClientId ? { ...msg, _id: data.messageId } : msg)));
+        } else if (event === 'done') {
+          // Replace the streamed text with the reply as saved, in case any fallback text was substituted.
+          if (!replyStarted) {
+            appendReplyText(data.reply);
+          }
+          updateStreamingMessage(replyClientId, () => ({ content: data.reply, sources: data.sources, _id: data.messageId }));
+        } else if (event === 'error') {
+          appendReplyText(replyStarted ? `\n\n${data.reply}` : data.reply);
+        }
+      });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error("Error sending message:", error); // Log any errors during the API call.
+        addMessage({ sender: "ai", content: t("chat.error") }); // Display a generic error message to the user.
+      }
+    } finally {
+      setIsTyping(false); // Hide the typing indicator regardless of success or failure.
+      setIsStreaming(false);
+      abortControllerRef.current = null;
+      if (streamConversationId) {
+        onConversationUpdated(streamConversationId); // Refresh sidebar titles and ordering.
+      }
+    }
+  }, [input, isStreaming, rateLimit, isHandedOff, addMessage, setMessages, updateStreamingMessage, BOT_API_URL, authToken, conversationId, onConversationUpdated, language, t]);
+
+  // Ticks the rate limit countdown once a second and clears the notice when it runs out.
+  useEffect(() => {
+    if (!rateLimit) return;
+
+    const tick = () => {
+      const remaining = Math.max(0, Math.ceil((rateLimit.until - Date.now()) / 1000));
+      setSecondsLeft(remaining);
+      if (remaining === 0) {
+        setRateLimit(null);
+      }
+    };
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [rateLimit]);
+
+  // Cancels the reply that is currently streaming. The backend keeps whatever was generated so far.
+  const stopStreaming = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  return (
+    // Removed 'md:' prefix from animate-fade-in-left to apply on all screen sizes
+    <div className={embedded ? "flex flex-col h-full bg-white p-3" : "flex flex-col border border-blue-300 rounded-lg shadow-lg bg-white p-4 max-w-3xl mx-auto mb-8 animate-fade-in-left w-full"}>
+      {!embedded && <h3 className="text-xl font-semibold mb-4 text-center text-blue-700">{t("chat.title")}</h3>}
+      <div
+        ref={scrollContainerRef}
+        onScroll={handleScroll}
+        className={`flex flex-col ${embedded ? 'flex-1 min-h-0' : 'h-80'} overflow-y-auto mb-4 p-2 border border-blue-200 rounded-md bg-blue-50 custom-scrollbar`}
+      >
+        {/* Indicator shown while an older page of history is loading */}
+        {isLoadingHistory && (
+          <p className="text-center text-gray-400 text-sm italic">{t("chat.loadingEarlier")}</p>
+        )}
+        {/* Conditional rendering for an empty chat state */}
+        {messages.length === 0 && (greeting ? (
+          <MessageBubble sender="ai" content={greeting} />
+        ) : (
+          <p className="text-center text-gray-500 mt-auto mb-auto">{t("chat.start")}</p>
+        ))}
+        {/* Map through messages and render MessageBubble for each */}
+        {messages.map((msg, idx) => (
+          <MessageBubble
+            key={msg.clientId || msg._id || idx}
+            sender={msg.sender}
+            content={msg.content}
+            sources={msg.sources}
+            onSourceClick={openSource}
+            messageId={msg._id}
+            feedback={msg.feedback}
+            onFeedback={embedded ? undefined : submitFeedback}
+            agentName={msg.agent?.name}
+          />
+        ))}
+        {/* AI typing indicator, pulsates when AI is responding */}
+        {isTyping && (
+          <div className="self-start text-gray-500 italic p-3 m-2 rounded-xl bg-gray-100 animate-pulse">
+            {t("chat.typing")}
+          </div>
+        )}
+        <div ref={chatEndRef} /> {/* Element for auto-scrolling to the bottom */}
+      </div>
+      {/* Rate limit notice with a countdown until the next message can be sent */}
+      {rateLimit && (
+        <div className="mb-3 p-3 rounded-lg bg-yellow-50 border border-yellow-300 text-yellow-800 text-sm text-center" role="status">
+          {rateLimit.message} {t("chat.nextMessageIn", { time: formatCountdown(secondsLeft) })}
+        </div>
+      )}
+      {/* Who answers while the conversation is handed off, with a way back to the bot */}
+      {isHandedOff ? (
+        <div className="mb-3 p-3 rounded-lg bg-purple-50 border border-purple-300 text-purple-800 text-sm flex items-center justify-between gap-2" role="status">
+          <span>
+            {handoff.status === 'active'
+              ? t("chat.chattingWith", { name: handoff.agent?.name || t("chat.aSupportAgent") })
+              : t("chat.waitingForAgent")}
+          </span>
+          <button onClick={returnToBot} className="font-semibold text-purple-700 hover:underline whitespace-nowrap">
+            {t("chat.backToAssistant")}
+          </button>
+        </div>
+      ) : conversationId && (
+        <button
+          onClick={escalate}
+          disabled={isStreaming}
+          className="self-end mb-2 text-sm text-purple-700 hover:underline disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {t("chat.talkToPerson")}
+        </button>
+      )}
+      <div className="flex space-x-2">
+        <input
+          type="text"
+          placeholder={t("chat.placeholder")}
+          value={input}
+          onChange={e => setInput(e.target.value)}
+          onKeyDown={e => e.key === 'Enter' && sendMessage()}
+          className="flex-1 p-3 border border-blue-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400 focus:shadow-lg transition-shadow text-gray-700"
+        />
+        {isStreaming ? (
+          <button
+            onClick={stopStreaming}
+            className="px-6 py-3 bg-red-500 text-white font-semibold rounded-lg shadow-md hover:bg-red-600 focus:outline-none focus:ring-2 focus:ring-red-400 transition duration-200 ease-in-out"
+          >
+            {t("chat.stop")}
+          </button>
+        ) : (
+          <button
+            onClick={sendMessage}
+            disabled={!!rateLimit}
+            className="px-6 py-3 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-400 transition duration-200 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {t("chat.send")}
+          </button>
+        )}
+      </div>
+
+      <Modal
+        show={!!sourceModal}
+        title={sourceModal ? sourceModal.title : ""}
+        message={sourceModal ? sourceModal.content : ""}
+        onClose={() => setSourceModal(null)}
+        wide
+      />
+    </div>
+  );
+};
+
+// === components/ChatWidget.js ===
+// Floating chat launcher and panel that other websites embed with public/widget.js (see index.js for how it is
+// mounted). It renders into a shadow root, so the host page's CSS can't reach it and its own can't leak out. The
+// app's compiled Tailwind stylesheet (`stylesheet`, the build's main.css) is linked inside the shadow root, and
+// WIDGET_STYLES adds the launcher and panel and replaces the blues ChatBox, MessageBubble and Modal use with the
+// configured colour. Visitors chat as guests; their token and conversation are kept in the host page's
+// localStorage, so the chat survives page loads. The widget speaks the embed's `language` (data-language), or else
+// the visitor's browser language.
+const WIDGET_STYLES = `
+  :host { all: initial; }
+
+  .dhanista-widget {
+    position: fixed; bottom: 20px; z-index: 2147483000;
+    font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; font-size: 16px; line-height: 1.5; color: #1f2937;
+  }
+  .dhanista-right { right: 20px; }
+  .dhanista-left { left: 20px; }
+  .dhanista-launcher {
+    display: flex; align-items: center; justify-content: center; width: 56px; height: 56px; border: 0; padding: 0; border-radius: 9999px;
+    background: var(--dhanista-color); color: var(--dhanista-text-color); box-shadow: 0 10px 15px -3px rgb(0 0 0 / 0.2); cursor: pointer;
+  }
+  .dhanista-left .dhanista-launcher { margin-right: auto; }
+  .dhanista-right .dhanista-launcher { margin-left: auto; }
+  .dhanista-launcher svg { width: 28px; height: 28px; }
+  .dhanista-panel {
+    display: flex; flex-direction: column; width: min(370px, calc(100vw - 40px)); height: min(540px, calc(100vh - 110px));
+    margin-bottom: 12px; overflow: hidden; border-radius: 12px; background: #fff;
+    box-shadow: 0 20px 25px -5px rgb(0 0 0 / 0.15), 0 8px 10px -6px rgb(0 0 0 / 0.1); animation: fade-in-up 0.3s ease-out forwards;
+  }
+  .dhanista-header {
+    display: flex; align-items: center; justify-content: space-between; gap: 8px; padding: 12px 16px;
+    background: var(--dhanista-color); color: var(--dhanista-text-color); font-weight: 600;
+  }
+  .dhanista-header button { font-size: 1.5rem; line-height: 1; }
+  .dhanista-status { margin: auto; padding: 16px; text-align: center; color: #6b7280; font-size: 0.875rem; }
+
+  .bg-blue-500, .bg-blue-600 { background-color: var(--dhanista-color); }
+  .bg-blue-500.text-white, .bg-blue-600.text-white { color: var(--dhanista-text-color); }
+  .hover\\:bg-blue-700:hover { background-color: var(--dhanista-color); filter: brightness(0.9); }
+  .focus\\:ring-blue-400:focus { --tw-ring-color: var(--dhanista-color); }
+  .custom-scrollbar::-webkit-scrollbar { width: 8px; }
+  .custom-scrollbar::-webkit-scrollbar-thumb { background: #bfdbfe; border-radius: 10px; }
+
+  @keyframes fade-in { from { opacity: 0; transform: translateY(10px); } to { opacity: 1; transform: translateY(0); } }
+  @keyframes fade-in-up { from { opacity: 0; transform: translateY(20px); } to { opacity: 1; transform: translateY(0); } }
+  .animate-fade-in { animation: fade-in 0.5s ease-out forwards; }
+  .animate-fade-in-up { animation: fade-in-up 0.3s ease-out forwards; }
+  ${MARKDOWN_STYLES}
+`;
+
+// Props come from the embedding script tag's data attributes (see public/widget.js).
+const ChatWidget = ({ apiUrl, botId, title, greeting, language, color = "#2563eb", textColor = "#ffffff", position = "right", stylesheet }) => {
+  const uiLanguage = isUiLanguage(language) ? language : getBrowserLanguage();
+  const t = useTranslator(uiLanguage);
+  const languageContext = useMemo(() => ({ language: uiLanguage, setLanguage: () => {} }), [uiLanguage]);
+  const storageKey = `dhanista_widget:${apiUrl}:${botId}`;
+  const [session, setSession] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(storageKey)) || {};
+    } catch {
+      return {};
+    }
+  }); // { token, conversationId } of the visitor's guest session
+  const [isOpen, setIsOpen] = useState(false);
+  const [bot, setBot] = useState(null); // { name, description } shown in the panel header
+  const [messages, setMessages] = useState([]);
+  const [error, setError] = useState(""); // Translation key of the error shown instead of the chat
+
+  const BOT_API_URL = `${apiUrl}/api/bots/${botId}`;
+
+  const addMessage = useCallback((message) => {
+    setMessages((prevMessages) => [...prevMessages, message]);
+  }, []);
+
+  const handleConversationUpdated = useCallback((conversationId) => {
+    setSession((prev) => ({ ...prev, conversationId }));
+  }, []);
+
+  useEffect(() => {
+    localStorage.setItem(storageKey, JSON.stringify(session));
+  }, [storageKey, session]);
+
+  useEffect(() => {
+    const fetchBot = async () => {
+      try {
+        const response = await axios.get(`${BOT_API_URL}/widget`);
+        setBot(response.data.bot);
+      } catch (error) {
+        console.error("Error loading chat widget:", error);
+        setError("widget.unavailable");
+      }
+    };
+    fetchBot();
+  }, [BOT_API_URL]);
+
+  // Starts a guest session the first time the panel is opened, and again after the token expired.
+  useEffect(() => {
+    if (!isOpen || session.token || error) return;
+
+    const startSession = async () => {
+      try {
+        const response = await axios.post(`${BOT_API_URL}/widget/session`);
+        setSession({ token: response.data.token });
+      } catch (error) {
+        console.error("Error starting chat session:", error);
+        setError("widget.connectError");
+      }
+    };
+    startSession();
+  }, [isOpen, session.token, error, BOT_API_URL]);
+
+  // An expired guest token can't be renewed, so start over with a new session and conversation.
+  useEffect(() => {
+    const resetSession = () => {
+      setSession({});
+      setMessages([]);
+    };
+    window.addEventListener(AUTH_EXPIRED_EVENT, resetSession);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, resetSession);
+  }, []);
+
+  // Render nothing when the bot can't be loaded, e.g. because this website isn't one of its allowed origins.
+  if (error && !bot) {
+    return null;
+  }
+
+  return (
+    <LanguageContext.Provider value={languageContext}>
+      <div className={`dhanista-widget dhanista-${position === "left" ? "left" : "right"}`} style={{ "--dhanista-color": color, "--dhanista-text-color": textColor }} lang={uiLanguage}>
+        {stylesheet && <link rel="stylesheet" href={stylesheet} />}
+        <style>{WIDGET_STYLES}</style>
+        {isOpen && (
+          <div className="dhanista-panel" role="dialog" aria-label={title || bot?.name || t("widget.chat")}>
+            <div className="dhanista-header">
+              <span>{title || bot?.name || t("widget.chat")}</span>
+              <button onClick={() => setIsOpen(false)} aria-label={t("widget.close")}>×</button>
+            </div>
+            {error ? (
+              <p className="dhanista-status">{t(error)}</p>
+            ) : !session.token ? (
+              <p className="dhanista-status">{t("widget.connecting")}</p>
+            ) : (
+              <ChatBox
+                key={session.token}
+                botId={botId}
+                messages={messages}
+                addMessage={addMessage}
+                setMessages={setMessages}
+                conversationId={session.conversationId || null}
+                onConversationUpdated={handleConversationUpdated}
+                apiBaseUrl={apiUrl}
+                authToken={session.token}
+                embedded
+                greeting={greeting || (bot ? t("widget.greeting", { name: bot.name }) : undefined)}
+              />
+            )}
+          </div>
+        )}
+        <button className="dhanista-launcher" onClick={() => setIsOpen((open) => !open)} aria-label={isOpen ? t("widget.close") : t("widget.open")}>
+          {isOpen ? (
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          ) : (
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z" />
+            </svg>
+          )}
+        </button>
+      </div>
+    </LanguageContext.Provider>
+  );
+};
+
+// === components/FaqTable.js ===
+// Admin table of all FAQs with search, sortable columns, pagination, inline editing and deletion.
+const FAQ_PAGE_SIZE = 10; // Number of FAQs shown per table page
+
+// Languages an FAQ can be written in (must match the backend's LANGUAGES in services/language.js). Retrieval
+// translates questions to find FAQs in another language, so the tag should name the language the FAQ is written in.
+const FAQ_LANGUAGES = [
+  { code: "en", name: "English" },
+  { code: "hi", name: "Hindi" },
+  { code: "te", name: "Telugu" },
+  { code: "ta", name: "Tamil" },
+  { code: "kn", name: "Kannada" },
+  { code: "ml", name: "Malayalam" },
+  { code: "bn", name: "Bengali" },
+  { code: "gu", name: "Gujarati" },
+  { code: "pa", name: "Punjabi" },
+];
+const FaqTable = ({ botId, refreshKey, onChanged, onShowHistory }) => {
+  const [faqs, setFaqs] = useState([]); // FAQs on the current page
+  const [total, setTotal] = useState(0); // Total number of FAQs matching the search
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [search, setSearch] = useState(""); // Search box value
+  const [debouncedSearch, setDebouncedSearch] = useState(""); // Search value actually sent to the API
+  const [sort, setSort] = useState({ field: "updatedAt", order: "desc" });
+  const [languageFilter, setLanguageFilter] = useState(""); // Language code to list, or "" for all
+  const [editing, setEditing] = useState(null); // { id, title, content, language, savedLanguage } of the row being edited
+  const [pendingDelete, setPendingDelete] = useState(null); // FAQ awaiting delete confirmation
+  const [errorMessage, setErrorMessage] = useState(""); // Shown in the modal when a request fails
+
+  // RECTIFIED: Set API_BASE_URL based on environment
+  const API_BASE_URL = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5000';
+  const BOT_API_URL = `${API_BASE_URL}/api/bots/${botId}`; // Chat, conversation and FAQ routes of the selected bot
+
+  // Wait for the admin to stop typing before searching, and start again from the first page.
+  useEffect(() => {
+    const timeoutId = setTimeout(() => {
+      setDebouncedSearch(search.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timeoutId);
+  }, [search]);
+
+  // Fetches the current page of FAQs.
+  const fetchFaqs = useCallback(async () => {
+    try {
+      const response = await axios.get(`${BOT_API_URL}/faqs`, {
+        params: { page, limit: FAQ_PAGE_SIZE, q: debouncedSearch || undefined, language: languageFilter || undefined, sort: sort.field, order: sort.order },
+      });
+      setFaqs(response.data.faqs);
+      setTotal(response.data.total);
+      setTotalPages(response.data.totalPages);
+    } catch (error) {
+      console.error("Error fetching FAQs:", error);
+      setErrorMessage("Failed to load FAQs. Please check your network and try again.");
+    }
+  }, [BOT_API_URL, page, debouncedSearch, languageFilter, sort]);
+
+  useEffect(() => {
+    fetchFaqs();
+  }, [fetchFaqs, refreshKey]);
+
+  // Sorts by a column, toggling the direction when it is already the sort column.
+  const toggleSort = (field) => {
+    setSort((prevSort) => ({
+      field,
+      order: prevSort.field === field && prevSort.order === "asc" ? "desc" : "asc",
+    }));
+    setPage(1);
+  };
+
+  // Starts inline editing. The list only carries a preview, so the full content is fetched first.
+  const startEditing = async (faq) => {
+    try {
+      const response = await axios.get(`${BOT_API_URL}/faqs/${faq._id}`);
+      const { title, content, language } = response.data.faq;
+      setEditing({ id: faq._id, title, content, language: language || "en", savedLanguage: language || "en" });
+    } catch (error) {
+      console.error("Error fetching FAQ:", error);
+      setErrorMessage("Failed to load this FAQ for editing.");
+    }
+  };
+
+  // Saves the row being edited.
+  const saveEditing = async () => {
+    if (!editing.title.trim() || !editing.content.trim()) {
+      setErrorMessage("FAQ title and content cannot be empty.");
+      return;
+    }
+
+    try {
+      const response = await axios.put(`${BOT_API_URL}/faqs/${editing.id}`, {
+        title: editing.title,
+        content: editing.content,
+        // Left out unless changed, so the backend detects the language of rewritten content again
+        ...(editing.language !== editing.savedLanguage && { language: editing.language }),
+      });
+      if (response.data.indexError) {
+        setErrorMessage(response.data.message); // Saved, but not searchable yet
+      }
+      setEditing(null);
+      fetchFaqs();
+      onChanged();
+    } catch (error) {
+      console.error("Error updating FAQ:", error);
+      setErrorMessage(error.response && error.response.data && error.response.data.message
+        ? error.response.data.message
+        : "Failed to update FAQ. Please try again.");
+    }
+  };
+
+  // Deletes the FAQ awaiting confirmation.
+  const confirmDelete = async () => {
+    const faq = pendingDelete;
+    setPendingDelete(null);
+
+    try {
+      await axios.delete(`${BOT_API_URL}/faqs/${faq._id}`);
+      // Step back a page if the last FAQ on this page was removed.
+      if (faqs.length === 1 && page > 1) {
+        setPage(page - 1);
+      } else {
+        fetchFaqs();
+      }
+      onChanged();
+    } catch (error) {
+      console.error("Error deleting FAQ:", error);
+      setErrorMessage("Failed to delete FAQ. Please try again.");
+    }
+  };
+
+  // Column header that sorts the table when clicked.
+  const SortableHeader = ({ field, label }) => (
+    <th
+      onClick={() => toggleSort(field)}
+      className="p-2 text-left cursor-pointer select-none hover:text-green-700"
+    >
+      {label}{sort.field === field ? (sort.order === "asc" ? " \u25B2" : " \u25BC") : ""}
+    </th>
+  );
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center mb-3 space-x-2">
+        <h4 className="text-lg font-semibold text-green-700 flex-1">Manage FAQs ({total})</h4>
+        <input
+          type="text"
+          placeholder="Search FAQs..."
+          value={search}
+          onChange={e => setSearch(e.target.value)}
+          className="p-2 border border-green-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-green-400 text-gray-700"
+        />
+        <select
+          value={languageFilter}
+          onChange={e => { setLanguageFilter(e.target.value); setPage(1); }}
+          className="p-2 border border-green-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-green-400 text-gray-700"
+          aria-label="Filter FAQs by language"
+        >
+          <option value="">All languages</option>
+          {FAQ_LANGUAGES.map(({ code, name }) => (
+            <option key={code} value={code}>{name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="overflow-x-auto border border-green-200 rounded-lg">
+        <table className="min-w-full text-sm text-gray-700">
+          <thead className="bg-green-50 text-gray-600">
+            <tr>
+              <SortableHeader field="title" label="Title" />
+              <th className="p-2 text-left">Content</th>
+              <SortableHeader field="updatedAt" label="Updated" />
+              <th className="p-2 text-right">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {faqs.length === 0 && (
+              <tr>
+                <td colSpan="4" className="p-4 text-center text-gray-500">
+                  {debouncedSearch || languageFilter ? "No FAQs match your search." : "No FAQs yet."}
+                </td>
+              </tr>
+            )}
+            {faqs.map((faq) => (
+              editing && editing.id === faq._id ? (
+                <tr key={faq._id} className="border-t border-green-100 bg-yellow-50">
+                  <td className="p-2 align-top" colSpan="3">
+                    <input
+                      type="text"
+                      value={editing.title}
+                      onChange={e => setEditing({ ...editing, title: e.target.value })}
+                      className="w-full mb-2 p-2 border border-green-300 rounded focus:outline-none focus:ring-2 focus:ring-green-400"
+                    />
+                    <textarea
+                      value={editing.content}
+                      onChange={e => setEditing({ ...editing, content: e.target.value })}
+                      rows="6"
+                      className="w-full p-2 border border-green-300 rounded resize-y focus:outline-none focus:ring-2 focus:ring-green-400"
+                    />
+                    <select
+                      value={editing.language}
+                      onChange={e => setEditing({ ...editing, language: e.target.value })}
+                      className="mt-2 p-2 border border-green-300 rounded focus:outline-none focus:ring-2 focus:ring-green-400"
+                      aria-label="FAQ language"
+                    >
+                      {FAQ_LANGUAGES.map(({ code, name }) => (
+                        <option key={code} value={code}>{name}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="p-2 align-top text-right whitespace-nowrap">
+                    <button onClick={saveEditing} className="text-green-700 font-semibold hover:underline mr-2">Save</button>
+                    <button onClick={() => setEditing(null)} className="text-gray-500 hover:underline">Cancel</button>
+                  </td>
+                </tr>
+              ) : (
+                <tr key={faq._id} className="border-t border-green-100 hover:bg-green-50">
+                  <td className="p-2 align-top font-medium">
+                    {faq.title}
+                    <span className="ml-2 px-1 rounded bg-green-100 text-green-700 text-xs uppercase" title="Language">{faq.language}</span>
+                    {faq.sourceFileName && <span className="block text-xs text-gray-400">{faq.sourceFileName}</span>}
+                  </td>
+                  <td className="p-2 align-top text-gray-600 max-w-xs break-words">
+                    {faq.contentPreview}{faq.contentLength > faq.contentPreview.length ? "..." : ""}
+                  </td>
+                  <td className="p-2 align-top whitespace-nowrap text-gray-500">
+                    {new Date(faq.updatedAt || faq.createdAt).toLocaleDateString()}
+                  </td>
+                  <td className="p-2 align-top text-right whitespace-nowrap">
+                    <button onClick={() => startEditing(faq)} className="text-blue-600 hover:underline mr-2">Edit</button>
+                    <button onClick={() => onShowHistory(faq._id)} className="text-purple-600 hover:underline mr-2">History</button>
+                    <button onClick={() => setPendingDelete(faq)} className="text-red-600 hover:underline">Delete</button>
+                  </td>
+                </tr>
+              )
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center justify-between mt-3 text-sm text-gray-600">
+        <button
+          onClick={() => setPage(page - 1)}
+          disabled={page <= 1}
+          className="px-3 py-1 border border-green-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Previous
+        </button>
+        <span>Page {page} of {totalPages}</span>
+        <button
+          onClick={() => setPage(page + 1)}
+          disabled={page >= totalPages}
+          className="px-3 py-1 border border-green-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Next
+        </button>
+      </div>
+
+      <Modal
+        show={!!pendingDelete}
+        title="Delete FAQ?"
+        message={pendingDelete ? `"${pendingDelete.title}" will be permanently removed from the knowledge base.` : ""}
+        onClose={() => setPendingDelete(null)}
+        onConfirm={confirmDelete}
+        confirmLabel="Delete"
+      />
+      <Modal
+        show={!!errorMessage}
+        title="Something went wrong"
+        message={errorMessage}
+        onClose={() => setErrorMessage("")}
+      />
+    </div>
+  );
+};
+
+// === components/FaqHistory.js ===
+// Admin timeline of FAQ revisions. Shows recent changes across all FAQs (including deletions); selecting an FAQ
+// lists its versions, each of which can be compared with the version before it or restored.
+const REVISION_ACTION_STYLES = {
+  create: "bg-green-100 text-green-700",
+  update: "bg-blue-100 text-blue-700",
+  delete: "bg-red-100 text-red-700",
+  restore: "bg-purple-100 text-purple-700",
+};
+const RevisionBadge = ({ action }) => (
+  <span className={`px-2 py-0.5 rounded text-xs font-semibold ${REVISION_ACTION_STYLES[action] || ''}`}>{action}</span>
+);
+// Renders diff parts ({ value, added, removed }) with additions in green and removals struck through in red.
+const DiffText = ({ parts }) => (
+  <span className="whitespace-pre-wrap break-words">
+    {parts.map((part, index) => (
+      <span
+        key={index}
+        className={part.added ? "bg-green-100 text-green-800" : part.removed ? "bg-red-100 text-red-800 line-through" : ""}
+      >
+        {part.value}
+      </span>
+    ))}
+  </span>
+);
+const FaqHistory = ({ botId, faqId, onSelectFaq, refreshKey, onRestored }) => {
+  const [timeline, setTimeline] = useState([]); // Recent revisions across all FAQs
+  const [timelineCursor, setTimelineCursor] = useState(null); // Cursor for the next (older) timeline page
+  const [revisions, setRevisions] = useState([]); // Versions of the selected FAQ, newest first
+  const [diff, setDiff] = useState(null); // Comparison currently shown in the modal
+  const [pendingRestore, setPendingRestore] = useState(null); // Revision awaiting restore confirmation
+  const [errorMessage, setErrorMessage] = useState("");
+
+  // RECTIFIED: Set API_BASE_URL based on environment
+  const API_BASE_URL = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5000';
+  const BOT_API_URL = `${API_BASE_URL}/api/bots/${botId}`; // Chat, conversation and FAQ routes of the selected bot
+
+  const fetchTimeline = useCallback(async (before) => {
+    try {
+      const response = await axios.get(`${BOT_API_URL}/faqs/revisions`, { params: { before: before || undefined } });
+      setTimeline((prev) => (before ? [...prev, ...response.data.revisions] : response.data.revisions));
+      setTimelineCursor(response.data.nextCursor);
+    } catch (error) {
+      console.error("Error fetching revision timeline:", error);
+    }
+  }, [BOT_API_URL]);
+
+  const fetchRevisions = useCallback(async () => {
+    if (!faqId) {
+      setRevisions([]);
+      return;
+    }
+    try {
+      const response = await axios.get(`${BOT_API_URL}/faqs/${faqId}/revisions`);
+      setRevisions(response.data.revisions);
+    } catch (error) {
+      console.error("Error fetching FAQ revisions:", error);
+      setRevisions([]);
+    }
+  }, [BOT_API_URL, faqId]);
+
+  useEffect(() => {
+    fetchTimeline();
+  }, [fetchTimeline, refreshKey]);
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [fetchRevisions, refreshKey]);
+
+  // Opens the comparison of a version with the one before it.
+  const showDiff = async (revision) => {
+    try {
+      const response = await axios.get(`${BOT_API_URL}/faqs/${revision.faqId}/diff`, {
+        params: { from: Math.max(revision.version - 1, 1), to: revision.version },
+      });
+      setDiff(response.data);
+    } catch (error) {
+      console.error("Error comparing revisions:", error);
+      setErrorMessage("Failed to compare revisions. Please try again.");
+    }
+  };
+
+  const confirmRestore = async () => {
+    const revision = pendingRestore;
+    setPendingRestore(null);
+    try {
+      const response = await axios.post(`${BOT_API_URL}/faqs/${revision.faqId}/revisions/${revision.version}/restore`);
+      if (response.data.indexError) {
+        setErrorMessage(response.data.message); // Restored, but not searchable yet
+      }
+      onRestored();
+    } catch (error) {
+      console.error("Error restoring revision:", error);
+      setErrorMessage(error.response?.data?.message || "Failed to restore revision. Please try again.");
+    }
+  };
+
+  const formatAuthor = (revision) => revision.author?.email || "unknown";
+
+  return (
+    <div className="mt-6 p-4 border border-purple-200 rounded-lg bg-purple-50">
+      <h4 className="text-lg font-semibold text-purple-700 mb-3">Revision history</h4>
+
+      {faqId && (
+        <div className="mb-4">
+          <div className="flex justify-between items-center mb-2">
+            <p className="font-medium text-gray-700">Versions of "{revisions[0]?.title || '...'}"</p>
+            <button onClick={() => onSelectFaq(null)} className="text-sm text-purple-600 hover:underline">Back to timeline</button>
+          </div>
+          <ul className="divide-y divide-purple-100 bg-white rounded border border-purple-100 max-h-64 overflow-y-auto custom-scrollbar">
+            {revisions.map((revision) => (
+              <li key={revision.version} className="p-2 flex justify-between items-center text-sm">
+                <span>
+                  <span className="font-semibold mr-2">v{revision.version}</span>
+                  <RevisionBadge action={revision.action} />
+                  {revision.restoredFrom && <span className="text-gray-500 ml-1">from v{revision.restoredFrom}</span>}
+                  <span className="text-gray-500 ml-2">{new Date(revision.createdAt).toLocaleString()} by {formatAuthor(revision)}</span>
+                </span>
+                <span className="whitespace-nowrap">
+                  {revision.version > 1 && (
+                    <button onClick={() => showDiff(revision)} className="text-blue-600 hover:underline mr-2">Changes</button>
+                  )}
+                  {revision.action !== 'delete' && (
+                    <button onClick={() => setPendingRestore(revision)} className="text-purple-600 hover:underline">Restore</button>
+                  )}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!faqId && (
+        <>
+          <ul className="divide-y divide-purple-100 bg-white rounded border border-purple-100 max-h-64 overflow-y-auto custom-scrollbar">
+            {timeline.length === 0 && <li className="p-2 text-sm text-gray-500">No changes recorded yet.</li>}
+            {timeline.map((revision) => (
+              <li
+                key={revision._id}
+                onClick={() => onSelectFaq(revision.faqId)}
+                className="p-2 text-sm cursor-pointer hover:bg-purple-50"
+              >
+                <RevisionBadge action={revision.action} />
+                <span className="font-medium ml-2">{revision.title}</span>
+                <span className="text-gray-500 ml-2">v{revision.version} · {new Date(revision.createdAt).toLocaleString()} by {formatAuthor(revision)}</span>
+              </li>
+            ))}
+          </ul>
+          {timelineCursor && (
+            <button onClick={() => fetchTimeline(timelineCursor)} className="mt-2 text-sm text-purple-600 hover:underline">Load older changes</button>
+          )}
+        </>
+      )}
+
+      {/* Comparison of two versions */}
+      <Modal
+        show={!!diff}
+        title={diff ? `Changes in v${diff.to.version} (compared with v${diff.from.version})` : ""}
+        message={diff && (
+          <div className="text-left text-sm">
+            <p className="mb-2"><span className="font-semibold">Title: </span><DiffText parts={diff.diff.title} /></p>
+            {(diff.diff.tags.added.length > 0 || diff.diff.tags.removed.length > 0) && (
+              <p className="mb-2">
+                <span className="font-semibold">Tags: </span>
+                {diff.diff.tags.added.map((tag) => <span key={`+${tag}`} className="bg-green-100 text-green-800 mr-1">+{tag}</span>)}
+                {diff.diff.tags.removed.map((tag) => <span key={`-${tag}`} className="bg-red-100 text-red-800 line-through mr-1">{tag}</span>)}
+              </p>
+            )}
+            <div className="p-2 bg-gray-50 rounded border max-h-96 overflow-y-auto custom-scrollbar"><DiffText parts={diff.diff.content} /></div>
+          </div>
+        )}
+        onClose={() => setDiff(null)}
+        wide
+      />
+      <Modal
+        show={!!pendingRestore}
+        title="Restore this version?"
+        message={pendingRestore ? `"${pendingRestore.title}" will be set back to version ${pendingRestore.version}. The current content stays in the history.` : ""}
+        onClose={() => setPendingRestore(null)}
+        onConfirm={confirmRestore}
+        confirmLabel="Restore"
+      />
+      <Modal
+        show={!!errorMessage}
+        title="Something went wrong"
+        message={errorMessage}
+        onClose={() => setErrorMessage("")}
+      />
+    </div>
+  );
+};
+
+// === components/FeedbackReport.js ===
+// Admin report of answer quality: thumbs up/down totals, the FAQs behind the most down-voted answers and the
+// latest down-voted answers with the user's reasons and comments.
+const FEEDBACK_REPORT_PERIODS = [7, 30, 90]; // Look-back windows in days
+const FeedbackReport = ({ botId }) => {
+  const [days, setDays] = useState(30);
+  const [report, setReport] = useState(null);
+  const [expandedAnswer, setExpandedAnswer] = useState(null); // Down-voted answer shown in full
+
+  // RECTIFIED: Set API_BASE_URL based on environment
+  const API_BASE_URL = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5000';
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      try {
+        const response = await axios.get(`${API_BASE_URL}/api/feedback/report`, { params: { days, botId } });
+        setReport(response.data);
+      } catch (error) {
+        console.error("Error fetching feedback report:", error);
+      }
+    };
+    fetchReport();
+  }, [API_BASE_URL, botId, days]);
+
+  const formatReasons = (reasons) => Object.entries(reasons)
+    .sort(([, a], [, b]) => b - a)
+    .map(([reason, count]) => `${reason} (${count})`)
+    .join(", ");
+
+  return (
+    <div className="mt-6 p-4 border border-orange-200 rounded-lg bg-orange-50">
+      <div className="flex justify-between items-center mb-3">
+        <h4 className="text-lg font-semibold text-orange-700">Answer feedback</h4>
+        <select
+          value={days}
+          onChange={(e) => setDays(Number(e.target.value))}
+          className="p-1 border border-orange-300 rounded text-gray-700 bg-white text-sm"
+        >
+          {FEEDBACK_REPORT_PERIODS.map((period) => (
+            <option key={period} value={period}>Last {period} days</option>
+          ))}
+        </select>
+      </div>
+
+      {!report ? (
+        <p className="text-sm text-gray-500">Loading feedback...</p>
+      ) : (
+        <div className="text-sm text-gray-700">
+          <p className="mb-3">👍 {report.totals.up} · 👎 {report.totals.down}</p>
+
+          <p className="font-medium mb-1">FAQs behind the worst-rated answers</p>
+          {report.faqs.length === 0 ? (
+            <p className="text-gray-500 mb-3">No down-voted answers in this period.</p>
+          ) : (
+            <table className="w-full text-left mb-3 bg-white rounded border border-orange-100">
+              <thead className="bg-orange-100 text-orange-800">
+                <tr>
+                  <th className="p-2">FAQ</th>
+                  <th className="p-2">👎</th>
+                  <th className="p-2">👍</th>
+                  <th className="p-2">Reasons</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.faqs.map((faq) => (
+                  <tr key={faq.faqId} className="border-t border-orange-100 align-top">
+                    <td className="p-2">{faq.title}{faq.deleted && <span className="text-gray-400 italic"> (deleted)</span>}</td>
+                    <td className="p-2">{faq.down}</td>
+                    <td className="p-2">{faq.up}</td>
+                    <td className="p-2 text-gray-600">{formatReasons(faq.reasons) || "-"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <p className="font-medium mb-1">Latest down-voted answers</p>
+          <ul className="divide-y divide-orange-100 bg-white rounded border border-orange-100 max-h-64 overflow-y-auto custom-scrollbar">
+            {report.answers.length === 0 && <li className="p-2 text-gray-500">Nothing here yet.</li>}
+            {report.answers.map((answer) => (
+              <li key={answer._id} onClick={() => setExpandedAnswer(answer)} className="p-2 cursor-pointer hover:bg-orange-50">
+                <p className="font-medium">{answer.question || <span className="italic text-gray-400">Unknown question</span>}</p>
+                <p className="text-gray-500">
+                  {(answer.reasons || []).join(", ") || "No reason given"}
+                  {answer.comment && ` · "${answer.comment}"`}
+                </p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <Modal
+        show={!!expandedAnswer}
+        title={expandedAnswer ? expandedAnswer.question || "Down-voted answer" : ""}
+        message={expandedAnswer && (
+          <div className="text-left text-sm">
+            <p className="mb-2">{expandedAnswer.answer}</p>
+            {expandedAnswer.comment && <p className="mb-2"><span className="font-semibold">Comment: </span>{expandedAnswer.comment}</p>}
+            <p><span className="font-semibold">FAQs used: </span>{expandedAnswer.faqs.map((faq) => faq.title).join(", ") || "none"}</p>
+          </div>
+        )}
+        onClose={() => setExpandedAnswer(null)}
+        wide
+      />
+    </div>
+  );
+};
+
+// === components/UnansweredQueue.js ===
+// Admin queue of questions the knowledge base couldn't answer, grouped by similarity and sorted by how often they
+// were asked. Each one can be answered (which creates an FAQ) or dismissed.
+const UNANSWERED_PAGE_SIZE = 10;
+const UnansweredQueue = ({ botId, onAnswered }) => {
+  const [questions, setQuestions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [reloadKey, setReloadKey] = useState(0); // Bumped after a question leaves the queue
+  const [answering, setAnswering] = useState(null); // { id, title, content } of the inline answer form
+  const [expandedId, setExpandedId] = useState(null); // Question whose example phrasings are shown
+  const [error, setError] = useState("");
+
+  // RECTIFIED: Set API_BASE_URL based on environment
+  const API_BASE_URL = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5000';
+
+  useEffect(() => {
+    const fetchQueue = async () => {
+      try {
+        const response = await axios.get(`${API_BASE_URL}/api/unanswered`, { params: { botId, page, limit: UNANSWERED_PAGE_SIZE } });
+        if (response.data.questions.length === 0 && page > 1) {
+          setPage(page - 1); // The last question on this page was resolved
+          return;
+        }
+        setQuestions(response.data.questions);
+        setTotal(response.data.total);
+      } catch (error) {
+        console.error("Error fetching unanswered questions:", error);
+      }
+    };
+    fetchQueue();
+  }, [API_BASE_URL, botId, page, reloadKey]);
+
+  const getErrorMessage = (error, fallback) => (error.response && error.response.data && error.response.data.message) || fallback;
+
+  const dismiss = async (id) => {
+    setError("");
+    try {
+      await axios.post(`${API_BASE_URL}/api/unanswered/${id}/dismiss`);
+      setReloadKey((key) => key + 1);
+    } catch (error) {
+      console.error("Error dismissing question:", error);
+      setError(getErrorMessage(error, "Failed to dismiss the question."));
+    }
+  };
+
+  const submitAnswer = async () => {
+    setError("");
+    try {
+      await axios.post(`${API_BASE_URL}/api/unanswered/${answering.id}/answer`, { title: answering.title, content: answering.content });
+      setAnswering(null);
+      setReloadKey((key) => key + 1);
+      onAnswered(); // The new FAQ shows up in the table
+    } catch (error) {
+      console.error("Error answering question:", error);
+      setError(getErrorMessage(error, "Failed to save the answer."));
+    }
+  };
+
+  const lastPage = Math.max(Math.ceil(total / UNANSWERED_PAGE_SIZE), 1);
+
+  return (
+    <div className="mt-6 p-4 border border-amber-200 rounded-lg bg-amber-50">
+      <h4 className="text-lg font-semibold text-amber-700 mb-3">Unanswered questions ({total})</h4>
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      <ul className="divide-y divide-amber-100 bg-white rounded border border-amber-100 text-sm text-gray-700">
+        {questions.length === 0 && <li className="p-2 text-gray-500">No open questions. The knowledge base is keeping up.</li>}
+        {questions.map((question) => (
+          <li key={question._id} className="p-2">
+            <div className="flex justify-between items-start gap-2">
+              <div>
+                <p className="font-medium">{question.question}</p>
+                <p className="text-xs text-gray-500">
+                  Asked {question.count}× · last {new Date(question.lastAskedAt).toLocaleString()}
+                  {question.triggers.noMatch > 0 && ` · no matching FAQ (${question.triggers.noMatch})`}
+                  {question.triggers.fallbackReply > 0 && ` · fallback reply (${question.triggers.fallbackReply})`}
+                  {question.examples.length > 1 && (
+                    <button onClick={() => setExpandedId(expandedId === question._id ? null : question._id)} className="ml-2 text-amber-700 hover:underline">
+                      {expandedId === question._id ? "Hide phrasings" : `${question.examples.length} phrasings`}
+                    </button>
+                  )}
+                </p>
+              </div>
+              <div className="flex gap-1 shrink-0">
+                <button
+                  onClick={() => setAnswering({ id: question._id, title: question.question, content: "" })}
+                  className="px-2 py-1 bg-amber-500 text-white rounded hover:bg-amber-600"
+                >
+                  Answer
+                </button>
+                <button onClick={() => dismiss(question._id)} className="px-2 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300">
+                  Dismiss
+                </button>
+              </div>
+            </div>
+
+            {expandedId === question._id && (
+              <ul className="mt-1 ml-4 list-disc text-xs text-gray-600">
+                {question.examples.slice().reverse().map((example, idx) => (
+                  <li key={idx}>{example.text}</li>
+                ))}
+              </ul>
+            )}
+
+            {answering && answering.id === question._id && (
+              <div className="mt-2 flex flex-col gap-2">
+                <input
+                  type="text"
+                  value={answering.title}
+                  onChange={(e) => setAnswering({ ...answering, title: e.target.value })}
+                  className="p-2 border border-amber-300 rounded"
+                />
+                <textarea
+                  placeholder="Write the answer. It will be saved as a new FAQ."
+                  value={answering.content}
+                  onChange={(e) => setAnswering({ ...answering, content: e.target.value })}
+                  rows="4"
+                  className="p-2 border border-amber-300 rounded resize-y"
+                />
+                <div className="flex gap-2">
+                  <button
+                    onClick={submitAnswer}
+                    disabled={!answering.content.trim()}
+                    className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50"
+                  >
+                    Save as FAQ
+                  </button>
+                  <button onClick={() => setAnswering(null)} className="px-3 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300">
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {lastPage > 1 && (
+        <div className="flex justify-between items-center mt-2 text-sm">
+          <button onClick={() => setPage(page - 1)} disabled={page === 1} className="px-2 py-1 text-amber-700 disabled:text-gray-400">Previous</button>
+          <span className="text-gray-600">Page {page} of {lastPage}</span>
+          <button onClick={() => setPage(page + 1)} disabled={page >= lastPage} className="px-2 py-1 text-amber-700 disabled:text-gray-400">Next</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// === components/FaqBulkTransfer.js ===
+// Admin tools for importing many FAQs at once (CSV, JSON or a Markdown .zip bundle) and exporting all FAQs.
+// Imports are validated with a dry run first; the per-row error report is shown before anything is saved.
+const FAQ_TRANSFER_FORMATS = [
+  { value: "csv", label: "CSV", accept: ".csv" },
+  { value: "json", label: "JSON", accept: ".json" },
+  { value: "markdown", label: "Markdown bundle (.zip)", accept: ".zip,.md,.markdown" },
+];
+const FaqBulkTransfer = ({ botId, onImported }) => {
+  const [format, setFormat] = useState("csv");
+  const [file, setFile] = useState(null);
+  const [onExisting, setOnExisting] = useState("error"); // What to do with titles that already exist
+  const [report, setReport] = useState(null); // Result of the last dry run or import
+  const [isWorking, setIsWorking] = useState(false);
+  const [errorMessage, setErrorMessage] = useState("");
+  const fileInputRef = useRef(null);
+
+  // RECTIFIED: Set API_BASE_URL based on environment
+  const API_BASE_URL = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5000';
+  const BOT_API_URL = `${API_BASE_URL}/api/bots/${botId}`; // Chat, conversation and FAQ routes of the selected bot
+
+  const selectedFormat = FAQ_TRANSFER_FORMATS.find((option) => option.value === format);
+
+  // Sends the file for a dry run or a real import.
+  const runImport = async (mode) => {
+    setIsWorking(true);
+    setErrorMessage("");
+
+    try {
+      const payload = new FormData();
+      payload.append('file', file);
+      const response = await axios.post(`${BOT_API_URL}/faqs/import`, payload, {
+        params: { format, mode, onExisting },
+        headers: { 'Content-Type': 'multipart/form-data' },
+      });
+      setReport(response.data);
+      if (mode === 'commit') {
+        onImported();
+      }
+    } catch (error) {
+      console.error("Error importing FAQs:", error);
+      setReport(null);
+      setErrorMessage(error.response?.data?.message || "Failed to import FAQs. Please try again.");
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  // Downloads every FAQ in the selected format. axios is used so the auth header is sent.
+  const exportFaqs = async () => {
+    setErrorMessage("");
+    try {
+      const response = await axios.get(`${BOT_API_URL}/faqs/export`, { params: { format }, responseType: 'blob' });
+      const fileName = response.headers['content-disposition']?.match(/filename="(.+)"/)?.[1] || `faqs.${format}`;
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Error exporting FAQs:", error);
+      setErrorMessage("Failed to export FAQs. Please try again.");
+    }
+  };
+
+  const changeFormat = (value) => {
+    setFormat(value);
+    setFile(null);
+    setReport(null);
+    if (fileInputRef.current) fileInputRef.current.value = "";
+  };
+
+  return (
+    <div className="mt-6 p-4 border border-green-200 rounded-lg bg-green-50">
+      <h4 className="text-lg font-semibold text-green-700 mb-3">Bulk import / export</h4>
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <select
+          value={format}
+          onChange={(e) => changeFormat(e.target.value)}
+          className="p-2 border border-green-300 rounded-lg text-gray-700 bg-white"
+        >
+          {FAQ_TRANSFER_FORMATS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <button
+          onClick={exportFaqs}
+          className="px-4 py-2 bg-white border border-green-400 text-green-700 font-semibold rounded-lg hover:bg-green-100"
+        >
+          Export all FAQs
+        </button>
+      </div>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={selectedFormat.accept}
+        onChange={(e) => { setFile(e.target.files[0] || null); setReport(null); }}
+        className="block w-full text-sm text-gray-900 border border-gray-300 rounded-lg cursor-pointer bg-white mb-3"
+      />
+      <label className="block text-sm text-gray-700 mb-3">
+        When a title already exists:{" "}
+        <select
+          value={onExisting}
+          onChange={(e) => { setOnExisting(e.target.value); setReport(null); }}
+          className="p-1 border border-green-300 rounded text-gray-700 bg-white"
+        >
+          <option value="error">Report it as an error</option>
+          <option value="skip">Skip the row</option>
+          <option value="update">Update the existing FAQ</option>
+        </select>
+      </label>
+      <div className="flex gap-2">
+        <button
+          onClick={() => runImport('dry-run')}
+          disabled={!file || isWorking}
+          className="px-4 py-2 bg-white border border-green-400 text-green-700 font-semibold rounded-lg hover:bg-green-100 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Validate (dry run)
+        </button>
+        <button
+          onClick={() => runImport('commit')}
+          disabled={!file || isWorking || !report || report.mode !== 'dry-run'}
+          title={!report ? "Run a dry run first" : undefined}
+          className="px-4 py-2 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Import valid rows
+        </button>
+      </div>
+
+      {errorMessage && <p className="mt-3 text-red-600 text-sm">{errorMessage}</p>}
+
+      {/* Import report: summary counts followed by the rows that failed validation */}
+      {report && (
+        <div className="mt-4 text-sm text-gray-700">
+          <p className="font-medium">{report.message}</p>
+          <p className="mt-1">
+            {report.total} rows: {report.mode === 'commit'
+              ? `${report.created} created, ${report.updated} updated`
+              : `${report.toCreate} to create, ${report.toUpdate} to update`}, {report.skipped} skipped, {report.invalid} with errors.
+          </p>
+          {report.errors.length > 0 && (
+            <div className="mt-2 max-h-48 overflow-y-auto custom-scrollbar border border-red-200 rounded bg-white">
+              <table className="w-full text-left">
+                <thead className="bg-red-50 text-red-700">
+                  <tr>
+                    <th className="p-2">Row</th>
+                    <th className="p-2">Title</th>
+                    <th className="p-2">Problems</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.errors.map((rowError) => (
+                    <tr key={rowError.row} className="border-t border-red-100 align-top">
+                      <td className="p-2 whitespace-nowrap">{rowError.row} <span className="text-gray-400">({rowError.source})</span></td>
+                      <td className="p-2">{rowError.title || <span className="italic text-gray-400">untitled</span>}</td>
+                      <td className="p-2">{rowError.errors.join(" ")}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// === components/AnalyticsDashboard.js ===
+// Admin dashboard of chat traffic and FAQ usage: headline numbers, a daily volume chart, the most asked questions
+// and which FAQs are (or aren't) used to answer them.
+const ANALYTICS_PERIODS = [7, 30, 90]; // Look-back windows in days
+
+const formatPercent = (ratio) => (ratio === null || ratio === undefined ? "-" : `${Math.round(ratio * 100)}%`);
+const formatMs = (ms) => (ms === null || ms === undefined ? "-" : ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${Math.round(ms)} ms`);
+
+const StatCard = ({ label, value, hint }) => (
+  <div className="p-3 bg-white rounded-lg border border-indigo-100 shadow-sm">
+    <p className="text-xs uppercase tracking-wide text-gray-500">{label}</p>
+    <p className="text-2xl font-semibold text-indigo-700">{value}</p>
+    {hint && <p className="text-xs text-gray-500">{hint}</p>}
+  </div>
+);
+
+// Column chart of requests per day; the darker part of each column is the grounded answers.
+const DailyVolumeChart = ({ daily }) => {
+  const peak = Math.max(...daily.map((day) => day.requests), 1);
+  return (
+    <div>
+      <div className="flex items-end h-40 gap-px bg-white rounded border border-indigo-100 p-2">
+        {daily.map((day) => (
+          <div
+            key={day.day}
+            title={`${day.day}: ${day.requests} requests, ${day.grounded} grounded, ${day.errors} errors`}
+            className="flex-1 flex flex-col justify-end h-full"
+          >
+            <div className="bg-indigo-200" style={{ height: `${((day.requests - day.grounded) / peak) * 100}%` }} />
+            <div className="bg-indigo-600" style={{ height: `${(day.grounded / peak) * 100}%` }} />
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>{daily.length ? daily[0].day : ""}</span>
+        <span><span className="inline-block w-2 h-2 bg-indigo-600 mr-1" />grounded <span className="inline-block w-2 h-2 bg-indigo-200 mx-1" />other · peak {peak}/day</span>
+        <span>{daily.length ? daily[daily.length - 1].day : ""}</span>
+      </div>
+    </div>
+  );
+};
+
+// Horizontal bars of FAQ citations, with retrievals shown behind them.
+const FaqUsageBars = ({ faqs, emptyText }) => {
+  const peak = Math.max(...faqs.map((faq) => faq.retrievals), 1);
+  if (faqs.length === 0) {
+    return <p className="text-gray-500">{emptyText}</p>;
+  }
+  return (
+    <ul className="space-y-1">
+      {faqs.map((faq) => (
+        <li key={faq.faqId} title={`Retrieved ${faq.retrievals}×, cited ${faq.citations}×`}>
+          <div className="flex justify-between text-xs">
+            <span className="truncate mr-2">{faq.title}</span>
+            <span className="text-gray-500 shrink-0">{faq.citations} / {faq.retrievals}</span>
+          </div>
+          <div className="relative h-2 bg-gray-100 rounded">
+            <div className="absolute inset-y-0 left-0 bg-indigo-200 rounded" style={{ width: `${(faq.retrievals / peak) * 100}%` }} />
+            <div className="absolute inset-y-0 left-0 bg-indigo-600 rounded" style={{ width: `${(faq.citations / peak) * 100}%` }} />
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const AnalyticsDashboard = ({ botId, onClose }) => {
+  const [days, setDays] = useState(30);
+  const [data, setData] = useState(null); // { overview, daily, questions, faqUsage, cache }
+  const [error, setError] = useState("");
+
+  // RECTIFIED: Set API_BASE_URL based on environment
+  const API_BASE_URL = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5000';
+
+  useEffect(() => {
+    const fetchAnalytics = async () => {
+      setError("");
+      try {
+        const params = { days, botId };
+        const [overview, daily, questions, faqUsage, cache] = await Promise.all([
+          axios.get(`${API_BASE_URL}/api/analytics/overview`, { params }),
+          axios.get(`${API_BASE_URL}/api/analytics/daily`, { params }),
+          axios.get(`${API_BASE_URL}/api/analytics/top-questions`, { params }),
+          axios.get(`${API_BASE_URL}/api/analytics/faqs`, { params }),
+          axios.get(`${API_BASE_URL}/api/analytics/cache`, { params }),
+        ]);
+        setData({
+          overview: overview.data.overview,
+          daily: daily.data.daily,
+          questions: questions.data.questions,
+          faqUsage: faqUsage.data,
+          cache: cache.data,
+        });
+      } catch (error) {
+        console.error("Error fetching analytics:", error);
+        setError("Failed to load analytics. Please try again.");
+      }
+    };
+    fetchAnalytics();
+  }, [API_BASE_URL, botId, days]);
+
+  return (
+    <div className="flex flex-col border border-indigo-300 rounded-lg shadow-lg bg-indigo-50 p-4 max-w-3xl mx-auto animate-fade-in-right w-full">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-semibold text-indigo-700">Analytics</h3>
+        <select
+          value={days}
+          onChange={(e) => setDays(Number(e.target.value))}
+          className="p-1 border border-indigo-300 rounded text-gray-700 bg-white text-sm"
+        >
+          {ANALYTICS_PERIODS.map((period) => (
+            <option key={period} value={period}>Last {period} days</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+      {!data ? (
+        !error && <p className="text-sm text-gray-500">Loading analytics...</p>
+      ) : (
+        <div className="text-sm text-gray-700 space-y-5">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <StatCard label="Requests" value={data.overview.requests} hint={`${data.overview.errors} errors · ${data.overview.cancelled} cancelled`} />
+            <StatCard label="Grounded answers" value={formatPercent(data.overview.groundedRate)} hint={`${data.overview.noFaqRetrieved} with no FAQ found`} />
+            <StatCard label="Avg. latency" value={formatMs(data.overview.avgLatencyMs)} hint={`first token ${formatMs(data.overview.avgFirstTokenMs)}`} />
+            <StatCard label="Tokens" value={data.overview.totalTokens.toLocaleString()} hint={`${data.overview.promptTokens.toLocaleString()} prompt`} />
+          </div>
+
+          <div>
+            <p className="font-medium mb-1">Daily volume</p>
+            <DailyVolumeChart daily={data.daily} />
+          </div>
+
+          {data.overview.providers.length > 0 && (
+            <div>
+              <p className="font-medium mb-1">Providers</p>
+              <table className="w-full text-left bg-white rounded border border-indigo-100">
+                <thead className="bg-indigo-100 text-indigo-800">
+                  <tr>
+                    <th className="p-2">Provider</th>
+                    <th className="p-2">Requests</th>
+                    <th className="p-2">Errors</th>
+                    <th className="p-2">Avg. latency</th>
+                    <th className="p-2">Tokens</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.overview.providers.map((provider) => (
+                    <tr key={`${provider.provider}/${provider.model}`} className="border-t border-indigo-100">
+                      <td className="p-2">{provider.provider} <span className="text-gray-500">({provider.model})</span></td>
+                      <td className="p-2">{provider.requests}</td>
+                      <td className="p-2">{provider.errors}</td>
+                      <td className="p-2">{formatMs(provider.avgLatencyMs)}</td>
+                      <td className="p-2">{provider.totalTokens.toLocaleString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div>
+            <p className="font-medium mb-1">Top questions</p>
+            <ol className="list-decimal list-inside bg-white rounded border border-indigo-100 divide-y divide-indigo-50">
+              {data.questions.length === 0 && <li className="p-2 text-gray-500 list-none">No questions asked in this period.</li>}
+              {data.questions.map((question) => (
+                <li key={question.question} className="p-2">
+                  {question.question}
+                  <span className="text-gray-500"> · {question.count}× · {formatPercent(question.grounded / question.count)} grounded</span>
+                </li>
+              ))}
+            </ol>
+          </div>
+
+          <div className="p-3 bg-white rounded border border-indigo-100">
+            <p className="font-medium mb-2">
+              Answer cache{" "}
+              <span className="text-xs text-gray-500">
+                ({formatPercent(data.cache.hitRate)} of first questions served from cache · {data.cache.hits} hits / {data.cache.misses} misses · {data.cache.entries} answers cached)
+              </span>
+            </p>
+            {data.cache.topEntries.length === 0 ? (
+              <p className="text-gray-500">No answers were served from the cache yet.</p>
+            ) : (
+              <ol className="list-decimal list-inside divide-y divide-indigo-50">
+                {data.cache.topEntries.map((entry) => (
+                  <li key={entry._id} className="py-1">
+                    {entry.question}
+                    <span className="text-gray-500"> · served {entry.hits}×</span>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="p-3 bg-white rounded border border-indigo-100">
+              <p className="font-medium mb-2">Most used FAQs <span className="text-xs text-gray-500">(cited / retrieved)</span></p>
+              <FaqUsageBars faqs={data.faqUsage.mostUsed} emptyText="No FAQs were used in this period." />
+            </div>
+            <div className="p-3 bg-white rounded border border-indigo-100">
+              <p className="font-medium mb-2">Least used FAQs <span className="text-xs text-gray-500">({data.faqUsage.unused} of {data.faqUsage.totalFaqs} never retrieved)</span></p>
+              <FaqUsageBars faqs={data.faqUsage.leastUsed} emptyText="There are no FAQs yet." />
+            </div>
+          </div>
+        </div>
+      )}
+
+      <button
+        onClick={onClose}
+        className="mt-6 px-4 py-2 bg-purple-500 text-white font-semibold rounded-lg shadow-md hover:bg-purple-600 focus:outline-none focus:ring-2 focus:ring-purple-400 transition duration-200 ease-in-out"
+      >
+        Back to Chat
+      </button>
+    </div>
+  );
+};
+
+// === components/AgentConsole.js ===
+// Support agents' queue of the conversations users escalated to a human (see backend/services/handoff.js). An agent
+// claims a waiting conversation, chats with the user live over the realtime connection and then hands the
+// conversation back to the bot.
+const AGENT_MESSAGE_PAGE_SIZE = 50; // Number of latest messages shown for the selected conversation
+
+const AgentConsole = ({ botId, agentId, onClose }) => {
+  const [handoffs, setHandoffs] = useState([]); // Open handoffs, waiting ones first
+  const [selectedId, setSelectedId] = useState(null); // Conversation shown on the right
+  const [messages, setMessages] = useState([]);
+  const [summary, setSummary] = useState(null); // Running summary of messages that were archived
+  const [input, setInput] = useState("");
+  const [error, setError] = useState("");
+  const selectedIdRef = useRef(null); // Selected conversation, for realtime events
+  const chatEndRef = useRef(null);
+
+  // RECTIFIED: Set API_BASE_URL based on environment
+  const API_BASE_URL = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5000';
+  const HANDOFFS_API_URL = `${API_BASE_URL}/api/bots/${botId}/handoffs`;
+
+  const fetchHandoffs = useCallback(async () => {
+    try {
+      const response = await axios.get(HANDOFFS_API_URL);
+      setHandoffs(response.data.handoffs);
+    } catch (error) {
+      console.error("Error fetching handoffs:", error);
+      setError("Failed to load escalated conversations. Please try again.");
+    }
+  }, [HANDOFFS_API_URL]);
+
+  const fetchMessages = useCallback(async (conversationId) => {
+    try {
+      const response = await axios.get(`${HANDOFFS_API_URL}/${conversationId}/messages`, { params: { limit: AGENT_MESSAGE_PAGE_SIZE } });
+      if (selectedIdRef.current !== conversationId) return; // Another conversation was selected meanwhile
+      setMessages([...response.data.messages].reverse());
+      setSummary(response.data.summary);
+    } catch (error) {
+      console.error("Error fetching conversation messages:", error);
+      setError("Failed to load the conversation. Please try again.");
+    }
+  }, [HANDOFFS_API_URL]);
+
+  useEffect(() => {
+    fetchHandoffs();
+  }, [fetchHandoffs]);
+
+  useEffect(() => {
+    selectedIdRef.current = selectedId;
+    setMessages([]);
+    setSummary(null);
+    if (selectedId) {
+      fetchMessages(selectedId);
+    }
+  }, [selectedId, fetchMessages]);
+
+  useEffect(() => {
+    chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  const handleRealtimeEvent = useCallback((event) => {
+    if (event.type === 'connected') {
+      // Catch up on whatever happened while disconnected
+      fetchHandoffs();
+      if (selectedIdRef.current) {
+        fetchMessages(selectedIdRef.current);
+      }
+    } else if (event.type === 'error') {
+      setError(event.message);
+    } else if (event.type === 'handoff') {
+      fetchHandoffs();
+    } else if (event.type === 'message' && event.conversationId === selectedIdRef.current) {
+      setMessages((prevMessages) => (
+        prevMessages.some((msg) => msg._id === event.message._id) ? prevMessages : [...prevMessages, event.message]
+      ));
+    }
+  }, [fetchHandoffs, fetchMessages]);
+
+  const send = useRealtime({ apiBaseUrl: API_BASE_URL, token: getAuthToken(), botId, onEvent: handleRealtimeEvent });
+
+  const claim = async (conversationId) => {
+    setError("");
+    try {
+      await axios.post(`${HANDOFFS_API_URL}/${conversationId}/claim`);
+      setSelectedId(conversationId);
+    } catch (error) {
+      console.error("Error claiming conversation:", error);
+      setError(error.response?.data?.message || "Failed to claim the conversation. Please try again.");
+    }
+    fetchHandoffs();
+  };
+
+  const close = async (conversationId) => {
+    setError("");
+    try {
+      await axios.post(`${HANDOFFS_API_URL}/${conversationId}/close`);
+      if (selectedId === conversationId) {
+        setSelectedId(null);
+      }
+    } catch (error) {
+      console.error("Error closing handoff:", error);
+      setError(error.response?.data?.message || "Failed to hand the conversation back. Please try again.");
+    }
+    fetchHandoffs();
+  };
+
+  // Replies go over the realtime connection; the reply shows up once the backend has stored it and sends it back.
+  const sendReply = () => {
+    if (!input.trim()) return;
+    if (send({ type: 'message', conversationId: selectedId, content: input.trim() })) {
+      setInput("");
+      setError("");
+    } else {
+      setError("Not connected. Reconnecting, please try again in a moment.");
+    }
+  };
+
+  const selected = handoffs.find((item) => item._id === selectedId);
+  const canReply = selected && selected.handoff.status === 'active' && selected.handoff.agent?.id === agentId;
+
+  return (
+    <div className="flex flex-col border border-cyan-300 rounded-lg shadow-lg bg-cyan-50 p-4 max-w-3xl mx-auto animate-fade-in-right w-full">
+      <h3 className="text-xl font-semibold mb-4 text-cyan-700">Agent console</h3>
+      {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="flex flex-col gap-2">
+          {handoffs.length === 0 && <p className="text-gray-500 text-sm italic">No one is waiting for an agent.</p>}
+          {handoffs.map((item) => (
+            <div
+              key={item._id}
+              className={`p-2 rounded border bg-white text-sm ${item._id === selectedId ? 'border-cyan-500' : 'border-cyan-100'}`}
+            >
+              <button onClick={() => setSelectedId(item._id)} className="w-full text-left">
+                <p className="font-medium text-gray-800 truncate">{item.title}</p>
+                <p className="text-xs text-gray-500">
+                  {item.handoff.status === 'requested'
+                    ? `Waiting since ${new Date(item.handoff.requestedAt).toLocaleTimeString()}`
+                    : `With ${item.handoff.agent?.id === agentId ? "you" : item.handoff.agent?.name}`}
+                </p>
+                {item.handoff.reason && <p className="text-xs text-gray-600 italic truncate">"{item.handoff.reason}"</p>}
+              </button>
+              <div className="flex gap-2 mt-1">
+                {item.handoff.status === 'requested' && (
+                  <button onClick={() => claim(item._id)} className="px-2 py-0.5 bg-cyan-600 text-white rounded text-xs hover:bg-cyan-700">
+                    Claim
+                  </button>
+                )}
+                {(item.handoff.status === 'requested' || item.handoff.agent?.id === agentId) && (
+                  <button onClick={() => close(item._id)} className="px-2 py-0.5 bg-gray-200 text-gray-700 rounded text-xs hover:bg-gray-300">
+                    Hand back to bot
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="md:col-span-2 flex flex-col">
+          {!selectedId ? (
+            <p className="text-center text-gray-500 mt-8">Select a conversation to read it.</p>
+          ) : (
+            <>
+              {summary && (
+                <p className="mb-2 p-2 bg-white rounded border border-cyan-100 text-xs text-gray-600">
+                  <span className="font-semibold">Earlier in this conversation:</span> {summary}
+                </p>
+              )}
+              <div className="flex flex-col h-80 overflow-y-auto mb-3 p-2 border border-cyan-200 rounded-md bg-white custom-scrollbar">
+                {messages.map((msg, idx) => (
+                  <MessageBubble key={msg._id || idx} sender={msg.sender} content={msg.content} agentName={msg.agent?.name} />
+                ))}
+                <div ref={chatEndRef} />
+              </div>
+              <div className="flex space-x-2">
+                <input
+                  type="text"
+                  placeholder={canReply ? "Reply to the user..." : "Claim the conversation to reply"}
+                  value={input}
+                  onChange={(e) => setInput(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && canReply && sendReply()}
+                  disabled={!canReply}
+                  className="flex-1 p-2 border border-cyan-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-400 text-gray-700 disabled:bg-gray-100"
+                />
+                <button
+                  onClick={sendReply}
+                  disabled={!canReply}
+                  className="px-4 py-2 bg-cyan-600 text-white font-semibold rounded-lg shadow-md hover:bg-cyan-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Send
+                </button>
+              </div>
+            </>
+          )}
+        </div>
       </div>
+
+      <button
+        onClick={onClose}
+        className="mt-6 px-4 py-2 bg-purple-500 text-white font-semibold rounded-lg shadow-md hover:bg-purple-600 focus:outline-none focus:ring-2 focus:ring-purple-400 transition duration-200 ease-in-out"
+      >
+        Back to Chat
+      </button>
     </div>
   );
 };
 
+// === components/BotSettings.js ===
+// Admin settings of the selected bot (name, persona, allowed origins and the widget embed code), plus creating and deleting bots. Every bot has its own FAQs and conversations.
+const toBotForm = (bot) => ({
+  name: bot.name || "",
+  description: bot.description || "",
+  persona: bot.persona || "",
+  allowedOrigins: (bot.allowedOrigins || []).join("\n"),
+});
 
-// === components/MessageBubble.js ===
-// Renders a single chat message bubble within the chat interface.
-const MessageBubble = ({ sender, content }) => (
-  <div
-    // Dynamically apply styles based on sender for user (blue) or AI (green) messages
-    // animate-fade-in provides a subtle entrance animation for new messages
-    className={`max-w-[70%] p-3 m-2 rounded-xl shadow-md animate-fade-in ${
-      sender === 'user' ? 'bg-blue-500 text-white self-end text-right' : 'bg-green-100 text-gray-800 self-start text-left'
-    }`}
-  >
-    <p className="break-words">{content}</p> {/* Display message content */}
-  </div>
-);
+const BotSettings = ({ bot, onBotsChanged }) => {
+  const [form, setForm] = useState(() => toBotForm(bot));
+  const [newBot, setNewBot] = useState(null); // { name, persona } while the "new bot" form is open
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [status, setStatus] = useState(""); // Result of the last save, shown under the form
 
-// === components/ChatBox.js ===
-// Main chat interface component handling message display and input.
-const ChatBox = ({ messages, addMessage }) => {
-  const [input, setInput] = useState(""); // State to store the current user input message
-  const [isTyping, setIsTyping] = useState(false); // State to control the AI typing indicator
-  const chatEndRef = useRef(null); // Ref to enable auto-scrolling to the latest message
+  // RECTIFIED: Set API_BASE_URL based on environment
+  const API_BASE_URL = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5000';
+
+  const getErrorMessage = (error, fallback) => (error.response && error.response.data && error.response.data.message) || fallback;
+
+  // Script tag that embeds this bot's chat widget (see public/widget.js) on another website
+  const embedCode = `<script src="${window.location.origin}/widget.js" data-bot-id="${bot.slug}"${API_BASE_URL ? ` data-api-url="${API_BASE_URL}"` : ""} async></script>`;
+
+  const saveBot = async () => {
+    setStatus("");
+    try {
+      const response = await axios.put(`${API_BASE_URL}/api/bots/${bot._id}`, {
+        name: form.name,
+        description: form.description,
+        persona: form.persona,
+        allowedOrigins: form.allowedOrigins.split("\n").map((origin) => origin.trim()).filter(Boolean),
+      });
+      setStatus(response.data.message);
+      onBotsChanged(bot._id);
+    } catch (error) {
+      console.error("Error saving bot:", error);
+      setStatus(getErrorMessage(error, "Failed to save the bot."));
+    }
+  };
+
+  const createBot = async () => {
+    setStatus("");
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/bots`, newBot);
+      setNewBot(null);
+      onBotsChanged(response.data.bot._id); // Switch to the new bot so its FAQs can be added
+    } catch (error) {
+      console.error("Error creating bot:", error);
+      setStatus(getErrorMessage(error, "Failed to create the bot."));
+    }
+  };
+
+  const deleteBot = async () => {
+    setConfirmDelete(false);
+    setStatus("");
+    try {
+      await axios.delete(`${API_BASE_URL}/api/bots/${bot._id}`);
+      onBotsChanged(null);
+    } catch (error) {
+      console.error("Error deleting bot:", error);
+      setStatus(getErrorMessage(error, "Failed to delete the bot."));
+    }
+  };
+
+  const inputClass = "p-2 border border-teal-300 rounded text-gray-700 focus:outline-none focus:ring-2 focus:ring-teal-400";
 
-  // Simulate a fixed user ID for demonstration purposes.
-  const userId = "demo_user_123";
+  return (
+    <div className="mb-6 p-4 border border-teal-200 rounded-lg bg-teal-50 text-sm">
+      <div className="flex justify-between items-center mb-3">
+        <h4 className="text-lg font-semibold text-teal-700">Bot: {bot.name} <span className="text-xs text-gray-500">/{bot.slug}</span></h4>
+        <button onClick={() => setNewBot({ name: "", persona: "" })} className="px-3 py-1 bg-teal-600 text-white rounded hover:bg-teal-700">
+          New bot
+        </button>
+      </div>
+
+      {newBot && (
+        <div className="mb-4 p-3 bg-white rounded border border-teal-200 flex flex-col gap-2">
+          <input type="text" placeholder="Name, e.g. HR Assistant" value={newBot.name} onChange={(e) => setNewBot({ ...newBot, name: e.target.value })} className={inputClass} />
+          <textarea
+            placeholder="Persona, e.g. You are the HR assistant of Acme. You answer employees' questions about leave, payroll and benefits."
+            value={newBot.persona}
+            onChange={(e) => setNewBot({ ...newBot, persona: e.target.value })}
+            rows="3"
+            className={`${inputClass} resize-y`}
+          />
+          <div className="flex gap-2">
+            <button onClick={createBot} disabled={!newBot.name.trim() || !newBot.persona.trim()} className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50">
+              Create bot
+            </button>
+            <button onClick={() => setNewBot(null)} className="px-3 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300">Cancel</button>
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-col gap-2">
+        <label className="font-medium text-gray-700">Name
+          <input type="text" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} className={`${inputClass} w-full mt-1 font-normal`} />
+        </label>
+        <label className="font-medium text-gray-700">Description
+          <input type="text" value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} className={`${inputClass} w-full mt-1 font-normal`} />
+        </label>
+        <label className="font-medium text-gray-700">Persona (opens the system prompt)
+          <textarea value={form.persona} onChange={(e) => setForm({ ...form, persona: e.target.value })} rows="3" className={`${inputClass} w-full mt-1 font-normal resize-y`} />
+        </label>
+        <label className="font-medium text-gray-700">Allowed origins (one per line; the widget only works on these websites)
+          <textarea
+            placeholder="https://help.example.com"
+            value={form.allowedOrigins}
+            onChange={(e) => setForm({ ...form, allowedOrigins: e.target.value })}
+            rows="2"
+            className={`${inputClass} w-full mt-1 font-normal resize-y`}
+          />
+        </label>
+        <div>
+          <p className="font-medium text-gray-700">Embed code</p>
+          <p className="text-xs text-gray-500">
+            Add this to a page of an allowed website to show the chat widget. Optional data-title, data-greeting, data-color, data-text-color and data-position attributes customize it.
+          </p>
+          <code className="block mt-1 p-2 bg-gray-100 rounded text-xs text-gray-700 break-all">{embedCode}</code>
+        </div>
+        <div className="flex gap-2">
+          <button onClick={saveBot} className="px-3 py-1 bg-teal-600 text-white rounded hover:bg-teal-700">Save bot</button>
+          {!bot.isDefault && (
+            <button onClick={() => setConfirmDelete(true)} className="px-3 py-1 bg-red-500 text-white rounded hover:bg-red-600">Delete bot</button>
+          )}
+        </div>
+        {status && <p className={status.includes("successfully") ? "text-green-600" : "text-red-600"}>{status}</p>}
+      </div>
+
+      <Modal
+        show={confirmDelete}
+        title="Delete bot?"
+        message={`"${bot.name}" and all of its conversations will be deleted. Bots that still have FAQs can't be deleted.`}
+        onClose={() => setConfirmDelete(false)}
+        onConfirm={deleteBot}
+        confirmLabel="Delete"
+      />
+    </div>
+  );
+};
+
+// === components/ChatSettingsPanel.js ===
+// Admin screen for the selected bot's chat settings: the instructions that follow its persona, temperature, answer
+// length, history window and minimum FAQ score. A draft can be tried with a test question before it is saved as a
+// new version, and earlier versions can be restored.
+const toSettingsForm = (settings) => ({
+  instructions: settings.instructions,
+  temperature: String(settings.temperature),
+  maxOutputTokens: String(settings.maxOutputTokens),
+  historyMessages: String(settings.historyMessages),
+  minScore: String(settings.minScore),
+});
+
+// Number fields are sent as numbers; empty ones as null, which the server rejects with a clear message
+const fromSettingsForm = (form) => {
+  const toNumber = (value) => (value === "" ? null : Number(value));
+  return {
+    instructions: form.instructions,
+    temperature: toNumber(form.temperature),
+    maxOutputTokens: toNumber(form.maxOutputTokens),
+    historyMessages: toNumber(form.historyMessages),
+    minScore: toNumber(form.minScore),
+  };
+};
+
+const ChatSettingsPanel = ({ botId }) => {
+  const [settings, setSettings] = useState(null); // Active settings; version 0 means the defaults are in use
+  const [defaults, setDefaults] = useState(null);
+  const [form, setForm] = useState(null);
+  const [note, setNote] = useState("");
+  const [versions, setVersions] = useState([]);
+  const [showVersions, setShowVersions] = useState(false);
+  const [previewQuestion, setPreviewQuestion] = useState("");
+  const [preview, setPreview] = useState(null); // { reply, sources, systemInstruction, usage } of the last preview
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [status, setStatus] = useState(""); // Result of the last save, restore or preview
 
   // RECTIFIED: Set API_BASE_URL based on environment
   const API_BASE_URL = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5000';
+  const BOT_API_URL = `${API_BASE_URL}/api/bots/${botId}`; // Chat, conversation and FAQ routes of the selected bot
 
-  // useEffect hook to scroll to the bottom of the chat box whenever the messages array changes.
-  useEffect(() => {
-    chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [messages]);
+  const applySettings = (activeSettings) => {
+    setSettings(activeSettings);
+    setForm(toSettingsForm(activeSettings));
+  };
 
-  // useEffect hook to fetch initial chat history when the component mounts.
   useEffect(() => {
-    const fetchChatHistory = async () => {
+    const fetchSettings = async () => {
       try {
-        // Placeholder for fetching chat history if a GET /api/chat/:userId endpoint existed.
+        const response = await axios.get(`${BOT_API_URL}/settings`);
+        setSettings(response.data.settings);
+        setDefaults(response.data.defaults);
+        setForm(toSettingsForm(response.data.settings));
       } catch (error) {
-        console.error("Error fetching chat history:", error);
+        console.error("Error fetching chat settings:", error);
       }
     };
-    fetchChatHistory();
-  }, []); // Empty dependency array ensures this effect runs only once on mount.
+    fetchSettings();
+  }, [BOT_API_URL]);
 
-  // useCallback hook for the sendMessage function to prevent unnecessary re-renders.
-  // Handles sending the user's message to the backend and receiving the AI's reply.
-  const sendMessage = useCallback(async () => {
-    if (!input.trim()) return; // Do nothing if the input message is empty or just whitespace.
+  const fetchVersions = useCallback(async () => {
+    try {
+      const response = await axios.get(`${BOT_API_URL}/settings/versions`);
+      setVersions(response.data.versions);
+    } catch (error) {
+      console.error("Error fetching chat settings versions:", error);
+    }
+  }, [BOT_API_URL]);
 
-    const userMessage = input.trim();
-    addMessage({ sender: "user", content: userMessage }); // Add user's message to the UI immediately.
-    setInput(""); // Clear the input field.
-    setIsTyping(true); // Show the "AI is typing..." indicator.
+  useEffect(() => {
+    if (showVersions) {
+      fetchVersions();
+    }
+  }, [showVersions, fetchVersions]);
+
+  const getErrorMessage = (error, fallback) => (error.response && error.response.data && error.response.data.message) || fallback;
 
+  const saveSettings = async () => {
+    setStatus("");
     try {
-      // Make a POST request to the backend's chat API.
-      const response = await axios.post(`${API_BASE_URL}/api/chat`, {
-        userId,
-        message: userMessage,
-      });
+      const response = await axios.put(`${BOT_API_URL}/settings`, { ...fromSettingsForm(form), note });
+      applySettings(response.data.settings);
+      setNote("");
+      setStatus(response.data.message);
+      if (showVersions) {
+        fetchVersions();
+      }
+    } catch (error) {
+      console.error("Error saving chat settings:", error);
+      setStatus(getErrorMessage(error, "Failed to save the chat settings."));
+    }
+  };
+
+  const restoreVersion = async (version) => {
+    setStatus("");
+    try {
+      const response = await axios.post(`${BOT_API_URL}/settings/versions/${version}/restore`);
+      applySettings(response.data.settings);
+      setStatus(response.data.message);
+      fetchVersions();
+    } catch (error) {
+      console.error("Error restoring chat settings:", error);
+      setStatus(getErrorMessage(error, "Failed to restore the chat settings."));
+    }
+  };
 
-      const aiReply = response.data.reply; // Extract the AI's reply from the response.
-      addMessage({ sender: "ai", content: aiReply }); // Add the AI's reply to the UI.
+  const runPreview = async () => {
+    setStatus("");
+    setPreview(null);
+    setIsPreviewing(true);
+    try {
+      const response = await axios.post(`${BOT_API_URL}/chat/preview`, { question: previewQuestion, settings: fromSettingsForm(form) });
+      setPreview(response.data);
     } catch (error) {
-      console.error("Error sending message:", error); // Log any errors during the API call.
-      addMessage({ sender: "ai", content: "Oops! Something went wrong. Please try again." }); // Display a generic error message to the user.
+      console.error("Error previewing chat settings:", error);
+      setStatus(getErrorMessage(error, "Failed to preview the chat settings."));
     } finally {
-      setIsTyping(false); // Hide the typing indicator regardless of success or failure.
+      setIsPreviewing(false);
     }
-  }, [input, addMessage, API_BASE_URL]); // Dependencies: 'input', 'addMessage', and API_BASE_URL
+  };
+
+  if (!form) {
+    return null;
+  }
+
+  const inputClass = "p-2 border border-violet-300 rounded text-gray-700 focus:outline-none focus:ring-2 focus:ring-violet-400";
+  const isDirty = JSON.stringify(fromSettingsForm(form)) !== JSON.stringify(fromSettingsForm(toSettingsForm(settings)));
 
   return (
-    // Removed 'md:' prefix from animate-fade-in-left to apply on all screen sizes
-    <div className="flex flex-col border border-blue-300 rounded-lg shadow-lg bg-white p-4 max-w-3xl mx-auto mb-8 animate-fade-in-left w-full">
-      <h3 className="text-xl font-semibold mb-4 text-center text-blue-700">Chat with Dhanista</h3>
-      <div className="flex flex-col h-80 overflow-y-auto mb-4 p-2 border border-blue-200 rounded-md bg-blue-50 custom-scrollbar">
-        {/* Conditional rendering for an empty chat state */}
-        {messages.length === 0 && (
-          <p className="text-center text-gray-500 mt-auto mb-auto">Start a conversation!</p>
-        )}
-        {/* Map through messages and render MessageBubble for each */}
-        {messages.map((msg, idx) => (
-          <MessageBubble key={idx} sender={msg.sender} content={msg.content} />
-        ))}
-        {/* AI typing indicator, pulsates when AI is responding */}
-        {isTyping && (
-          <div className="self-start text-gray-500 italic p-3 m-2 rounded-xl bg-gray-100 animate-pulse">
-            AI is typing...
-          </div>
-        )}
-        <div ref={chatEndRef} /> {/* Element for auto-scrolling to the bottom */}
-      </div>
-      <div className="flex space-x-2">
-        <input
-          type="text"
-          placeholder="Type your message..."
-          value={input}
-          onChange={e => setInput(e.target.value)}
-          onKeyDown={e => e.key === 'Enter' && sendMessage()}
-          className="flex-1 p-3 border border-blue-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400 focus:shadow-lg transition-shadow text-gray-700"
-        />
-        <button
-          onClick={sendMessage}
-          className="px-6 py-3 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-400 transition duration-200 ease-in-out"
-        >
-          Send
+    <div className="mb-6 p-4 border border-violet-200 rounded-lg bg-violet-50 text-sm">
+      <div className="flex justify-between items-center mb-3">
+        <h4 className="text-lg font-semibold text-violet-700">
+          Chat settings <span className="text-xs text-gray-500">{settings.version > 0 ? `version ${settings.version}` : "defaults"}</span>
+        </h4>
+        <button onClick={() => setShowVersions(!showVersions)} className="text-violet-700 hover:underline">
+          {showVersions ? "Hide versions" : "Version history"}
         </button>
       </div>
+
+      {showVersions && (
+        <ul className="mb-4 divide-y divide-violet-100 bg-white rounded border border-violet-100 text-gray-700">
+          {versions.length === 0 && <li className="p-2 text-gray-500">No saved versions yet. The defaults are in use.</li>}
+          {versions.map((version) => (
+            <li key={version._id} className="p-2 flex justify-between items-center gap-2">
+              <div>
+                <span className="font-medium">v{version.version}</span>
+                <span className="text-xs text-gray-500">
+                  {" "}· {new Date(version.createdAt).toLocaleString()}{version.author?.email && ` · ${version.author.email}`}
+                  {" "}· temperature {version.temperature}, {version.maxOutputTokens} tokens, {version.historyMessages} history messages, min score {version.minScore}
+                </span>
+                {version.note && <p className="text-xs text-gray-600 italic">{version.note}</p>}
+              </div>
+              {version.version !== settings.version && (
+                <button onClick={() => restoreVersion(version.version)} className="px-2 py-1 bg-violet-600 text-white rounded hover:bg-violet-700 text-xs">Restore</button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex flex-col gap-2">
+        <label className="font-medium text-gray-700">Instructions (follow the persona in the system prompt)
+          <textarea value={form.instructions} onChange={(e) => setForm({ ...form, instructions: e.target.value })} rows="8" className={`${inputClass} w-full mt-1 font-normal font-mono text-xs resize-y`} />
+        </label>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+          <label className="font-medium text-gray-700">Temperature
+            <input type="number" min="0" max="2" step="0.1" value={form.temperature} onChange={(e) => setForm({ ...form, temperature: e.target.value })} className={`${inputClass} w-full mt-1 font-normal`} />
+          </label>
+          <label className="font-medium text-gray-700">Max output tokens
+            <input type="number" min="1" step="1" value={form.maxOutputTokens} onChange={(e) => setForm({ ...form, maxOutputTokens: e.target.value })} className={`${inputClass} w-full mt-1 font-normal`} />
+          </label>
+          <label className="font-medium text-gray-700">History messages
+            <input type="number" min="0" step="1" value={form.historyMessages} onChange={(e) => setForm({ ...form, historyMessages: e.target.value })} className={`${inputClass} w-full mt-1 font-normal`} />
+          </label>
+          <label className="font-medium text-gray-700">Min FAQ score
+            <input type="number" min="0" max="1" step="0.05" value={form.minScore} onChange={(e) => setForm({ ...form, minScore: e.target.value })} className={`${inputClass} w-full mt-1 font-normal`} />
+          </label>
+        </div>
+        <input type="text" placeholder="Note for the version history, e.g. Shorter answers" value={note} onChange={(e) => setNote(e.target.value)} className={inputClass} />
+        <div className="flex gap-2">
+          <button onClick={saveSettings} disabled={!isDirty} className="px-3 py-1 bg-violet-600 text-white rounded hover:bg-violet-700 disabled:opacity-50">Save as new version</button>
+          <button onClick={() => setForm(toSettingsForm(settings))} disabled={!isDirty} className="px-3 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 disabled:opacity-50">Discard changes</button>
+          <button onClick={() => setForm(toSettingsForm(defaults))} className="px-3 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300">Load defaults</button>
+        </div>
+
+        <div className="mt-2 p-3 bg-white rounded border border-violet-200 flex flex-col gap-2">
+          <p className="font-medium text-gray-700">Preview the draft without saving it</p>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              placeholder="Test question, e.g. How do I reset my password?"
+              value={previewQuestion}
+              onChange={(e) => setPreviewQuestion(e.target.value)}
+              className={`${inputClass} flex-1`}
+            />
+            <button onClick={runPreview} disabled={!previewQuestion.trim() || isPreviewing} className="px-3 py-1 bg-violet-600 text-white rounded hover:bg-violet-700 disabled:opacity-50">
+              {isPreviewing ? "Asking..." : "Preview"}
+            </button>
+          </div>
+          {preview && (
+            <div className="text-gray-700">
+              <p className="whitespace-pre-wrap p-2 bg-violet-50 rounded">{preview.reply}</p>
+              <p className="text-xs text-gray-500 mt-1">
+                {preview.sources.length > 0 ? `Sources: ${preview.sources.map((source) => `[${source.label}] ${source.title}`).join(", ")}` : "No FAQ was relevant enough to include."}
+                {preview.usage && ` · ${preview.usage.totalTokens} tokens`}
+              </p>
+              <details className="mt-1">
+                <summary className="text-xs text-violet-700 cursor-pointer">System prompt sent</summary>
+                <pre className="whitespace-pre-wrap text-xs bg-gray-50 p-2 rounded mt-1">{preview.systemInstruction}</pre>
+              </details>
+            </div>
+          )}
+        </div>
+        {status && <p className={status.includes("successfully") ? "text-green-600" : "text-red-600"}>{status}</p>}
+      </div>
     </div>
   );
 };
 
 // === components/AdminUpload.js ===
-// Component for admin to upload FAQ content, supporting both text and various file types.
-const AdminUpload = ({ onClose, onUploadSuccess }) => {
+// Admin view: upload FAQ content (text or various file types) and manage existing FAQs in a table.
+const AdminUpload = ({ bot, onBotsChanged, onClose }) => {
+  const botId = bot._id;
   const [title, setTitle] = useState("");
+  const [faqsRefreshKey, setFaqsRefreshKey] = useState(0); // Bumped after FAQ changes so the table and history reload
+  const [historyFaqId, setHistoryFaqId] = useState(null); // FAQ whose versions are shown in the history panel
+
+  const refreshFaqs = useCallback(() => setFaqsRefreshKey((key) => key + 1), []);
   const [content, setContent] = useState("");
+  const [faqLanguage, setFaqLanguage] = useState(""); // Language code of the new FAQ, or "" to detect it from its text
   const [file, setFile] = useState(null);
   const [message, setMessage] = useState("");
   const [showModal, setShowModal] = useState(false);
@@ -151,6 +3303,7 @@ const AdminUpload = ({ onClose, onUploadSuccess }) => {
 
   // RECTIFIED: Set API_BASE_URL based on environment
   const API_BASE_URL = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5000';
+  const BOT_API_URL = `${API_BASE_URL}/api/bots/${botId}`; // Chat, conversation and FAQ routes of the selected bot
 
   // Function to display the custom modal with a specific message.
   const showCustomModal = (msg) => {
@@ -166,7 +3319,7 @@ const AdminUpload = ({ onClose, onUploadSuccess }) => {
   };
 
   // useCallback hook for the upload function to prevent unnecessary re-renders.
-  // Handles uploading either text-based FAQ content or a selected file (PDF, JPG, etc.).
+  // Handles uploading either text-based FAQ content or a selected file (PDF, Word, Excel, HTML, Markdown, CSV, JSON or text).
   const upload = useCallback(async () => {
     setMessage(""); // Clear any previous general messages.
     closeCustomModal(); // Ensure the modal is closed before attempting a new upload.
@@ -184,15 +3337,18 @@ const AdminUpload = ({ onClose, onUploadSuccess }) => {
     // --- End Input Validation ---
 
     try {
-      let uploadEndpoint = `${API_BASE_URL}/api/chat/faqs`; // Default endpoint for text FAQ uploads.
-      let payload = { title, content }; // Default payload for text FAQ uploads.
+      let uploadEndpoint = `${BOT_API_URL}/faqs`; // Default endpoint for text FAQ uploads.
+      let payload = { title, content, language: faqLanguage || undefined }; // Default payload for text FAQ uploads.
       let headers = { 'Content-Type': 'application/json' }; // Default headers for JSON payload.
 
       if (file) {
         // If a file is selected, switch to the file upload endpoint and use FormData.
-        uploadEndpoint = `${API_BASE_URL}/api/chat/upload-file-faq`; // Endpoint for generic file uploads.
+        uploadEndpoint = `${BOT_API_URL}/faqs/upload`; // Endpoint for generic file uploads.
         const formData = new FormData(); // FormData is required for sending files.
         formData.append('title', title); // Append the title.
+        if (faqLanguage) {
+          formData.append('language', faqLanguage);
+        }
         formData.append('file', file); // Append the file itself. The name 'file' must match backend's multer config.
         payload = formData; // Set the payload to FormData.
         headers = {}; // Axios automatically sets 'Content-Type': 'multipart/form-data' when sending FormData, so no manual header is needed here.
@@ -206,20 +3362,12 @@ const AdminUpload = ({ onClose, onUploadSuccess }) => {
       // Perform the API call using axios.post.
       const response = await axios.post(uploadEndpoint, payload, { headers });
 
-      // Check the backend's response message for success.
-      if (response.data.message && response.data.message.includes("successfully")) {
-        setMessage(response.data.message); // Display the success message from the backend.
-        // Clear input fields and selected file after successful upload.
-        setTitle("");
-        setContent("");
-        setFile(null);
-        if (onUploadSuccess) {
-          onUploadSuccess(); // Call the callback to hide the admin panel if provided.
-        }
-      } else {
-          // Fallback message if backend response doesn't explicitly include "successfully" but also didn't throw an error.
-          setMessage(response.data.message || "Upload completed with an unexpected message.");
-      }
+      // The FAQ is saved, even when the message reports that it isn't searchable yet, so don't offer to send it again.
+      setMessage(response.data.message || "Upload completed with an unexpected message.");
+      setTitle("");
+      setContent("");
+      setFile(null);
+      refreshFaqs(); // Show the new FAQ in the table below.
 
     } catch (error) {
       // Handle errors during the upload process (network issues, backend errors, etc.).
@@ -233,7 +3381,7 @@ const AdminUpload = ({ onClose, onUploadSuccess }) => {
       // Clear the general message after a delay, regardless of success or failure.
       setTimeout(() => setMessage(""), 5000);
     }
-  }, [title, content, file, onUploadSuccess, API_BASE_URL]); // Added API_BASE_URL to dependencies for useCallback.
+  }, [title, content, faqLanguage, file, BOT_API_URL, refreshFaqs]); // Added BOT_API_URL to dependencies for useCallback.
 
   // handleFileChange function processes the selected file from the input.
   const handleFileChange = (e) => {
@@ -251,7 +3399,9 @@ const AdminUpload = ({ onClose, onUploadSuccess }) => {
   return (
     // Removed 'md:' prefix from animate-fade-in-right to apply on all screen sizes
     <div className="flex flex-col border border-green-300 rounded-lg shadow-lg bg-white p-4 max-w-3xl mx-auto animate-fade-in-right w-full">
-      <h3 className="text-xl font-semibold mb-4 text-center text-green-700">Admin - Upload FAQs</h3>
+      <h3 className="text-xl font-semibold mb-4 text-center text-green-700">Admin - Manage FAQs</h3>
+      <BotSettings bot={bot} onBotsChanged={onBotsChanged} />
+      <ChatSettingsPanel botId={botId} />
       <input
         type="text"
         placeholder="FAQ Title"
@@ -267,15 +3417,27 @@ const AdminUpload = ({ onClose, onUploadSuccess }) => {
         disabled={!!file}
         className="mb-4 p-3 border border-green-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-400 resize-y focus:shadow-lg transition-shadow text-gray-700 disabled:bg-gray-100 disabled:text-gray-500 disabled:cursor-not-allowed"
       />
+      <select
+        value={faqLanguage}
+        onChange={e => setFaqLanguage(e.target.value)}
+        className="mb-4 p-3 border border-green-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-400 text-gray-700"
+        aria-label="FAQ language"
+      >
+        <option value="">Language: detect automatically</option>
+        {FAQ_LANGUAGES.map(({ code, name }) => (
+          <option key={code} value={code}>{name}</option>
+        ))}
+      </select>
 
       <div className="mb-4">
         <label htmlFor="file-upload" className="block text-gray-700 text-sm font-bold mb-2">
           Upload File (Optional):
         </label>
+        <p className="text-xs text-gray-500 mb-2">Supported: PDF, Word (.docx), Excel (.xlsx), HTML, Markdown, CSV, JSON and plain text.</p>
         <input
           type="file"
           id="file-upload"
-          accept="*/*"
+          accept=".pdf,.docx,.xlsx,.html,.htm,.md,.markdown,.csv,.json,.txt"
           onChange={handleFileChange}
           disabled={!!content.trim()}
           className="block w-full text-sm text-gray-900 border border-gray-300 rounded-lg cursor-pointer bg-gray-50 focus:outline-none disabled:bg-gray-100 disabled:text-gray-500 disabled:cursor-not-allowed"
@@ -295,6 +3457,12 @@ const AdminUpload = ({ onClose, onUploadSuccess }) => {
           {message}
         </p>
       )}
+      <FaqBulkTransfer botId={botId} onImported={refreshFaqs} />
+      <FaqTable botId={botId} refreshKey={faqsRefreshKey} onChanged={refreshFaqs} onShowHistory={setHistoryFaqId} />
+      <UnansweredQueue botId={botId} onAnswered={refreshFaqs} />
+      <FeedbackReport botId={botId} />
+      <FaqHistory botId={botId} faqId={historyFaqId} onSelectFaq={setHistoryFaqId} refreshKey={faqsRefreshKey} onRestored={refreshFaqs} />
+
       <button
         onClick={onClose}
         className="mt-6 px-4 py-2 bg-purple-500 text-white font-semibold rounded-lg shadow-md hover:bg-purple-600 focus:outline-none focus:ring-2 focus://ring-purple-400 transition duration-200 ease-in-out"
@@ -312,22 +3480,104 @@ const AdminUpload = ({ onClose, onUploadSuccess }) => {
   );
 };
 
+// The bot the user last chatted with, restored on the next visit
+const ACTIVE_BOT_STORAGE_KEY = "dhanista_active_bot";
+
 // Main application component
 function App() {
+  const [auth, setAuth] = useState(loadStoredAuth); // { token, user } of the logged-in user, or null
   const [messages, setMessages] = useState([]);
   const [showAdminPanel, setShowAdminPanel] = useState(false);
+  const [showAnalytics, setShowAnalytics] = useState(false);
+  const [showAgentConsole, setShowAgentConsole] = useState(false);
   const [isCogSpinning, setIsCogSpinning] = useState(false);
+  const [activeConversationId, setActiveConversationId] = useState(null);
+  const [conversationsRefreshKey, setConversationsRefreshKey] = useState(0);
+  const [bots, setBots] = useState([]); // Bots (separate assistants with their own FAQs) the user can pick from
+  const [activeBotId, setActiveBotId] = useState(() => localStorage.getItem(ACTIVE_BOT_STORAGE_KEY));
+  const [language, setLanguage] = useState(loadStoredLanguage); // Interface language, also sent as a hint with chat messages
+  const t = useTranslator(language);
+  const languageContext = useMemo(() => ({ language, setLanguage }), [language]);
+
+  // RECTIFIED: Set API_BASE_URL based on environment
+  const API_BASE_URL = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5000';
 
   const addMessage = useCallback((message) => {
     setMessages((prevMessages) => [...prevMessages, message]);
   }, []);
 
-  const handleUploadSuccess = useCallback(() => {
+  // Called after each exchange: selects the (possibly newly created) conversation and refreshes the sidebar.
+  const handleConversationUpdated = useCallback((conversationId) => {
+    setActiveConversationId(conversationId);
+    setConversationsRefreshKey((key) => key + 1);
+  }, []);
+
+  const handleAuthenticated = useCallback((session) => {
+    localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(session));
+    setAuth(session);
+  }, []);
+
+  // Clears the session and everything that belonged to the previous user.
+  const logout = useCallback(() => {
+    localStorage.removeItem(AUTH_STORAGE_KEY);
+    setAuth(null);
+    setMessages([]);
+    setActiveConversationId(null);
     setShowAdminPanel(false);
+    setShowAnalytics(false);
+    setShowAgentConsole(false);
   }, []);
 
+  // Log out whenever the backend reports that the stored token is no longer valid.
+  useEffect(() => {
+    window.addEventListener(AUTH_EXPIRED_EVENT, logout);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, logout);
+  }, [logout]);
+
+  // Loads the bots, switching to `selectBotId` if given and otherwise keeping the current bot while it exists.
+  const fetchBots = useCallback(async (selectBotId) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/bots`);
+      const botList = response.data.bots;
+      setBots(botList);
+      setActiveBotId((currentBotId) => {
+        const wantedBotId = selectBotId || currentBotId;
+        return botList.some((bot) => bot._id === wantedBotId) ? wantedBotId : (botList[0] ? botList[0]._id : null);
+      });
+    } catch (error) {
+      console.error("Error fetching bots:", error);
+    }
+  }, [API_BASE_URL]);
+
+  useEffect(() => {
+    if (auth) {
+      fetchBots();
+    }
+  }, [auth, fetchBots]);
+
+  // Conversations belong to a bot, so switching bots starts from an empty chat.
+  useEffect(() => {
+    setMessages([]);
+    setActiveConversationId(null);
+    if (activeBotId) {
+      localStorage.setItem(ACTIVE_BOT_STORAGE_KEY, activeBotId);
+    }
+  }, [activeBotId]);
+
+  // Remember the language and let the browser know the page's language, e.g. for fonts and screen readers.
+  useEffect(() => {
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const activeBot = bots.find((bot) => bot._id === activeBotId);
+  const isAdmin = auth?.user?.role === 'admin';
+  const isAgent = isAdmin || auth?.user?.role === 'agent'; // Admins can answer escalated conversations too
+
   const handleCogClick = () => {
     setShowAdminPanel(true);
+    setShowAnalytics(false);
+    setShowAgentConsole(false);
     setIsCogSpinning(true);
 
     setTimeout(() => {
@@ -336,169 +3586,258 @@ function App() {
   };
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-orange-50 to-pink-100 p-8 font-inter">
-      {/* Tailwind CSS CDN for utility classes */}
-      <script src="https://cdn.tailwindcss.com"></script>
-      {/* Google Font link for 'Inter' typeface */}
-      <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet" />
-      {/* Custom CSS for body font and scrollbar styling */}
-      <style>
-        {`
-        body {
-          font-family: 'Inter', sans-serif;
-        }
-        .custom-scrollbar::-webkit-scrollbar {
-          width: 8px;
-        }
-        .custom-scrollbar::-webkit-scrollbar-track {
-          background: #fff7ed;
-          border-radius: 10px;
-        }
-        .custom-scrollbar::-webkit-scrollbar-thumb {
-          background: #fbcfe8;
-          border-radius: 10px;
-        }
-        .custom-scrollbar::-webkit-scrollbar-thumb:hover {
-          background: #f472b6;
-        }
+    <LanguageContext.Provider value={languageContext}>
+      <div className="min-h-screen bg-gradient-to-br from-orange-50 to-pink-100 p-8 font-inter">
+        {/* Google Font link for 'Inter' typeface */}
+        <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet" />
+        {/* Custom CSS for body font and scrollbar styling */}
+        <style>
+          {`
+          body {
+            font-family: 'Inter', sans-serif;
+          }
+          .custom-scrollbar::-webkit-scrollbar {
+            width: 8px;
+          }
+          .custom-scrollbar::-webkit-scrollbar-track {
+            background: #fff7ed;
+            border-radius: 10px;
+          }
+          .custom-scrollbar::-webkit-scrollbar-thumb {
+            background: #fbcfe8;
+            border-radius: 10px;
+          }
+          .custom-scrollbar::-webkit-scrollbar-thumb:hover {
+            background: #f472b6;
+          }
 
-        @keyframes fade-in {
-          from {
-            opacity: 0;
-            transform: translateY(10px);
+          @keyframes fade-in {
+            from {
+              opacity: 0;
+              transform: translateY(10px);
+            }
+            to {
+              opacity: 1;
+              transform: translateY(0);
+            }
           }
-          to {
-            opacity: 1;
-            transform: translateY(0);
+          .animate-fade-in {
+            animation: fade-in 0.5s ease-out forwards;
           }
-        }
-        .animate-fade-in {
-          animation: fade-in 0.5s ease-out forwards;
-        }
 
-        @keyframes fade-in-up {
-          from {
-            opacity: 0;
-            transform: translateY(20px);
+          @keyframes fade-in-up {
+            from {
+              opacity: 0;
+              transform: translateY(20px);
+            }
+            to {
+              opacity: 1;
+              transform: translateY(0);
+            }
           }
-          to {
-            opacity: 1;
-            transform: translateY(0);
+          .animate-fade-in-up {
+            animation: fade-in-up 0.3s ease-out forwards;
           }
-        }
-        .animate-fade-in-up {
-          animation: fade-in-up 0.3s ease-out forwards;
-        }
 
-        @keyframes fade-in-left {
-          from {
-            opacity: 0;
-            transform: translateX(-50px);
+          @keyframes fade-in-left {
+            from {
+              opacity: 0;
+              transform: translateX(-50px);
+            }
+            to {
+              opacity: 1;
+              transform: translateX(0);
+            }
           }
-          to {
-            opacity: 1;
-            transform: translateX(0);
+          .animate-fade-in-left {
+            animation: fade-in-left 0.8s ease-out forwards;
           }
-        }
-        .animate-fade-in-left {
-          animation: fade-in-left 0.8s ease-out forwards;
-        }
 
-        @keyframes fade-in-right {
-          from {
-            opacity: 0;
-            transform: translateX(50px);
+          @keyframes fade-in-right {
+            from {
+              opacity: 0;
+              transform: translateX(50px);
+            }
+            to {
+              opacity: 1;
+              transform: translateX(0);
+            }
           }
-          to {
-            opacity: 1;
-            transform: translateX(0);
+          .animate-fade-in-right {
+            animation: fade-in-right 0.8s ease-out forwards;
           }
-        }
-        .animate-fade-in-right {
-          animation: fade-in-right 0.8s ease-out forwards;
-        }
 
-        button {
-            transition: background-color 0.2s ease-in-out, transform 0.1s ease-in-out;
-        }
-        button:hover {
-            transform: translateY(-1px);
-        }
+          button {
+              transition: background-color 0.2s ease-in-out, transform 0.1s ease-in-out;
+          }
+          button:hover {
+              transform: translateY(-1px);
+          }
 
-        @keyframes spin-once {
-          from {
-            transform: rotate(0deg);
+          @keyframes spin-once {
+            from {
+              transform: rotate(0deg);
+            }
+            to {
+              transform: rotate(360deg);
+            }
           }
-          to {
-            transform: rotate(360deg);
+          .animate-spin-once {
+            animation: spin-once 0.5s ease-out forwards;
           }
-        }
-        .animate-spin-once {
-          animation: spin-once 0.5s ease-out forwards;
-        }
 
-        @keyframes title-pop-in {
-          0% {
-            opacity: 0;
-            transform: scale(0.5) translateY(-20px);
+          @keyframes title-pop-in {
+            0% {
+              opacity: 0;
+              transform: scale(0.5) translateY(-20px);
+            }
+            80% {
+              opacity: 1;
+              transform: scale(1.05) translateY(0);
+            }
+            100% {
+              transform: scale(1);
+            }
+          }
+          .animate-title-pop-in {
+            animation: title-pop-in 0.8s ease-out forwards;
           }
-          80% {
-            opacity: 1;
-            transform: scale(1.05) translateY(0);
+
+          @keyframes color-cycle {
+            0% { color: #f87171; }
+            25% { color: #60a5fa; }
+            50% { color: #34d399; }
+            75% { color: #facc15; }
+            100% { color: #f87171; }
           }
-          100% {
-            transform: scale(1);
+          .animate-color-cycle {
+            animation: color-cycle 4s linear infinite;
           }
-        }
-        .animate-title-pop-in {
-          animation: title-pop-in 0.8s ease-out forwards;
-        }
+          ${MARKDOWN_STYLES}
+          `}
+        </style>
+        <header className="text-center mb-10 relative">
+          <h1 className="text-4xl font-bold mb-2 animate-title-pop-in animate-color-cycle">{t("app.greeting", { name: activeBot ? activeBot.name : "Dhanista" })}</h1>
+          <p className="text-gray-600 text-lg">{activeBot?.description || t("app.tagline")}</p>
+          {auth && bots.length > 1 && (
+            <select
+              value={activeBotId || ""}
+              onChange={(e) => setActiveBotId(e.target.value)}
+              className="mt-3 p-2 border border-pink-300 rounded-lg bg-white text-gray-700 shadow-sm"
+              aria-label={t("app.chooseAssistant")}
+            >
+              {bots.map((bot) => (
+                <option key={bot._id} value={bot._id}>{bot.name}</option>
+              ))}
+            </select>
+          )}
 
-        @keyframes color-cycle {
-          0% { color: #f87171; }
-          25% { color: #60a5fa; }
-          50% { color: #34d399; }
-          75% { color: #facc15; }
-          100% { color: #f87171; }
-        }
-        .animate-color-cycle {
-          animation: color-cycle 4s linear infinite;
-        }
-        `}
-      </style>
-      <header className="text-center mb-10 relative">
-        <h1 className="text-4xl font-bold mb-2 animate-title-pop-in animate-color-cycle">Hello! I'm Dhanista, your helpful AI assistant</h1>
-        <p className="text-gray-600 text-lg">Your instant connection to answers.</p>
+          <div className="absolute top-4 left-4 flex items-center space-x-3">
+            <select
+              value={language}
+              onChange={(e) => setLanguage(e.target.value)}
+              className="p-1 border border-pink-300 rounded-lg bg-white text-gray-700 text-sm shadow-sm"
+              aria-label={t("app.language")}
+            >
+              {UI_LANGUAGES.map(({ code, label }) => (
+                <option key={code} value={code}>{label}</option>
+              ))}
+            </select>
+            {auth && (
+              <>
+                <span className="text-gray-700 text-sm">{t("app.signedInAs", { name: auth.user.name || auth.user.email })}</span>
+                <button
+                  onClick={logout}
+                  className="px-3 py-1 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-lg text-sm shadow-sm"
+                >
+                  {t("app.logOut")}
+                </button>
+              </>
+            )}
+          </div>
 
-        <button
-          onClick={handleCogClick}
-          className={`absolute top-4 right-4 p-2 bg-purple-200 hover:bg-purple-300 text-purple-700 rounded-full shadow-md transition-colors duration-200 ${isCogSpinning ? 'animate-spin-once' : ''}`}
-          aria-label="Open Admin Panel"
-        >
-          <svg
-            xmlns="http://www.w3.org/2000/svg"
-            className="h-6 w-6"
-            fill="none"
-            viewBox="0 0 24 24"
-            stroke="currentColor"
-            strokeWidth="2"
-          >
-            <path
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37a1.724 1.724 0 002.572-1.065z"
-            />
-            <path strokeLinecap="round" strokeLinejoin="round" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
-          </svg>
-        </button>
-      </header>
+          {isAdmin && (
+            <button
+              onClick={handleCogClick}
+              className={`absolute top-4 right-4 p-2 bg-purple-200 hover:bg-purple-300 text-purple-700 rounded-full shadow-md transition-colors duration-200 ${isCogSpinning ? 'animate-spin-once' : ''}`}
+              aria-label="Open Admin Panel"
+            >
+              <svg
+                xmlns="http://www.w3.org/2000/svg"
+                className="h-6 w-6"
+                fill="none"
+                viewBox="0 0 24 24"
+                stroke="currentColor"
+                strokeWidth="2"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37a1.724 1.724 0 002.572-1.065z"
+                />
+                <path strokeLinecap="round" strokeLinejoin="round" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+              </svg>
+            </button>
+          )}
+
+          {isAdmin && (
+            <button
+              onClick={() => { setShowAnalytics(true); setShowAdminPanel(false); setShowAgentConsole(false); }}
+              className="absolute top-4 right-16 p-2 bg-indigo-200 hover:bg-indigo-300 text-indigo-700 rounded-full shadow-md transition-colors duration-200"
+              aria-label="Open Analytics"
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+                <path strokeLinecap="round" strokeLinejoin="round" d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
+              </svg>
+            </button>
+          )}
 
-      <div className={showAdminPanel ? "grid grid-cols-1 md:grid-cols-2 gap-8 max-w-6xl mx-auto" : "flex justify-center max-w-6xl mx-auto"}>
-        <ChatBox messages={messages} addMessage={addMessage} />
-        {showAdminPanel && <AdminUpload onClose={() => setShowAdminPanel(false)} onUploadSuccess={handleUploadSuccess} />}
+          {isAgent && (
+            <button
+              onClick={() => { setShowAgentConsole(true); setShowAdminPanel(false); setShowAnalytics(false); }}
+              className={`absolute top-4 ${isAdmin ? 'right-28' : 'right-4'} p-2 bg-cyan-200 hover:bg-cyan-300 text-cyan-700 rounded-full shadow-md transition-colors duration-200`}
+              aria-label="Open Agent Console"
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+                <path strokeLinecap="round" strokeLinejoin="round" d="M18.364 5.636l-3.536 3.536m0 5.656l3.536 3.536M9.172 9.172L5.636 5.636m3.536 9.192l-3.536 3.536M21 12a9 9 0 11-18 0 9 9 0 0118 0zm-5 0a4 4 0 11-8 0 4 4 0 018 0z" />
+              </svg>
+            </button>
+          )}
+        </header>
+
+        {!auth ? (
+          <AuthForm onAuthenticated={handleAuthenticated} />
+        ) : !activeBot ? (
+          <p className="text-center text-gray-600">{t("app.loadingAssistants")}</p>
+        ) : (
+          <div className={showAdminPanel || showAnalytics || showAgentConsole ? "grid grid-cols-1 xl:grid-cols-2 gap-8 max-w-7xl mx-auto" : "flex justify-center max-w-6xl mx-auto"}>
+            <div className="flex flex-col md:flex-row md:space-x-4 w-full">
+              <ConversationSidebar
+                key={activeBot._id}
+                botId={activeBot._id}
+                activeConversationId={activeConversationId}
+                onSelect={setActiveConversationId}
+                refreshKey={conversationsRefreshKey}
+              />
+              <ChatBox
+                key={activeBot._id}
+                botId={activeBot._id}
+                messages={messages}
+                addMessage={addMessage}
+                setMessages={setMessages}
+                conversationId={activeConversationId}
+                onConversationUpdated={handleConversationUpdated}
+              />
+            </div>
+            {isAdmin && showAdminPanel && <AdminUpload key={activeBot._id} bot={activeBot} onBotsChanged={fetchBots} onClose={() => setShowAdminPanel(false)} />}
+            {isAdmin && showAnalytics && <AnalyticsDashboard key={activeBot._id} botId={activeBot._id} onClose={() => setShowAnalytics(false)} />}
+            {isAgent && showAgentConsole && <AgentConsole key={activeBot._id} botId={activeBot._id} agentId={auth.user._id} onClose={() => setShowAgentConsole(false)} />}
+          </div>
+        )}
       </div>
-    </div>
+    </LanguageContext.Provider>
   );
 }
 
+export { ChatWidget, MessageBubble, LanguageContext, useRealtime };
 export default App;
\ No newline at end of file
@@ -1,8 +1,166 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { render, renderHook, act, screen, within, fireEvent } from '@testing-library/react';
+import App, { MessageBubble, LanguageContext, useRealtime } from './App';
 
-test('renders learn react link', () => {
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('shows the login form until the user is signed in', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: 'Log in to chat' })).toBeInTheDocument();
+  expect(screen.getByPlaceholderText('Email')).toBeInTheDocument();
+});
+
+describe('interface language', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('switching the language translates the screen and is remembered', () => {
+    render(<App />);
+    fireEvent.change(screen.getByRole('combobox', { name: 'Language' }), { target: { value: 'hi' } });
+
+    expect(screen.getByRole('heading', { name: 'चैट करने के लिए लॉग इन करें' })).toBeInTheDocument();
+    expect(screen.getByRole('combobox', { name: 'भाषा' })).toHaveValue('hi');
+    expect(localStorage.getItem('dhanista_language')).toBe('hi');
+    expect(document.documentElement.lang).toBe('hi');
+  });
+
+  test("starts in the language picked last, else the browser's", () => {
+    jest.spyOn(navigator, 'languages', 'get').mockReturnValue(['te-IN', 'en']);
+    const { unmount } = render(<App />);
+    expect(screen.getByRole('heading', { name: 'చాట్ చేయడానికి లాగిన్ అవ్వండి' })).toBeInTheDocument();
+    unmount();
+
+    localStorage.setItem('dhanista_language', 'en');
+    render(<App />);
+    expect(screen.getByRole('heading', { name: 'Log in to chat' })).toBeInTheDocument();
+  });
+
+  test('falls back to English for browser languages the interface lacks', () => {
+    jest.spyOn(navigator, 'languages', 'get').mockReturnValue(['fr-FR']);
+    render(<App />);
+    expect(screen.getByRole('combobox', { name: 'Language' })).toHaveValue('en');
+  });
+});
+
+describe('MessageBubble', () => {
+  test('renders AI replies as Markdown', () => {
+    const content = [
+      'Steps:',
+      '',
+      '1. Open **Settings**',
+      '2. Choose *Reset password*',
+      '',
+      '| Plan | Price |',
+      '| --- | --- |',
+      '| Basic | 5 |',
+    ].join('\n');
+    render(<MessageBubble sender="ai" content={content} />);
+
+    expect(screen.getByText('Settings').tagName).toBe('STRONG');
+    expect(screen.getByText('Reset password').tagName).toBe('EM');
+    expect(screen.getAllByRole('listitem')).toHaveLength(2);
+    expect(screen.getByRole('cell', { name: 'Basic' })).toBeInTheDocument();
+    // Wide tables scroll inside their own box
+    const tableBox = screen.getByRole('region', { name: 'Table' });
+    expect(tableBox).toHaveClass('markdown-table');
+    expect(within(tableBox).getByRole('table')).toBeInTheDocument();
+  });
+
+  test('keeps user messages as plain text', () => {
+    render(<MessageBubble sender="user" content="**not bold** and <b>no tags</b>" />);
+    expect(screen.getByText('**not bold** and <b>no tags</b>')).toBeInTheDocument();
+  });
+
+  test('opens links in a new tab and drops scripts, event handlers and javascript: links', () => {
+    const content = [
+      '[Help center](https://help.example.com) and [click me](javascript:alert(1))',
+      '',
+      '<script>alert(1)</script><img src="x" onerror="alert(1)">',
+    ].join('\n');
+    render(<MessageBubble sender="ai" content={content} />);
+
+    const help = screen.getByRole('link', { name: 'Help center' });
+    expect(help).toHaveAttribute('target', '_blank');
+    expect(help).toHaveAttribute('rel', 'noopener noreferrer');
+    expect(screen.getByText('click me')).not.toHaveAttribute('href', expect.stringContaining('javascript'));
+    expect(screen.queryByRole('img')).toBeNull();
+    expect(screen.queryByText(/alert/)).toBeNull();
+  });
+
+  test('highlights code blocks and copies their code', async () => {
+    const writeText = jest.fn(() => Promise.resolve());
+    Object.assign(navigator, { clipboard: { writeText } });
+    render(<MessageBubble sender="ai" content={'```js\nconst answer = 42;\n```'} />);
+
+    expect(screen.getByText('const')).toHaveClass('hljs-keyword');
+    fireEvent.click(screen.getByRole('button', { name: 'Copy code' }));
+    expect(writeText).toHaveBeenCalledWith('const answer = 42;');
+    expect(await screen.findByText('Copied!')).toBeInTheDocument();
+  });
+
+  test("labels the copy button in the interface's language", async () => {
+    Object.assign(navigator, { clipboard: { writeText: jest.fn(() => Promise.resolve()) } });
+    render(
+      <LanguageContext.Provider value={{ language: 'hi', setLanguage: () => {} }}>
+        <MessageBubble sender="ai" content={'```\nls\n```'} />
+      </LanguageContext.Provider>
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'कोड कॉपी करें' }));
+    expect(await screen.findByText('कॉपी हो गया!')).toBeInTheDocument();
+  });
+});
+
+describe('useRealtime', () => {
+  const OriginalWebSocket = global.WebSocket;
+  let sockets;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    sockets = [];
+    global.WebSocket = class {
+      constructor(url) {
+        this.url = url;
+        sockets.push(this);
+      }
+
+      send() {}
+
+      close() {}
+    };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    global.WebSocket = OriginalWebSocket;
+  });
+
+  const connect = () => renderHook(() => useRealtime({ apiBaseUrl: 'http://api.example.com', token: 'token', botId: 'bot', onEvent: () => {} }));
+  const close = (code) => act(() => sockets[sockets.length - 1].onclose({ code, reason: '' }));
+
+  test('retries dropped connections less and less often', () => {
+    connect();
+    expect(sockets[0].url).toBe('ws://api.example.com/api/ws');
+
+    close(1006);
+    act(() => jest.advanceTimersByTime(3000));
+    expect(sockets).toHaveLength(2);
+
+    close(1006);
+    act(() => jest.advanceTimersByTime(3000));
+    expect(sockets).toHaveLength(2);
+    act(() => jest.advanceTimersByTime(3000));
+    expect(sockets).toHaveLength(3);
+  });
+
+  test('stops when the server refuses the connection', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    connect();
+    close(4400);
+    act(() => jest.advanceTimersByTime(60000));
+    expect(sockets).toHaveLength(1);
+    console.error.mockRestore();
+  });
 });
@@ -1,11 +1,37 @@
 // frontend/src/index.js
 import React from 'react';
 import ReactDOM from 'react-dom/client';
-import App from './App';
+import './index.css';
+import App, { ChatWidget } from './App';
 
-const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
\ No newline at end of file
+// Mounts a chat widget for an embed of public/widget.js on another website. The widget gets a shadow root of
+// its own, so its styles and the host page's don't affect each other; widget.js looks up the build's stylesheet
+// for it.
+const mountChatWidget = (config) => {
+  const host = document.createElement('div');
+  host.setAttribute('data-dhanista-widget', config.botId);
+  document.body.appendChild(host);
+  const container = document.createElement('div');
+  host.attachShadow({ mode: 'open' }).appendChild(container);
+  ReactDOM.createRoot(container).render(
+    <React.StrictMode>
+      <ChatWidget {...config} stylesheet={window.DhanistaWidget.stylesheet} />
+    </React.StrictMode>
+  );
+};
+
+// public/widget.js sets window.DhanistaWidget and queues the embeds found before this bundle loaded; later ones
+// call mount directly. Without it this is the app itself.
+const widget = window.DhanistaWidget;
+if (widget) {
+  widget.mount = mountChatWidget;
+  widget.queue.forEach(mountChatWidget);
+  widget.queue = [];
+} else {
+  const root = ReactDOM.createRoot(document.getElementById('root'));
+  root.render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>
+  );
+}
@@ -0,0 +1,10 @@
+// Tailwind CSS configuration. The classes used in src/ are compiled into the build's main.css, which the app
+// loads and the chat widget adds to its shadow root (see ChatWidget in src/App.js).
+/** @type {import('tailwindcss').Config} */
+module.exports = {
+  content: ['./src/**/*.js', './public/index.html'],
+  theme: {
+    extend: {},
+  },
+  plugins: [],
+};